@@ -1,4 +1,5 @@
-let webpackConfig = require("./webpack.config.js");
+// The first config builds the library, the second its worker
+let webpackConfig = require("./webpack.config.js")[0];
 webpackConfig.mode = "development";
 webpackConfig.externals = {};
 webpackConfig.module.rules.push({
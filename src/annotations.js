@@ -16,6 +16,7 @@ class Annotations {
 		this.marks = [];
 		this._annotations = {};
 		this._annotationsBySectionIndex = {};
+		this._word = undefined;
 
 		this.rendition.hooks.render.register(this.inject.bind(this));
 		this.rendition.hooks.unloaded.register(this.clear.bind(this));
@@ -142,6 +143,49 @@ class Annotations {
 		return this.add("mark", cfiRange, data, cb);
 	}
 
+	/**
+	 * Highlight one word from a list of words, such as the one returned
+	 * by Contents.words, moving the previous word highlight.
+	 * A single mark is reused so only the current word is redrawn.
+	 * @param {Array<{cfiRange: string}>} words list of words
+	 * @param {number} index index of the word to highlight
+	 * @param {string} [className] CSS class to assign to the word highlight
+	 * @param {object} [styles] CSS styles to assign to the word highlight
+	 * @returns {object} the highlighted word
+	 */
+	highlightWord (words, index, className, styles) {
+		let word = words && words[index];
+
+		if (!word) {
+			this.unhighlightWord();
+			return;
+		}
+
+		let sectionIndex = new EpubCFI(word.cfiRange).spinePos;
+		this._word = { cfiRange: word.cfiRange, sectionIndex, className, styles };
+
+		this.rendition.views().forEach( (view) => {
+			if (view.index === sectionIndex) {
+				view.highlightWord && view.highlightWord(word.cfiRange, className, styles);
+			} else {
+				view.unhighlightWord && view.unhighlightWord();
+			}
+		});
+
+		return word;
+	}
+
+	/**
+	 * Remove the word highlight
+	 */
+	unhighlightWord () {
+		this._word = undefined;
+
+		this.rendition.views().forEach( (view) => {
+			view.unhighlightWord && view.unhighlightWord();
+		});
+	}
+
 	/**
 	 * iterate over annotations in the store
 	 */
@@ -163,6 +207,11 @@ class Annotations {
 				annotation.attach(view);
 			});
 		}
+
+		let word = this._word;
+		if (word && word.sectionIndex === sectionIndex && view.highlightWord) {
+			view.highlightWord(word.cfiRange, word.className, word.styles);
+		}
 	}
 
 	/**
@@ -179,6 +228,8 @@ class Annotations {
 				annotation.detach(view);
 			});
 		}
+
+		view.unhighlightWord && view.unhighlightWord();
 	}
 
 	/**
@@ -3,16 +3,24 @@ import request from "./utils/request";
 import mime from "./utils/mime";
 import Path from "./utils/path";
 import JSZip from "jszip/dist/jszip";
+import RangeZip from "./utils/rangezip";
+import UrlCache from "./utils/urlcache";
+import { obfuscationKey, deobfuscate } from "./utils/obfuscation";
 
 /**
  * Handles Unzipping a requesting files from an Epub Archive
  * @class
+ * @param {object} [options]
+ * @param {object} [options.urlCache] maxEntries and maxBytes budget of the created urls, see UrlCache
  */
 class Archive {
 
-	constructor() {
+	constructor(options) {
 		this.zip = undefined;
-		this.urlCache = {};
+		this.urlCache = new UrlCache(options && options.urlCache);
+		this.obfuscated = {};
+		this.encrypted = {};
+		this.decryptor = undefined;
 
 		this.checkRequirements();
 
@@ -54,6 +62,92 @@ class Archive {
 			}.bind(this));
 	}
 
+	/**
+	 * Open a remote archive with HTTP Range requests, reading its central directory
+	 * and fetching each entry when it is requested. Falls back to the whole archive
+	 * when the server doesn't support ranges.
+	 * @param  {string} zipUrl
+	 * @param  {boolean} [withCredentials] send the requests withCredentials
+	 * @param  {object} [headers] headers to send with the requests
+	 * @return {Promise} zipfile
+	 */
+	openRange(zipUrl, withCredentials, headers){
+		var zip = new RangeZip(zipUrl, withCredentials, headers);
+
+		return zip.open()
+			.then((opened) => {
+				if (opened instanceof RangeZip) {
+					this.zip = opened;
+					return opened;
+				}
+				return this.zip.loadAsync(opened);
+			});
+	}
+
+	/**
+	 * Remove the font obfuscation of the resources listed in encryption.xml
+	 * when they are served from the archive
+	 * @param  {Encryption} encryption
+	 * @param  {string} uniqueIdentifier unique identifier of the package, used for the keys
+	 */
+	deobfuscate(encryption, uniqueIdentifier){
+		var algorithms = (encryption && encryption.algorithms) || {};
+
+		this.obfuscated = {};
+
+		Object.keys(algorithms).forEach((path) => {
+			var algorithm = algorithms[path];
+			var key = obfuscationKey(algorithm, uniqueIdentifier);
+
+			// Other algorithms are DRM encryption, which can't be removed here
+			if (key) {
+				this.obfuscated[path] = { algorithm, key };
+			}
+		});
+	}
+
+	/**
+	 * Decrypt the other resources listed in encryption.xml when they are served from the archive
+	 * @param  {Encryption} encryption
+	 * @param  {method} decryptor function(url, data) returning a Promise of the decrypted bytes
+	 */
+	setDecryption(encryption, decryptor){
+		var algorithms = (encryption && encryption.algorithms) || {};
+
+		this.encrypted = {};
+		this.decryptor = decryptor;
+
+		Object.keys(algorithms).forEach((path) => {
+			if (encryption.isEncrypted(path)) {
+				this.encrypted[path] = true;
+			}
+		});
+	}
+
+	/**
+	 * Get the data of an entry, without its font obfuscation or encryption
+	 * @private
+	 * @param  {object} entry JSZip entry
+	 * @return {Promise<Uint8Array>}
+	 */
+	getData(entry){
+		var obfuscated = this.obfuscated[entry.name];
+		var encrypted = this.encrypted[entry.name];
+
+		return entry.async("uint8array").then((uint8array) => {
+			if (obfuscated) {
+				return deobfuscate(uint8array, obfuscated.algorithm, obfuscated.key);
+			}
+			if (encrypted) {
+				if (!this.decryptor) {
+					throw new Error("Cannot decrypt " + entry.name + " without a decryptor");
+				}
+				return this.decryptor("/" + entry.name, uint8array);
+			}
+			return uint8array;
+		});
+	}
+
 	/**
 	 * Request a url from the archive
 	 * @param  {string} url  a url to request from the archive
@@ -80,7 +174,7 @@ class Archive {
 			response.then(function (r) {
 				let result = this.handleResponse(r, type);
 				deferred.resolve(result);
-			}.bind(this));
+			}.bind(this), deferred.reject);
 		} else {
 			deferred.reject({
 				message : "File not found in the epub: " + url,
@@ -128,12 +222,12 @@ class Archive {
 	 * @return {Blob}
 	 */
 	getBlob(url, mimeType){
-		var decodededUrl = window.decodeURIComponent(url.substr(1)); // Remove first slash
+		var decodededUrl = decodeURIComponent(url.substr(1)); // Remove first slash
 		var entry = this.zip.file(decodededUrl);
 
 		if(entry) {
 			mimeType = mimeType || mime.lookup(entry.name);
-			return entry.async("uint8array").then(function(uint8array) {
+			return this.getData(entry).then(function(uint8array) {
 				return new Blob([uint8array], {type : mimeType});
 			});
 		}
@@ -146,10 +240,16 @@ class Archive {
 	 * @return {string}
 	 */
 	getText(url, encoding){
-		var decodededUrl = window.decodeURIComponent(url.substr(1)); // Remove first slash
+		var decodededUrl = decodeURIComponent(url.substr(1)); // Remove first slash
 		var entry = this.zip.file(decodededUrl);
 
 		if(entry) {
+			if (this.encrypted[entry.name]) {
+				return this.getData(entry).then(function(uint8array) {
+					return new TextDecoder(encoding || "utf-8").decode(uint8array);
+				});
+			}
+
 			return entry.async("string").then(function(text) {
 				return text;
 			});
@@ -163,11 +263,22 @@ class Archive {
 	 * @return {string} base64 encoded
 	 */
 	getBase64(url, mimeType){
-		var decodededUrl = window.decodeURIComponent(url.substr(1)); // Remove first slash
+		var decodededUrl = decodeURIComponent(url.substr(1)); // Remove first slash
 		var entry = this.zip.file(decodededUrl);
 
 		if(entry) {
 			mimeType = mimeType || mime.lookup(entry.name);
+
+			if (this.obfuscated[entry.name] || this.encrypted[entry.name]) {
+				return this.getData(entry).then(function(uint8array) {
+					var binary = "";
+					for (var i = 0; i < uint8array.length; i += 0x8000) {
+						binary += String.fromCharCode.apply(null, uint8array.subarray(i, i + 0x8000));
+					}
+					return "data:" + mimeType + ";base64," + window.btoa(binary);
+				});
+			}
+
 			return entry.async("base64").then(function(data) {
 				return "data:" + mimeType + ";base64," + data;
 			});
@@ -187,8 +298,10 @@ class Archive {
 		var response;
 		var useBase64 = options && options.base64;
 
-		if(url in this.urlCache) {
-			deferred.resolve(this.urlCache[url]);
+		var cached = this.urlCache.get(url);
+
+		if(cached) {
+			deferred.resolve(cached);
 			return deferred.promise;
 		}
 
@@ -198,10 +311,9 @@ class Archive {
 			if (response) {
 				response.then(function(tempUrl) {
 
-					this.urlCache[url] = tempUrl;
-					deferred.resolve(tempUrl);
+					deferred.resolve(this.urlCache.set(url, tempUrl, tempUrl.length));
 
-				}.bind(this));
+				}.bind(this), deferred.reject);
 
 			}
 
@@ -213,10 +325,9 @@ class Archive {
 				response.then(function(blob) {
 
 					tempUrl = _URL.createObjectURL(blob);
-					this.urlCache[url] = tempUrl;
-					deferred.resolve(tempUrl);
+					deferred.resolve(this.urlCache.set(url, tempUrl, blob.size));
 
-				}.bind(this));
+				}.bind(this), deferred.reject);
 
 			}
 		}
@@ -237,18 +348,15 @@ class Archive {
 	 * @param  {string} url url of the item in the archive
 	 */
 	revokeUrl(url){
-		var _URL = window.URL || window.webkitURL || window.mozURL;
-		var fromCache = this.urlCache[url];
-		if(fromCache) _URL.revokeObjectURL(fromCache);
+		this.urlCache.delete(url);
 	}
 
 	destroy() {
-		var _URL = window.URL || window.webkitURL || window.mozURL;
-		for (let fromCache in this.urlCache) {
-			_URL.revokeObjectURL(fromCache);
-		}
+		this.urlCache.clear();
 		this.zip = undefined;
-		this.urlCache = {};
+		this.obfuscated = {};
+		this.encrypted = {};
+		this.decryptor = undefined;
 	}
 }
 
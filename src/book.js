@@ -1,23 +1,31 @@
 import EventEmitter from "event-emitter";
-import {extend, defer} from "./utils/core";
+import {extend, defer, qs, isXml, parse} from "./utils/core";
 import Url from "./utils/url";
 import Path from "./utils/path";
 import Spine from "./spine";
 import Locations from "./locations";
 import Container from "./container";
+import Encryption from "./encryption";
 import Packaging from "./packaging";
 import Navigation from "./navigation";
 import Resources from "./resources";
 import PageList from "./pagelist";
 import Rendition from "./rendition";
 import Archive from "./archive";
+import WorkerArchive from "./workerarchive";
 import request from "./utils/request";
 import EpubCFI from "./epubcfi";
 import Store from "./store";
 import DisplayOptions from "./displayoptions";
+import Smil from "./smil";
+import { getParagraphsFromRange } from "./utils/paragraphs";
+import { validate } from "./utils/validation";
+import { isStream, readBinary } from "./utils/stream";
 import { EPUBJS_VERSION, EVENTS } from "./utils/constants";
 
 const CONTAINER_PATH = "META-INF/container.xml";
+const ENCRYPTION_PATH = "META-INF/encryption.xml";
+const METADATA_PATH = "META-INF/metadata.xml";
 const IBOOKS_DISPLAY_OPTIONS_PATH = "META-INF/com.apple.ibooks.display-options.xml";
 
 const INPUT_TYPE = {
@@ -26,14 +34,15 @@ const INPUT_TYPE = {
 	EPUB: "epub",
 	OPF: "opf",
 	MANIFEST: "json",
-	DIRECTORY: "directory"
+	DIRECTORY: "directory",
+	STREAM: "stream"
 };
 
 /**
  * An Epub representation with methods for the loading, parsing and manipulation
  * of its contents.
  * @class
- * @param {string} [url]
+ * @param {string | ArrayBuffer | Blob | File | Response | ReadableStream} [url]
  * @param {object} [options]
  * @param {method} [options.requestMethod] a request function to use instead of the default
  * @param {boolean} [options.requestCredentials=undefined] send the xhr request withCredentials
@@ -43,6 +52,11 @@ const INPUT_TYPE = {
  * @param {method} [options.canonical] optional function to determine canonical urls for a path
  * @param {string} [options.openAs] optional string to determine the input type
  * @param {string} [options.store=false] cache the contents in local storage, value should be the name of the reader
+ * @param {object | method} [options.renditionSelector] picks the package of a multiple-rendition epub, see Container.select
+ * @param {method} [options.decryptor] function(path, algorithm, data) returning the decrypted bytes, or a Promise of them, of the resources encrypted in encryption.xml
+ * @param {boolean} [options.rangeRequests=false] fetch the entries of a remote epub when they are needed, with HTTP Range requests, instead of downloading the whole archive
+ * @param {string} [options.worker] url of epub.worker.js, to unzip archived epubs and parse their package and navigation in a Web Worker
+ * @param {object} [options.urlCache] budget of the urls created for resources, as maxEntries and/or maxBytes. The least recently used urls not needed by a loaded section are revoked beyond it
  * @returns {Book}
  * @example new Book("/path/to/book.epub", {})
  * @example new Book({ replacements: "blobUrl" })
@@ -52,8 +66,9 @@ class Book {
 		// Allow passing just options to the Book
 		if (typeof(options) === "undefined" &&
 			  typeof(url) !== "string" &&
-		    url instanceof Blob === false &&
-		    url instanceof ArrayBuffer === false) {
+		    url instanceof ArrayBuffer === false &&
+		    !ArrayBuffer.isView(url) &&
+		    !isStream(url)) {
 			options = url;
 			url = undefined;
 		}
@@ -66,58 +81,21 @@ class Book {
 			replacements: undefined,
 			canonical: undefined,
 			openAs: undefined,
-			store: undefined
+			store: undefined,
+			renditionSelector: undefined,
+			decryptor: undefined,
+			rangeRequests: undefined,
+			worker: undefined,
+			urlCache: undefined
 		});
 
 		extend(this.settings, options);
 
 
 		// Promises
-		this.opening = new defer();
-		/**
-		 * @member {promise} opened returns after the book is loaded
-		 * @memberof Book
-		 */
-		this.opened = this.opening.promise;
+		this.createLoading();
 		this.isOpen = false;
 
-		this.loading = {
-			manifest: new defer(),
-			spine: new defer(),
-			metadata: new defer(),
-			cover: new defer(),
-			navigation: new defer(),
-			pageList: new defer(),
-			resources: new defer(),
-			displayOptions: new defer()
-		};
-
-		this.loaded = {
-			manifest: this.loading.manifest.promise,
-			spine: this.loading.spine.promise,
-			metadata: this.loading.metadata.promise,
-			cover: this.loading.cover.promise,
-			navigation: this.loading.navigation.promise,
-			pageList: this.loading.pageList.promise,
-			resources: this.loading.resources.promise,
-			displayOptions: this.loading.displayOptions.promise
-		};
-
-		/**
-		 * @member {promise} ready returns after the book is loaded and parsed
-		 * @memberof Book
-		 * @private
-		 */
-		this.ready = Promise.all([
-			this.loaded.manifest,
-			this.loaded.spine,
-			this.loaded.metadata,
-			this.loaded.cover,
-			this.loaded.navigation,
-			this.loaded.resources,
-			this.loaded.displayOptions
-		]);
-
 
 		// Queue for methods used before opening
 		this.isRendered = false;
@@ -224,6 +202,13 @@ class Book {
 		 */
 		this.displayOptions = undefined;
 
+		/**
+		 * @member {object} mediaOverlays loaded Media Overlays by href
+		 * @memberof Book
+		 * @private
+		 */
+		this.mediaOverlays = {};
+
 		// this.toc = undefined;
 		if (this.settings.store) {
 			this.store(this.settings.store);
@@ -231,6 +216,10 @@ class Book {
 
 		if(url) {
 			this.open(url, this.settings.openAs).catch((error) => {
+				// Decryption failures are reported with their own error
+				if (error && error.algorithm) {
+					return;
+				}
 				var err = new Error("Cannot load book at "+ url );
 				this.emit(EVENTS.BOOK.OPEN_FAILED, err);
 			});
@@ -238,11 +227,63 @@ class Book {
 	}
 
 	/**
-	 * Open a epub or url
-	 * @param {string | ArrayBuffer} input Url, Path or ArrayBuffer
-	 * @param {string} [what="binary", "base64", "epub", "opf", "json", "directory"] force opening as a certain type
+	 * Create the promises of the loading steps
+	 * @private
+	 */
+	createLoading() {
+		this.opening = new defer();
+		/**
+		 * @member {promise} opened returns after the book is loaded
+		 * @memberof Book
+		 */
+		this.opened = this.opening.promise;
+
+		this.loading = {
+			manifest: new defer(),
+			spine: new defer(),
+			metadata: new defer(),
+			cover: new defer(),
+			navigation: new defer(),
+			pageList: new defer(),
+			resources: new defer(),
+			displayOptions: new defer()
+		};
+
+		this.loaded = {
+			manifest: this.loading.manifest.promise,
+			spine: this.loading.spine.promise,
+			metadata: this.loading.metadata.promise,
+			cover: this.loading.cover.promise,
+			navigation: this.loading.navigation.promise,
+			pageList: this.loading.pageList.promise,
+			resources: this.loading.resources.promise,
+			displayOptions: this.loading.displayOptions.promise
+		};
+
+		/**
+		 * @member {promise} ready returns after the book is loaded and parsed
+		 * @memberof Book
+		 * @private
+		 */
+		this.ready = Promise.all([
+			this.loaded.manifest,
+			this.loaded.spine,
+			this.loaded.metadata,
+			this.loaded.cover,
+			this.loaded.navigation,
+			this.loaded.resources,
+			this.loaded.displayOptions
+		]);
+	}
+
+	/**
+	 * Open a epub or url. Blob, File, Response and ReadableStream inputs
+	 * emit "loadProgress" events with {loaded, total} as they are read.
+	 * @param {string | ArrayBuffer | Blob | File | Response | ReadableStream} input Url, Path, ArrayBuffer or stream of an epub
+	 * @param {string} [what="binary", "base64", "epub", "opf", "json", "directory", "stream"] force opening as a certain type
 	 * @returns {Promise} of when the book has been loaded
 	 * @example book.open("/path/to/book.epub")
+	 * @example book.open(event.dataTransfer.files[0])
 	 */
 	open(input, what) {
 		var opening;
@@ -259,7 +300,16 @@ class Book {
 		} else if (type === INPUT_TYPE.EPUB) {
 			this.archived = true;
 			this.url = new Url("/", "");
-			opening = this.request(input, "binary", this.settings.requestCredentials, this.settings.requestHeaders)
+			if (this.settings.rangeRequests) {
+				opening = this.openRemoteEpub(input);
+			} else {
+				opening = this.request(input, "binary", this.settings.requestCredentials, this.settings.requestHeaders)
+					.then(this.openEpub.bind(this));
+			}
+		} else if (type === INPUT_TYPE.STREAM) {
+			this.archived = true;
+			this.url = new Url("/", "");
+			opening = readBinary(input, (progress) => this.emit(EVENTS.BOOK.LOAD_PROGRESS, progress))
 				.then(this.openEpub.bind(this));
 		} else if(type == INPUT_TYPE.OPF) {
 			this.url = new Url(input);
@@ -270,6 +320,10 @@ class Book {
 		} else {
 			this.url = new Url(input);
 			opening = this.openContainer(CONTAINER_PATH)
+				.then((packagePath) => {
+					return this.openEncryption(ENCRYPTION_PATH)
+						.then(() => packagePath);
+				})
 				.then(this.openPackaging.bind(this));
 		}
 
@@ -286,7 +340,34 @@ class Book {
 	openEpub(data, encoding) {
 		return this.unarchive(data, encoding || this.settings.encoding)
 			.then(() => {
-				return this.openContainer(CONTAINER_PATH);
+				return this.openArchiveContents();
+			});
+	}
+
+	/**
+	 * Open a remote epub, fetching its entries with Range requests
+	 * @private
+	 * @param  {string} url
+	 * @return {Promise}
+	 */
+	openRemoteEpub(url) {
+		this.archive = this.createArchive();
+		return this.archive.openRange(url, this.settings.requestCredentials, this.settings.requestHeaders)
+			.then(() => {
+				return this.openArchiveContents();
+			});
+	}
+
+	/**
+	 * Open the container, encryption and package of the unarchived epub
+	 * @private
+	 * @return {Promise}
+	 */
+	openArchiveContents() {
+		return this.openContainer(CONTAINER_PATH)
+			.then((packagePath) => {
+				return this.openEncryption(ENCRYPTION_PATH)
+					.then(() => packagePath);
 			})
 			.then((packagePath) => {
 				return this.openPackaging(packagePath);
@@ -303,7 +384,144 @@ class Book {
 		return this.load(url)
 			.then((xml) => {
 				this.container = new Container(xml);
-				return this.resolve(this.container.packagePath);
+
+				// Multiple-rendition publications describe themselves in metadata.xml
+				if (this.container.rootfiles.length > 1) {
+					return this.load(METADATA_PATH)
+						.then((xml) => this.container.parseMetadata(xml))
+						.catch(() => {});
+				}
+			})
+			.then(() => {
+				/**
+				 * @member {Container.rootfile} rootfile the selected rendition
+				 * @memberof Book
+				 */
+				this.rootfile = this.container.select(this.settings.renditionSelector);
+				return this.resolve(this.rootfile.fullPath);
+			});
+	}
+
+	/**
+	 * Switch to another rendition of a multiple-rendition epub,
+	 * unloading the current package and opening the selected one.
+	 * Rejects while a Rendition is attached, as its views use the sections
+	 * being unloaded: destroy it first, then render the book again once switched.
+	 * @param  {object | method} selector see Container.select
+	 * @return {Promise<Book>} resolves when the selected package is open
+	 */
+	selectRendition(selector) {
+		return this.opened.then(() => {
+			let rootfile;
+
+			if (!this.container) {
+				throw new Error("Only epubs with a container have renditions");
+			}
+
+			rootfile = this.container.select(selector);
+			this.settings.renditionSelector = selector;
+
+			if (rootfile === this.rootfile) {
+				return this;
+			}
+
+			if (this.rendition && this.rendition.book) {
+				throw new Error("Destroy the rendition of the book before selecting another one");
+			}
+
+			this.unload();
+			this.rootfile = rootfile;
+
+			return this.openPackaging(this.resolve(rootfile.fullPath))
+				.then(() => this.opened)
+				.then(() => {
+					/**
+					 * Emit that another rendition has been opened
+					 * @event renditionSelected
+					 * @param {Container.rootfile} rootfile
+					 * @memberof Book
+					 */
+					this.emit(EVENTS.BOOK.RENDITION_SELECTED, rootfile);
+					return this;
+				});
+		});
+	}
+
+	/**
+	 * Unload the current package, keeping the container, archive and storage
+	 * @private
+	 */
+	unload() {
+		this.createLoading();
+		this.isOpen = false;
+
+		this.spine.unload();
+		this.locations.destroy();
+		this.locations = new Locations(this.spine, this.load.bind(this));
+		this.resources && this.resources.destroy();
+		this.packaging && this.packaging.destroy();
+		this.displayOptions && this.displayOptions.destroy();
+
+		this.resources = undefined;
+		this.packaging = undefined;
+		this.package = undefined;
+		this.displayOptions = undefined;
+		this.navigation = undefined;
+		this.pageList = undefined;
+		this.cover = undefined;
+		this.mediaOverlays = {};
+		this.path = undefined;
+	}
+
+	/**
+	 * Open the encryption.xml of the epub container, if it has one
+	 * @private
+	 * @param  {string} url
+	 * @return {Promise<Encryption>}
+	 */
+	openEncryption(url) {
+		return this.load(url)
+			.then((xml) => {
+				this.encryption = new Encryption(xml, this.settings.decryptor);
+			})
+			.catch(() => {
+				// Most epubs don't have an encryption.xml
+				this.encryption = new Encryption(undefined, this.settings.decryptor);
+			})
+			.then(() => {
+				let decryptor = this.decrypt.bind(this);
+
+				if (!this.encryption.hasEncrypted()) {
+					return this.encryption;
+				}
+
+				// Resources are decrypted where their raw bytes are read
+				if (this.archived) {
+					this.archive.setDecryption(this.encryption, decryptor);
+				} else if (this.storage) {
+					this.storage.decryptor = decryptor;
+				}
+
+				return this.encryption;
+			});
+	}
+
+	/**
+	 * Decrypt a resource with the decryptor setting.
+	 * Emits openFailed, or loaderror once the book is open, when it can't be decrypted.
+	 * @private
+	 * @param  {string} url resolved url of the resource
+	 * @param  {Uint8Array | ArrayBuffer} data raw bytes of the resource
+	 * @return {Promise<Uint8Array>} decrypted bytes
+	 */
+	decrypt(url, data) {
+		let root = this.url ? this.url.href : "/";
+		let path = url.indexOf(root) === 0 ? url.slice(root.length) : url;
+
+		return this.encryption.decrypt(decodeURIComponent(path), data)
+			.catch((error) => {
+				this.emit(this.isOpen ? EVENTS.BOOK.LOAD_ERROR : EVENTS.BOOK.OPEN_FAILED, error);
+				throw error;
 			});
 	}
 
@@ -315,9 +533,21 @@ class Book {
 	 */
 	openPackaging(url) {
 		this.path = new Path(url);
-		return this.load(url)
-			.then((xml) => {
-				this.packaging = new Packaging(xml);
+		return this.parseInWorker(url, "package")
+			.then((parsed) => {
+				if (parsed) {
+					return extend(new Packaging(), parsed.packaging);
+				}
+				return this.load(url).then((xml) => new Packaging(xml));
+			})
+			.then((packaging) => {
+				this.packaging = packaging;
+
+				// Fonts are de-obfuscated with the unique identifier of the package
+				if (this.archived && this.encryption) {
+					this.archive.deobfuscate(this.encryption, this.packaging.uniqueIdentifier);
+				}
+
 				return this.unpack(this.packaging);
 			});
 	}
@@ -347,11 +577,40 @@ class Book {
 		var resolved = this.resolve(path);
 		if(this.archived) {
 			return this.archive.request(resolved);
+		} else if (!this.storage && this.encryption && this.encryption.hasEncrypted()) {
+			// Archives and stores decrypt what they serve, unpacked books are decrypted here
+			return this.request(resolved, "binary", this.settings.requestCredentials, this.settings.requestHeaders)
+				.then((data) => this.decrypt(resolved, data))
+				.then((data) => this.parseDecrypted(data, resolved));
 		} else {
 			return this.request(resolved, null, this.settings.requestCredentials, this.settings.requestHeaders);
 		}
 	}
 
+	/**
+	 * Parse decrypted bytes by the extension of their url
+	 * @private
+	 * @param  {Uint8Array|ArrayBuffer} data
+	 * @param  {string} url
+	 * @return {Document|object|string} the parsed resource
+	 */
+	parseDecrypted(data, url) {
+		var type = new Path(url).extension;
+		var text = new TextDecoder("utf-8").decode(data);
+
+		if (type == "json") {
+			return JSON.parse(text);
+		} else if (isXml(type)) {
+			return parse(text, "text/xml");
+		} else if (type == "xhtml") {
+			return parse(text, "application/xhtml+xml");
+		} else if (type == "html" || type == "htm") {
+			return parse(text, "text/html");
+		}
+
+		return text;
+	}
+
 	/**
 	 * Resolve a path to it's absolute position in the Book
 	 * @param  {string} path
@@ -416,6 +675,10 @@ class Book {
 			return INPUT_TYPE.BASE64;
 		}
 
+		if (isStream(input)) {
+			return INPUT_TYPE.STREAM;
+		}
+
 		if(typeof(input) != "string") {
 			return INPUT_TYPE.BINARY;
 		}
@@ -475,6 +738,9 @@ class Book {
 			archive: this.archive,
 			resolver: this.resolve.bind(this),
 			request: this.request.bind(this),
+			// Archives and stores decrypt the resources they serve
+			decryptor: !this.archived && !this.storage && this.encryption && this.encryption.hasEncrypted() ?
+				this.decrypt.bind(this) : undefined,
 			replacements: this.settings.replacements || (this.archived ? "blobUrl" : "base64")
 		});
 
@@ -528,8 +794,12 @@ class Book {
 			return new Promise((resolve, reject) => {
 				this.navigation = new Navigation(toc);
 
+				if (packaging.landmarks) {
+					this.navigation.loadLandmarks(packaging.landmarks);
+				}
+
 				if (packaging.pageList) {
-					this.pageList = new PageList(packaging.pageList); // TODO: handle page lists from Manifest
+					this.pageList = new PageList(packaging.pageList);
 				}
 
 				resolve(this.navigation);
@@ -545,10 +815,24 @@ class Book {
 			});
 		}
 
-		return this.load(navPath, "xml")
-			.then((xml) => {
-				this.navigation = new Navigation(xml);
-				this.pageList = new PageList(xml);
+		return this.parseInWorker(navPath, "navigation")
+			.then((parsed) => {
+				if (!parsed) {
+					return this.load(navPath, "xml").then((xml) => {
+						this.navigation = new Navigation(xml);
+						this.pageList = new PageList(xml);
+						return this.navigation;
+					});
+				}
+
+				this.navigation = extend(new Navigation(), parsed.navigation);
+				this.pageList = new PageList();
+				this.pageList.pageList = parsed.pageList;
+
+				if (parsed.pageList.length) {
+					this.pageList.process(parsed.pageList);
+				}
+
 				return this.navigation;
 			});
 	}
@@ -563,6 +847,191 @@ class Book {
 		return this.spine.get(target);
 	}
 
+	/**
+	 * Load the Media Overlay of a Section
+	 * @param {Section} section
+	 * @return {Promise<Smil|undefined>} the parsed SMIL document, or undefined if the Section is not narrated
+	 */
+	mediaOverlay(section) {
+		let item = section && section.overlay && this.packaging.manifest[section.overlay];
+
+		if (!item) {
+			return Promise.resolve();
+		}
+
+		if (!(item.href in this.mediaOverlays)) {
+			this.mediaOverlays[item.href] = this.load(item.href).then((xml) => {
+				return new Smil(xml, item.href);
+			}, (error) => {
+				delete this.mediaOverlays[item.href];
+				throw error;
+			});
+		}
+
+		return this.mediaOverlays[item.href];
+	}
+
+	/**
+	 * Map the Media Overlay of a Section to EpubCFI ranges, loading the Section if needed
+	 * and unloading it again if it wasn't loaded before.
+	 * Once mapped, the Smil returned by mediaOverlay can look up the audio time
+	 * of a cfi with timeOf, and the cfi narrated at an audio time with cfiAt.
+	 * @param {Section} section
+	 * @return {Promise<Array<{cfiRange: string, audioSrc: string, clipBegin: number, clipEnd: number, index: number}>>} timings sorted by their position in the text, empty if the Section is not narrated
+	 * @example book.mediaOverlayTimings(section).then((timings) => audio.currentTime = timings[0].clipBegin)
+	 */
+	mediaOverlayTimings(section) {
+		return this.mediaOverlay(section).then((overlay) => {
+			if (!overlay) {
+				return [];
+			}
+
+			let loaded = !!section.contents;
+
+			return section.load(this.load.bind(this)).then(() => {
+				let timings = overlay.map(section.document, section.cfiBase, section.href);
+
+				if (!loaded) {
+					section.unload();
+				}
+
+				return timings;
+			});
+		});
+	}
+
+	/**
+	 * Iterate over the paragraphs of the Book in reading order,
+	 * loading each linear Section without rendering it.
+	 * Needs the ranges of a browser DOM, rejecting when documents are parsed with xmldom.
+	 * @param {object} [options]
+	 * @param {string} [options.from] EpubCFI to start from
+	 * @param {string[]} [options.include] only return paragraphs of these kinds, such as "heading"
+	 * @param {string[]} [options.exclude] skip paragraphs of these kinds, such as "footnote"
+	 * @param {boolean} [options.altText] add paragraphs for image alt text, svg titles, math alttext and figure captions
+	 * @return {AsyncIterableIterator<{text: string, cfiRange: string, sectionIndex: number, href: string, kind: string, lang: string}>}
+	 * @example for await (let paragraph of book.paragraphs({ from: cfi })) {}
+	 */
+	paragraphs(options) {
+		let from = options && options.from ? new EpubCFI(options.from) : undefined;
+		let index = from ? from.spinePos : 0;
+		let pending = [];
+		let finished = false;
+
+		let load = () => {
+			let section = this.spine.get(index);
+			let cfi = from && index === from.spinePos ? from : undefined;
+
+			index += 1;
+
+			if (!section) {
+				finished = true;
+				return Promise.resolve();
+			}
+
+			// Skip non-linear sections unless reading starts in one
+			if (!section.linear && !cfi) {
+				return Promise.resolve();
+			}
+
+			let loaded = !!section.contents;
+
+			return section.load(this.load.bind(this)).then(() => {
+				pending = this.sectionParagraphs(section, cfi, options);
+
+				if (!loaded) {
+					section.unload();
+				}
+			});
+		};
+
+		let next = () => {
+			if (pending.length) {
+				return Promise.resolve({ value: pending.shift(), done: false });
+			}
+
+			if (finished) {
+				return Promise.resolve({ value: undefined, done: true });
+			}
+
+			return load().then(next);
+		};
+
+		let iterator = {
+			next: () => {
+				return this.opened.then(next);
+			},
+			return: (value) => {
+				finished = true;
+				pending = [];
+				return Promise.resolve({ value: value, done: true });
+			},
+			[Symbol.asyncIterator]: () => {
+				return iterator;
+			}
+		};
+
+		return iterator;
+	}
+
+	/**
+	 * Get the paragraphs of a loaded Section
+	 * @private
+	 * @param  {Section} section
+	 * @param  {EpubCFI} [from] start from this point in the section
+	 * @param  {object} [options] include and exclude kinds, altText
+	 * @return {Array<{text: string, cfiRange: string, sectionIndex: number, href: string, kind: string, lang: string}>}
+	 */
+	sectionParagraphs(section, from, options) {
+		let doc = section.document;
+		let body = doc && qs(doc, "body");
+
+		if (!body) {
+			return [];
+		}
+
+		if (!doc.createRange) {
+			throw new Error("Extracting paragraphs needs a DOM with ranges, such as the one of a browser");
+		}
+
+		let range = doc.createRange();
+		range.selectNodeContents(body);
+
+		if (from) {
+			let start = from.toRange(doc);
+			if (start) {
+				range.setStart(start.startContainer, start.startOffset);
+			}
+		}
+
+		let filters = {
+			include: options && options.include,
+			exclude: options && options.exclude,
+			altText: options && options.altText
+		};
+
+		return getParagraphsFromRange(range, section.cfiBase, undefined, filters).map((paragraph) => {
+			let result = {
+				text: paragraph.text,
+				cfiRange: paragraph.cfiRange,
+				sectionIndex: section.index,
+				href: section.href,
+				kind: paragraph.kind,
+				lang: paragraph.lang
+			};
+
+			if (paragraph.level) {
+				result.level = paragraph.level;
+			}
+
+			if (paragraph.synthetic) {
+				result.synthetic = true;
+			}
+
+			return result;
+		});
+	}
+
 	/**
 	 * Sugar to render a book to an element
 	 * @param  {element | string} element element or string to add a rendition to
@@ -600,10 +1069,42 @@ class Book {
 	 * @return {Archive}
 	 */
 	unarchive(input, encoding) {
-		this.archive = new Archive();
+		this.archive = this.createArchive();
 		return this.archive.open(input, encoding);
 	}
 
+	/**
+	 * Create the Archive, in a worker if one is set and workers are available
+	 * @private
+	 * @return {Archive}
+	 */
+	createArchive() {
+		if (this.settings.worker && typeof Worker !== "undefined") {
+			try {
+				return new WorkerArchive(this.settings.worker, { urlCache: this.settings.urlCache });
+			} catch (e) {
+				// Workers can be blocked, unzip in this thread instead
+			}
+		}
+
+		return new Archive({ urlCache: this.settings.urlCache });
+	}
+
+	/**
+	 * Parse a package or navigation document in the worker of the Archive
+	 * @private
+	 * @param  {string} path
+	 * @param  {string} kind "package" or "navigation"
+	 * @return {Promise<object | undefined>} the parsed parts, or undefined to parse it in this thread
+	 */
+	parseInWorker(path, kind) {
+		if (!this.archived || !this.archive.parse) {
+			return Promise.resolve();
+		}
+
+		return this.archive.parse(this.resolve(path), kind);
+	}
+
 	/**
 	 * Store the epubs contents
 	 * @private
@@ -619,7 +1120,7 @@ class Book {
 		// Save original request method
 		let requester = this.settings.requestMethod || request.bind(this);
 		// Create new Store
-		this.storage = new Store(name, requester, this.resolve.bind(this));
+		this.storage = new Store(name, requester, this.resolve.bind(this), undefined, { urlCache: this.settings.urlCache });
 		// Replace request method to go through store
 		this.request = this.storage.request.bind(this.storage);
 
@@ -632,8 +1133,9 @@ class Book {
 				section.output = this.resources.substitute(output, section.url);
 			};
 
-			// Set to use replacements
+			// Set to use replacements, created from the store
 			this.resources.settings.replacements = replacementsSetting || "blobUrl";
+			this.resources.settings.store = this.storage;
 			// Create replacement urls
 			this.resources.replacements().
 				then(() => {
@@ -670,6 +1172,8 @@ class Book {
 			}
 
 			if (this.archived) {
+				// The cover is shown outside of the sections, keep its url
+				this.archive.urlCache.retain(this.cover, [this.cover]);
 				return this.archive.createUrl(this.cover);
 			} else {
 				return this.cover;
@@ -683,9 +1187,15 @@ class Book {
 	 * @return {Promise} completed loading urls
 	 */
 	replacements() {
-		this.spine.hooks.serialize.register((output, section) => {
-			section.output = this.resources.substitute(output, section.url);
-		});
+		// Registered once, as the spine is reused when switching renditions
+		if (!this.substituteHook) {
+			this.substituteHook = (output, section) => {
+				return this.resources.retain(section.url, output).then(() => {
+					section.output = this.resources.substitute(output, section.url);
+				});
+			};
+			this.spine.hooks.serialize.register(this.substituteHook);
+		}
 
 		return this.resources.replacements().
 			then(() => {
@@ -713,6 +1223,42 @@ class Book {
 		});
 	}
 
+	/**
+	 * Check the parsed package, spine, navigation and archive for problems
+	 * @return {Promise<Array<object>>} problems with their severity, errors first
+	 * @example book.validate().then((problems) => problems.filter((p) => p.severity === "error"))
+	 */
+	validate() {
+		return this.ready.then(() => {
+			// Web Publication Manifests have no package document
+			if (this.packaging.toc || !this.path) {
+				return;
+			}
+
+			return this.load(this.path.toString()).catch(() => undefined);
+		}).then((packageDocument) => {
+			return validate({
+				packaging: this.packaging,
+				navigation: this.navigation,
+				pageList: this.pageList,
+				archive: this.archived ? this.archive : undefined,
+				packagePath: this.rootfile ? this.rootfile.fullPath : this.container && this.container.packagePath,
+				packageDocument: packageDocument
+			});
+		});
+	}
+
+	/**
+	 * Serialize the book into a Readium Web Publication Manifest,
+	 * with hrefs relative to the package
+	 * @return {Promise<object>} manifest
+	 */
+	toWebPubManifest() {
+		return this.ready.then(() => {
+			return this.packaging.toWebPubManifest(this.navigation, this.pageList);
+		});
+	}
+
 	/**
 	 * Generates the Book Key using the identifier in the manifest or other string provided
 	 * @param  {string} [identifier] to use instead of metadata identifier
@@ -741,6 +1287,7 @@ class Book {
 		this.archive && this.archive.destroy();
 		this.resources && this.resources.destroy();
 		this.container && this.container.destroy();
+		this.encryption && this.encryption.destroy();
 		this.packaging && this.packaging.destroy();
 		this.rendition && this.rendition.destroy();
 		this.displayOptions && this.displayOptions.destroy();
@@ -751,10 +1298,12 @@ class Book {
 		this.archive = undefined;
 		this.resources = undefined;
 		this.container = undefined;
+		this.encryption = undefined;
 		this.packaging = undefined;
 		this.rendition = undefined;
 
 		this.navigation = undefined;
+		this.mediaOverlays = undefined;
 		this.url = undefined;
 		this.path = undefined;
 		this.archived = false;
@@ -1,5 +1,12 @@
 import path from "path-webpack";
-import {qs} from "./utils/core";
+import {qsa} from "./utils/core";
+
+const RENDITION_NS = "http://www.idpf.org/2013/rendition";
+const DC_NS = "http://purl.org/dc/elements/1.1/";
+const PACKAGE_TYPE = "application/oebps-package+xml";
+
+// Rendition selection attributes of a rootfile
+const SELECTION = ["media", "layout", "language", "accessMode", "label"];
 
 /**
  * Handles Parsing and Accessing an Epub Container
@@ -11,6 +18,8 @@ class Container {
 		this.packagePath = '';
 		this.directory = '';
 		this.encoding = '';
+		this.rootfiles = [];
+		this.metadata = {};
 
 		if (containerDocument) {
 			this.parse(containerDocument);
@@ -29,21 +38,161 @@ class Container {
 			throw new Error("Container File Not Found");
 		}
 
-		rootfile = qs(containerDocument, "rootfile");
+		this.rootfiles = Array.prototype.slice.call(qsa(containerDocument, "rootfile"))
+			.map((element, index) => this.parseRootfile(element, index));
 
-		if(!rootfile) {
+		if(!this.rootfiles.length) {
 			throw new Error("No RootFile Found");
 		}
 
-		this.packagePath = rootfile.getAttribute("full-path");
+		// The first package is the default rendition
+		rootfile = this.rootfiles.filter((rootfile) => rootfile.mediaType === PACKAGE_TYPE)[0] || this.rootfiles[0];
+
+		this.packagePath = rootfile.fullPath;
 		this.directory = path.dirname(this.packagePath);
 		this.encoding = containerDocument.xmlEncoding;
 	}
 
+	/**
+	 * Parse a rootfile and its rendition selection attributes
+	 * @private
+	 * @param  {element} element rootfile element
+	 * @param  {number} index position in the container
+	 * @return {Container.rootfile}
+	 */
+	parseRootfile(element, index){
+		/**
+		 * @typedef {object} Container.rootfile
+		 * @property {number} index
+		 * @property {string} fullPath path of the package from the root of the container
+		 * @property {string} mediaType
+		 * @property {string} media rendition:media, a CSS media query
+		 * @property {string} layout rendition:layout, reflowable or pre-paginated
+		 * @property {string} language rendition:language
+		 * @property {string[]} accessMode rendition:accessMode, auditory, tactile, textual or visual
+		 * @property {string} label rendition:label
+		 */
+		var rootfile = {
+			index: index,
+			fullPath: element.getAttribute("full-path"),
+			mediaType: element.getAttribute("media-type") || ""
+		};
+
+		SELECTION.forEach((name) => {
+			rootfile[name] = (element.getAttributeNS(RENDITION_NS, name) ||
+				element.getAttribute("rendition:" + name) || "").trim();
+		});
+
+		rootfile.accessMode = rootfile.accessMode ? rootfile.accessMode.split(/\s+/) : [];
+
+		return rootfile;
+	}
+
+	/**
+	 * Parse the META-INF/metadata.xml of a multiple-rendition publication
+	 * @param  {document} metadataDocument
+	 */
+	parseMetadata(metadataDocument){
+		var text = (name) => {
+			var element = metadataDocument.getElementsByTagNameNS(DC_NS, name)[0];
+			return element ? element.textContent.trim() : "";
+		};
+		var metas = Array.prototype.slice.call(qsa(metadataDocument, "meta"));
+		var modified = metas.filter((meta) => meta.getAttribute("property") === "dcterms:modified")[0];
+
+		this.metadata = {
+			identifier: text("identifier"),
+			title: text("title"),
+			language: text("language"),
+			modified: modified ? modified.textContent.trim() : ""
+		};
+
+		// The Release Identifier of the publication
+		this.metadata.releaseIdentifier = this.metadata.identifier && this.metadata.modified ?
+			this.metadata.identifier + "@" + this.metadata.modified : this.metadata.identifier;
+
+		return this.metadata;
+	}
+
+	/**
+	 * Select the rendition to open. Renditions declaring a selection attribute
+	 * that doesn't match are skipped and the one matching the most attributes wins,
+	 * falling back to the default rendition.
+	 * @param  {object | method} [selector] preferences, or a function picking from the rootfiles
+	 * @param  {string} [selector.language] language of the reader, matched by its primary subtag
+	 * @param  {string} [selector.layout] reflowable or pre-paginated
+	 * @param  {string | string[]} [selector.accessMode] access modes the reader can use
+	 * @param  {method | boolean} [selector.media] evaluates a media query, or true to use window.matchMedia
+	 * @return {Container.rootfile} selected rootfile
+	 */
+	select(selector){
+		var packages = this.rootfiles.filter((rootfile) => rootfile.mediaType === PACKAGE_TYPE);
+		var selected, best = -1;
+
+		if (!packages.length) {
+			packages = this.rootfiles;
+		}
+
+		if (typeof selector === "function") {
+			return selector(packages) || packages[0];
+		}
+
+		packages.forEach((rootfile) => {
+			var score = this.match(rootfile, selector || {});
+
+			if (score > best) {
+				best = score;
+				selected = rootfile;
+			}
+		});
+
+		return selected || packages[0];
+	}
+
+	/**
+	 * Count the selection attributes of a rootfile matching the selector
+	 * @private
+	 * @param  {Container.rootfile} rootfile
+	 * @param  {object} selector
+	 * @return {number} matches, or -1 if an attribute doesn't match
+	 */
+	match(rootfile, selector){
+		var checks = [];
+		var primary = (language) => language.toLowerCase().split("-")[0];
+		var matchMedia = selector.media === true ?
+			(query) => typeof window !== "undefined" && window.matchMedia && window.matchMedia(query).matches :
+			selector.media;
+		var accessModes = [].concat(selector.accessMode || []);
+
+		if (rootfile.language && selector.language) {
+			checks.push(primary(rootfile.language) === primary(selector.language));
+		}
+
+		if (rootfile.layout && selector.layout) {
+			checks.push(rootfile.layout === selector.layout);
+		}
+
+		if (rootfile.accessMode.length && accessModes.length) {
+			checks.push(rootfile.accessMode.every((mode) => accessModes.indexOf(mode) > -1));
+		}
+
+		if (rootfile.media && typeof matchMedia === "function") {
+			checks.push(!!matchMedia(rootfile.media));
+		}
+
+		if (checks.indexOf(false) > -1) {
+			return -1;
+		}
+
+		return checks.length;
+	}
+
 	destroy() {
 		this.packagePath = undefined;
 		this.directory = undefined;
 		this.encoding = undefined;
+		this.rootfiles = undefined;
+		this.metadata = undefined;
 	}
 }
 
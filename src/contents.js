@@ -3,6 +3,8 @@ import {isNumber, prefixed, borders, defaults} from "./utils/core";
 import EpubCFI from "./epubcfi";
 import Mapping from "./mapping";
 import {replaceLinks} from "./utils/replacements";
+import { getSentencesFromRange, languageOf } from "./utils/sentences";
+import { getWordsFromRange } from "./utils/words";
 import { EPUBJS_VERSION, EVENTS, DOM_EVENTS } from "./utils/constants";
 
 const hasNavigator = typeof (navigator) !== "undefined";
@@ -1006,6 +1008,81 @@ class Contents {
 		return new EpubCFI(node, this.cfiBase, ignoreClass).toString();
 	}
 
+	/**
+	 * Split the text of the contents, or of a part of it, into sentences
+	 * with an EpubCFI range for each sentence
+	 * @param {Range | string} [target] Range or EpubCFI to split, defaults to the whole body
+	 * @param {object} [options]
+	 * @param {string} [options.locale] language of the text, defaults to the lang of the content
+	 * @param {string} [options.ignoreClass]
+	 * @returns {Array<{text: string, cfiRange: string}>} sentences
+	 */
+	sentences(target, options){
+		var range = this._targetRange(target, options && options.ignoreClass);
+		options = options || {};
+
+		if (!range) {
+			return [];
+		}
+
+		var locale = options.locale || languageOf(range.commonAncestorContainer);
+
+		return getSentencesFromRange(range, this.cfiBase, options.ignoreClass, locale);
+	}
+
+	/**
+	 * Get the words of the contents, or of a part of it,
+	 * with an EpubCFI range and character offset for each word
+	 * @param {Range | string | object} [target] Range, EpubCFI or paragraph with a cfiRange, defaults to the whole body
+	 * @param {object} [options]
+	 * @param {string} [options.locale] language of the text, defaults to the lang of the content
+	 * @param {string} [options.ignoreClass]
+	 * @returns {Array<{word: string, cfiRange: string, charOffset: number}>} words
+	 */
+	words(target, options){
+		var range = this._targetRange(target, options && options.ignoreClass);
+		options = options || {};
+
+		if (!range) {
+			return [];
+		}
+
+		var locale = options.locale || languageOf(range.commonAncestorContainer);
+
+		return getWordsFromRange(range, this.cfiBase, options.ignoreClass, locale);
+	}
+
+	/**
+	 * Resolve a Range, EpubCFI or paragraph to a Range
+	 * @private
+	 * @param {Range | string | object} [target]
+	 * @param {string} [ignoreClass]
+	 * @returns {Range} range
+	 */
+	_targetRange(target, ignoreClass){
+		var range;
+
+		if (target && typeof target.cfiRange === "string") {
+			target = target.cfiRange;
+		}
+
+		if (typeof target === "string") {
+			range = this.range(target, ignoreClass);
+
+			// A CFI to an element covers all of its content
+			if (range && range.collapsed && range.startContainer.nodeType === ELEMENT_NODE) {
+				range.selectNodeContents(range.startContainer);
+			}
+		} else if (target) {
+			range = target;
+		} else {
+			range = this.document.createRange();
+			range.selectNodeContents(this.content);
+		}
+
+		return range;
+	}
+
 	// TODO: find where this is used - remove?
 	map(layout){
 		var map = new Mapping(layout);
@@ -0,0 +1,124 @@
+import { OBFUSCATION } from "./utils/obfuscation";
+
+const ENC_NS = "http://www.w3.org/2001/04/xmlenc#";
+
+/**
+ * Handles Parsing the META-INF/encryption.xml of an Epub Container
+ * @class
+ * @param {document} [encryptionDocument] xml document
+ * @param {method} [decryptor] function(path, algorithm, data) returning the decrypted bytes, or a Promise of them
+ */
+class Encryption {
+	constructor(encryptionDocument, decryptor) {
+		this.algorithms = {};
+		this.decryptor = decryptor;
+
+		if (encryptionDocument) {
+			this.parse(encryptionDocument);
+		}
+	}
+
+	/**
+	 * Parse the Encryption XML
+	 * <enc:EncryptedData>
+	 *   <enc:EncryptionMethod Algorithm="http://www.idpf.org/2008/embedding"/>
+	 *   <enc:CipherData><enc:CipherReference URI="OPS/fonts/font.otf"/></enc:CipherData>
+	 * </enc:EncryptedData>
+	 * @param  {document} encryptionDocument
+	 */
+	parse(encryptionDocument){
+		var encrypted;
+
+		if(!encryptionDocument) {
+			throw new Error("Encryption File Not Found");
+		}
+
+		encrypted = Array.prototype.slice.call(encryptionDocument.getElementsByTagNameNS(ENC_NS, "EncryptedData"));
+
+		encrypted.forEach((data) => {
+			var method = data.getElementsByTagNameNS(ENC_NS, "EncryptionMethod")[0];
+			var reference = data.getElementsByTagNameNS(ENC_NS, "CipherReference")[0];
+			var uri = reference && reference.getAttribute("URI");
+
+			if (!method || !uri) {
+				return;
+			}
+
+			// Paths are relative to the root of the container
+			this.algorithms[decodeURIComponent(uri).replace(/^\//, "")] = method.getAttribute("Algorithm");
+		});
+	}
+
+	/**
+	 * Get the algorithm a resource is encrypted with
+	 * @param  {string} path path of the resource from the root of the container
+	 * @return {string|undefined} algorithm URI
+	 */
+	algorithm(path){
+		return this.algorithms[path.replace(/^\//, "")];
+	}
+
+	/**
+	 * Check if a resource is encrypted with an algorithm other than a font obfuscation
+	 * @param  {string} path path of the resource from the root of the container
+	 * @return {boolean}
+	 */
+	isEncrypted(path){
+		var algorithm = this.algorithm(path);
+		var obfuscations = Object.keys(OBFUSCATION).map((key) => OBFUSCATION[key]);
+
+		return !!algorithm && obfuscations.indexOf(algorithm) === -1;
+	}
+
+	/**
+	 * Check if any resource needs the decryptor
+	 * @return {boolean}
+	 */
+	hasEncrypted(){
+		return Object.keys(this.algorithms).some((path) => this.isEncrypted(path));
+	}
+
+	/**
+	 * Decrypt the raw bytes of a resource with the decryptor.
+	 * Resources that aren't encrypted are returned unchanged.
+	 * @param  {string} path path of the resource from the root of the container
+	 * @param  {Uint8Array | ArrayBuffer} data raw bytes of the resource
+	 * @return {Promise<Uint8Array>} decrypted bytes
+	 */
+	decrypt(path, data){
+		var algorithm = this.algorithm(path);
+		var bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+		var failed = (reason) => {
+			var error = new Error("Cannot decrypt " + path + " encrypted with " + algorithm + ": " + reason);
+			error.path = path;
+			error.algorithm = algorithm;
+			return error;
+		};
+
+		if (!this.isEncrypted(path)) {
+			return Promise.resolve(bytes);
+		}
+
+		if (typeof this.decryptor !== "function") {
+			return Promise.reject(failed("no decryptor was provided"));
+		}
+
+		return new Promise((resolve) => {
+			resolve(this.decryptor(path.replace(/^\//, ""), algorithm, bytes));
+		}).then((decrypted) => {
+			if (!decrypted) {
+				throw failed("the decryptor returned no data");
+			}
+			return decrypted instanceof Uint8Array ? decrypted : new Uint8Array(decrypted);
+		}, (error) => {
+			throw failed((error && error.message) || error);
+		});
+	}
+
+	destroy() {
+		this.algorithms = undefined;
+		this.decryptor = undefined;
+	}
+}
+
+export default Encryption;
@@ -11,10 +11,11 @@ import ContinuousViewManager from "./managers/continuous";
 
 /**
  * Creates a new Book
- * @param {string|ArrayBuffer} url URL, Path or ArrayBuffer
+ * @param {string|ArrayBuffer|Blob|File|Response|ReadableStream} url URL, Path, ArrayBuffer or stream of an epub
  * @param {object} options to pass to the book
  * @returns {Book} a new Book object
  * @example ePub("/path/to/book.epub", {})
+ * @example ePub(await fetch("/path/to/book.epub"))
  */
 function ePub(url, options) {
 	return new Book(url, options);
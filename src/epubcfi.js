@@ -5,6 +5,20 @@ const TEXT_NODE = 3;
 const COMMENT_NODE = 8;
 const DOCUMENT_NODE = 9;
 
+/**
+ * Get the id of a node, from its attribute where the DOM has no id property, like xmldom
+ * @private
+ * @param {Node} node
+ * @returns {string | undefined}
+ */
+function nodeId(node) {
+	if (node.nodeType === ELEMENT_NODE && typeof node.id === "undefined") {
+		return node.getAttribute("id");
+	}
+
+	return node.id;
+}
+
 /**
 	* Parsing and creation of EpubCFIs: http://www.idpf.org/epub/linking/cfi/epub-cfi.html
 
@@ -411,7 +425,7 @@ class EpubCFI {
 		var nodeType = (node.nodeType === TEXT_NODE) ? "text" : "element";
 
 		return {
-			"id" : node.id,
+			"id" : nodeId(node),
 			"tagName" : node.tagName,
 			"type" : nodeType,
 			"index" : this.position(node)
@@ -431,7 +445,7 @@ class EpubCFI {
 		nodeType = (filteredNode.nodeType === TEXT_NODE) ? "text" : "element";
 
 		return {
-			"id" : filteredNode.id,
+			"id" : nodeId(filteredNode),
 			"tagName" : filteredNode.tagName,
 			"type" : nodeType,
 			"index" : this.filteredPosition(filteredNode, ignoreClass)
@@ -56,6 +56,27 @@ class ContinuousViewManager extends DefaultViewManager {
 			}.bind(this));
 	}
 
+	/**
+	 * Views are rendered next to each other in one scroller,
+	 * so each keeps its own layout and the manager keeps the layout of the book
+	 * @private
+	 * @param {Section} section
+	 */
+	updateSectionLayout(section) {}
+
+	viewLayout(section) {
+		return this.layoutFor(section) || this.layout;
+	}
+
+	sectionLayoutSettings(section, global) {
+		let settings = super.sectionLayoutSettings(section, global);
+
+		// The flow of the scroller can't change from one view to the next
+		settings.flow = global.props.flow;
+
+		return settings;
+	}
+
 	fill(_full){
 		var full = _full || new defer();
 
@@ -2,6 +2,7 @@ import EventEmitter from "event-emitter";
 import {extend, defer, windowBounds, isNumber} from "../../utils/core";
 import scrollType from "../../utils/scrolltype";
 import Mapping from "../../mapping";
+import Layout from "../../layout";
 import Queue from "../../utils/queue";
 import Stage from "../helpers/stage";
 import Views from "../helpers/views";
@@ -237,7 +238,13 @@ class DefaultViewManager {
 	}
 
 	createView(section, forceRight) {
-		return new this.View(section, extend(this.viewSettings, { forceRight }) );
+		var view = new this.View(section, extend(this.viewSettings, { forceRight, layout: this.viewLayout(section) }) );
+
+		view.on(EVENTS.VIEWS.REMOVED, () => {
+			this.emit(EVENTS.MANAGERS.REMOVED, view);
+		});
+
+		return view;
 	}
 
 	handleNextPrePaginated(forceRight, section, action) {
@@ -249,7 +256,8 @@ class DefaultViewManager {
 				return;
 			}
 			next = section.next();
-			if (next && !next.properties.includes("page-spread-left")) {
+			// Only pair pages that share a layout
+			if (next && !next.properties.includes("page-spread-left") && this.layoutFor(next) === this.layout) {
 				return action.call(this, next);
 			}
 		}
@@ -268,6 +276,9 @@ class DefaultViewManager {
 		// Check to make sure the section we want isn't already shown
 		var visible = this.views.find(section);
 
+		// Apply the layout of the section before checking it
+		this.updateSectionLayout(section);
+
 		// View is already shown, just move to correct location in view
 		if(visible && section && this.layout.name !== "pre-paginated") {
 			let offset = visible.offset();
@@ -507,8 +518,8 @@ class DefaultViewManager {
 
 		if(next) {
 			this.clear();
-			// The new section may have a different writing-mode from the old section. Thus, we need to update layout.
-			this.updateLayout();
+			// The new section may have a different writing-mode or rendition properties from the old section. Thus, we need to update layout.
+			this.updateSectionLayout(next);
 
 			let forceRight = false;
 			if (this.layout.name === "pre-paginated" && this.layout.divisor === 2 && next.properties.includes("page-spread-right")) {
@@ -600,8 +611,8 @@ class DefaultViewManager {
 
 		if(prev) {
 			this.clear();
-			// The new section may have a different writing-mode from the old section. Thus, we need to update layout.
-			this.updateLayout();
+			// The new section may have a different writing-mode or rendition properties from the old section. Thus, we need to update layout.
+			this.updateSectionLayout(prev);
 
 			let forceRight = false;
 			if (this.layout.name === "pre-paginated" && this.layout.divisor === 2 && typeof prev.prev() !== "object") {
@@ -613,7 +624,7 @@ class DefaultViewManager {
 					var left;
 					if (this.layout.name === "pre-paginated" && this.layout.divisor > 1) {
 						left = prev.prev();
-						if (left) {
+						if (left && this.layoutFor(left) === this.layout) {
 							return this.prepend(left);
 						}
 					}
@@ -929,6 +940,8 @@ class DefaultViewManager {
 
 	applyLayout(layout) {
 
+		this.globalLayout = layout;
+		this.sectionLayouts = {};
 		this.layout = layout;
 		this.updateLayout();
 		if (this.views && this.views.length > 0 && this.layout.name === "pre-paginated") {
@@ -945,15 +958,15 @@ class DefaultViewManager {
 
 		this._stageSize = this.stage.size();
 
-		if(!this.isPaginated) {
-			this.layout.calculate(this._stageSize.width, this._stageSize.height);
-		} else {
-			this.layout.calculate(
-				this._stageSize.width,
-				this._stageSize.height,
-				this.settings.gap
-			);
+		this.calculateLayout(this.layout);
+
+		for (let key in this.sectionLayouts) {
+			if (this.sectionLayouts[key] !== this.layout) {
+				this.calculateLayout(this.sectionLayouts[key]);
+			}
+		}
 
+		if(this.isPaginated) {
 			// Set the look ahead offset for what is visible
 			this.settings.offset = this.layout.delta / this.layout.divisor;
 
@@ -968,6 +981,18 @@ class DefaultViewManager {
 		this.setLayout(this.layout);
 	}
 
+	calculateLayout(layout) {
+		if(!this.isPaginated) {
+			layout.calculate(this._stageSize.width, this._stageSize.height);
+		} else {
+			layout.calculate(
+				this._stageSize.width,
+				this._stageSize.height,
+				this.settings.gap
+			);
+		}
+	}
+
 	setLayout(layout){
 
 		this.viewSettings.layout = layout;
@@ -978,14 +1003,117 @@ class DefaultViewManager {
 
 			this.views.forEach(function(view){
 				if (view) {
-					view.setLayout(layout);
+					view.setLayout(this.viewLayout(view.section));
 				}
-			});
+			}.bind(this));
 
 		}
 
 	}
 
+	/**
+	 * Get the layout of a section, from the layout of the book
+	 * and the rendition properties of its spine item
+	 * (rendition:layout-*, rendition:spread-*, rendition:flow-* and page-spread-center)
+	 * @param {Section} section
+	 * @return {Layout} the layout of the book if the section doesn't override it
+	 */
+	layoutFor(section) {
+		let global = this.globalLayout || this.layout;
+
+		if (!global || !section || !section.reconcileLayoutSettings) {
+			return global;
+		}
+
+		let settings = this.sectionLayoutSettings(section, global);
+		let name = settings.layout || "reflowable";
+		let spread = settings.spread !== "none";
+		let flow = (settings.flow === "scrolled" ||
+				settings.flow === "scrolled-continuous" ||
+				settings.flow === "scrolled-doc") ? "scrolled" : "paginated";
+
+		if (name === global.name && spread === global.props.spread && flow === global.props.flow) {
+			return global;
+		}
+
+		let key = [name, spread, flow].join("|");
+
+		if (!this.sectionLayouts) {
+			this.sectionLayouts = {};
+		}
+
+		if (!this.sectionLayouts[key]) {
+			let layout = new Layout(extend({}, global.settings, {
+				layout: name,
+				spread: spread ? "auto" : "none",
+				flow: flow,
+				minSpreadWidth: global._minSpreadWidth,
+				// Pages keep following the direction of the book
+				direction: this.settings.direction
+			}));
+
+			this.sectionLayouts[key] = layout;
+
+			if (this.stage) {
+				this._stageSize = this._stageSize || this.stage.size();
+				this.calculateLayout(layout);
+			}
+		}
+
+		return this.sectionLayouts[key];
+	}
+
+	/**
+	 * Reconcile the rendition properties of a section with the layout of the book
+	 * @private
+	 * @param {Section} section
+	 * @param {Layout} global layout of the book
+	 * @return {object} settings
+	 */
+	sectionLayoutSettings(section, global) {
+		let settings = section.reconcileLayoutSettings({
+			layout: global.name,
+			spread: global.props.spread ? "auto" : "none",
+			flow: global.props.flow
+		});
+
+		// A page centered on a spread is shown alone
+		if (settings.page === "spread-center") {
+			settings.spread = "none";
+		}
+
+		return settings;
+	}
+
+	/**
+	 * Get the layout to render the view of a section with
+	 * @private
+	 * @param {Section} section
+	 * @return {Layout}
+	 */
+	viewLayout(section) {
+		return this.layout;
+	}
+
+	/**
+	 * Switch to the layout of a section before displaying it,
+	 * updating the flow if the section changes it
+	 * @private
+	 * @param {Section} section
+	 */
+	updateSectionLayout(section) {
+		let layout = this.layoutFor(section) || this.layout;
+		let changed = layout !== this.layout;
+
+		this.layout = layout;
+
+		if (changed && (layout.props.flow === "paginated") !== !!this.isPaginated) {
+			this.updateFlow(layout.props.flow);
+		} else {
+			this.updateLayout();
+		}
+	}
+
 	updateWritingMode(mode) {
 		this.writingMode = mode;
 	}
@@ -1063,6 +1191,12 @@ class DefaultViewManager {
 
 		this.viewSettings.direction = dir;
 
+		// Section layouts are created with the direction of the book
+		this.sectionLayouts = {};
+		if (this.globalLayout) {
+			this.layout = this.globalLayout;
+		}
+
 		this.updateLayout();
 	}
 
@@ -42,8 +42,6 @@ class Snap {
 	setup(manager) {
 		this.manager = manager;
 
-		this.layout = this.manager.layout;
-
 		this.fullsize = this.manager.settings.fullsize;
 		if (this.fullsize) {
 			this.element = this.manager.stage.element;
@@ -86,6 +84,13 @@ class Snap {
 		this.addListeners();
 	}
 
+	/**
+	 * Layout of the manager, which changes with sections overriding the layout of the book
+	 */
+	get layout() {
+		return this.manager.layout;
+	}
+
 	supportsTouch() {
 		if (('ontouchstart' in window) || window.DocumentTouch && document instanceof DocumentTouch) {
 			return true;
@@ -45,6 +45,7 @@ class IframeView {
 		// this.listenedEvents = ["keydown", "keyup", "keypressed", "mouseup", "mousedown", "click", "touchend", "touchstart"];
 
 		this.pane = undefined;
+		this.wordHighlight = undefined;
 		this.highlights = {};
 		this.underlines = {};
 		this.marks = {};
@@ -636,6 +637,40 @@ class IframeView {
 		return h;
 	}
 
+	/**
+	 * Highlight a single word, reusing one mark for every word
+	 * so only the rects of the current word are redrawn.
+	 * The className and styles are applied when the mark is first created.
+	 * @param {string} cfiRange
+	 * @param {string} [className]
+	 * @param {object} [styles]
+	 * @returns {Mark} mark
+	 */
+	highlightWord(cfiRange, className = "epubjs-word-hl", styles = {}) {
+		if (!this.contents) {
+			return;
+		}
+		let range = this.contents.range(cfiRange);
+
+		if (!this.pane) {
+			this.pane = new Pane(this.iframe, this.element);
+		}
+
+		if (this.wordHighlight) {
+			this.wordHighlight.range = range;
+			this.wordHighlight.data.epubcfi = cfiRange;
+			this.wordHighlight.render();
+			return this.wordHighlight;
+		}
+
+		const attributes = Object.assign({"fill": "yellow", "fill-opacity": "0.5", "mix-blend-mode": "multiply"}, styles);
+		let m = new Highlight(range, className, { "epubcfi": cfiRange }, attributes);
+		this.wordHighlight = this.pane.addMark(m);
+		this.wordHighlight.element.setAttribute("ref", className);
+
+		return this.wordHighlight;
+	}
+
 	underline(cfiRange, data={}, cb, className = "epubjs-ul", styles = {}) {
 		if (!this.contents) {
 			return;
@@ -770,6 +805,13 @@ class IframeView {
 		}
 	}
 
+	unhighlightWord() {
+		if (this.wordHighlight) {
+			this.pane.removeMark(this.wordHighlight);
+			this.wordHighlight = undefined;
+		}
+	}
+
 	ununderline(cfiRange) {
 		let item;
 		if (cfiRange in this.underlines) {
@@ -814,6 +856,8 @@ class IframeView {
 			this.unmark(cfiRange);
 		}
 
+		this.unhighlightWord();
+
 		if (this.blobUrl) {
 			revokeBlobUrl(this.blobUrl);
 		}
@@ -839,6 +883,8 @@ class IframeView {
 			this._textHeight = null;
 			this._width = null;
 			this._height = null;
+
+			this.emit(EVENTS.VIEWS.REMOVED, this);
 		}
 
 		// this.element.style.height = "0px";
@@ -421,6 +421,8 @@ class InlineView {
 			this._textHeight = null;
 			this._width = null;
 			this._height = null;
+
+			this.emit(EVENTS.VIEWS.REMOVED, this);
 		}
 		// this.element.style.height = "0px";
 		// this.element.style.width = "0px";
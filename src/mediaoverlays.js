@@ -0,0 +1,701 @@
+import EventEmitter from "event-emitter";
+import EpubCFI from "./epubcfi";
+import { extend } from "./utils/core";
+import { EVENTS } from "./utils/constants";
+import { elementTextRange } from "./utils/text";
+
+const STATES = {
+	STOPPED: "stopped",
+	PLAYING: "playing",
+	PAUSED: "paused"
+};
+
+// Clips that follow each other in the same file are played without seeking
+// when the audio is already this close to the next clip
+const SEEK_TOLERANCE = 0.25;
+
+/**
+ * Audio adapter backed by an HTML audio element.
+ *
+ * Any object with the same `play`, `pause`, `resume`, `cancel` and `setRate`
+ * methods can be passed to MediaOverlays instead, e.g. a fake player in tests.
+ * @class
+ * @param {HTMLAudioElement} [audio] defaults to a new Audio element
+ */
+class AudioElementAdapter {
+	constructor(audio) {
+		this.audio = audio || (typeof Audio !== "undefined" ? new Audio() : undefined);
+		this._src = undefined;
+		this._cancel = undefined;
+	}
+
+	/**
+	 * Play a clip of an audio file
+	 * @param {string} src url of the audio file
+	 * @param {object} [options]
+	 * @param {number} [options.begin=0] start of the clip in seconds
+	 * @param {number} [options.end] end of the clip in seconds, plays to the end of the file if undefined
+	 * @param {number} [options.rate=1] playback rate
+	 * @returns {Promise} resolves when the clip has been played or was cancelled
+	 */
+	play(src, options = {}) {
+		return new Promise((resolve, reject) => {
+			let audio = this.audio;
+
+			if (!audio) {
+				reject(new Error("Audio playback is not available"));
+				return;
+			}
+
+			this.cancel();
+
+			let begin = options.begin || 0;
+			let end = options.end;
+
+			let cleanup = () => {
+				audio.removeEventListener("timeupdate", ontimeupdate);
+				audio.removeEventListener("ended", onended);
+				audio.removeEventListener("error", onerror);
+				this._cancel = undefined;
+			};
+			// timeupdate is only fired a few times a second,
+			// so a clip can end slightly late
+			let ontimeupdate = () => {
+				if (end !== undefined && audio.currentTime >= end) {
+					cleanup();
+					resolve();
+				}
+			};
+			let onended = () => {
+				cleanup();
+				resolve();
+			};
+			let onerror = () => {
+				cleanup();
+				reject(audio.error || new Error("Audio playback failed"));
+			};
+
+			this._cancel = () => {
+				cleanup();
+				resolve();
+			};
+
+			audio.addEventListener("timeupdate", ontimeupdate);
+			audio.addEventListener("ended", onended);
+			audio.addEventListener("error", onerror);
+
+			if (this._src !== src) {
+				this._src = src;
+				audio.src = src;
+			}
+
+			if (Math.abs(audio.currentTime - begin) > SEEK_TOLERANCE) {
+				audio.currentTime = begin;
+			}
+
+			audio.playbackRate = options.rate || 1;
+
+			let playing = audio.play();
+			if (playing && playing.catch) {
+				playing.catch(onerror);
+			}
+		});
+	}
+
+	pause() {
+		this.audio && this.audio.pause();
+	}
+
+	resume() {
+		this.audio && this.audio.play();
+	}
+
+	cancel() {
+		this._cancel && this._cancel();
+		this.audio && this.audio.pause();
+	}
+
+	setRate(rate) {
+		if (this.audio) {
+			this.audio.playbackRate = rate;
+		}
+	}
+}
+
+/**
+ * Plays the EPUB 3 Media Overlays of a Rendition, highlighting each text
+ * fragment while its audio clip plays and turning pages to follow the narration
+ * @class
+ * @param {Rendition} rendition
+ * @param {object} [options]
+ * @param {object} [options.adapter] audio adapter, defaults to an AudioElementAdapter
+ * @param {number} [options.rate=1] playback rate passed to the adapter
+ * @param {string} [options.activeClass] class added to the narrated element, defaults to the media:active-class of the book
+ * @param {boolean} [options.highlight=false] also add an annotation highlight to the narrated element
+ * @param {string} [options.className="epubjs-media-overlay"] CSS class of the highlight
+ * @param {object} [options.styles] SVG styles of the highlight
+ * @param {boolean} [options.autoTurn=true] display the page of each narrated element and continue into the next sections
+ */
+class MediaOverlays {
+	constructor(rendition, options) {
+		this.rendition = rendition;
+
+		this.settings = extend({
+			adapter: undefined,
+			rate: 1,
+			activeClass: undefined,
+			highlight: false,
+			className: "epubjs-media-overlay",
+			styles: {
+				"fill": "yellow",
+				"fill-opacity": "0.3",
+				"mix-blend-mode": "multiply"
+			},
+			autoTurn: true
+		}, options || {});
+
+		this.adapter = this.settings.adapter || new AudioElementAdapter();
+		this.rate = this.settings.rate;
+
+		this.state = STATES.STOPPED;
+		this.section = undefined;
+		this.overlay = undefined;
+		this.index = 0;
+		this.current = undefined;
+
+		// Incremented whenever the current clip is abandoned,
+		// so late callbacks from the adapter can be ignored
+		this._token = 0;
+		this._active = undefined;
+		// Set when paused before the clip at the current index could start
+		this._deferred = false;
+	}
+
+	/**
+	 * Start narrating from the first fragment of the visible page,
+	 * or resume if paused
+	 * @returns {Promise} resolves once the first clip has started
+	 */
+	play() {
+		if (this.state === STATES.PAUSED) {
+			this.resume();
+			return Promise.resolve();
+		}
+
+		if (this.state === STATES.PLAYING) {
+			return Promise.resolve();
+		}
+
+		let location = this.rendition.currentLocation();
+		let section = location && location.start && this.rendition.book.section(location.start.index);
+
+		if (!section) {
+			return Promise.resolve();
+		}
+
+		let token = ++this._token;
+		this.state = STATES.PLAYING;
+
+		/**
+		 * @event play
+		 * @memberof MediaOverlays
+		 */
+		this.emit(EVENTS.MEDIAOVERLAY.PLAY);
+
+		return this.load(section).then((loaded) => {
+			if (token !== this._token) {
+				return;
+			}
+
+			if (!loaded) {
+				return this.finished();
+			}
+
+			this.index = loaded.section === section ? this.visibleIndex(location.start.cfi) : 0;
+			return this.speak();
+		}, (error) => this.failed(error));
+	}
+
+	/**
+	 * Pause narration
+	 */
+	pause() {
+		if (this.state !== STATES.PLAYING) {
+			return;
+		}
+
+		this.state = STATES.PAUSED;
+		this.adapter.pause();
+
+		/**
+		 * @event pause
+		 * @memberof MediaOverlays
+		 */
+		this.emit(EVENTS.MEDIAOVERLAY.PAUSE);
+	}
+
+	/**
+	 * Resume narration after a pause
+	 */
+	resume() {
+		if (this.state !== STATES.PAUSED) {
+			return;
+		}
+
+		this.state = STATES.PLAYING;
+
+		if (this._deferred) {
+			this._deferred = false;
+			this.speak();
+		} else {
+			this.adapter.resume();
+		}
+
+		/**
+		 * @event resume
+		 * @memberof MediaOverlays
+		 */
+		this.emit(EVENTS.MEDIAOVERLAY.RESUME);
+	}
+
+	/**
+	 * Stop narration and remove the active class
+	 */
+	stop() {
+		if (this.state === STATES.STOPPED) {
+			return;
+		}
+
+		this._token += 1;
+		this._deferred = false;
+		this.adapter.cancel();
+		this.deactivate();
+
+		this.state = STATES.STOPPED;
+		this.section = undefined;
+		this.overlay = undefined;
+		this.index = 0;
+		this.current = undefined;
+
+		/**
+		 * @event stop
+		 * @memberof MediaOverlays
+		 */
+		this.emit(EVENTS.MEDIAOVERLAY.STOP);
+	}
+
+	/**
+	 * Move the narration to the fragment holding a cfi, starting playback if stopped
+	 * @param {string} cfi EpubCFI of a position in the text
+	 * @returns {Promise} resolves once the clip of the fragment has started
+	 */
+	seek(cfi) {
+		let section = this.rendition.book.section(new EpubCFI(cfi).spinePos);
+
+		if (!section) {
+			return Promise.resolve();
+		}
+
+		this.abandon();
+
+		let token = this._token;
+		let paused = this.state === STATES.PAUSED;
+
+		if (this.state === STATES.STOPPED) {
+			this.state = STATES.PLAYING;
+			this.emit(EVENTS.MEDIAOVERLAY.PLAY);
+		}
+
+		return Promise.all([
+			this.load(section, false),
+			this.rendition.book.mediaOverlayTimings(section)
+		]).then(([loaded]) => {
+			if (token !== this._token) {
+				return;
+			}
+
+			if (!loaded) {
+				return this.finished();
+			}
+
+			let timing = loaded.overlay.timingAt(cfi);
+			this.index = timing ? timing.index : 0;
+
+			if (paused) {
+				this.state = STATES.PLAYING;
+				this.emit(EVENTS.MEDIAOVERLAY.RESUME);
+			}
+
+			return this.speak();
+		}, (error) => this.failed(error));
+	}
+
+	/**
+	 * Set the playback rate of the current and following clips
+	 * @param {number} rate
+	 */
+	setRate(rate) {
+		this.rate = rate;
+		this.adapter.setRate(rate);
+	}
+
+	/**
+	 * Load the overlay of a section, or of the next narrated section
+	 * @private
+	 * @param {Section} section
+	 * @param {boolean} [forward=true] continue into the following sections if this one is not narrated
+	 * @returns {Promise<{section: Section, overlay: Smil}|undefined>}
+	 */
+	load(section, forward = true) {
+		if (!section) {
+			return Promise.resolve();
+		}
+
+		return this.rendition.book.mediaOverlay(section).then((overlay) => {
+			if (overlay && overlay.items.length) {
+				this.section = section;
+				this.overlay = overlay;
+				return { section, overlay };
+			}
+
+			return forward ? this.load(section.next(), forward) : undefined;
+		});
+	}
+
+	/**
+	 * Play the clip of the fragment at the current index, moving to the
+	 * next narrated section when there are no more fragments
+	 * @private
+	 * @returns {Promise} resolves once the clip has started
+	 */
+	speak() {
+		let item = this.overlay && this.overlay.items[this.index];
+
+		if (!item) {
+			return this.turn();
+		}
+
+		let token = ++this._token;
+		let index = this.index;
+
+		return this.show(item).then(() => {
+			if (token !== this._token) {
+				return;
+			}
+
+			return this.audioUrl(item.audioSrc);
+		}).then((url) => {
+			if (token !== this._token) {
+				return;
+			}
+
+			// Paused while the page was turning, the clip starts on resume
+			if (this.state !== STATES.PLAYING) {
+				this._deferred = true;
+				return;
+			}
+
+			this.current = item;
+			this.activate(item);
+
+			/**
+			 * @event fragmentStart
+			 * @param {Smil.item} item
+			 * @param {number} index
+			 * @memberof MediaOverlays
+			 */
+			this.emit(EVENTS.MEDIAOVERLAY.FRAGMENT_START, item, index);
+
+			this.adapter.play(url, { begin: item.clipBegin, end: item.clipEnd, rate: this.rate })
+				.then(() => {
+					if (token !== this._token) {
+						return;
+					}
+
+					this.finish(item, index);
+					this.index = index + 1;
+					return this.speak();
+				}, (error) => {
+					if (token !== this._token) {
+						return;
+					}
+
+					this.failed(error);
+				});
+		}).catch((error) => {
+			if (token === this._token) {
+				this.failed(error);
+			}
+		});
+	}
+
+	/**
+	 * Continue with the first fragment of the next narrated section
+	 * @private
+	 * @returns {Promise}
+	 */
+	turn() {
+		let token = ++this._token;
+		let next = this.section && this.section.next();
+
+		return this.load(next).then((loaded) => {
+			if (token !== this._token) {
+				return;
+			}
+
+			if (!loaded) {
+				return this.finished();
+			}
+
+			this.index = 0;
+			return this.speak();
+		}, (error) => this.failed(error));
+	}
+
+	/**
+	 * Display the page of a fragment if it is not visible
+	 * @private
+	 * @param {Smil.item} item
+	 * @returns {Promise}
+	 */
+	show(item) {
+		if (!this.settings.autoTurn) {
+			return Promise.resolve();
+		}
+
+		let rendered = this.elementOf(item);
+
+		if (rendered && this.isVisible(rendered.element)) {
+			return Promise.resolve();
+		}
+
+		return this.rendition.display(this.section.href + (item.fragment ? "#" + item.fragment : ""));
+	}
+
+	/**
+	 * Check if any part of an element of the current section is on the visible page
+	 * @private
+	 * @param {Element} element
+	 * @returns {boolean}
+	 */
+	isVisible(element) {
+		let location = this.rendition.currentLocation();
+		let index = this.section.index;
+
+		if (!location || !location.start || !location.end ||
+				location.start.index > index || location.end.index < index) {
+			return false;
+		}
+
+		let document = element.ownerDocument;
+		let range = document.createRange();
+		range.selectNodeContents(document.body || document.documentElement);
+
+		// The page can start or end in another section of a spread
+		if (location.start.index === index) {
+			let start = new EpubCFI(location.start.cfi).toRange(document);
+			start && range.setStart(start.startContainer, start.startOffset);
+		}
+
+		if (location.end.index === index) {
+			let end = new EpubCFI(location.end.cfi).toRange(document);
+			end && range.setEnd(end.endContainer, end.endOffset);
+		}
+
+		return range.intersectsNode(element);
+	}
+
+	/**
+	 * Find the rendered element of a fragment
+	 * @private
+	 * @param {Smil.item} item
+	 * @returns {{view: View, element: Element}|undefined}
+	 */
+	elementOf(item) {
+		let view = this.section && this.rendition.views().find((v) => v.index === this.section.index);
+		let document = view && view.contents && view.contents.document;
+		let element = document && item.fragment && document.getElementById(item.fragment);
+
+		return element ? { view, element } : undefined;
+	}
+
+	/**
+	 * Find the first fragment that ends after the start of the visible page
+	 * @private
+	 * @param {string} start EpubCFI of the start of the page
+	 * @returns {number} index
+	 */
+	visibleIndex(start) {
+		let rendered = this.overlay.items.map((item) => this.elementOf(item));
+		let first = rendered.find(Boolean);
+
+		if (!first || !start) {
+			return 0;
+		}
+
+		let range = new EpubCFI(start).toRange(first.element.ownerDocument);
+
+		if (!range) {
+			return 0;
+		}
+
+		let index = rendered.findIndex((r) => {
+			return r && range.comparePoint(r.element, r.element.childNodes.length) >= 0;
+		});
+
+		return index > -1 ? index : 0;
+	}
+
+	/**
+	 * Add the active class, and a highlight if enabled, to the narrated element
+	 * @private
+	 * @param {Smil.item} item
+	 */
+	activate(item) {
+		let rendered = this.elementOf(item);
+
+		this.deactivate();
+
+		if (!rendered) {
+			return;
+		}
+
+		let className = this.activeClass();
+		rendered.element.classList.add(className);
+		this._active = { element: rendered.element, className };
+
+		if (this.settings.highlight) {
+			let range = elementTextRange(rendered.element);
+			let cfi = rendered.view.contents.cfiFromRange(range, this.rendition.settings.ignoreClass);
+			this.rendition.annotations.highlight(cfi, {}, undefined, this.settings.className, this.settings.styles);
+			this._active.cfi = cfi;
+		}
+	}
+
+	/**
+	 * Remove the active class and highlight
+	 * @private
+	 */
+	deactivate() {
+		let active = this._active;
+
+		if (!active) {
+			return;
+		}
+
+		active.element.classList.remove(active.className);
+
+		if (active.cfi) {
+			this.rendition.annotations.remove(active.cfi, "highlight");
+		}
+
+		this._active = undefined;
+	}
+
+	/**
+	 * The class added to the narrated element
+	 * @private
+	 * @returns {string}
+	 */
+	activeClass() {
+		let packaging = this.rendition.book.packaging;
+		let metadata = packaging && packaging.metadata;
+
+		return this.settings.activeClass ||
+			(metadata && metadata.media_active_class) ||
+			"-epub-media-overlay-active";
+	}
+
+	/**
+	 * Create a url the adapter can play for an audio file of the book
+	 * @private
+	 * @param {string} src path of the audio file
+	 * @returns {Promise<string>}
+	 */
+	audioUrl(src) {
+		let book = this.rendition.book;
+
+		if (book.archived) {
+			// Keep the playing audio from being revoked
+			book.archive.urlCache.retain(this, [book.resolve(src)]);
+			return book.archive.createUrl(book.resolve(src));
+		}
+
+		return Promise.resolve(book.resolve(src, true));
+	}
+
+	/**
+	 * Cancel the current clip without emitting fragmentEnd
+	 * @private
+	 */
+	abandon() {
+		this._token += 1;
+		this._deferred = false;
+		this.adapter.cancel();
+		this.deactivate();
+		this.current = undefined;
+	}
+
+	/**
+	 * Clean up after a clip has been played
+	 * @private
+	 */
+	finish(item, index) {
+		this.deactivate();
+		this.current = undefined;
+
+		/**
+		 * @event fragmentEnd
+		 * @param {Smil.item} item
+		 * @param {number} index
+		 * @memberof MediaOverlays
+		 */
+		this.emit(EVENTS.MEDIAOVERLAY.FRAGMENT_END, item, index);
+	}
+
+	/**
+	 * Stop after the last narrated section
+	 * @private
+	 */
+	finished() {
+		this.stop();
+
+		/**
+		 * @event finished
+		 * @memberof MediaOverlays
+		 */
+		this.emit(EVENTS.MEDIAOVERLAY.FINISHED);
+	}
+
+	/**
+	 * Stop after an error
+	 * @private
+	 */
+	failed(error) {
+		/**
+		 * @event error
+		 * @param {Error} error
+		 * @memberof MediaOverlays
+		 */
+		this.emit(EVENTS.MEDIAOVERLAY.ERROR, error);
+		this.stop();
+	}
+
+	destroy() {
+		let book = this.rendition && this.rendition.book;
+
+		this.stop();
+
+		if (book && book.archived && book.archive) {
+			book.archive.urlCache.release(this);
+		}
+
+		this.rendition = undefined;
+		this.adapter = undefined;
+	}
+}
+
+EventEmitter(MediaOverlays.prototype);
+
+export { AudioElementAdapter };
+export default MediaOverlays;
@@ -1,4 +1,4 @@
-import {qs, qsa, querySelectorByType, filterChildren, getParentByTagName} from "./utils/core";
+import {qs, qsa, querySelectorByType, filterChildren, findChildren, getParentByTagName} from "./utils/core";
 
 /**
  * Navigation Parser
@@ -170,10 +170,12 @@ class Navigation {
 		const result = [];
 
 		if (!navListHtml) return result;
-		if (!navListHtml.children) return result;
-		
-		for (let i = 0; i < navListHtml.children.length; i++) {
-			const item = this.navItem(navListHtml.children[i], parent);
+
+		// Without the children property, which xmldom doesn't have
+		const children = findChildren(navListHtml);
+
+		for (let i = 0; i < children.length; i++) {
+			const item = this.navItem(children[i], parent);
 
 			if (item) {
 				result.push(item);
@@ -344,6 +346,29 @@ class Navigation {
 		});
 	}
 
+	/**
+	 * Load landmarks from the links of a Web Publication Manifest
+	 * @param  {array} json
+	 * @return {array} landmarks list
+	 */
+	loadLandmarks(json) {
+		this.landmarks = json.map((link, index) => {
+			let type = [].concat(link.rel || [])[0];
+
+			if (type) {
+				this.landmarksByType[type] = index;
+			}
+
+			return {
+				"href": link.href,
+				"label": link.title || "",
+				"type" : type
+			};
+		});
+
+		return this.landmarks;
+	}
+
 	/**
 	 * forEach pass through
 	 * @param  {Function} fn function to run on each item
@@ -0,0 +1,43 @@
+/**
+ * Headless parsing of epubs in Node.js, without rendering
+ * @module Node
+ */
+import fs from "fs";
+import Book from "./book";
+import Packaging from "./packaging";
+import Spine from "./spine";
+import Section from "./section";
+import Navigation from "./navigation";
+import PageList from "./pagelist";
+import EpubCFI from "./epubcfi";
+import { extend, setDOMParser } from "./utils/core";
+
+/**
+ * Open an epub from a Buffer or the path of a .epub file.
+ * Documents are parsed with xmldom, unless another DOMParser is set with setDOMParser.
+ * @param {Buffer | ArrayBuffer | string} input the epub, or the path of the file
+ * @param {object} [options] options of the Book
+ * @returns {Promise<Book>} the book, once its navigation is loaded
+ * @example openBook("alice.epub").then((book) => book.section(0).load(book.load.bind(book)))
+ * @memberof Node
+ */
+export function openBook(input, options) {
+	var reading = typeof input === "string" ? fs.promises.readFile(input) : Promise.resolve(input);
+	var book = new Book(extend({ replacements: "none" }, options || {}));
+
+	return reading
+		.then((data) => book.open(data, "binary"))
+		.then(() => book.ready)
+		.then(() => book);
+}
+
+export {
+	Book,
+	Packaging,
+	Spine,
+	Section,
+	Navigation,
+	PageList,
+	EpubCFI,
+	setDOMParser
+};
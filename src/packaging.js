@@ -1,5 +1,30 @@
+import path from "path-webpack";
 import {qs, qsa, qsp, indexOfElementNode} from "./utils/core";
 
+const DC_NS = "http://purl.org/dc/elements/1.1/";
+const OPF_NS = "http://www.idpf.org/2007/opf";
+const XML_NS = "http://www.w3.org/XML/1998/namespace";
+
+// Contributor roles of a Web Publication Manifest, as MARC relators where there is one
+const WEBPUB_ROLES = {
+	"translator" : "trl",
+	"editor" : "edt",
+	"artist" : "art",
+	"illustrator" : "ill",
+	"letterer" : "letterer",
+	"penciler" : "penciler",
+	"colorist" : "clr",
+	"inker" : "ink",
+	"narrator" : "nrt"
+};
+
+// Overflow hints of a Web Publication Manifest, as rendition:flow values
+const WEBPUB_OVERFLOW = {
+	"paginated" : "paginated",
+	"scrolled" : "scrolled-continuous",
+	"auto" : "auto"
+};
+
 /**
  * Open Packaging Format Parser
  * @class
@@ -103,9 +128,276 @@ class Packaging {
 		metadata.spread = this.getPropertyText(xml, "rendition:spread");
 		// metadata.page_prog_dir = packageXml.querySelector("spine").getAttribute("page-progression-direction");
 
+		metadata.structured = this.parseStructuredMetadata(xml);
+		metadata.accessibility = this.parseAccessibility(xml);
+
 		return metadata;
 	}
 
+	/**
+	 * Parse every Dublin Core entry along with the meta elements refining it
+	 * @private
+	 * @param  {node} xml
+	 * @return {object} structured metadata
+	 */
+	parseStructuredMetadata(xml){
+		var refines = this.getRefines(xml);
+		var byDisplaySeq = function(a, b) {
+			return (a.displaySeq || Infinity) - (b.displaySeq || Infinity);
+		};
+
+		var titles = this.getElements(xml, "title").map((el) => {
+			var refined = refines[el.getAttribute("id")] || {};
+			var entry = this.describeEntry(el, refined);
+			entry.type = this.getRefineText(refined, "title-type");
+			return entry;
+		}).sort(byDisplaySeq);
+
+		var creators = this.getElements(xml, "creator").map((el) => {
+			return this.describeContributor(el, refines);
+		}).sort(byDisplaySeq);
+
+		var contributors = this.getElements(xml, "contributor").map((el) => {
+			return this.describeContributor(el, refines);
+		}).sort(byDisplaySeq);
+
+		var identifiers = this.getElements(xml, "identifier").map((el) => {
+			var refined = refines[el.getAttribute("id")] || {};
+			var type = refined["identifier-type"] && refined["identifier-type"][0];
+			return {
+				"id" : el.getAttribute("id") || "",
+				"value" : this.getText(el),
+				"scheme" : (type && type.scheme) || el.getAttributeNS(OPF_NS, "scheme") || "",
+				"type" : type ? type.value : ""
+			};
+		});
+
+		var subjects = this.getElements(xml, "subject").map((el) => {
+			var refined = refines[el.getAttribute("id")] || {};
+			var entry = this.describeEntry(el, refined);
+			entry.authority = this.getRefineText(refined, "authority");
+			entry.term = this.getRefineText(refined, "term");
+			return entry;
+		});
+
+		var sources = this.getElements(xml, "source").map((el) => {
+			var refined = refines[el.getAttribute("id")] || {};
+			var entry = this.describeEntry(el, refined);
+			entry.type = this.getRefineText(refined, "source-of");
+			return entry;
+		});
+
+		var collections = Array.prototype.slice.call(qsa(xml, "meta"))
+			.filter((el) => el.getAttribute("property") === "belongs-to-collection");
+
+		return {
+			"titles" : titles,
+			"creators" : creators,
+			"contributors" : contributors,
+			"identifiers" : identifiers,
+			"subjects" : subjects,
+			"sources" : sources,
+			"collections" : collections
+				.filter((el) => !el.getAttribute("refines"))
+				.map((el) => this.describeCollection(el, refines, collections))
+		};
+	}
+
+	/**
+	 * Parse the schema.org and EPUB Accessibility metadata
+	 * Reads both the meta property form of EPUB 3 and the meta name form of EPUB 2
+	 * @private
+	 * @param  {node} xml
+	 * @return {object} accessibility metadata
+	 */
+	parseAccessibility(xml){
+		var metas = Array.prototype.slice.call(qsa(xml, "meta"));
+		var links = Array.prototype.slice.call(qsa(xml, "link"));
+		var values = (property) => {
+			return metas.filter((meta) => {
+				return meta.getAttribute("property") === property || meta.getAttribute("name") === property;
+			}).map((meta) => {
+				return meta.hasAttribute("property") ? this.getText(meta) : (meta.getAttribute("content") || "").trim();
+			}).filter(Boolean);
+		};
+		var linked = (rel) => {
+			return links.filter((link) => {
+				return (link.getAttribute("rel") || "").split(/\s+/).indexOf(rel) > -1;
+			}).map((link) => link.getAttribute("href") || "").filter(Boolean);
+		};
+		var split = (value) => value.split(",").map((mode) => mode.trim()).filter(Boolean);
+
+		return {
+			"accessMode" : values("schema:accessMode"),
+			"accessModeSufficient" : values("schema:accessModeSufficient").map(split),
+			"accessibilityFeature" : values("schema:accessibilityFeature"),
+			"accessibilityHazard" : values("schema:accessibilityHazard"),
+			"accessibilitySummary" : values("schema:accessibilitySummary")[0] || "",
+			"conformsTo" : values("dcterms:conformsTo").concat(linked("dcterms:conformsTo")),
+			"certifiedBy" : values("a11y:certifiedBy")[0] || "",
+			"certifierCredential" : values("a11y:certifierCredential")[0] || "",
+			"certifierReport" : values("a11y:certifierReport").concat(linked("a11y:certifierReport"))[0] || ""
+		};
+	}
+
+	/**
+	 * Group the meta elements refining other elements by the id they refine
+	 * <meta refines="#creator01" property="role" scheme="marc:relators">aut</meta>
+	 * @private
+	 * @param  {node} xml
+	 * @return {object} refines, by id then by property
+	 */
+	getRefines(xml){
+		var refines = {};
+		var metas = Array.prototype.slice.call(qsa(xml, "meta"));
+
+		metas.forEach((meta) => {
+			var target = meta.getAttribute("refines");
+			var property = meta.getAttribute("property");
+			var id;
+
+			if (!target || !property) {
+				return;
+			}
+
+			id = target.replace(/^#/, "");
+			refines[id] = refines[id] || {};
+			refines[id][property] = refines[id][property] || [];
+			refines[id][property].push({
+				"id" : meta.getAttribute("id") || "",
+				"value" : this.getText(meta),
+				"scheme" : meta.getAttribute("scheme") || "",
+				"lang" : this.getLang(meta)
+			});
+		});
+
+		return refines;
+	}
+
+	/**
+	 * Describe a creator or contributor with its roles
+	 * Reads the role and file-as attributes of EPUB 2 as well as refines
+	 * @private
+	 * @param  {element} el
+	 * @param  {object} refines
+	 * @return {object} contributor
+	 */
+	describeContributor(el, refines){
+		var refined = refines[el.getAttribute("id")] || {};
+		var entry = this.describeEntry(el, refined);
+		var roles = (refined["role"] || []).map(function(role) {
+			return {
+				"value" : role.value,
+				"scheme" : role.scheme
+			};
+		});
+		var role = el.getAttributeNS(OPF_NS, "role");
+
+		if (!roles.length && role) {
+			roles.push({
+				"value" : role,
+				"scheme" : "marc:relators"
+			});
+		}
+
+		entry.roles = roles;
+		entry.role = roles.length ? roles[0].value : "";
+		return entry;
+	}
+
+	/**
+	 * Describe a collection and the collections it belongs to
+	 * @private
+	 * @param  {element} el belongs-to-collection meta
+	 * @param  {object} refines
+	 * @param  {element[]} collections every belongs-to-collection meta
+	 * @return {object} collection
+	 */
+	describeCollection(el, refines, collections){
+		var id = el.getAttribute("id");
+		var refined = refines[id] || {};
+		var entry = this.describeEntry(el, refined);
+		var position = parseFloat(this.getRefineText(refined, "group-position"));
+
+		entry.type = this.getRefineText(refined, "collection-type");
+		entry.position = isNaN(position) ? undefined : position;
+		entry.identifier = this.getRefineText(refined, "dcterms:identifier");
+		entry.collections = !id ? [] : collections
+			.filter((parent) => parent.getAttribute("refines") === "#" + id)
+			.map((parent) => this.describeCollection(parent, refines, collections));
+
+		return entry;
+	}
+
+	/**
+	 * Describe the value, language, file-as, display-seq and alternate scripts of an entry
+	 * @private
+	 * @param  {element} el
+	 * @param  {object} refined refines of the element
+	 * @return {object} entry
+	 */
+	describeEntry(el, refined){
+		var displaySeq = parseInt(this.getRefineText(refined, "display-seq"), 10);
+
+		return {
+			"id" : el.getAttribute("id") || "",
+			"value" : this.getText(el),
+			"lang" : this.getLang(el),
+			"fileAs" : this.getRefineText(refined, "file-as") || el.getAttributeNS(OPF_NS, "file-as") || "",
+			"displaySeq" : isNaN(displaySeq) ? undefined : displaySeq,
+			"alternateScripts" : (refined["alternate-script"] || []).map(function(script) {
+				return {
+					"value" : script.value,
+					"lang" : script.lang
+				};
+			})
+		};
+	}
+
+	/**
+	 * Get all the Dublin Core elements of a tag
+	 * @private
+	 * @param  {node} xml
+	 * @param  {string} tag
+	 * @return {element[]} elements
+	 */
+	getElements(xml, tag){
+		var found = xml.getElementsByTagNameNS(DC_NS, tag);
+		return Array.prototype.slice.call(found || []);
+	}
+
+	/**
+	 * Get the text of the first refine of a property
+	 * @private
+	 * @param  {object} refined refines of an element
+	 * @param  {string} property
+	 * @return {string} text
+	 */
+	getRefineText(refined, property){
+		var refine = refined[property] && refined[property][0];
+		return refine ? refine.value : "";
+	}
+
+	/**
+	 * Get the trimmed text of an element
+	 * @private
+	 * @param  {element} el
+	 * @return {string} text
+	 */
+	getText(el){
+		return el.childNodes.length ? (el.childNodes[0].nodeValue || "").trim() : "";
+	}
+
+	/**
+	 * Get the xml:lang of an element
+	 * @private
+	 * @param  {element} el
+	 * @return {string} language
+	 */
+	getLang(el){
+		return el.getAttributeNS(XML_NS, "lang") || "";
+	}
+
 	/**
 	 * Parse Manifest
 	 * @private
@@ -126,6 +418,7 @@ class Packaging {
 					href = item.getAttribute("href") || "",
 					type = item.getAttribute("media-type") || "",
 					overlay = item.getAttribute("media-overlay") || "",
+					fallback = item.getAttribute("fallback") || "",
 					properties = item.getAttribute("properties") || "";
 
 			manifest[id] = {
@@ -133,6 +426,7 @@ class Packaging {
 				// "url" : href,
 				"type" : type,
 				"overlay" : overlay,
+				"fallback" : fallback,
 				"properties" : properties.length ? properties.split(" ") : []
 			};
 
@@ -318,35 +612,46 @@ class Packaging {
 	}
 
 	/**
-	 * Load JSON Manifest
-	 * @param  {document} packageDocument OPF XML
+	 * Load a Readium Web Publication Manifest
+	 * @param  {object} json manifest
 	 * @return {object} parsed package parts
 	 */
 	load(json) {
-		this.metadata = json.metadata;
+		let metadata = json.metadata || {};
+		let readingOrder = json.readingOrder || json.spine || [];
 
-		let spine = json.readingOrder || json.spine;
-		this.spine = spine.map((item, index) =>{
-			item.index = index;
-			item.linear = item.linear || "yes";
-			return item;
-		});
+		this.manifest = {};
+		this.metadata = this.loadMetadata(metadata);
+
+		// Hrefs are unique in a manifest, so they are used as ids
+		readingOrder.concat(json.resources || []).forEach((link) => {
+			if (!link.href || this.manifest[link.href]) {
+				return;
+			}
 
-		json.resources.forEach((item, index) => {
-			this.manifest[index] = item;
+			this.manifest[link.href] = this.loadLink(link);
 
-			if (item.rel && item.rel[0] === "cover") {
-				this.coverPath = item.href;
+			if (this.manifest[link.href].properties.indexOf("cover-image") > -1) {
+				this.coverPath = link.href;
 			}
 		});
 
-		this.spineNodeIndex = 0;
-
-		this.toc = json.toc.map((item, index) =>{
-			item.label = item.title;
+		this.spine = readingOrder.map((link, index) => {
+			let item = this.loadLink(link);
+			item.idref = link.href;
+			item.index = index;
+			item.linear = link.linear || "yes";
+			item.properties = this.loadProperties(link.properties);
 			return item;
 		});
 
+		this.spineNodeIndex = 0;
+
+		this.toc = json.toc || [];
+		this.landmarks = json.landmarks;
+		this.pageList = json["page-list"];
+		this.links = (json.links || []).map((link) => this.loadLink(link));
+
 		return {
 			"metadata" : this.metadata,
 			"spine"    : this.spine,
@@ -355,10 +660,459 @@ class Packaging {
 			"ncxPath"  : this.ncxPath,
 			"coverPath": this.coverPath,
 			"spineNodeIndex" : this.spineNodeIndex,
-			"toc" : this.toc
+			"toc" : this.toc,
+			"landmarks" : this.landmarks,
+			"pageList" : this.pageList
+		};
+	}
+
+	/**
+	 * Map the metadata of a Web Publication Manifest onto the package metadata,
+	 * keeping its original fields
+	 * @private
+	 * @param  {object} metadata
+	 * @return {object} metadata
+	 */
+	loadMetadata(metadata) {
+		let presentation = Object.assign({}, metadata.presentation, metadata.rendition);
+		let languages = [].concat(metadata.language || []);
+		let language = languages[0] || "";
+		let text = (value) => this.localized(value, language);
+		let creators = this.loadContributors(metadata.author, "aut");
+		let contributors = [];
+		let belongsTo = metadata.belongsTo || {};
+
+		Object.keys(WEBPUB_ROLES).forEach((key) => {
+			contributors.push.apply(contributors, this.loadContributors(metadata[key], WEBPUB_ROLES[key]));
+		});
+		contributors.push.apply(contributors, this.loadContributors(metadata.contributor));
+
+		let identifier = metadata.identifier || "";
+		let layout = presentation.layout === "fixed" ? "pre-paginated" : presentation.layout;
+
+		return Object.assign({}, metadata, {
+			"title" : text(metadata.title),
+			"creator" : creators.map((creator) => creator.value).join(", "),
+			"description" : text(metadata.description),
+			"pubdate" : metadata.published || "",
+			"publisher" : this.loadContributors(metadata.publisher).map((publisher) => publisher.value).join(", "),
+			"identifier" : identifier,
+			"language" : language,
+			"rights" : text(metadata.rights),
+			"modified_date" : metadata.modified || "",
+			"layout" : layout || "",
+			"orientation" : presentation.orientation || "",
+			"flow" : WEBPUB_OVERFLOW[presentation.overflow] || "",
+			"viewport" : "",
+			"media_active_class" : "",
+			"spread" : presentation.spread || "",
+			"direction" : ["ltr", "rtl"].indexOf(metadata.readingProgression) > -1 ? metadata.readingProgression : "",
+			"structured" : {
+				"titles" : [Object.assign(this.loadEntry(metadata.title, language, metadata.sortAs), { "type" : "main" })]
+					.concat(metadata.subtitle ? [Object.assign(this.loadEntry(metadata.subtitle, language), { "type" : "subtitle" })] : []),
+				"creators" : creators,
+				"contributors" : contributors,
+				"identifiers" : identifier ? [{ "id" : "", "value" : identifier, "scheme" : "", "type" : "" }] : [],
+				"subjects" : [].concat(metadata.subject || []).map((subject) => {
+					let entry = this.loadEntry(typeof subject === "string" ? subject : subject.name, language, subject.sortAs);
+					entry.authority = subject.scheme || "";
+					entry.term = subject.code || "";
+					return entry;
+				}),
+				"sources" : [],
+				"collections" : ["series", "collection"].reduce((collections, type) => {
+					return collections.concat([].concat(belongsTo[type] || []).map((collection) => {
+						let entry = this.loadEntry(typeof collection === "string" ? collection : collection.name, language, collection.sortAs);
+						entry.type = type === "series" ? "series" : "";
+						entry.position = collection.position;
+						entry.identifier = collection.identifier || "";
+						entry.collections = [];
+						return entry;
+					}));
+				}, [])
+			},
+			"accessibility" : this.loadAccessibility(metadata)
+		});
+	}
+
+	/**
+	 * Load the contributors of a role
+	 * @private
+	 * @param  {string | object | array} contributors
+	 * @param  {string} [role] MARC relator of the role
+	 * @return {object[]} contributors in the structured metadata format
+	 */
+	loadContributors(contributors, role) {
+		return [].concat(contributors || []).map((contributor) => {
+			let named = typeof contributor === "string" ? { "name" : contributor } : contributor;
+			let entry = this.loadEntry(named.name, "", named.sortAs);
+			let roles = [].concat(named.role || role || []);
+
+			entry.displaySeq = named.position;
+			entry.identifier = named.identifier || "";
+			entry.roles = roles.map((value) => ({ "value" : value, "scheme" : "marc:relators" }));
+			entry.role = roles[0] || "";
+			return entry;
+		});
+	}
+
+	/**
+	 * Load a string that may be localized into an entry of the structured metadata
+	 * @private
+	 * @param  {string | object} value
+	 * @param  {string} language
+	 * @param  {string} [sortAs]
+	 * @return {object} entry
+	 */
+	loadEntry(value, language, sortAs) {
+		let languages = value && typeof value === "object" ? Object.keys(value) : [];
+		let lang = languages.indexOf(language) > -1 ? language : languages[0] || "";
+
+		return {
+			"id" : "",
+			"value" : this.localized(value, language),
+			"lang" : lang,
+			"fileAs" : this.localized(sortAs, language),
+			"displaySeq" : undefined,
+			"alternateScripts" : languages.filter((other) => other !== lang).map((other) => {
+				return {
+					"value" : value[other],
+					"lang" : other
+				};
+			})
 		};
 	}
 
+	/**
+	 * Pick the translation of a localized string
+	 * @private
+	 * @param  {string | object} value a string, or an object of strings by language
+	 * @param  {string} language preferred language
+	 * @return {string}
+	 */
+	localized(value, language) {
+		if (!value) {
+			return "";
+		}
+
+		if (typeof value === "string") {
+			return value;
+		}
+
+		return value[language] || value[Object.keys(value)[0]] || "";
+	}
+
+	/**
+	 * Load the schema.org accessibility metadata of a manifest
+	 * @private
+	 * @param  {object} metadata
+	 * @return {object} accessibility metadata
+	 */
+	loadAccessibility(metadata) {
+		let accessibility = metadata.accessibility || {};
+		let certification = accessibility.certification || {};
+		let list = (value) => [].concat(value || []);
+
+		return {
+			"accessMode" : list(accessibility.accessMode),
+			"accessModeSufficient" : list(accessibility.accessModeSufficient).map((set) => {
+				return typeof set === "string" ? set.split(/\s*,\s*/) : set;
+			}),
+			"accessibilityFeature" : list(accessibility.feature),
+			"accessibilityHazard" : list(accessibility.hazard),
+			"accessibilitySummary" : this.localized(accessibility.summary, ""),
+			"conformsTo" : list(accessibility.conformsTo || metadata.conformsTo),
+			"certifiedBy" : certification.certifiedBy || "",
+			"certifierCredential" : certification.credential || "",
+			"certifierReport" : certification.report || ""
+		};
+	}
+
+	/**
+	 * Load a Link Object into a manifest item
+	 * @private
+	 * @param  {object} link
+	 * @return {object} item
+	 */
+	loadLink(link) {
+		let rels = [].concat(link.rel || []);
+		let properties = [];
+
+		if (rels.indexOf("cover") > -1) {
+			properties.push("cover-image");
+		}
+
+		if (rels.indexOf("contents") > -1) {
+			properties.push("nav");
+		}
+
+		return Object.assign({}, link, {
+			"href" : link.href,
+			"type" : link.type || "",
+			"rel" : rels,
+			"properties" : properties,
+			"alternate" : (link.alternate || []).map((alternate) => this.loadLink(alternate))
+		});
+	}
+
+	/**
+	 * Map the presentation hints of a link onto itemref properties
+	 * @private
+	 * @param  {object} [properties] properties of the link
+	 * @return {string[]} itemref properties
+	 */
+	loadProperties(properties) {
+		let props = [];
+
+		if (!properties) {
+			return props;
+		}
+
+		if (properties.page) {
+			props.push(properties.page === "center" ? "rendition:page-spread-center" : "page-spread-" + properties.page);
+		}
+
+		if (properties.layout) {
+			props.push("rendition:layout-" + (properties.layout === "fixed" ? "pre-paginated" : properties.layout));
+		}
+
+		if (properties.spread) {
+			props.push("rendition:spread-" + properties.spread);
+		}
+
+		if (properties.orientation) {
+			props.push("rendition:orientation-" + properties.orientation);
+		}
+
+		if (WEBPUB_OVERFLOW[properties.overflow]) {
+			props.push("rendition:flow-" + WEBPUB_OVERFLOW[properties.overflow]);
+		}
+
+		return props;
+	}
+
+	/**
+	 * Serialize the package into a Readium Web Publication Manifest
+	 * @param  {Navigation} [navigation] table of contents and landmarks
+	 * @param  {PageList} [pageList]
+	 * @return {object} manifest
+	 */
+	toWebPubManifest(navigation, pageList) {
+		let metadata = this.metadata;
+		let structured = metadata.structured || {};
+		let accessibility = metadata.accessibility || {};
+		// Navigation hrefs are relative to the document they were read from, the nav or the NCX
+		let navFile = this.navPath || this.ncxPath;
+		let navDirectory = navFile ? path.dirname(navFile) : ".";
+		let href = (target) => target && navDirectory !== "." ?
+			path.normalize(path.join(navDirectory, target)) : target;
+		let presentation = {};
+		let manifest = {
+			"@context" : "https://readium.org/webpub-manifest/context.jsonld",
+			"metadata" : {
+				"@type" : "http://schema.org/Book",
+				"title" : metadata.title
+			},
+			"links" : [],
+			"readingOrder" : [],
+			"resources" : []
+		};
+		let webpub = manifest.metadata;
+		let inSpine = {};
+		let roles = {};
+
+		Object.keys(WEBPUB_ROLES).forEach((key) => {
+			roles[WEBPUB_ROLES[key]] = key;
+		});
+
+		if (metadata.identifier) webpub.identifier = metadata.identifier;
+		if (metadata.language) webpub.language = metadata.language;
+		if (metadata.modified_date) webpub.modified = metadata.modified_date;
+		if (metadata.pubdate) webpub.published = metadata.pubdate;
+		if (metadata.description) webpub.description = metadata.description;
+		if (metadata.publisher) webpub.publisher = metadata.publisher;
+		if (metadata.rights) webpub.rights = metadata.rights;
+		if (metadata.direction) webpub.readingProgression = metadata.direction;
+
+		// Contributors, by role
+		(structured.creators || []).concat(structured.contributors || []).forEach((contributor, index) => {
+			let isCreator = index < (structured.creators || []).length;
+			let key = roles[contributor.role] ||
+				(contributor.role === "aut" || isCreator && !contributor.role ? "author" : "contributor");
+			let value = (contributor.fileAs || (contributor.role && key === "contributor")) ?
+				{ "name" : contributor.value } : contributor.value;
+
+			if (typeof value === "object") {
+				if (contributor.fileAs) value.sortAs = contributor.fileAs;
+				if (key === "contributor" && contributor.role) value.role = contributor.role;
+			}
+
+			webpub[key] = (webpub[key] || []).concat([value]);
+		});
+
+		if (!structured.creators && metadata.creator) {
+			webpub.author = [metadata.creator];
+		}
+
+		(structured.subjects || []).forEach((subject) => {
+			let value = subject.authority || subject.term ?
+				{ "name" : subject.value, "scheme" : subject.authority, "code" : subject.term } : subject.value;
+			webpub.subject = (webpub.subject || []).concat([value]);
+		});
+
+		(structured.collections || []).forEach((collection) => {
+			let key = collection.type === "series" ? "series" : "collection";
+			let value = { "name" : collection.value };
+
+			if (collection.position !== undefined) value.position = collection.position;
+			if (collection.identifier) value.identifier = collection.identifier;
+
+			webpub.belongsTo = webpub.belongsTo || {};
+			webpub.belongsTo[key] = (webpub.belongsTo[key] || []).concat([value]);
+		});
+
+		if (accessibility.accessMode && accessibility.accessMode.length) {
+			webpub.accessibility = {
+				"accessMode" : accessibility.accessMode,
+				"accessModeSufficient" : accessibility.accessModeSufficient,
+				"feature" : accessibility.accessibilityFeature,
+				"hazard" : accessibility.accessibilityHazard
+			};
+			if (accessibility.accessibilitySummary) webpub.accessibility.summary = accessibility.accessibilitySummary;
+			if (accessibility.conformsTo.length) webpub.accessibility.conformsTo = accessibility.conformsTo;
+		}
+
+		// Presentation hints
+		if (metadata.layout) presentation.layout = metadata.layout === "pre-paginated" ? "fixed" : metadata.layout;
+		if (metadata.orientation) presentation.orientation = metadata.orientation;
+		if (metadata.spread) presentation.spread = metadata.spread;
+		if (metadata.flow) {
+			presentation.overflow = Object.keys(WEBPUB_OVERFLOW).filter((overflow) => WEBPUB_OVERFLOW[overflow] === metadata.flow)[0] ||
+				(metadata.flow === "scrolled-doc" ? "scrolled" : "auto");
+		}
+		if (Object.keys(presentation).length) {
+			webpub.presentation = presentation;
+		}
+
+		// Reading order and resources
+		this.spine.forEach((itemref) => {
+			let item = this.manifest[itemref.idref];
+			let link, properties;
+
+			if (!item) {
+				return;
+			}
+
+			link = this.toLink(item);
+			properties = this.toLinkProperties(itemref.properties || []);
+			if (Object.keys(properties).length) {
+				link.properties = properties;
+			}
+
+			inSpine[itemref.idref] = true;
+			manifest.readingOrder.push(link);
+		});
+
+		Object.keys(this.manifest).forEach((id) => {
+			if (!inSpine[id]) {
+				manifest.resources.push(this.toLink(this.manifest[id]));
+			}
+		});
+
+		// Navigation
+		if (navigation) {
+			let links = (items) => items.map((item) => {
+				let link = { "href" : href(item.href), "title" : (item.label || "").trim() };
+				if (item.subitems && item.subitems.length) {
+					link.children = links(item.subitems);
+				}
+				return link;
+			});
+
+			manifest.toc = links(navigation.toc || []);
+
+			if (navigation.landmarks && navigation.landmarks.length) {
+				manifest.landmarks = navigation.landmarks.map((landmark) => {
+					let link = { "href" : href(landmark.href), "title" : (landmark.label || "").trim() };
+					if (landmark.type) link.rel = landmark.type;
+					return link;
+				});
+			}
+		}
+
+		if (pageList && pageList.pageList && pageList.pageList.length) {
+			manifest["page-list"] = pageList.pageList.map((page) => {
+				return { "href" : href(page.href), "title" : String(page.page) };
+			});
+		}
+
+		return manifest;
+	}
+
+	/**
+	 * Serialize a manifest item into a Link Object
+	 * @private
+	 * @param  {object} item
+	 * @return {object} link
+	 */
+	toLink(item) {
+		let link = { "href" : item.href, "type" : item.type };
+		let rels = [].concat(item.rel || []);
+		let properties = item.properties || [];
+
+		if (properties.indexOf("cover-image") > -1 && rels.indexOf("cover") === -1) {
+			rels.push("cover");
+		}
+
+		if (properties.indexOf("nav") > -1 && rels.indexOf("contents") === -1) {
+			rels.push("contents");
+		}
+
+		if (rels.length) {
+			link.rel = rels.length > 1 ? rels : rels[0];
+		}
+
+		if (item.title) link.title = item.title;
+		if (item.alternate && item.alternate.length) {
+			link.alternate = item.alternate.map((alternate) => this.toLink(alternate));
+		}
+
+		return link;
+	}
+
+	/**
+	 * Serialize itemref properties into the properties of a Link Object
+	 * @private
+	 * @param  {string[]} itemProperties
+	 * @return {object} properties
+	 */
+	toLinkProperties(itemProperties) {
+		let properties = {};
+
+		itemProperties.forEach((prop) => {
+			let rendition = prop.replace("rendition:", "");
+			let split = rendition.indexOf("-");
+			let property = rendition.slice(0, split);
+			let value = rendition.slice(split + 1);
+
+			if (split === -1) {
+				return;
+			}
+
+			if (property === "page") {
+				properties.page = value.replace("spread-", "");
+			} else if (property === "layout") {
+				properties.layout = value === "pre-paginated" ? "fixed" : value;
+			} else if (property === "spread" || property === "orientation") {
+				properties[property] = value;
+			} else if (property === "flow") {
+				properties.overflow = value === "paginated" ? "paginated" : value === "auto" ? "auto" : "scrolled";
+			}
+		});
+
+		return properties;
+	}
+
 	destroy() {
 		this.manifest = undefined;
 		this.navPath = undefined;
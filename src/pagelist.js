@@ -38,8 +38,15 @@ class PageList {
 	 * @param  {document} xml
 	 */
 	parse(xml) {
-		var html = qs(xml, "html");
-		var ncx = qs(xml, "ncx");
+		var html, ncx;
+
+		// Links of a Web Publication Manifest
+		if (!xml.nodeType) {
+			return this.load(xml);
+		}
+
+		html = qs(xml, "html");
+		ncx = qs(xml, "ncx");
 
 		if(html) {
 			return this.parseNav(xml);
@@ -99,6 +106,21 @@ class PageList {
 		return list;
 	}
 
+	/**
+	 * Load the page-list links of a Web Publication Manifest
+	 * @private
+	 * @param  {array} json
+	 * @return {PageList.item[]} list
+	 */
+	load(json) {
+		return json.map((link) => {
+			return {
+				"href": link.href,
+				"page": parseInt(link.title, 10)
+			};
+		});
+	}
+
 	ncxItem(item) {
 		var navLabel = qs(item, "navLabel");
 		var navLabelText = qs(navLabel, "text");
@@ -0,0 +1,441 @@
+import EventEmitter from "event-emitter";
+import { extend } from "./utils/core";
+import { EVENTS } from "./utils/constants";
+
+const STATES = {
+	STOPPED: "stopped",
+	PLAYING: "playing",
+	PAUSED: "paused"
+};
+
+/**
+ * Speech adapter backed by the Web Speech API.
+ *
+ * Any object with the same `speak`, `pause`, `resume` and `cancel` methods
+ * can be passed to ReadAloud instead, e.g. a fake engine in tests.
+ * @class
+ * @param {SpeechSynthesis} [synth] defaults to window.speechSynthesis
+ */
+class SpeechSynthesisAdapter {
+	constructor(synth) {
+		this.synth = synth || (typeof window !== "undefined" ? window.speechSynthesis : undefined);
+	}
+
+	/**
+	 * Speak a string of text
+	 * @param {string} text
+	 * @param {object} [options]
+	 * @param {number} [options.rate=1]
+	 * @param {string} [options.lang]
+	 * @param {SpeechSynthesisVoice} [options.voice]
+	 * @returns {Promise} resolves when the text has been spoken or was cancelled
+	 */
+	speak(text, options = {}) {
+		return new Promise((resolve, reject) => {
+			if (!this.synth || typeof SpeechSynthesisUtterance === "undefined") {
+				reject(new Error("Speech synthesis is not available"));
+				return;
+			}
+
+			let utterance = new SpeechSynthesisUtterance(text);
+			utterance.rate = options.rate || 1;
+
+			if (options.lang) {
+				utterance.lang = options.lang;
+			}
+
+			if (options.voice) {
+				utterance.voice = options.voice;
+			}
+
+			utterance.onend = () => resolve();
+			utterance.onerror = (event) => {
+				// Cancelling an utterance is reported as an error by some engines
+				if (event.error === "interrupted" || event.error === "canceled") {
+					resolve();
+				} else {
+					reject(event);
+				}
+			};
+
+			this.synth.speak(utterance);
+		});
+	}
+
+	pause() {
+		this.synth && this.synth.pause();
+	}
+
+	resume() {
+		this.synth && this.synth.resume();
+	}
+
+	cancel() {
+		this.synth && this.synth.cancel();
+	}
+}
+
+/**
+ * Reads the paragraphs of a Rendition aloud, page by page
+ * @class
+ * @param {Rendition} rendition
+ * @param {object} [options]
+ * @param {object} [options.adapter] speech adapter, defaults to a SpeechSynthesisAdapter
+ * @param {number} [options.rate=1] speaking rate passed to the adapter
+ * @param {string} [options.lang] language passed to the adapter
+ * @param {number} [options.minLength=0] skip paragraphs shorter than this
+ * @param {boolean} [options.highlight=true] highlight the paragraph being spoken
+ * @param {string} [options.className="epubjs-readaloud"] CSS class of the highlight
+ * @param {object} [options.styles] SVG styles of the highlight
+ * @param {boolean} [options.autoTurn=true] turn the page after the last visible paragraph
+ */
+class ReadAloud {
+	constructor(rendition, options) {
+		this.rendition = rendition;
+
+		this.settings = extend({
+			adapter: undefined,
+			rate: 1,
+			lang: undefined,
+			minLength: 0,
+			highlight: true,
+			className: "epubjs-readaloud",
+			styles: {
+				"fill": "yellow",
+				"fill-opacity": "0.3",
+				"mix-blend-mode": "multiply"
+			},
+			autoTurn: true
+		}, options || {});
+
+		this.adapter = this.settings.adapter || new SpeechSynthesisAdapter();
+		this.rate = this.settings.rate;
+
+		this.state = STATES.STOPPED;
+		this.paragraphs = [];
+		this.index = 0;
+		this.current = undefined;
+
+		// Incremented whenever the current utterance is abandoned,
+		// so late callbacks from the adapter can be ignored
+		this._token = 0;
+		this._highlighted = undefined;
+		// Set when paused before the paragraph at the current index could start
+		this._deferred = false;
+	}
+
+	/**
+	 * Start reading from the first paragraph of the visible page,
+	 * or resume if paused
+	 * @returns {Promise} resolves once the first paragraph has started
+	 */
+	play() {
+		if (this.state === STATES.PAUSED) {
+			this.resume();
+			return Promise.resolve();
+		}
+
+		if (this.state === STATES.PLAYING) {
+			return Promise.resolve();
+		}
+
+		this.state = STATES.PLAYING;
+		this.index = 0;
+		this.load();
+
+		/**
+		 * @event play
+		 * @memberof ReadAloud
+		 */
+		this.emit(EVENTS.READALOUD.PLAY);
+
+		return this.speak();
+	}
+
+	/**
+	 * Pause reading
+	 */
+	pause() {
+		if (this.state !== STATES.PLAYING) {
+			return;
+		}
+
+		this.state = STATES.PAUSED;
+		this.adapter.pause();
+
+		/**
+		 * @event pause
+		 * @memberof ReadAloud
+		 */
+		this.emit(EVENTS.READALOUD.PAUSE);
+	}
+
+	/**
+	 * Resume reading after a pause
+	 */
+	resume() {
+		if (this.state !== STATES.PAUSED) {
+			return;
+		}
+
+		this.state = STATES.PLAYING;
+
+		if (this._deferred) {
+			this._deferred = false;
+			this.speak();
+		} else {
+			this.adapter.resume();
+		}
+
+		/**
+		 * @event resume
+		 * @memberof ReadAloud
+		 */
+		this.emit(EVENTS.READALOUD.RESUME);
+	}
+
+	/**
+	 * Stop reading and remove the highlight
+	 */
+	stop() {
+		if (this.state === STATES.STOPPED) {
+			return;
+		}
+
+		this._token += 1;
+		this._deferred = false;
+		this.adapter.cancel();
+		this.unhighlight();
+
+		this.state = STATES.STOPPED;
+		this.paragraphs = [];
+		this.index = 0;
+		this.current = undefined;
+
+		/**
+		 * @event stop
+		 * @memberof ReadAloud
+		 */
+		this.emit(EVENTS.READALOUD.STOP);
+	}
+
+	/**
+	 * Skip paragraphs on the visible page
+	 * @param {number} [steps=1] number of paragraphs to move, negative to go back
+	 * @returns {Promise}
+	 */
+	skip(steps = 1) {
+		if (this.state === STATES.STOPPED) {
+			return Promise.resolve();
+		}
+
+		this.abandon();
+		this.index = Math.max(0, this.index + steps);
+
+		if (this.state === STATES.PAUSED) {
+			this.state = STATES.PLAYING;
+			this.adapter.resume();
+		}
+
+		return this.speak();
+	}
+
+	/**
+	 * Set the speaking rate, restarting the current paragraph if needed
+	 * @param {number} rate
+	 * @returns {Promise}
+	 */
+	setRate(rate) {
+		this.rate = rate;
+
+		if (this.state !== STATES.PLAYING || !this.current) {
+			return Promise.resolve();
+		}
+
+		this.abandon();
+		return this.speak();
+	}
+
+	/**
+	 * Load the paragraphs of the visible page
+	 * @private
+	 */
+	load() {
+		let paragraphs = this.rendition.getCurrentViewParagraphs() || [];
+		let minLength = this.settings.minLength;
+
+		this.paragraphs = paragraphs.filter((p) => p.text.length >= minLength);
+	}
+
+	/**
+	 * Speak the paragraph at the current index, turning the page when
+	 * there are no more paragraphs
+	 * @private
+	 * @returns {Promise} resolves once speaking has started
+	 */
+	speak() {
+		let paragraph = this.paragraphs[this.index];
+
+		if (!paragraph) {
+			return this.turn();
+		}
+
+		let token = ++this._token;
+		let index = this.index;
+
+		this.current = paragraph;
+		this.highlight(paragraph);
+
+		/**
+		 * @event paragraphStart
+		 * @param {object} paragraph
+		 * @param {number} index
+		 * @memberof ReadAloud
+		 */
+		this.emit(EVENTS.READALOUD.PARAGRAPH_START, paragraph, index);
+
+		this.adapter.speak(paragraph.text, { rate: this.rate, lang: this.settings.lang })
+			.then(() => {
+				if (token !== this._token) {
+					return;
+				}
+
+				this.finish(paragraph, index);
+				this.index = index + 1;
+				return this.speak();
+			}, (error) => {
+				if (token !== this._token) {
+					return;
+				}
+
+				this.fail(error);
+			})
+			.catch((error) => this.fail(error));
+
+		return Promise.resolve();
+	}
+
+	/**
+	 * Report an error and stop reading
+	 * @private
+	 * @param {Error} error
+	 */
+	fail(error) {
+		/**
+		 * @event error
+		 * @param {Error} error
+		 * @memberof ReadAloud
+		 */
+		this.emit(EVENTS.READALOUD.ERROR, error);
+		this.stop();
+	}
+
+	/**
+	 * Turn to the next page and continue reading
+	 * @private
+	 * @returns {Promise}
+	 */
+	turn() {
+		let location = this.rendition.currentLocation();
+		let token = ++this._token;
+
+		if (!this.settings.autoTurn || !location || location.atEnd) {
+			this.stop();
+
+			/**
+			 * @event finished
+			 * @memberof ReadAloud
+			 */
+			this.emit(EVENTS.READALOUD.FINISHED);
+			return Promise.resolve();
+		}
+
+		return this.rendition.next().then(() => {
+			if (token !== this._token || this.state === STATES.STOPPED) {
+				return;
+			}
+
+			this.index = 0;
+			this.load();
+
+			// Paused while the page was turning, reading continues on resume
+			if (this.state !== STATES.PLAYING) {
+				this._deferred = true;
+				return;
+			}
+
+			return this.speak();
+		}).catch((error) => {
+			if (this.state === STATES.STOPPED) {
+				return;
+			}
+
+			this.fail(error);
+		});
+	}
+
+	/**
+	 * Cancel the current utterance without emitting paragraphEnd
+	 * @private
+	 */
+	abandon() {
+		this._token += 1;
+		this._deferred = false;
+		this.adapter.cancel();
+		this.unhighlight();
+		this.current = undefined;
+	}
+
+	/**
+	 * Clean up after a paragraph has been spoken
+	 * @private
+	 */
+	finish(paragraph, index) {
+		this.unhighlight();
+		this.current = undefined;
+
+		/**
+		 * @event paragraphEnd
+		 * @param {object} paragraph
+		 * @param {number} index
+		 * @memberof ReadAloud
+		 */
+		this.emit(EVENTS.READALOUD.PARAGRAPH_END, paragraph, index);
+	}
+
+	/**
+	 * Highlight a paragraph by its cfiRange
+	 * @private
+	 */
+	highlight(paragraph) {
+		if (!this.settings.highlight || !paragraph.cfiRange) {
+			return;
+		}
+
+		this.unhighlight();
+		this.rendition.annotations.highlight(paragraph.cfiRange, {}, undefined, this.settings.className, this.settings.styles);
+		this._highlighted = paragraph.cfiRange;
+	}
+
+	/**
+	 * Remove the current highlight
+	 * @private
+	 */
+	unhighlight() {
+		if (this._highlighted) {
+			this.rendition.annotations.remove(this._highlighted, "highlight");
+			this._highlighted = undefined;
+		}
+	}
+
+	destroy() {
+		this.stop();
+		this.rendition = undefined;
+		this.adapter = undefined;
+	}
+}
+
+EventEmitter(ReadAloud.prototype);
+
+export { SpeechSynthesisAdapter };
+export default ReadAloud;
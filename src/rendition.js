@@ -6,9 +6,16 @@ import Queue from "./utils/queue";
 import Layout from "./layout";
 // import Mapping from "./mapping";
 import Themes from "./themes";
-import Contents from "./contents";
 import Annotations from "./annotations";
+import ReadAloud from "./readaloud";
+import MediaOverlays from "./mediaoverlays";
+import ParagraphCache from "./utils/paragraphcache";
 import { EVENTS, DOM_EVENTS } from "./utils/constants";
+import {
+  getParagraphsFromRange,
+  getTextNodesInRange,
+  findContainingBlockElement,
+} from "./utils/paragraphs";
 
 // Default Views
 import IframeView from "./managers/views/iframe";
@@ -56,6 +63,9 @@ import ContinuousViewManager from "./managers/continuous/index";
  * @param {string} [options.defaultDirection='ltr'] default text direction
  * @param {boolean} [options.allowScriptedContent=false] enable running scripts in content
  * @param {boolean} [options.allowPopups=false] enable opening popup in content
+ * @param {object} [options.readAloud] options passed to ReadAloud, such as a speech adapter
+ * @param {object} [options.mediaOverlays] options passed to MediaOverlays, such as an audio adapter
+ * @param {number} [options.prefetch=1] number of pages ahead whose paragraphs are extracted after each relocation, 0 to disable
  */
 class Rendition {
   constructor(book, options) {
@@ -76,6 +86,9 @@ class Rendition {
       defaultDirection: "ltr",
       allowScriptedContent: false,
       allowPopups: false,
+      readAloud: undefined,
+      mediaOverlays: undefined,
+      prefetch: 1,
     });
 
     extend(this.settings, options);
@@ -127,6 +140,25 @@ class Rendition {
      */
     this.annotations = new Annotations(this);
 
+    /**
+     * @member {ReadAloud} readAloud
+     * @memberof Rendition
+     */
+    this.readAloud = new ReadAloud(this, this.settings.readAloud);
+
+    /**
+     * @member {MediaOverlays} mediaOverlays
+     * @memberof Rendition
+     */
+    this.mediaOverlays = new MediaOverlays(this, this.settings.mediaOverlays);
+
+    /**
+     * @member {ParagraphCache} paragraphCache
+     * @memberof Rendition
+     */
+    this.paragraphCache = new ParagraphCache();
+    this.on(EVENTS.RENDITION.RELOCATED, this._prefetchParagraphs.bind(this));
+
     this.epubcfi = new EpubCFI();
 
     this.q = new Queue(this);
@@ -471,9 +503,14 @@ class Rendition {
    * @param  {*} view
    */
   afterRemoved(view) {
+    // Let the urls of the resources of the section be revoked
+    if (this.book && this.book.resources) {
+      this.book.resources.release(view.section.url);
+    }
+
     this.hooks.unloaded.trigger(view, this).then(() => {
       /**
-       * Emit that a section has been removed
+       * Emit that a section has been removed, each time one of its views is destroyed
        * @event removed
        * @param {Section} section
        * @param {View} view
@@ -488,6 +525,8 @@ class Rendition {
    * @private
    */
   onResized(size, epubcfi) {
+    this.clearParagraphCache();
+
     /**
      * Emit that the rendition has been resized
      * @event resized
@@ -546,6 +585,7 @@ class Rendition {
     if (height) {
       this.settings.height = height;
     }
+    this.clearParagraphCache();
     this.manager.resize(width, height, epubcfi);
   }
 
@@ -636,6 +676,8 @@ class Rendition {
 
     this.settings.flow = flow;
 
+    this.clearParagraphCache();
+
     if (this._layout) {
       this._layout.flow(_flow);
     }
@@ -671,6 +713,7 @@ class Rendition {
     }
 
     if (this.manager && this._layout) {
+      this.clearParagraphCache();
       this.manager.applyLayout(this._layout);
     }
 
@@ -693,6 +736,8 @@ class Rendition {
       this._layout.spread(spread, min);
     }
 
+    this.clearParagraphCache();
+
     if (this.manager && this.manager.isRendered()) {
       this.manager.updateLayout();
     }
@@ -705,6 +750,8 @@ class Rendition {
   direction(dir) {
     this.settings.direction = dir || "ltr";
 
+    this.clearParagraphCache();
+
     if (this.manager) {
       this.manager.direction(this.settings.direction);
     }
@@ -897,6 +944,11 @@ class Rendition {
     // this.q.clear();
     // this.q = undefined;
 
+    this.readAloud && this.readAloud.destroy();
+    this.mediaOverlays && this.mediaOverlays.destroy();
+
+    this.clearParagraphCache();
+
     this.manager && this.manager.destroy();
 
     this.book = undefined;
@@ -1139,7 +1191,9 @@ class Rendition {
    * @private
    */
   adjustImages(contents) {
-    if (this._layout.name === "pre-paginated") {
+    const layout = this._sectionLayout(contents.sectionIndex);
+
+    if (layout.name === "pre-paginated") {
       return new Promise(function (resolve) {
         resolve();
       });
@@ -1157,8 +1211,8 @@ class Rendition {
     contents.addStylesheetRules({
       img: {
         "max-width":
-          (this._layout.columnWidth
-            ? this._layout.columnWidth - horizontalPadding + "px"
+          (layout.columnWidth
+            ? layout.columnWidth - horizontalPadding + "px"
             : "100%") + "!important",
         "max-height": height + "px" + "!important",
         "object-fit": "contain",
@@ -1168,8 +1222,8 @@ class Rendition {
       },
       svg: {
         "max-width":
-          (this._layout.columnWidth
-            ? this._layout.columnWidth - horizontalPadding + "px"
+          (layout.columnWidth
+            ? layout.columnWidth - horizontalPadding + "px"
             : "100%") + "!important",
         "max-height": height + "px" + "!important",
         "page-break-inside": "avoid",
@@ -1204,129 +1258,292 @@ class Rendition {
 
   /**
    * Get the text content of the currently viewed page (not the entire section/chapter)
+   *
+   * When more than one section is visible, in a spread or in continuous mode,
+   * their text is joined in reading order and the CFIs span all of them.
+   * @param {Object} [options] - The options object
+   * @param {boolean} [options.altText=false] - Include image alt text, svg titles, math alttext and figure captions, with the text built from the paragraphs of the page, one per line
    * @returns {{text: string, startCfi: string, endCfi: string}|null} Object containing the text content and CFI boundaries of the current visible page, or null if no view is visible
    */
-  getCurrentViewText() {
-    if (!this.manager) {
+  getCurrentViewText(options = {}) {
+    const visible = this._getVisibleRanges();
+
+    if (!visible.length) {
       return null;
     }
 
-    // Get the current location which includes the visible range
-    const location = this.manager.currentLocation();
+    try {
+      // Extract text from the range of every visible section
+      const text = visible
+        .map((item) => {
+          if (!options.altText && !item.fixed) {
+            return item.range.toString();
+          }
+
+          // Fixed layout text is read from the paragraphs in visual order
+          return this._getParagraphsFromRange(item.range, item.view.contents, {
+            altText: options.altText,
+            visualOrder: item.fixed ? this.settings.direction || "ltr" : undefined,
+          })
+            .map((paragraph) => paragraph.text)
+            .join("\n");
+        })
+        .join("\n");
 
-    if (!location || !location.length || !location[0]) {
+      return {
+        text: text,
+        startCfi: visible[0].mapping.start,
+        endCfi: visible[visible.length - 1].mapping.end,
+      };
+    } catch (e) {
+      console.error("Error extracting visible text:", e);
       return null;
     }
+  }
 
-    // Get the first visible section's mapping which contains the CFI range
-    const visibleSection = location[0];
+  /**
+   * Get the paragraphs from the currently viewed page (not the entire section/chapter)
+   *
+   * Every visible section is read in reading order and each paragraph
+   * is tagged with the `sectionIndex` it belongs to.
+   * @param {Object} [options] - The options object
+   * @param {boolean} [options.sentences=false] - Split each paragraph into `sentences`, each with its own CFI range
+   * @param {string} [options.locale] - Language used to find sentence boundaries, defaults to the lang of the content
+   * @param {string[]} [options.include] - Only return paragraphs of these kinds, such as "heading" or "paragraph"
+   * @param {string[]} [options.exclude] - Skip paragraphs of these kinds, such as "footnote"
+   * @param {boolean} [options.altText=false] - Add synthetic paragraphs, anchored at the element, for image alt text, svg titles, math alttext and figure captions
+   * @returns {Array<{text: string, cfiRange: string, sectionIndex: number}>|null} Array of paragraph objects containing text content and CFI range, or null if no view is visible
+   */
+  getCurrentViewParagraphs(options = {}) {
+    const { minLength = 50 } = options;
+    const visible = this._getVisibleRanges();
 
-    if (
-      !visibleSection.mapping ||
-      !visibleSection.mapping.start ||
-      !visibleSection.mapping.end
-    ) {
+    if (!visible.length) {
       return null;
     }
 
-    // Find the view for this section
-    const view = this.manager.views.find({ index: visibleSection.index });
+    try {
+      // Extract paragraphs from every visible section, in reading order
+      const paragraphs = [];
+      visible.forEach((item) => {
+        this._getParagraphsFromRange(
+          item.range,
+          item.view.contents,
+          item.fixed
+            ? Object.assign({}, options, { visualOrder: this.settings.direction || "ltr" })
+            : options
+        ).forEach((paragraph) => {
+          paragraph.sectionIndex = item.index;
+          paragraphs.push(paragraph);
+        });
+      });
+      return paragraphs;
+    } catch (e) {
+      console.error("Error extracting paragraphs:", e);
+      return null;
+    }
+  }
 
-    if (!view || !view.contents || !view.contents.document) {
+  /**
+   * Get the words of the currently viewed page, or of a paragraph on it,
+   * with a CFI range and character offset for each word
+   * @param {Object|string} [target] - A paragraph or CFI range, defaults to the visible page
+   * @param {Object} [options] - The options object
+   * @param {string} [options.locale] - Language used to find word boundaries, defaults to the lang of the content
+   * @returns {Array<{word: string, cfiRange: string, charOffset: number}>|null} Array of words, or null if no view is visible
+   */
+  getCurrentViewWords(target, options = {}) {
+    if (!this.manager) {
       return null;
     }
 
+    const wordOptions = {
+      locale: options.locale,
+      ignoreClass: this.settings.ignoreClass,
+    };
+
     try {
-      // Create CFI ranges for the visible page
-      const startCfi = new EpubCFI(visibleSection.mapping.start);
-      const endCfi = new EpubCFI(visibleSection.mapping.end);
+      if (target) {
+        const cfiRange = typeof target === "string" ? target : target.cfiRange;
+        const view = this.manager.views.find({
+          index: new EpubCFI(cfiRange).spinePos,
+        });
 
-      // Convert CFIs to DOM ranges
-      const startRange = startCfi.toRange(view.contents.document);
-      const endRange = endCfi.toRange(view.contents.document);
+        if (!view || !view.contents) {
+          return null;
+        }
 
-      if (!startRange || !endRange) {
-        return null;
+        return view.contents.words(cfiRange, wordOptions);
       }
 
-      // Create a range that encompasses the visible content
-      const range = view.contents.document.createRange();
-      range.setStart(startRange.startContainer, startRange.startOffset);
-      range.setEnd(endRange.endContainer, endRange.endOffset);
+      const visible = this._getVisibleRanges();
 
-      // Extract text from the range
-      const text = range.toString();
+      if (!visible.length) {
+        return null;
+      }
 
-      return {
-        text: text,
-        startCfi: visibleSection.mapping.start,
-        endCfi: visibleSection.mapping.end,
-      };
+      return visible.reduce((words, item) => {
+        return words.concat(item.view.contents.words(item.range, wordOptions));
+      }, []);
     } catch (e) {
-      console.error("Error extracting visible text:", e);
+      console.error("Error extracting words:", e);
       return null;
     }
   }
 
   /**
-   * Get the paragraphs from the currently viewed page (not the entire section/chapter)
-   * @returns {Array<{text: string, cfiRange: string}>|null} Array of paragraph objects containing text content and CFI range, or null if no view is visible
+   * Get the DOM range of every visible section, in reading order.
+   * A spread across a section boundary, or the continuous manager,
+   * can show more than one section at once.
+   *
+   * Pre-paginated sections are a single page, so the whole body is used
+   * and the pages of a spread are ordered left to right, or right to left
+   * for an rtl page progression.
+   * @returns {Array<{index: number, view: View, range: Range, mapping: EpubCFIPair, fixed: boolean}>} The visible ranges, empty if no view is visible
+   * @private
    */
-  getCurrentViewParagraphs(options = {}) {
-    const { minLength = 50 } = options;
+  _getVisibleRanges() {
     if (!this.manager) {
-      return null;
+      return [];
     }
 
     // Get the current location which includes the visible range
     const location = this.manager.currentLocation();
 
-    if (!location || !location.length || !location[0]) {
-      return null;
+    if (!location || !location.length) {
+      return [];
     }
 
-    const visibleSection = location[0];
+    const visible = location
+      .filter((visibleSection) => {
+        return (
+          visibleSection &&
+          (this._isFixedLayout(visibleSection.index) ||
+            (visibleSection.mapping &&
+              visibleSection.mapping.start &&
+              visibleSection.mapping.end))
+        );
+      })
+      .sort((a, b) => a.index - b.index)
+      .map((visibleSection) => {
+        // Find the view for this section
+        const view = this.manager.views.find({ index: visibleSection.index });
 
-    if (
-      !visibleSection.mapping ||
-      !visibleSection.mapping.start ||
-      !visibleSection.mapping.end
-    ) {
-      return null;
-    }
+        if (!view || !view.contents || !view.contents.document) {
+          return null;
+        }
 
-    // Find the view for this section
-    const view = this.manager.views.find({ index: visibleSection.index });
+        try {
+          if (this._isFixedLayout(visibleSection.index)) {
+            return this._getFixedLayoutRange(visibleSection, view);
+          }
 
-    if (!view || !view.contents || !view.contents.document) {
-      return null;
+          // Create CFI ranges for the visible page
+          const startCfi = new EpubCFI(visibleSection.mapping.start);
+          const endCfi = new EpubCFI(visibleSection.mapping.end);
+
+          // Convert CFIs to DOM ranges
+          const startRange = startCfi.toRange(view.contents.document);
+          const endRange = endCfi.toRange(view.contents.document);
+
+          if (!startRange || !endRange) {
+            return null;
+          }
+
+          // Create a range that encompasses the visible content
+          const range = view.contents.document.createRange();
+          range.setStart(startRange.startContainer, startRange.startOffset);
+          range.setEnd(endRange.endContainer, endRange.endOffset);
+
+          return {
+            index: visibleSection.index,
+            view,
+            range,
+            mapping: visibleSection.mapping,
+            fixed: false,
+          };
+        } catch (e) {
+          console.error("Error getting the visible range:", e);
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    if (visible.length > 1 && visible.every((item) => item.fixed)) {
+      // Order the pages of a spread as they are shown
+      const rtl = this.settings.direction === "rtl";
+      visible.sort((a, b) => {
+        const left = a.view.position().left - b.view.position().left;
+        return rtl ? -left : left;
+      });
     }
 
-    try {
-      // Create CFI ranges for the visible page
-      const startCfi = new EpubCFI(visibleSection.mapping.start);
-      const endCfi = new EpubCFI(visibleSection.mapping.end);
+    return visible;
+  }
 
-      // Convert CFIs to DOM ranges
-      const startRange = startCfi.toRange(view.contents.document);
-      const endRange = endCfi.toRange(view.contents.document);
+  /**
+   * Check if a section is rendered as pre-paginated
+   * @param {number} index - The index of the section in the spine
+   * @returns {boolean}
+   * @private
+   */
+  _isFixedLayout(index) {
+    const layout = this._sectionLayout(index);
+    return !!layout && layout.name === "pre-paginated";
+  }
 
-      if (!startRange || !endRange) {
-        return null;
-      }
+  /**
+   * Get the layout of a section, which differs from the layout of the book
+   * when its spine item sets rendition properties
+   * @param {number} index - The index of the section in the spine
+   * @returns {Layout}
+   * @private
+   */
+  _sectionLayout(index) {
+    const section =
+      this.book && this.book.spine && this.book.spine.get(index);
 
-      // Create a range that encompasses the visible content
-      const range = view.contents.document.createRange();
-      range.setStart(startRange.startContainer, startRange.startOffset);
-      range.setEnd(endRange.endContainer, endRange.endOffset);
+    if (section && this.manager && this.manager.layoutFor) {
+      return this.manager.layoutFor(section);
+    }
 
-      // Extract paragraphs from the range
-      const paragraphs = this._getParagraphsFromRange(range, view.contents);
-      return paragraphs;
-    } catch (e) {
-      console.error("Error extracting paragraphs:", e);
+    return this._layout || (this.manager && this.manager.layout);
+  }
+
+  /**
+   * Get the range of a pre-paginated section, which is always the whole body,
+   * as the page mapping of absolutely positioned content is unreliable
+   * @param {Object} visibleSection - The location of the section
+   * @param {View} view - The view of the section
+   * @returns {{index: number, view: View, range: Range, mapping: EpubCFIPair, fixed: boolean}|null} The range of the section
+   * @private
+   */
+  _getFixedLayoutRange(visibleSection, view) {
+    const document = view.contents.document;
+    const body = document.body || document.querySelector("body");
+
+    if (!body) {
       return null;
     }
+
+    const range = document.createRange();
+    range.selectNodeContents(body);
+
+    const start = range.cloneRange();
+    const end = range.cloneRange();
+    start.collapse(true);
+    end.collapse(false);
+
+    return {
+      index: visibleSection.index,
+      view,
+      range,
+      mapping: {
+        start: new EpubCFI(start, view.contents.cfiBase, this.settings.ignoreClass).toString(),
+        end: new EpubCFI(end, view.contents.cfiBase, this.settings.ignoreClass).toString(),
+      },
+      fixed: true,
+    };
   }
 //   interface Paragraph {
 // 	text: string
@@ -1351,62 +1568,37 @@ class Rendition {
    * Get the paragraphs from the next view/page
    * @param {Object} options - The options object
    * @param {number} options.minLength - The minimum length of the paragraphs
+   * @param {boolean} [options.sentences=false] - Split each paragraph into `sentences`, each with its own CFI range
+   * @param {string} [options.locale] - Language used to find sentence boundaries
+   * @param {string[]} [options.include] - Only return paragraphs of these kinds
+   * @param {string[]} [options.exclude] - Skip paragraphs of these kinds
+   * @param {boolean} [options.altText=false] - Add synthetic paragraphs for images, svg, math and figures
    * @returns {Promise<Array<{text: string, cfiRange: string}>|null>} Promise that resolves to array of paragraph objects containing text content and CFI range, or null if no next view exists
    */
   async getNextViewParagraphs(options = {minLength: 50}){
     const { minLength = 50 } = options
-    if (!this.manager) {
-      return []
-    }
+    const visible = this._getVisibleSection(true)
 
-    const location = this.manager.currentLocation()
-
-    if (!location || !Array.isArray(location) || !location.length || !location[0]) {
+    if (!visible) {
       return []
     }
 
-    const currentSection = location[0] 
-    if (
-      !currentSection.mapping ||
-      !(currentSection.mapping).start ||
-      !(currentSection.mapping ).end
-    ) {
-      return []
-    }
+    const { currentSection, currentView } = visible
 
-    const currentView = this.manager.views.find({
-        index: currentSection.index
-      })
-    
+    // Later prefetches use the same options, so they hit the cache
+    this._prefetchOptions = options
 
-    if (
-      !currentView ||
-      !(currentView).section ||
-      !(currentView).contents
-    ) {
+    const [next] = this._getPagesAhead(currentView, currentSection, 1, options)
+
+    if (!next) {
       return []
     }
 
-    const hasNextPageInSection = this._hasNextPageInCurrentSection(
-      currentView ,
-      currentSection
-    )
 	/**
 	 * Paragraphs array
 	 * @type {Paragraph[]}
 	 */
-    let paragraphs
-    if (hasNextPageInSection) {
-      paragraphs = await this._getNextPageParagraphsInSectionAsync(
-        currentView,
-        currentSection
-      )
-    } else {
-      const nextSectionParagraphs = await this._getFirstPageParagraphsInNextSection(
-        currentView
-      )
-      paragraphs = nextSectionParagraphs
-    }
+    let paragraphs = (await this._getCachedPage(next)) || []
 
     if (minLength > 0) {
       paragraphs = paragraphs.filter((p) => p.text.length >= minLength)
@@ -1416,16 +1608,221 @@ class Rendition {
   }
 
    
+  /**
+   * Get the paragraphs from the previous view/page
+   *
+   * When the previous page is the last one of a section that isn't rendered,
+   * its layout is unknown: the page is approximated by the trailing paragraphs
+   * of that section holding as much text as the current page.
+   * @param {Object} options - The options object
+   * @param {number} options.minLength - The minimum length of the paragraphs
+   * @param {boolean} [options.sentences=false] - Split each paragraph into `sentences`, each with its own CFI range
+   * @param {string} [options.locale] - Language used to find sentence boundaries
+   * @param {string[]} [options.include] - Only return paragraphs of these kinds
+   * @param {string[]} [options.exclude] - Skip paragraphs of these kinds
+   * @param {boolean} [options.altText=false] - Add synthetic paragraphs for images, svg, math and figures
+   * @returns {Promise<Paragraph[]>} Promise that resolves to array of paragraph objects containing text content and CFI range, or an empty array if there is no previous page
+   */
+  async getPreviousViewParagraphs(options = { minLength: 50 }) {
+    const { minLength = 50 } = options;
+    const visible = this._getVisibleSection(false);
+
+    if (!visible) {
+      return [];
+    }
+
+    const { currentSection, currentView } = visible;
+
+    let paragraphs;
+    if (this._hasPreviousPageInCurrentSection(currentSection)) {
+      paragraphs = await this._getPreviousPageParagraphsInSectionAsync(
+        currentView,
+        currentSection,
+        options
+      );
+    } else {
+      paragraphs = await this._getLastPageParagraphsInPreviousSection(
+        currentView,
+        options
+      );
+    }
+
+    if (minLength > 0) {
+      paragraphs = paragraphs.filter((p) => p.text.length >= minLength);
+    }
+
+    return paragraphs;
+  }
+
+  /**
+   * Get the first or last visible section, with the view it is rendered in.
+   * A spread across a section boundary shows two sections: the pages ahead
+   * follow the last one and the pages behind precede the first one.
+   * @param {boolean} last - Get the last visible section instead of the first
+   * @returns {{currentSection: Object, currentView: View}|null} The section location data and its view, or null if no section is visible
+   * @private
+   */
+  _getVisibleSection(last) {
+    const location = this.manager && this.manager.currentLocation();
+
+    if (!Array.isArray(location)) {
+      return null;
+    }
+
+    const sections = location
+      .filter((visibleSection) => {
+        return (
+          visibleSection &&
+          visibleSection.mapping &&
+          visibleSection.mapping.start &&
+          visibleSection.mapping.end
+        );
+      })
+      .sort((a, b) => a.index - b.index);
+
+    const currentSection = last ? sections[sections.length - 1] : sections[0];
+
+    if (!currentSection) {
+      return null;
+    }
+
+    const currentView = this.manager.views.find({
+      index: currentSection.index,
+    });
+
+    if (!currentView || !currentView.section || !currentView.contents) {
+      return null;
+    }
+
+    return { currentSection, currentView };
+  }
+
+  /**
+   * Get the pages following the current one, each with the key of its
+   * paragraphs in the cache and a function extracting them.
+   * Pages are read from the current view until the end of its section,
+   * after which only the first page of the next section can be mapped.
+   * @param {View} currentView - The current view
+   * @param {Object} currentSection - The current section location data
+   * @param {number} depth - The number of pages to read ahead
+   * @param {Object} [options] - Paragraph extraction options
+   * @returns {Array<{key: string, extract: function(): Promise<Paragraph[]>}>} the pages ahead
+   * @private
+   */
+  _getPagesAhead(currentView, currentSection, depth, options) {
+    const pages = [];
+
+    if (this._hasNextPageInCurrentSection(currentView, currentSection)) {
+      let page = currentSection.pages[currentSection.pages.length - 1] + 1;
+
+      pages.push({
+        key: this.paragraphCache.key(currentSection.index, page, options),
+        extract: () => this._getNextPageParagraphsInSectionAsync(
+          currentView,
+          currentSection,
+          options
+        )
+      });
+
+      while (pages.length < depth && page < currentSection.totalPages) {
+        // Pages are numbered from 1, mappings are offset from 0
+        const offset = page;
+        page += 1;
+
+        pages.push({
+          key: this.paragraphCache.key(currentSection.index, page, options),
+          extract: async () => {
+            const mapping = this._getPageMapping(
+              currentView.contents,
+              currentView.section,
+              offset
+            );
+            return this._getParagraphsFromMapping(currentView.contents, mapping, options);
+          }
+        });
+      }
+    }
+
+    const nextSection = currentView.section.next();
+
+    if (pages.length < depth && nextSection) {
+      pages.push({
+        key: this.paragraphCache.key(nextSection.index, 1, options),
+        extract: () => this._getFirstPageParagraphsInNextSection(currentView, options)
+      });
+    }
+
+    return pages;
+  }
+
+  /**
+   * Get the paragraphs of a page from the paragraph cache,
+   * extracting and caching them when they are not there yet
+   * @param {{key: string, extract: function(): Promise<Paragraph[]>}} page - A page from _getPagesAhead
+   * @returns {Promise<Paragraph[]>} Promise that resolves to the paragraphs of the page
+   * @private
+   */
+  _getCachedPage(page) {
+    return this.paragraphCache.get(page.key) ||
+      this.paragraphCache.set(page.key, Promise.resolve().then(page.extract));
+  }
+
+  /**
+   * Extract the paragraphs of the pages following the current one into
+   * the paragraph cache, so the next calls to getNextViewParagraphs
+   * do not have to map or load them, even after turning pages.
+   * Runs after each relocation, once the page has been displayed.
+   * @private
+   */
+  _prefetchParagraphs() {
+    const depth = this.settings.prefetch;
+
+    if (!depth || !this.manager) {
+      return;
+    }
+
+    clearTimeout(this._prefetching);
+    this._prefetching = setTimeout(() => {
+      this._prefetching = undefined;
+
+      const visible = this._getVisibleSection(true);
+
+      if (!visible) {
+        return;
+      }
+
+      const { currentSection, currentView } = visible;
+      const options = this._prefetchOptions || {};
+
+      // Each page is kept under its own key, pages already extracted are reused
+      this._getPagesAhead(currentView, currentSection, depth, options)
+        .forEach((page) => this._getCachedPage(page));
+    });
+  }
+
+  /**
+   * Remove the prefetched paragraphs, as the pages they were extracted
+   * from no longer match the layout
+   */
+  clearParagraphCache() {
+    clearTimeout(this._prefetching);
+    this._prefetching = undefined;
+
+    this.paragraphCache && this.paragraphCache.clear();
+  }
+
   /**
    * 
    * Get paragraphs from the next page within the current section
    * @param {View} currentView - The current view
    * @param {Section} currentSection - The current section location data
+   * @param {Object} [options] - Paragraph extraction options
    * @returns {Promise<Paragraph[]>} Promise that resolves to array of paragraph objects containing text content and CFI range, or null if no next page exists
    */
    async _getNextPageParagraphsInSectionAsync(
     currentView,
-    currentSection
+    currentSection,
+    options
   ){
     try {
       const layout = this.manager.layout
@@ -1436,16 +1833,9 @@ class Rendition {
       const nextPageStart = currentPage * layout.pageWidth
       const nextPageEnd = nextPageStart + layout.pageWidth
 
-      const nextPageMapping = (
-        (this.manager!.mapping as Record<string, unknown>).page as (
-          contents: Contents,
-          cfiBase: string,
-          start: number,
-          end: number
-        ) => Record<string, unknown>
-      )(
-        currentView.contents as Contents,
-        (currentView.section as Record<string, unknown>).cfiBase as string,
+      const nextPageMapping = this.manager.mapping.page(
+        currentView.contents,
+        currentView.section.cfiBase,
         nextPageStart,
         nextPageEnd
       )
@@ -1454,11 +1844,11 @@ class Rendition {
         return []
       }
 
-      const startCfi = new EpubCFI(nextPageMapping.start as string)
-      const endCfi = new EpubCFI(nextPageMapping.end as string)
+      const startCfi = new EpubCFI(nextPageMapping.start)
+      const endCfi = new EpubCFI(nextPageMapping.end)
 
-      let startRange = startCfi.toRange((currentView.contents as Contents).document)
-      let endRange = endCfi.toRange((currentView.contents as Contents).document)
+      let startRange = startCfi.toRange(currentView.contents.document)
+      let endRange = endCfi.toRange(currentView.contents.document)
 
       if (!startRange || !endRange) {
         return []
@@ -1475,11 +1865,11 @@ class Rendition {
         console.error('Error comparing range boundaries:', e)
       }
 
-      const range = (currentView.contents as Contents).document.createRange()
+      const range = currentView.contents.document.createRange()
       range.setStart(startRange.startContainer, startRange.startOffset)
       range.setEnd(endRange.endContainer, endRange.endOffset)
 
-      const paragraphs = this._getParagraphsFromRange(range, currentView.contents as Contents)
+      const paragraphs = this._getParagraphsFromRange(range, currentView.contents, options)
 
       return paragraphs
     } catch (e) {
@@ -1498,37 +1888,29 @@ class Rendition {
   _hasNextPageInCurrentSection(currentView, currentSection) {
     // Use page numbers from location data
     if (!currentSection.pages || !currentSection.totalPages) {
-      console.log("_hasNextPageInCurrentSection: No pages or totalPages data");
       return false;
     }
 
     // Check if current page is less than total pages
     const currentPage = currentSection.pages[currentSection.pages.length - 1];
-    const hasNext = currentPage < currentSection.totalPages;
-
-    console.log("_hasNextPageInCurrentSection:", {
-      currentPage,
-      totalPages: currentSection.totalPages,
-      hasNext,
-    });
-
-    return hasNext;
+    return currentPage < currentSection.totalPages;
   }
 
 
   /**
    * Get paragraphs from the first page of the next section
+   *
+   * If the next section is rendered its first page is mapped exactly,
+   * otherwise it is approximated, see _getUnrenderedPageParagraphs.
    * @param {View} currentView - The current view
+   * @param {Object} [options] - Paragraph extraction options
    * @returns {Promise<Paragraph[]>} Promise that resolves to array of paragraph objects
    * @private
    */
-  async _getFirstPageParagraphsInNextSection(currentView) {
+  async _getFirstPageParagraphsInNextSection(currentView, options) {
     const nextSection = currentView.section.next();
 
     if (!nextSection) {
-      console.log(
-        "_getFirstPageParagraphsInNextSection: No next section available"
-      );
       return []; // No next section available
     }
 
@@ -1536,81 +1918,7 @@ class Rendition {
     let nextView = this.manager.views.find({ index: nextSection.index });
 
     if (!nextView) {
-      // The next section is not loaded as a view yet
-      // Load the section content directly without creating a view
-      try {
-        console.log(
-          "_getFirstPageParagraphsInNextSection: Loading next section"
-        );
-        // Load the section content directly using the book's load method with timeout
-        const loadPromise = nextSection.load(this.book.load.bind(this.book));
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error("Section load timeout")), 10000)
-        );
-
-        const loadedContent = await Promise.race([loadPromise, timeoutPromise]);
-
-        if (!loadedContent || !loadedContent.document) {
-          return [];
-        }
-
-        const document = loadedContent.document;
-        const body = document.body;
-
-        if (!body) {
-          return [];
-        }
-
-        // Create a Contents object from the loaded section
-        const contents = new Contents(
-          document,
-          body,
-          nextSection.cfiBase,
-          nextSection.index
-        );
-
-        // Get the first page mapping instead of the entire section
-        const firstPageMapping = this._getFirstPageMapping(
-          contents,
-          nextSection
-        );
-
-        if (
-          !firstPageMapping ||
-          !firstPageMapping.start ||
-          !firstPageMapping.end
-        ) {
-          return [];
-        }
-
-        // Convert CFIs to DOM ranges
-        const startCfi = new EpubCFI(firstPageMapping.start);
-        const endCfi = new EpubCFI(firstPageMapping.end);
-
-        const startRange = startCfi.toRange(document);
-        const endRange = endCfi.toRange(document);
-
-        if (!startRange || !endRange) {
-          return [];
-        }
-
-        // Create a range that encompasses the first page content
-        const range = document.createRange();
-        range.setStart(startRange.startContainer, startRange.startOffset);
-        range.setEnd(endRange.endContainer, endRange.endOffset);
-
-        // Extract paragraphs from the range
-        const paragraphs = this._getParagraphsFromRange(range, contents);
-        console.log(
-          "_getFirstPageParagraphsInNextSection: Found",
-          paragraphs.length,
-          "paragraphs in loaded section"
-        );
-        return paragraphs;
-      } catch (e) {
-        console.error("Error loading next section content:", e);
-        return [];
-      }
+      return this._getUnrenderedPageParagraphs(nextSection, false, options);
     }
 
     // If the view is already loaded, use it
@@ -1619,9 +1927,6 @@ class Rendition {
     }
 
     try {
-      console.log(
-        "_getFirstPageParagraphsInNextSection: Using already loaded view"
-      );
       // Get the first page mapping instead of the entire section
       const firstPageMapping = this._getFirstPageMapping(
         nextView.contents,
@@ -1653,13 +1958,11 @@ class Rendition {
       range.setEnd(endRange.endContainer, endRange.endOffset);
 
       // Extract paragraphs from the range
-      const paragraphs = this._getParagraphsFromRange(range, nextView.contents);
-      console.log(
-        "_getFirstPageParagraphsInNextSection: Found",
-        paragraphs.length,
-        "paragraphs in existing view"
+      return this._getParagraphsFromRange(
+        range,
+        nextView.contents,
+        options
       );
-      return paragraphs;
     } catch (e) {
       console.error("Error extracting paragraphs from next view:", e);
       return [];
@@ -1690,247 +1993,260 @@ class Rendition {
   }
 
   /**
-   * Get paragraphs from a range by extracting text and splitting it logically
-   * @param {Range} range - The range that defines the visible area
-   * @param {Contents} contents - The contents object for CFI generation
-   * @returns {Array<{text: string, cfiRange: string}>} Array of paragraph objects
+   * Check if there's a previous page within the current section
+   * @param {Object} currentSection - The current section location data
+   * @returns {boolean} True if there's a previous page in the current section
    * @private
    */
-  _getParagraphsFromRange(range, contents) {
-    const paragraphs = [];
+  _hasPreviousPageInCurrentSection(currentSection) {
+    if (!currentSection.pages || !currentSection.pages.length) {
+      return false;
+    }
+
+    return currentSection.pages[0] > 1;
+  }
 
+  /**
+   * Get paragraphs from the previous page within the current section
+   * @param {View} currentView - The current view
+   * @param {Section} currentSection - The current section location data
+   * @param {Object} [options] - Paragraph extraction options
+   * @returns {Promise<Paragraph[]>} Promise that resolves to array of paragraph objects
+   * @private
+   */
+  async _getPreviousPageParagraphsInSectionAsync(
+    currentView,
+    currentSection,
+    options
+  ) {
     try {
-      // Get the full text from the range (same as getCurrentViewText)
-      const fullText = range.toString();
-      console.log(
-        "_getParagraphsFromRange: Starting extraction, text length:",
-        fullText.length,
-        "preview:",
-        fullText.substring(0, 100)
+      // Pages are numbered from 1, mappings are offset from 0
+      const previousPage = currentSection.pages[0] - 2;
+      const mapping = this._getPageMapping(
+        currentView.contents,
+        currentView.section,
+        previousPage
       );
 
-      if (!fullText.trim()) {
-        console.log("_getParagraphsFromRange: No text in range");
+      return this._getParagraphsFromMapping(
+        currentView.contents,
+        mapping,
+        options
+      );
+    } catch (e) {
+      console.error("Error extracting previous page paragraphs:", e);
+      return [];
+    }
+  }
+
+  /**
+   * Get paragraphs from the last page of the previous section
+   *
+   * If the previous section is rendered its last page is mapped exactly,
+   * otherwise it is approximated, see _getUnrenderedPageParagraphs.
+   * @param {View} currentView - The current view
+   * @param {Object} [options] - Paragraph extraction options
+   * @returns {Promise<Paragraph[]>} Promise that resolves to array of paragraph objects
+   * @private
+   */
+  async _getLastPageParagraphsInPreviousSection(currentView, options) {
+    const previousSection = currentView.section.prev();
+
+    if (!previousSection) {
+      return [];
+    }
+
+    const previousView = this.manager.views.find({
+      index: previousSection.index,
+    });
+
+    if (previousView && previousView.contents && previousView.contents.document) {
+      try {
+        const horizontal = this.manager.settings.axis === "horizontal";
+        const length = horizontal ? previousView.width() : previousView.height();
+        const pageLength = horizontal
+          ? this.manager.layout.pageWidth
+          : this.manager.layout.height;
+        const lastPage = Math.max(Math.ceil(length / pageLength) - 1, 0);
+        const mapping = this._getPageMapping(
+          previousView.contents,
+          previousView.section,
+          lastPage
+        );
+
+        return this._getParagraphsFromMapping(
+          previousView.contents,
+          mapping,
+          options
+        );
+      } catch (e) {
+        console.error("Error extracting paragraphs from previous view:", e);
         return [];
       }
+    }
+
+    return this._getUnrenderedPageParagraphs(previousSection, true, options);
+  }
 
-      // Get the document from the range
-      const document = range.commonAncestorContainer.ownerDocument;
-      if (!document) {
-        console.log("_getParagraphsFromRange: No document found");
+  /**
+   * Get the paragraphs of the first or last page of a section that isn't rendered
+   *
+   * Without a layout the page size is unknown, so the page is approximated by
+   * the leading or trailing paragraphs holding as much text as the current page.
+   * The section is loaded, and unloaded again if it wasn't before.
+   * @param {Section} section - The section to read
+   * @param {boolean} last - Read the last page instead of the first one
+   * @param {Object} [options] - Paragraph extraction options
+   * @returns {Promise<Paragraph[]>} Promise that resolves to array of paragraph objects
+   * @private
+   */
+  async _getUnrenderedPageParagraphs(section, last, options) {
+    const loaded = !!section.contents;
+    const loadPromise = section.load(this.book.load.bind(this.book));
+    let timeout;
+
+    try {
+      const timeoutPromise = new Promise((_, reject) => {
+        timeout = setTimeout(() => reject(new Error("Section load timeout")), 10000);
+      });
+
+      const loadedContent = await Promise.race([loadPromise, timeoutPromise]);
+      const document = section.document;
+
+      if (!loadedContent || !document) {
         return [];
       }
 
-      // Find all text nodes within the range
-      const textNodes = this._getTextNodesInRange(range);
-      console.log(
-        "_getParagraphsFromRange: Found text nodes:",
-        textNodes.length
-      );
+      const body = document.body || document.querySelector("body");
 
-      if (textNodes.length === 0) {
-        console.log("_getParagraphsFromRange: No text nodes in range");
+      if (!body) {
         return [];
       }
 
-      // Group text nodes by their containing block elements
-      const blockElementToTextNodes = new Map();
+      // Only the cfiBase is needed, avoid attaching Contents listeners
+      // to a document that is never displayed
+      const range = document.createRange();
+      range.selectNodeContents(body);
 
-      for (const textNode of textNodes) {
-        const blockElement = this._findContainingBlockElement(textNode);
-        if (blockElement) {
-          if (!blockElementToTextNodes.has(blockElement)) {
-            blockElementToTextNodes.set(blockElement, []);
-          }
-          blockElementToTextNodes.get(blockElement).push(textNode);
+      const paragraphs = this._getParagraphsFromRange(
+        range,
+        { cfiBase: section.cfiBase },
+        options
+      );
+
+      const current = this.getCurrentViewText();
+      const budget = current && current.text ? current.text.length : 0;
+      const ordered = last ? paragraphs.reverse() : paragraphs;
+      const page = [];
+      let used = 0;
+
+      for (const paragraph of ordered) {
+        if (page.length && (!budget || used + paragraph.text.length > budget)) {
+          break;
         }
+        used += paragraph.text.length;
+        page.push(paragraph);
       }
 
-      console.log(
-        "_getParagraphsFromRange: Block elements found:",
-        blockElementToTextNodes.size
-      );
+      return last ? page.reverse() : page;
+    } catch (e) {
+      console.error("Error loading section content:", e);
+      return [];
+    } finally {
+      clearTimeout(timeout);
 
-      // Create paragraphs from grouped text nodes
-      for (const [blockElement, textNodes] of blockElementToTextNodes) {
-        try {
-          // Extract text from these specific text nodes
-          let elementText = "";
-          let firstTextNode = null;
-          let lastTextNode = null;
-          let firstTextOffset = 0;
-          let lastTextOffset = 0;
-
-          for (const textNode of textNodes) {
-            const nodeText = textNode.textContent || "";
-
-            // Track first and last text nodes for range creation
-            if (!firstTextNode) {
-              firstTextNode = textNode;
-            }
-            lastTextNode = textNode;
+      if (!loaded) {
+        // Once loaded, even if it took longer than the timeout
+        loadPromise.then(() => section.unload(), () => {});
+      }
+    }
+  }
 
-            // Check if this is the same node as both start and end container
-            if (
-              textNode === range.startContainer &&
-              textNode === range.endContainer
-            ) {
-              elementText += nodeText.substring(
-                range.startOffset,
-                range.endOffset
-              );
-              firstTextOffset = range.startOffset;
-              lastTextOffset = range.endOffset;
-            }
-            // If this is the start node, trim from the beginning
-            else if (textNode === range.startContainer) {
-              elementText += nodeText.substring(range.startOffset);
-              firstTextOffset = range.startOffset;
-              // If this is also the last node, set lastTextOffset
-              if (textNode === lastTextNode) {
-                lastTextOffset = nodeText.length;
-              }
-            }
-            // If this is the end node, trim from the end
-            else if (textNode === range.endContainer) {
-              elementText += nodeText.substring(0, range.endOffset);
-              lastTextOffset = range.endOffset;
-              // If this is also the first node, set firstTextOffset
-              if (textNode === firstTextNode) {
-                firstTextOffset = 0;
-              }
-            }
-            // Otherwise, include the full text (middle node)
-            else {
-              elementText += nodeText;
-              // If this is the first node, set firstTextOffset
-              if (textNode === firstTextNode) {
-                firstTextOffset = 0;
-              }
-              // If this is the last node, set lastTextOffset
-              if (textNode === lastTextNode) {
-                lastTextOffset = nodeText.length;
-              }
-            }
-          }
+  /**
+   * Get the CFI mapping for a page of a section
+   * @param {Contents} contents - The contents object
+   * @param {Section} section - The section object
+   * @param {number} page - Index of the page, starting at 0
+   * @returns {Object|null} The CFI mapping for the page
+   * @private
+   */
+  _getPageMapping(contents, section, page) {
+    const layout = this.manager.layout;
+    const pageLength =
+      this.manager.settings.axis === "horizontal"
+        ? layout.pageWidth
+        : layout.height;
+    const start = page * pageLength;
+
+    return this.manager.mapping.page(
+      contents,
+      section.cfiBase,
+      start,
+      start + pageLength
+    );
+  }
+
+  /**
+   * Get paragraphs between the start and end of a page mapping
+   * @param {Contents} contents - The contents object
+   * @param {EpubCFIPair} mapping - The page mapping
+   * @param {Object} [options] - Paragraph extraction options
+   * @returns {Paragraph[]} Array of paragraph objects
+   * @private
+   */
+  _getParagraphsFromMapping(contents, mapping, options) {
+    if (!mapping || !mapping.start || !mapping.end) {
+      return [];
+    }
 
-          // Don't normalize whitespace here - preserve original spacing
-          // The normalization should happen at the test level for comparison
-          elementText = elementText.trim();
+    let startRange = new EpubCFI(mapping.start).toRange(contents.document);
+    let endRange = new EpubCFI(mapping.end).toRange(contents.document);
 
-          // Skip empty paragraphs
-          if (!elementText || !firstTextNode || !lastTextNode) {
-            continue;
-          }
+    if (!startRange || !endRange) {
+      return [];
+    }
 
-          // Create a DOM Range for the paragraph's actual text content
-          const paragraphRange = document.createRange();
-
-          // Validate offsets before setting range boundaries
-          const maxStartOffset = firstTextNode.textContent
-            ? firstTextNode.textContent.length
-            : 0;
-          const maxEndOffset = lastTextNode.textContent
-            ? lastTextNode.textContent.length
-            : 0;
-
-          // Ensure offsets are within valid bounds
-          const validFirstOffset = Math.min(
-            Math.max(firstTextOffset, 0),
-            maxStartOffset
-          );
-          const validLastOffset = Math.min(
-            Math.max(lastTextOffset, 0),
-            maxEndOffset
-          );
-
-          // Set start to the beginning of the first text node (accounting for trimming)
-          paragraphRange.setStart(firstTextNode, validFirstOffset);
-
-          // Set end to the end of the last text node (accounting for trimming)
-          paragraphRange.setEnd(lastTextNode, validLastOffset);
-
-          // Generate CFI for the block element itself to ensure uniqueness
-          // This creates a single-point CFI that uniquely identifies this paragraph element
-          const elementCfi = new EpubCFI(
-            blockElement,
-            contents.cfiBase,
-            this.settings.ignoreClass
-          );
-
-          let startCfi, endCfi, cfiRange;
-
-          // For paragraphs, we treat each as a single element with the same start and end CFI
-          // This matches the test expectation that startCfi === endCfi for single paragraphs
-          const mainCfi = elementCfi.toString();
-          startCfi = mainCfi;
-          endCfi = mainCfi;
-
-          // For highlighting, we can use the range CFI that spans the text content
-          const rangeCfiObj = new EpubCFI(
-            paragraphRange,
-            contents.cfiBase,
-            this.settings.ignoreClass
-          );
-          cfiRange = rangeCfiObj.toString();
-
-          // Verify CFI can be parsed
-          try {
-            const testCfi = new EpubCFI(mainCfi);
-            if (!testCfi.path || !testCfi.base) {
-              continue;
-            }
+    if (startRange.compareBoundaryPoints(Range.START_TO_START, endRange) > 0) {
+      const temp = startRange;
+      startRange = endRange;
+      endRange = temp;
+    }
 
-            // Also verify the range CFI
-            const testRangeCfi = new EpubCFI(cfiRange);
-            if (!testRangeCfi.path || !testRangeCfi.base) {
-              cfiRange = mainCfi; // Fallback to element CFI
-            }
-          } catch (e) {
-            continue;
-          }
+    const range = contents.document.createRange();
+    range.setStart(startRange.startContainer, startRange.startOffset);
+    range.setEnd(endRange.endContainer, endRange.endOffset);
 
-          paragraphs.push({
-            text: elementText,
-            startCfi: startCfi,
-            endCfi: endCfi,
-            cfiRange: cfiRange, // Add full range CFI for highlighting
-          });
-        } catch (e) {
-          console.error("❌ Error processing block element:", e);
-          continue;
-        }
-      }
+    return this._getParagraphsFromRange(range, contents, options);
+  }
 
-      // Fallback: if no paragraphs found but we have text, create one paragraph from entire range
-      if (paragraphs.length === 0 && fullText.trim()) {
-        console.log(
-          "_getParagraphsFromRange: No block elements found, using fallback extraction"
-        );
-        try {
-          const cfi = new EpubCFI(
-            range,
-            contents.cfiBase,
-            this.settings.ignoreClass
-          );
-          const cfiString = cfi.toString();
-          paragraphs.push({
-            text: fullText.trim(),
-            cfiRange: cfiString,
-            startCfi: cfiString,
-            endCfi: cfiString,
-          });
-        } catch (e) {
-          console.error("Error creating fallback paragraph:", e);
+  /**
+   * Get paragraphs from a range by extracting text and splitting it logically
+   * @param {Range} range - The range that defines the visible area
+   * @param {Contents} contents - The contents object for CFI generation
+   * @param {Object} [options] - Paragraph extraction options
+   * @param {boolean} [options.sentences] - Split each paragraph into sentences
+   * @param {string} [options.locale] - Language used to find sentence boundaries
+   * @param {string[]} [options.include] - Only return paragraphs of these kinds
+   * @param {string[]} [options.exclude] - Skip paragraphs of these kinds
+   * @param {boolean} [options.altText=false] - Add synthetic paragraphs for images, svg, math and figures
+   * @returns {Array<{text: string, cfiRange: string, kind: string}>} Array of paragraph objects
+   * @private
+   */
+  _getParagraphsFromRange(range, contents, options = {}) {
+    try {
+      return getParagraphsFromRange(
+        range,
+        contents.cfiBase,
+        this.settings.ignoreClass,
+        {
+          sentences: options.sentences,
+          locale: options.locale,
+          include: options.include,
+          exclude: options.exclude,
+          altText: options.altText,
+          visualOrder: options.visualOrder,
         }
-      }
-
-      console.log(
-        "_getParagraphsFromRange: Returning",
-        paragraphs.length,
-        "paragraphs"
       );
-      return paragraphs;
     } catch (e) {
       console.error("Error getting paragraphs from range:", e);
       return [];
@@ -1944,45 +2260,7 @@ class Rendition {
    * @private
    */
   _getTextNodesInRange(range) {
-    const textNodes = [];
-
-    try {
-      // Validate range first
-      if (!range || !range.commonAncestorContainer) {
-        console.error("_getTextNodesInRange: Invalid range provided");
-        return textNodes;
-      }
-
-      const walker =
-        range.commonAncestorContainer.ownerDocument.createTreeWalker(
-          range.commonAncestorContainer,
-          NodeFilter.SHOW_TEXT,
-          {
-            acceptNode: function (node) {
-              try {
-                // Skip empty or whitespace-only text nodes
-                if (!node.textContent || !node.textContent.trim()) {
-                  return NodeFilter.FILTER_REJECT;
-                }
-                return range.intersectsNode(node)
-                  ? NodeFilter.FILTER_ACCEPT
-                  : NodeFilter.FILTER_REJECT;
-              } catch (e) {
-                return NodeFilter.FILTER_REJECT;
-              }
-            },
-          }
-        );
-
-      let node;
-      while ((node = walker.nextNode())) {
-        textNodes.push(node);
-      }
-    } catch (e) {
-      console.error("Error getting text nodes in range:", e);
-    }
-
-    return textNodes;
+    return getTextNodesInRange(range);
   }
 
   /**
@@ -1992,33 +2270,7 @@ class Rendition {
    * @private
    */
   _findContainingBlockElement(textNode) {
-    const blockSelectors =
-      "p, div, h1, h2, h3, h4, h5, h6, li, blockquote, pre, article, section, aside, header, footer, main, nav, figure, figcaption, dd, dt";
-
-    let element = textNode.parentElement;
-
-    while (element) {
-      try {
-        if (element.matches && element.matches(blockSelectors)) {
-          return element;
-        }
-      } catch (e) {
-        // Fallback for older browsers
-        const selectors = blockSelectors.split(", ");
-        for (const selector of selectors) {
-          try {
-            if (element.matches && element.matches(selector)) {
-              return element;
-            }
-          } catch (e2) {
-            continue;
-          }
-        }
-      }
-      element = element.parentElement;
-    }
-
-    return null;
+    return findContainingBlockElement(textNode);
   }
 
   /**
@@ -1,5 +1,5 @@
 import {substitute} from "./utils/replacements";
-import {createBase64Url, createBlobUrl, blob2base64} from "./utils/core";
+import {createBase64Url, createBlobUrl, blob2base64, revokeBlobUrl} from "./utils/core";
 import Url from "./utils/url";
 import mime from "./utils/mime";
 import Path from "./utils/path";
@@ -12,15 +12,20 @@ import path from "path-webpack";
  * @param {object} [options]
  * @param {string} [options.replacements="base64"]
  * @param {Archive} [options.archive]
+ * @param {Store} [options.store]
  * @param {method} [options.resolver]
+ * @param {method} [options.request]
+ * @param {method} [options.decryptor] function(url, data) returning a Promise of the decrypted bytes of an unarchived resource
  */
 class Resources {
 	constructor(manifest, options) {
 		this.settings = {
 			replacements: (options && options.replacements) || "base64",
 			archive: (options && options.archive),
+			store: (options && options.store),
 			resolver: (options && options.resolver),
-			request: (options && options.request)
+			request: (options && options.request),
+			decryptor: (options && options.decryptor)
 		};
 
 		this.process(manifest);
@@ -45,6 +50,7 @@ class Resources {
 
 		this.urls = [];
 		this.cssUrls = [];
+		this.cssDependencies = {};
 
 		this.split();
 		this.splitUrls();
@@ -113,6 +119,23 @@ class Resources {
 
 		if (this.settings.archive) {
 			return this.settings.archive.createUrl(url, {"base64": (this.settings.replacements === "base64")});
+		} else if (this.settings.store) {
+			// Saved first, so the store can create the url from its copy
+			return this.settings.store.put(url).then(() => {
+				return this.settings.store.createUrl(url, {"base64": (this.settings.replacements === "base64")});
+			});
+		} else if (this.settings.decryptor) {
+			return this.settings.request(url, "binary")
+				.then((data) => {
+					return this.settings.decryptor(url, data);
+				})
+				.then((data) => {
+					if (this.settings.replacements === "base64") {
+						// Resolves with a data url
+						return blob2base64(new Blob([data], {type : mimeType}));
+					}
+					return createBlobUrl(data, mimeType);
+				});
 		} else {
 			if (this.settings.replacements === "base64") {
 				return this.settings.request(url, 'blob')
@@ -160,6 +183,104 @@ class Resources {
 			});
 	}
 
+	/**
+	 * Keep the urls of the resources used in the content of a section until
+	 * the section is released, recreating the ones that were revoked since
+	 * the replacements were made
+	 * @param  {string} url url of the section
+	 * @param  {string} content content of the section
+	 * @return {Promise} resolves once the replacement urls can be substituted
+	 */
+	retain(url, content) {
+		var urlCache = this.urlCache();
+		var relUrls, used, assets;
+
+		if (!urlCache || !this.replacementUrls.length) {
+			return Promise.resolve();
+		}
+
+		relUrls = this.relativeTo(url);
+		used = this.urls.filter((href, i) => content.indexOf(relUrls[i]) > -1);
+
+		// Assets of the css files are used by the section too
+		used.forEach((href) => {
+			(this.cssDependencies[href] || []).forEach((dependency) => {
+				if (used.indexOf(dependency) === -1) {
+					used.push(dependency);
+				}
+			});
+		});
+
+		urlCache.retain(url, used.map((href) => this.settings.resolver(href)));
+
+		assets = used.filter((href) => this.cssUrls.indexOf(href) === -1);
+
+		return Promise.all(assets.map((href) => this.refreshUrl(href)))
+			.then((changed) => {
+				var revoked = assets.filter((href, i) => changed[i]);
+
+				// Css files pointing to revoked urls are created again
+				var css = used.filter((href) => {
+					return (this.cssDependencies[href] || []).some((dependency) => revoked.indexOf(dependency) > -1);
+				});
+
+				return Promise.all(css.map((href) => {
+					var previous = this.replacementUrls[this.urls.indexOf(href)];
+
+					return this.replaceCssFile(href).then(() => {
+						if (previous && previous.indexOf("blob:") === 0) {
+							revokeBlobUrl(previous);
+						}
+					});
+				}));
+			});
+	}
+
+	/**
+	 * Let the urls retained for a section be revoked
+	 * @param  {string} url url of the section
+	 */
+	release(url) {
+		var urlCache = this.settings && this.urlCache();
+
+		if (urlCache) {
+			urlCache.release(url);
+		}
+	}
+
+	/**
+	 * Get the cache of the urls created by the archive or the store
+	 * @private
+	 * @return {UrlCache|undefined}
+	 */
+	urlCache() {
+		var {archive, store} = this.settings;
+
+		return (archive && archive.urlCache) || (store && store.urlCache);
+	}
+
+	/**
+	 * Recreate the replacement url of an asset if it was revoked
+	 * @private
+	 * @param  {string} href
+	 * @return {Promise<boolean>} if the url changed
+	 */
+	refreshUrl(href) {
+		var indexInUrls = this.urls.indexOf(href);
+
+		return this.createUrl(this.settings.resolver(href))
+			.then((replacementUrl) => {
+				var changed = replacementUrl !== this.replacementUrls[indexInUrls];
+
+				this.replacementUrls[indexInUrls] = replacementUrl;
+
+				return changed;
+			}, (err) => {
+				console.error(err);
+				return false;
+			});
+	}
+
 	/**
 	 * Replace URLs in CSS resources
 	 * @private
@@ -172,21 +293,32 @@ class Resources {
 		archive = archive || this.settings.archive;
 		resolver = resolver || this.settings.resolver;
 		this.cssUrls.forEach(function(href) {
-			var replacement = this.createCssFile(href, archive, resolver)
-				.then(function (replacementUrl) {
-					// switch the url in the replacementUrls
-					var indexInUrls = this.urls.indexOf(href);
-					if (indexInUrls > -1) {
-						this.replacementUrls[indexInUrls] = replacementUrl;
-					}
-				}.bind(this))
-
+			var replacement = this.replaceCssFile(href, archive, resolver);
 
 			replaced.push(replacement);
 		}.bind(this));
 		return Promise.all(replaced);
 	}
 
+	/**
+	 * Replace the url of a CSS resource with a new CSS file
+	 * @private
+	 * @param  {string} href the original css file
+	 * @param  {Archive} [archive]
+	 * @param  {method} [resolver]
+	 * @return {Promise}
+	 */
+	replaceCssFile(href, archive, resolver){
+		return this.createCssFile(href, archive, resolver)
+			.then(function (replacementUrl) {
+				// switch the url in the replacementUrls
+				var indexInUrls = this.urls.indexOf(href);
+				if (indexInUrls > -1) {
+					this.replacementUrls[indexInUrls] = replacementUrl;
+				}
+			}.bind(this));
+	}
+
 	/**
 	 * Create a new CSS file with the replaced URLs
 	 * @private
@@ -229,6 +361,9 @@ class Resources {
 		}
 
 		return textResponse.then( (text) => {
+			// Keep the assets of the css file, its url is recreated when they are
+			this.cssDependencies[href] = this.urls.filter((assetHref, i) => text.indexOf(relUrls[i]) > -1);
+
 			// Replacements in the css text
 			text = substitute(text, relUrls, this.replacementUrls);
 
@@ -314,6 +449,7 @@ class Resources {
 
 		this.urls = undefined;
 		this.cssUrls = undefined;
+		this.cssDependencies = undefined;
 	}
 }
 
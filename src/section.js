@@ -6,6 +6,9 @@ import { replaceBase } from "./utils/replacements";
 import Request from "./utils/request";
 import { DOMParser as XMLDOMSerializer } from "@xmldom/xmldom";
 
+// NodeFilter.SHOW_TEXT, NodeFilter isn't defined outside of browsers
+const SHOW_TEXT = 4;
+
 /**
  * Represents a Section of the Book
  *
@@ -22,6 +25,7 @@ class Section {
 		this.href = item.href;
 		this.url = item.url;
 		this.canonical = item.canonical;
+		this.overlay = item.overlay;
 		this.next = item.next;
 		this.prev = item.prev;
 
@@ -129,7 +133,7 @@ class Section {
 		var query = _query.toLowerCase();
 		var find = function(node){
 			var text = node.textContent.toLowerCase();
-			var range = section.document.createRange();
+			var range;
 			var cfi;
 			var pos;
 			var last = -1;
@@ -142,9 +146,7 @@ class Section {
 
 				if (pos != -1) {
 					// We found it! Generate a CFI
-					range = section.document.createRange();
-					range.setStart(node, pos);
-					range.setEnd(node, pos + query.length);
+					range = section.createRange(node, pos, node, pos + query.length);
 
 					cfi = section.cfiFromRange(range);
 
@@ -183,7 +185,7 @@ class Section {
 	 * @return {object[]} A list of matches, with form {cfi, excerpt}
 	 */
 	search(_query , maxSeqEle = 5){
-		if (typeof(document.createTreeWalker) == "undefined") {
+		if (typeof(this.document.createTreeWalker) == "undefined") {
 			return this.find(_query);
 		}
 		let matches = [];
@@ -210,10 +212,8 @@ class Section {
 					}
 
 					let startNode = nodeList[startNodeIndex] , endNode = nodeList[endNodeIndex];
-					let range = section.document.createRange();
-					range.setStart(startNode,pos);
 					let beforeEndLengthCount =  nodeList.slice(0, endNodeIndex).reduce((acc,current)=>{return acc+current.textContent.length;},0) ;
-					range.setEnd(endNode, beforeEndLengthCount > endPos ? endPos : endPos - beforeEndLengthCount );
+					let range = section.createRange(startNode, pos, endNode, beforeEndLengthCount > endPos ? endPos : endPos - beforeEndLengthCount);
 					cfi = section.cfiFromRange(range);
 
 					let excerpt = nodeList.slice(0, endNodeIndex+1).reduce((acc,current)=>{return acc+current.textContent ;},"");
@@ -229,7 +229,7 @@ class Section {
 			}
 		}
 
-		const treeWalker = document.createTreeWalker(section.document, NodeFilter.SHOW_TEXT, null, false);
+		const treeWalker = section.document.createTreeWalker(section.document, SHOW_TEXT, null, false);
 		let node , nodeList = [];
 		while (node = treeWalker.nextNode()) {
 			nodeList.push(node);
@@ -244,6 +244,36 @@ class Section {
 		return matches;
 	}
 
+	/**
+	 * Create a range in the document of the section. Documents without ranges,
+	 * like the ones of xmldom, get an object with the boundaries of the range instead.
+	 * @private
+	 * @param  {node} startContainer
+	 * @param  {number} startOffset
+	 * @param  {node} endContainer
+	 * @param  {number} endOffset
+	 * @return {Range | object}
+	 */
+	createRange(startContainer, startOffset, endContainer, endOffset){
+		var range;
+
+		if (typeof this.document.createRange === "undefined") {
+			return {
+				startContainer: startContainer,
+				startOffset: startOffset,
+				endContainer: endContainer,
+				endOffset: endOffset,
+				collapsed: startContainer === endContainer && startOffset === endOffset
+			};
+		}
+
+		range = this.document.createRange();
+		range.setStart(startContainer, startOffset);
+		range.setEnd(endContainer, endOffset);
+
+		return range;
+	}
+
 	/**
 	* Reconciles the current chapters layout properties with
 	* the global layout properties.
@@ -255,7 +285,8 @@ class Section {
 		var settings = {
 			layout : globalLayout.layout,
 			spread : globalLayout.spread,
-			orientation : globalLayout.orientation
+			orientation : globalLayout.orientation,
+			flow : globalLayout.flow
 		};
 
 		//-- Get the chapter's display type
@@ -0,0 +1,268 @@
+import path from "path-webpack";
+import EpubCFI from "./epubcfi";
+import { qs, qsa } from "./utils/core";
+import { elementTextRange } from "./utils/text";
+
+const TIMECOUNT = /^(\d+(?:\.\d+)?)(h|min|s|ms)?$/;
+
+const TIMECOUNT_SECONDS = {
+	"h": 3600,
+	"min": 60,
+	"s": 1,
+	"ms": 0.001
+};
+
+/**
+ * Parse a SMIL clock value into seconds
+ * @param {string} value a full clock (0:01:02.5), a partial clock (01:02.5) or a timecount (62.5s, 1.5min, 62500ms),
+ * optionally prefixed by the npt= metric of older SMIL documents
+ * @returns {number|undefined} seconds, or undefined if the value is missing or invalid
+ * @memberof Smil
+ */
+export function parseClockValue(value) {
+	var clock = (value || "").trim().replace(/^npt=/, "");
+	var parts, timecount;
+
+	if (!clock) {
+		return;
+	}
+
+	if (clock.indexOf(":") > -1) {
+		parts = clock.split(":").map(parseFloat);
+
+		if (parts.length > 3 || parts.some(isNaN)) {
+			return;
+		}
+
+		return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+	}
+
+	timecount = TIMECOUNT.exec(clock);
+
+	if (!timecount) {
+		return;
+	}
+
+	return parseFloat(timecount[1]) * TIMECOUNT_SECONDS[timecount[2] || "s"];
+}
+
+/**
+ * Media Overlay document parser
+ *
+ * Reads the `<par>` elements of a SMIL document into a list of text fragments
+ * and the audio clips that narrate them, in playback order.
+ * @class
+ * @param {document} [xml] SMIL document
+ * @param {string} [href] path of the SMIL document, used to resolve the text and audio paths
+ */
+class Smil {
+	constructor(xml, href) {
+		this.href = href || "";
+		this.items = [];
+		this.timings = [];
+		this.mapped = false;
+		this.epubcfi = new EpubCFI();
+
+		if (xml) {
+			this.items = this.parse(xml);
+		}
+	}
+
+	/**
+	 * Parse the SMIL document
+	 * @param {document} xml
+	 * @return {Array<Smil.item>} items
+	 */
+	parse(xml) {
+		var pars = Array.prototype.slice.call(qsa(xml, "par"));
+
+		return pars.map((par) => this.parsePar(par)).filter(Boolean);
+	}
+
+	/**
+	 * Parse a single par element
+	 * @private
+	 * @param {element} par
+	 * @return {Smil.item|undefined} item, or undefined if the par has no text or audio
+	 */
+	parsePar(par) {
+		var text = qs(par, "text");
+		var audio = qs(par, "audio");
+		var textSrc = text && text.getAttribute("src");
+		var audioSrc = audio && audio.getAttribute("src");
+
+		if (!textSrc || !audioSrc) {
+			return;
+		}
+
+		var split = this.resolve(textSrc).split("#");
+
+		/**
+		 * @typedef {object} Smil.item
+		 * @property {string} id id of the par element
+		 * @property {string} href path of the text document
+		 * @property {string} fragment id of the narrated element in the text document
+		 * @property {string} audioSrc path of the audio file
+		 * @property {number} clipBegin start of the clip in seconds
+		 * @property {number} [clipEnd] end of the clip in seconds, undefined to play to the end of the file
+		 */
+		return {
+			id: par.getAttribute("id") || "",
+			href: split[0],
+			fragment: split[1] || "",
+			audioSrc: this.resolve(audioSrc),
+			clipBegin: parseClockValue(audio.getAttribute("clipBegin")) || 0,
+			clipEnd: parseClockValue(audio.getAttribute("clipEnd"))
+		};
+	}
+
+	/**
+	 * Map the items to EpubCFI ranges in the text document they narrate.
+	 * A SMIL document can narrate several text documents, so only the items
+	 * narrating the one at href are mapped.
+	 * @param {document} document the text document
+	 * @param {string} cfiBase base of the EpubCFIs, from the Section of the document
+	 * @param {string} [href] path of the text document, from the Section of the document, defaults to any document
+	 * @param {string} [ignoreClass]
+	 * @return {Array<Smil.timing>} timings sorted by their position in the text
+	 */
+	map(document, cfiBase, href, ignoreClass) {
+		var timings = [];
+
+		this.items.forEach((item, index) => {
+			if (href && item.href !== href) {
+				return;
+			}
+
+			var element = item.fragment && document.getElementById(item.fragment);
+
+			if (!element) {
+				return;
+			}
+
+			var range = elementTextRange(element);
+
+			/**
+			 * @typedef {object} Smil.timing
+			 * @property {string} cfiRange EpubCFI range of the narrated element
+			 * @property {string} audioSrc path of the audio file
+			 * @property {number} clipBegin start of the clip in seconds
+			 * @property {number} [clipEnd] end of the clip in seconds
+			 * @property {number} index index of the item in playback order
+			 */
+			timings.push({
+				cfiRange: new EpubCFI(range, cfiBase, ignoreClass).toString(),
+				audioSrc: item.audioSrc,
+				clipBegin: item.clipBegin,
+				clipEnd: item.clipEnd,
+				index: index
+			});
+		});
+
+		this.timings = timings.sort((a, b) => {
+			return this.epubcfi.compare(a.cfiRange, b.cfiRange) || a.index - b.index;
+		});
+		this.mapped = true;
+
+		return this.timings;
+	}
+
+	/**
+	 * Get the timings, which only exist once the items are mapped to their text document
+	 * @private
+	 * @return {Array<Smil.timing>} timings
+	 */
+	mappedTimings() {
+		if (!this.mapped) {
+			throw new Error("Smil " + this.href + " is not mapped to its text, use map or Book.mediaOverlayTimings first");
+		}
+
+		return this.timings;
+	}
+
+	/**
+	 * Find the timing of the element holding a cfi, or of the last element before it.
+	 * Throws if the Smil is not mapped yet.
+	 * @param {string | EpubCFI} cfi
+	 * @return {Smil.timing|undefined} timing
+	 */
+	timingAt(cfi) {
+		var timings = this.mappedTimings();
+		var timing;
+
+		for (var i = 0; i < timings.length; i++) {
+			if (this.epubcfi.compare(timings[i].cfiRange, cfi) > 0) {
+				break;
+			}
+			timing = timings[i];
+		}
+
+		return timing;
+	}
+
+	/**
+	 * Get the audio time narrating a position in the text.
+	 * Throws if the Smil is not mapped yet.
+	 * @param {string | EpubCFI} cfi
+	 * @return {{audioSrc: string, time: number}|undefined} the start of the clip narrating the cfi
+	 */
+	timeOf(cfi) {
+		var timing = this.timingAt(cfi);
+
+		if (!timing) {
+			return;
+		}
+
+		return {
+			audioSrc: timing.audioSrc,
+			time: timing.clipBegin
+		};
+	}
+
+	/**
+	 * Get the position in the text narrated at an audio time.
+	 * Throws if the Smil is not mapped yet.
+	 * @param {number} time seconds from the start of the audio file
+	 * @param {string} [audioSrc] path of the audio file, defaults to any file
+	 * @return {string|undefined} EpubCFI range of the narrated element, or of the last one before the time
+	 */
+	cfiAt(time, audioSrc) {
+		var timings = this.mappedTimings();
+		var before;
+
+		for (var i = 0; i < timings.length; i++) {
+			var timing = timings[i];
+
+			if (audioSrc && timing.audioSrc !== audioSrc) {
+				continue;
+			}
+
+			if (timing.clipBegin <= time && (timing.clipEnd === undefined || time < timing.clipEnd)) {
+				return timing.cfiRange;
+			}
+
+			// Fall back to the clip that started last before the time, for gaps between clips
+			if (timing.clipBegin <= time && (!before || timing.clipBegin >= before.clipBegin)) {
+				before = timing;
+			}
+		}
+
+		return before && before.cfiRange;
+	}
+
+	/**
+	 * Resolve a path relative to the SMIL document
+	 * @private
+	 * @param {string} src
+	 * @return {string} path relative to the package
+	 */
+	resolve(src) {
+		if (src.indexOf("://") > -1 || !this.href) {
+			return src;
+		}
+
+		return path.normalize(path.join(path.dirname(this.href), src));
+	}
+}
+
+export default Smil;
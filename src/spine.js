@@ -63,6 +63,8 @@ class Spine {
 				item.url = resolver(item.href, true);
 				item.canonical = canonical(item.href);
 
+				item.overlay = manifestItem.overlay;
+
 				if(manifestItem.properties.length){
 					item.properties.push.apply(item.properties, manifestItem.properties);
 				}
@@ -248,6 +250,25 @@ class Spine {
 		} while (index >= 0);
 	}
 
+	/**
+	 * Remove the sections, keeping the hooks, to unpack another package
+	 */
+	unload() {
+		this.each((section) => section.destroy());
+
+		this.spineItems = [];
+		this.spineByHref = {};
+		this.spineById = {};
+
+		this.loaded = false;
+
+		this.items = undefined;
+		this.manifest = undefined;
+		this.spineNodeIndex = undefined;
+		this.baseUrl = undefined;
+		this.length = undefined;
+	}
+
 	destroy() {
 		this.each((section) => section.destroy());
 
@@ -2,6 +2,7 @@ import {defer, isXml, parse} from "./utils/core";
 import httpRequest from "./utils/request";
 import mime from "./utils/mime";
 import Path from "./utils/path";
+import UrlCache from "./utils/urlcache";
 import EventEmitter from "event-emitter";
 import localforage from "localforage";
 
@@ -11,17 +12,21 @@ import localforage from "localforage";
  * @param {string} name This should be the name of the application for modals
  * @param {function} [requester]
  * @param {function} [resolver]
+ * @param {function} [decryptor] function(url, data) returning a Promise of the decrypted bytes of a resource
+ * @param {object} [options]
+ * @param {object} [options.urlCache] maxEntries and maxBytes budget of the created urls, see UrlCache
  */
 class Store {
 
-	constructor(name, requester, resolver) {
-		this.urlCache = {};
+	constructor(name, requester, resolver, decryptor, options) {
+		this.urlCache = new UrlCache(options && options.urlCache);
 
 		this.storage = undefined;
 
 		this.name = name;
 		this.requester = requester || httpRequest;
 		this.resolver = resolver;
+		this.decryptor = decryptor;
 
 		this.online = true;
 
@@ -55,6 +60,12 @@ class Store {
 	 */
 	addListeners() {
 		this._status = this.status.bind(this);
+
+		// Outside of browsers, like in Node.js, there are no connection events
+		if (typeof window === "undefined") {
+			return;
+		}
+
 		window.addEventListener('online',  this._status);
 	  window.addEventListener('offline', this._status);
 	}
@@ -64,6 +75,10 @@ class Store {
 	 * @private
 	 */
 	removeListeners() {
+		if (typeof window === "undefined") {
+			return;
+		}
+
 		window.removeEventListener('online',  this._status);
 	  window.removeEventListener('offline', this._status);
 		this._status = undefined;
@@ -93,7 +108,7 @@ class Store {
 		let mapped = resources.resources.map((item) => {
 			let { href } = item;
 			let url = this.resolver(href);
-			let encodedUrl = window.encodeURIComponent(url);
+			let encodedUrl = encodeURIComponent(url);
 
 			return this.storage.getItem(encodedUrl).then((item) => {
 				if (!item || force) {
@@ -118,7 +133,7 @@ class Store {
 	 * @return {Promise<Blob>}
 	 */
 	put(url, withCredentials, headers) {
-		let encodedUrl = window.encodeURIComponent(url);
+		let encodedUrl = encodeURIComponent(url);
 
 		return this.storage.getItem(encodedUrl).then((result) => {
 			if (!result) {
@@ -130,6 +145,21 @@ class Store {
 		});
 	}
 
+	/**
+	 * Save binary data already requested from a url to storage, if not present
+	 * @private
+	 * @param  {string} url
+	 * @param  {ArrayBuffer | Uint8Array} data
+	 * @return {Promise}
+	 */
+	save(url, data) {
+		let encodedUrl = encodeURIComponent(url);
+
+		return this.storage.getItem(encodedUrl).then((result) => {
+			return result || this.storage.setItem(encodedUrl, data);
+		});
+	}
+
 	/**
 	 * Request a url
 	 * @param  {string} url  a url to request from storage
@@ -139,7 +169,16 @@ class Store {
 	 * @return {Promise<Blob | string | JSON | Document | XMLDocument>}
 	 */
 	request(url, type, withCredentials, headers){
-		if (this.online) {
+		if (this.online && this.decryptor) {
+			// From network, decrypting the raw bytes before parsing them
+			return this.requester(url, "binary", withCredentials, headers).then((data) => {
+				// save the fetched bytes, still encrypted, to store if not present
+				this.save(url, data.slice(0));
+				return this.decryptor(url, data);
+			}).then((data) => {
+				return this.handleBinary(data, url, type);
+			});
+		} else if (this.online) {
 			// From network
 			return this.requester(url, type, withCredentials, headers).then((data) => {
 				// save to store if not present
@@ -223,6 +262,45 @@ class Store {
 		return r;
 	}
 
+	/**
+	 * Handle decrypted bytes as the requested type
+	 * @private
+	 * @param  {Uint8Array} data
+	 * @param  {string} url
+	 * @param  {string} [type]
+	 * @return {any} the parsed result
+	 */
+	handleBinary(data, url, type){
+		type = type || new Path(url).extension;
+
+		if (type == "binary") {
+			return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+		}
+
+		if (type == "blob") {
+			return new Blob([data], {type : mime.lookup(url)});
+		}
+
+		return this.handleResponse(new TextDecoder("utf-8").decode(data), type);
+	}
+
+	/**
+	 * Get the stored data of a Url, decrypted if needed
+	 * @private
+	 * @param  {string} url
+	 * @return {Promise<Uint8Array | ArrayBuffer>}
+	 */
+	getData(url){
+		let encodedUrl = encodeURIComponent(url);
+
+		return this.storage.getItem(encodedUrl).then((data) => {
+			if (!data || !this.decryptor) {
+				return data;
+			}
+			return this.decryptor(url, data);
+		});
+	}
+
 	/**
 	 * Get a Blob from Storage by Url
 	 * @param  {string} url
@@ -230,9 +308,7 @@ class Store {
 	 * @return {Blob}
 	 */
 	getBlob(url, mimeType){
-		let encodedUrl = window.encodeURIComponent(url);
-
-		return this.storage.getItem(encodedUrl).then(function(uint8array) {
+		return this.getData(url).then(function(uint8array) {
 			if(!uint8array) return;
 
 			mimeType = mimeType || mime.lookup(url);
@@ -249,11 +325,9 @@ class Store {
 	 * @return {string}
 	 */
 	getText(url, mimeType){
-		let encodedUrl = window.encodeURIComponent(url);
-
 		mimeType = mimeType || mime.lookup(url);
 
-		return this.storage.getItem(encodedUrl).then(function(uint8array) {
+		return this.getData(url).then(function(uint8array) {
 			var deferred = new defer();
 			var reader = new FileReader();
 			var blob;
@@ -279,11 +353,9 @@ class Store {
 	 * @return {string} base64 encoded
 	 */
 	getBase64(url, mimeType){
-		let encodedUrl = window.encodeURIComponent(url);
-
 		mimeType = mimeType || mime.lookup(url);
 
-		return this.storage.getItem(encodedUrl).then((uint8array) => {
+		return this.getData(url).then((uint8array) => {
 			var deferred = new defer();
 			var reader = new FileReader();
 			var blob;
@@ -314,8 +386,10 @@ class Store {
 		var response;
 		var useBase64 = options && options.base64;
 
-		if(url in this.urlCache) {
-			deferred.resolve(this.urlCache[url]);
+		var cached = this.urlCache.get(url);
+
+		if(cached) {
+			deferred.resolve(cached);
 			return deferred.promise;
 		}
 
@@ -325,10 +399,9 @@ class Store {
 			if (response) {
 				response.then(function(tempUrl) {
 
-					this.urlCache[url] = tempUrl;
-					deferred.resolve(tempUrl);
+					deferred.resolve(this.urlCache.set(url, tempUrl, tempUrl.length));
 
-				}.bind(this));
+				}.bind(this), deferred.reject);
 
 			}
 
@@ -340,10 +413,9 @@ class Store {
 				response.then(function(blob) {
 
 					tempUrl = _URL.createObjectURL(blob);
-					this.urlCache[url] = tempUrl;
-					deferred.resolve(tempUrl);
+					deferred.resolve(this.urlCache.set(url, tempUrl, blob.size));
 
-				}.bind(this));
+				}.bind(this), deferred.reject);
 
 			}
 		}
@@ -364,17 +436,11 @@ class Store {
 	 * @param  {string} url url of the item in the store
 	 */
 	revokeUrl(url){
-		var _URL = window.URL || window.webkitURL || window.mozURL;
-		var fromCache = this.urlCache[url];
-		if(fromCache) _URL.revokeObjectURL(fromCache);
+		this.urlCache.delete(url);
 	}
 
 	destroy() {
-		var _URL = window.URL || window.webkitURL || window.mozURL;
-		for (let fromCache in this.urlCache) {
-			_URL.revokeObjectURL(fromCache);
-		}
-		this.urlCache = {};
+		this.urlCache.clear();
 		this.removeListeners();
 	}
 }
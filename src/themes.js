@@ -131,6 +131,9 @@ class Themes {
 		this._current = name;
 		this.update(name);
 
+		// Themes can change the text layout
+		this.rendition.clearParagraphCache();
+
 		contents = this.rendition.getContents();
 		contents.forEach( (content) => {
 			content.removeClass(prev);
@@ -213,6 +216,8 @@ class Themes {
 		contents.forEach( (content) => {
 			content.css(name, this._overrides[name].value, this._overrides[name].priority);
 		});
+
+		this.rendition.clearParagraphCache();
 	}
 
 	removeOverride (name) {
@@ -223,6 +228,8 @@ class Themes {
 		contents.forEach( (content) => {
 			content.css(name);
 		});
+
+		this.rendition.clearParagraphCache();
 	}
 
 	/**
@@ -0,0 +1,211 @@
+/**
+ * Human readable accessibility summaries, following the W3C
+ * Accessibility Metadata Display Guide for Digital Publications
+ * @module Accessibility
+ */
+
+const NO_INFORMATION = "No information is available";
+
+const NAVIGATION = {
+	"tableOfContents": "Table of contents",
+	"index": "Index",
+	"structuralNavigation": "Headings",
+	"pageNavigation": "Go to page"
+};
+
+const RICH_CONTENT = {
+	"MathML": "Math as MathML",
+	"latex": "Math as LaTeX",
+	"MathML-chemistry": "Chemical formulas in MathML",
+	"latex-chemistry": "Chemical formulas in LaTeX",
+	"describedMath": "Text descriptions of math are provided",
+	"longDescription": "Information-rich images are described by extended descriptions",
+	"closedCaptions": "Videos have closed captions",
+	"openCaptions": "Videos have open captions",
+	"transcript": "Has transcript"
+};
+
+const HAZARDS = {
+	"flashing": "Flashing content",
+	"motionSimulation": "Motion simulation",
+	"sound": "Sounds",
+	"noFlashingHazard": "No flashing hazards",
+	"noMotionSimulationHazard": "No motion simulation hazards",
+	"noSoundHazard": "No sound hazards"
+};
+
+const ADDITIONAL = {
+	"ARIA": "ARIA roles included",
+	"audioDescription": "Audio descriptions",
+	"braille": "Braille",
+	"fullRubyAnnotations": "Full ruby annotations",
+	"rubyAnnotations": "Some ruby annotations",
+	"highContrastAudio": "High contrast between foreground and background audio",
+	"highContrastDisplay": "High contrast between text and background",
+	"largePrint": "Large print",
+	"pageBreakMarkers": "Page breaks included",
+	"signLanguage": "Sign language",
+	"tactileGraphic": "Tactile graphics",
+	"tactileObject": "Tactile 3D objects",
+	"ttsMarkup": "Text-to-speech hinting provided"
+};
+
+// The EPUB Accessibility 1.0 conformance URLs
+const EPUB_A11Y_10 = /accessibility-20170105\.html#wcag-(a{1,3})$/i;
+
+/**
+ * Describe a conformance claim
+ * @param {string} conformsTo
+ * @returns {{label: string, level: string}} label of the claim and its WCAG level, if any
+ * @private
+ */
+function describeConformance(conformsTo) {
+	var epub10 = EPUB_A11Y_10.exec(conformsTo);
+	var level;
+
+	if (epub10) {
+		return {
+			label: "EPUB Accessibility 1.0 - WCAG 2.0 Level " + epub10[1].toUpperCase(),
+			level: epub10[1].toUpperCase()
+		};
+	}
+
+	level = /WCAG\s+[\d.]+\s+Level\s+(A{1,3})\b/i.exec(conformsTo);
+
+	return {
+		label: conformsTo,
+		level: level ? level[1].toUpperCase() : ""
+	};
+}
+
+/**
+ * List the statements of the features that are present
+ * @param {string[]} features
+ * @param {object} statements display strings by feature
+ * @returns {string[]} statements
+ * @private
+ */
+function statementsOf(features, statements) {
+	return Object.keys(statements)
+		.filter((feature) => features.indexOf(feature) > -1)
+		.map((feature) => statements[feature]);
+}
+
+/**
+ * Summarize the accessibility metadata of a publication into the
+ * key information groups of the Accessibility Metadata Display Guide
+ * @param {object} metadata package metadata, with its accessibility and layout
+ * @returns {Array<{id: string, title: string, statements: string[]}>} groups to display, in order
+ * @memberof Accessibility
+ */
+export function accessibilitySummary(metadata) {
+	var accessibility = (metadata && metadata.accessibility) || {};
+	var modes = accessibility.accessMode || [];
+	var sufficient = accessibility.accessModeSufficient || [];
+	var features = accessibility.accessibilityFeature || [];
+	var hazards = accessibility.accessibilityHazard || [];
+	var conformsTo = accessibility.conformsTo || [];
+	var fixed = metadata && metadata.layout === "pre-paginated";
+	var groups = [];
+	var has = (feature) => features.indexOf(feature) > -1;
+	var sufficientAlone = (mode) => sufficient.some((set) => set.length === 1 && set[0] === mode);
+
+	// Ways of reading
+	var reading = [];
+
+	// Reflowable content is the default in EPUB
+	if (fixed && !has("displayTransformability")) {
+		reading.push("Appearance cannot be modified");
+	} else {
+		reading.push("Appearance can be modified");
+	}
+
+	if (sufficientAlone("textual")) {
+		reading.push("Readable in read aloud or dynamic braille");
+	} else if (modes.indexOf("textual") > -1) {
+		reading.push("Not fully readable in read aloud or dynamic braille");
+	} else if (modes.length) {
+		reading.push("Not readable in read aloud or dynamic braille");
+	} else {
+		reading.push("May not be fully readable in read aloud or dynamic braille");
+	}
+
+	if (has("alternativeText")) {
+		reading.push("Has alternative text");
+	}
+
+	if (has("synchronizedAudioText")) {
+		reading.push("Prerecorded audio synchronized with text");
+	} else if (sufficientAlone("auditory")) {
+		reading.push("Prerecorded audio only");
+	} else if (modes.indexOf("auditory") > -1) {
+		reading.push("Prerecorded audio clips");
+	} else {
+		reading.push("No information about prerecorded audio is available");
+	}
+
+	groups.push({ id: "ways-of-reading", title: "Ways of reading", statements: reading });
+
+	// Conformance
+	var conformance = [];
+	var claims = conformsTo.map(describeConformance);
+	var levels = claims.map((claim) => claim.level).filter(Boolean);
+
+	if (levels.some((level) => level.length > 1)) {
+		conformance.push("This publication meets accepted accessibility standards");
+	} else if (levels.length) {
+		conformance.push("This publication meets minimum accessibility standards");
+	} else if (claims.length) {
+		conformance.push("This publication claims to meet accessibility standards");
+	} else {
+		conformance.push(NO_INFORMATION);
+	}
+
+	claims.forEach((claim) => conformance.push(claim.label));
+
+	if (accessibility.certifiedBy) {
+		conformance.push("The publication was certified by " + accessibility.certifiedBy);
+	}
+
+	if (accessibility.certifierCredential) {
+		conformance.push("The certifier's credential is " + accessibility.certifierCredential);
+	}
+
+	if (accessibility.certifierReport) {
+		conformance.push("For more information refer to the certifier's report: " + accessibility.certifierReport);
+	}
+
+	groups.push({ id: "conformance", title: "Conformance", statements: conformance });
+
+	// Navigation and rich content
+	var navigation = statementsOf(features, NAVIGATION);
+	var rich = statementsOf(features, RICH_CONTENT);
+
+	groups.push({ id: "navigation", title: "Navigation", statements: navigation.length ? navigation : [NO_INFORMATION] });
+	groups.push({ id: "rich-content", title: "Rich content", statements: rich.length ? rich : [NO_INFORMATION] });
+
+	// Hazards
+	var hazardous;
+
+	if (hazards.indexOf("none") > -1) {
+		hazardous = ["No hazards"];
+	} else if (hazards.indexOf("unknown") > -1) {
+		hazardous = ["The presence of hazards is unknown"];
+	} else {
+		hazardous = statementsOf(hazards, HAZARDS);
+	}
+
+	groups.push({ id: "hazards", title: "Hazards", statements: hazardous.length ? hazardous : [NO_INFORMATION] });
+
+	if (accessibility.accessibilitySummary) {
+		groups.push({ id: "accessibility-summary", title: "Accessibility summary", statements: [accessibility.accessibilitySummary] });
+	}
+
+	var additional = statementsOf(features, ADDITIONAL);
+
+	if (additional.length) {
+		groups.push({ id: "additional-accessibility-information", title: "Additional accessibility information", statements: additional });
+	}
+
+	return groups;
+}
@@ -5,7 +5,10 @@ export const DOM_EVENTS = ["keydown", "keyup", "keypressed", "mouseup", "mousedo
 
 export const EVENTS = {
   BOOK : {
-    OPEN_FAILED : "openFailed"
+    OPEN_FAILED : "openFailed",
+    LOAD_ERROR : "loaderror",
+    LOAD_PROGRESS : "loadProgress",
+    RENDITION_SELECTED : "renditionSelected"
   },
   CONTENTS : {
     EXPAND : "expand",
@@ -35,6 +38,7 @@ export const EVENTS = {
     DISPLAYED : "displayed",
     SHOWN : "shown",
     HIDDEN : "hidden",
+    REMOVED : "removed",
     MARK_CLICKED : "markClicked"
   },
   RENDITION : {
@@ -58,5 +62,25 @@ export const EVENTS = {
   ANNOTATION : {
     ATTACH : "attach",
     DETACH : "detach"
+  },
+  READALOUD : {
+    PLAY : "play",
+    PAUSE : "pause",
+    RESUME : "resume",
+    STOP : "stop",
+    PARAGRAPH_START : "paragraphStart",
+    PARAGRAPH_END : "paragraphEnd",
+    FINISHED : "finished",
+    ERROR : "error"
+  },
+  MEDIAOVERLAY : {
+    PLAY : "play",
+    PAUSE : "pause",
+    RESUME : "resume",
+    STOP : "stop",
+    FRAGMENT_START : "fragmentStart",
+    FRAGMENT_END : "fragmentEnd",
+    FINISHED : "finished",
+    ERROR : "error"
   }
 }
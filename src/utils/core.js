@@ -392,7 +392,7 @@ export function indexOfElementNode(elementNode) {
  * @memberof Core
  */
 export function isXml(ext) {
-	return ["xml", "opf", "ncx"].indexOf(ext) > -1;
+	return ["xml", "opf", "ncx", "smil"].indexOf(ext) > -1;
 }
 
 /**
@@ -464,6 +464,18 @@ export function type(obj){
 	return Object.prototype.toString.call(obj).slice(8, -1);
 }
 
+// DOMParser set with setDOMParser, to use instead of the native one
+var CustomDOMParser;
+
+/**
+ * Set the DOMParser parsing every document, such as the one of jsdom or xmldom in Node.js
+ * @param {function} [Parser] DOMParser constructor, or undefined to use the native one again
+ * @memberof Core
+ */
+export function setDOMParser(Parser) {
+	CustomDOMParser = Parser;
+}
+
 /**
  * Parse xml (or html) markup
  * @param {string} markup
@@ -476,7 +488,11 @@ export function parse(markup, mime, forceXMLDom) {
 	var doc;
 	var Parser;
 
-	if (typeof DOMParser === "undefined" || forceXMLDom) {
+	if (forceXMLDom) {
+		Parser = XMLDOMParser;
+	} else if (CustomDOMParser) {
+		Parser = CustomDOMParser;
+	} else if (typeof DOMParser === "undefined") {
 		Parser = XMLDOMParser;
 	} else {
 		Parser = DOMParser;
@@ -575,7 +591,7 @@ export function qsp(el, sel, props) {
 export function sprint(root, func) {
 	var doc = root.ownerDocument || root;
 	if (typeof(doc.createTreeWalker) !== "undefined") {
-		treeWalker(root, func, NodeFilter.SHOW_TEXT);
+		treeWalker(root, func, 4); // NodeFilter.SHOW_TEXT
 	} else {
 		walk(root, function(node) {
 			if (node && node.nodeType === 3) { // Node.TEXT_NODE
@@ -593,7 +609,8 @@ export function sprint(root, func) {
  * @param  {function | object} filter function or object to filter with
  */
 export function treeWalker(root, func, filter) {
-	var treeWalker = document.createTreeWalker(root, filter, null, false);
+	var doc = root.ownerDocument || root;
+	var treeWalker = doc.createTreeWalker(root, filter, null, false);
 	let node;
 	while ((node = treeWalker.nextNode())) {
 		func(node);
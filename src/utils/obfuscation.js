@@ -0,0 +1,148 @@
+/**
+ * Font obfuscation algorithms of encryption.xml
+ * @module Obfuscation
+ */
+
+/**
+ * Algorithm URIs of the supported font obfuscations
+ * @memberof Obfuscation
+ */
+export const OBFUSCATION = {
+	IDPF: "http://www.idpf.org/2008/embedding",
+	ADOBE: "http://ns.adobe.com/pdf/enc#RC"
+};
+
+// Number of obfuscated bytes at the start of the font
+const LENGTH = {
+	[OBFUSCATION.IDPF]: 1040,
+	[OBFUSCATION.ADOBE]: 1024
+};
+
+/**
+ * SHA-1 digest, computed synchronously as SubtleCrypto is async
+ * and missing outside of secure contexts
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 20 bytes digest
+ * @private
+ */
+function sha1(bytes) {
+	var length = bytes.length;
+	var blocks = ((length + 8) >> 6) + 1;
+	var words = new Uint32Array(blocks * 16);
+	var w = new Uint32Array(80);
+	var h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+	var digest = new Uint8Array(20);
+	var i, j, t, a, b, c, d, e, f, k;
+
+	for (i = 0; i < length; i++) {
+		words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+	}
+	words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+	words[blocks * 16 - 1] = length * 8;
+
+	for (i = 0; i < words.length; i += 16) {
+		for (j = 0; j < 80; j++) {
+			if (j < 16) {
+				w[j] = words[i + j];
+			} else {
+				t = w[j - 3] ^ w[j - 8] ^ w[j - 14] ^ w[j - 16];
+				w[j] = (t << 1) | (t >>> 31);
+			}
+		}
+
+		a = h[0];
+		b = h[1];
+		c = h[2];
+		d = h[3];
+		e = h[4];
+
+		for (j = 0; j < 80; j++) {
+			if (j < 20) {
+				f = (b & c) | (~b & d);
+				k = 0x5a827999;
+			} else if (j < 40) {
+				f = b ^ c ^ d;
+				k = 0x6ed9eba1;
+			} else if (j < 60) {
+				f = (b & c) | (b & d) | (c & d);
+				k = 0x8f1bbcdc;
+			} else {
+				f = b ^ c ^ d;
+				k = 0xca62c1d6;
+			}
+
+			t = (((a << 5) | (a >>> 27)) + f + e + k + w[j]) >>> 0;
+			e = d;
+			d = c;
+			c = (b << 30) | (b >>> 2);
+			b = a;
+			a = t;
+		}
+
+		h[0] = (h[0] + a) >>> 0;
+		h[1] = (h[1] + b) >>> 0;
+		h[2] = (h[2] + c) >>> 0;
+		h[3] = (h[3] + d) >>> 0;
+		h[4] = (h[4] + e) >>> 0;
+	}
+
+	for (i = 0; i < 20; i++) {
+		digest[i] = (h[i >> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+	}
+
+	return digest;
+}
+
+/**
+ * Get the key of a font obfuscation algorithm
+ * @param {string} algorithm algorithm URI from encryption.xml
+ * @param {string} identifier unique identifier of the package
+ * @returns {Uint8Array|undefined} key, or undefined if the algorithm isn't supported
+ * or the identifier can't be used with it
+ * @memberof Obfuscation
+ */
+export function obfuscationKey(algorithm, identifier) {
+	var uuid, key;
+
+	if (!identifier) {
+		return;
+	}
+
+	if (algorithm === OBFUSCATION.IDPF) {
+		// SHA-1 of the identifier without whitespace
+		return sha1(new TextEncoder().encode(identifier.replace(/[ \t\r\n]/g, "")));
+	}
+
+	if (algorithm === OBFUSCATION.ADOBE) {
+		// The 16 bytes of the identifier UUID
+		uuid = identifier.replace(/^urn:uuid:/i, "").replace(/[-:]/g, "");
+
+		if (!/^[0-9a-f]{32}$/i.test(uuid)) {
+			return;
+		}
+
+		key = new Uint8Array(16);
+		for (var i = 0; i < 16; i++) {
+			key[i] = parseInt(uuid.substr(i * 2, 2), 16);
+		}
+		return key;
+	}
+}
+
+/**
+ * Remove the obfuscation of a font, which is its own inverse
+ * @param {Uint8Array} data font data, changed in place
+ * @param {string} algorithm algorithm URI from encryption.xml
+ * @param {Uint8Array} key key of the algorithm
+ * @returns {Uint8Array} data
+ * @memberof Obfuscation
+ */
+export function deobfuscate(data, algorithm, key) {
+	var length = Math.min(LENGTH[algorithm] || 0, data.length);
+
+	for (var i = 0; i < length; i++) {
+		data[i] = data[i] ^ key[i % key.length];
+	}
+
+	return data;
+}
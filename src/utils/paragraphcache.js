@@ -0,0 +1,90 @@
+/**
+ * Cache of the paragraphs of upcoming pages, keyed by the section index
+ * and number of each page, so pages read ahead are still found after
+ * turning to the pages before them.
+ *
+ * Entries hold a promise so a page that is still being prefetched can be
+ * awaited instead of being extracted a second time.
+ * @class
+ * @param {number} [limit=10] number of pages to keep before the oldest is dropped
+ */
+class ParagraphCache {
+	constructor(limit) {
+		this.limit = limit || 10;
+		this._entries = new Map();
+	}
+
+	/**
+	 * Create the key of a page
+	 * @param {number} index index of the section in the spine
+	 * @param {number} page number of the page in the section, starting at 1
+	 * @param {object} [options] paragraph extraction options, minLength is ignored
+	 * @returns {string} key
+	 */
+	key(index, page, options) {
+		var opts = options || {};
+
+		return [
+			index,
+			page,
+			JSON.stringify([
+				opts.sentences,
+				opts.locale,
+				opts.include,
+				opts.exclude,
+				opts.altText
+			])
+		].join("|");
+	}
+
+	/**
+	 * Get the paragraphs of a page
+	 * @param {string} key
+	 * @returns {Promise<Paragraph[]>|undefined} the paragraphs of the page
+	 */
+	get(key) {
+		return this._entries.get(key);
+	}
+
+	/**
+	 * Store the paragraphs of a page
+	 * @param {string} key
+	 * @param {Promise<Paragraph[]>} paragraphs the paragraphs of the page
+	 * @returns {Promise<Paragraph[]>} paragraphs
+	 */
+	set(key, paragraphs) {
+		this._entries.delete(key);
+		this._entries.set(key, paragraphs);
+
+		while (this._entries.size > this.limit) {
+			this._entries.delete(this._entries.keys().next().value);
+		}
+
+		// Failed prefetches are not kept
+		paragraphs.catch(() => {
+			if (this._entries.get(key) === paragraphs) {
+				this._entries.delete(key);
+			}
+		});
+
+		return paragraphs;
+	}
+
+	/**
+	 * Check if the paragraphs of a page are cached
+	 * @param {string} key
+	 * @returns {boolean}
+	 */
+	has(key) {
+		return this._entries.has(key);
+	}
+
+	/**
+	 * Remove every page, such as after the layout has changed
+	 */
+	clear() {
+		this._entries.clear();
+	}
+}
+
+export default ParagraphCache;
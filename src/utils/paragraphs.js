@@ -0,0 +1,474 @@
+/**
+ * Paragraph extraction helpers shared by Rendition and Book
+ * @module Paragraphs
+ */
+import EpubCFI from "../epubcfi";
+import { getTextNodesInRange, findContainingBlockElement } from "./text";
+import { getSentencesFromRange, languageOf } from "./sentences";
+
+export { BLOCK_SELECTORS, getTextNodesInRange, findContainingBlockElement } from "./text";
+
+/**
+ * Kinds of paragraph that can be included or excluded
+ * @memberof Paragraphs
+ */
+export const PARAGRAPH_KINDS = ["heading", "paragraph", "list-item", "blockquote", "table-cell", "figcaption", "aside", "footnote", "figure", "image", "math"];
+
+const DOCUMENT_POSITION_FOLLOWING = 4;
+const DOCUMENT_POSITION_CONTAINED_BY = 16;
+
+// epub:type and role values that mark notes
+const NOTE_TYPES = ["footnote", "footnotes", "endnote", "endnotes", "note", "rearnote", "rearnotes", "doc-footnote", "doc-endnote", "doc-endnotes"];
+
+// Closest ancestor elements that decide the kind of a paragraph
+const ANCESTOR_KINDS = {
+	li: "list-item",
+	dd: "list-item",
+	dt: "list-item",
+	blockquote: "blockquote",
+	td: "table-cell",
+	th: "table-cell",
+	figcaption: "figcaption",
+	aside: "aside"
+};
+
+/**
+ * Get the epub:type and role values of an element
+ * @private
+ */
+function semanticTypes(element) {
+	var types = (element.getAttributeNS("http://www.idpf.org/2007/ops", "type") ||
+		element.getAttribute("epub:type") || "") + " " + (element.getAttribute("role") || "");
+
+	return types.trim().split(/\s+/);
+}
+
+/**
+ * Find the kind of paragraph a block element is, from its own tag
+ * or the closest structural ancestor
+ * @param {Element} block
+ * @returns {{kind: string, level: (number|undefined)}} kind and heading level
+ * @memberof Paragraphs
+ */
+export function getParagraphKind(block) {
+	var heading = block.localName && block.localName.match(/^h([1-6])$/i);
+	var kind;
+	var element = block;
+
+	while (element && element.nodeType === 1 && element.localName !== "body") {
+		var types = semanticTypes(element);
+
+		if (types.some((type) => NOTE_TYPES.indexOf(type) > -1)) {
+			return { kind: "footnote", level: undefined };
+		}
+
+		if (!kind) {
+			kind = ANCESTOR_KINDS[element.localName && element.localName.toLowerCase()];
+			if (!kind && types.indexOf("sidebar") > -1) {
+				kind = "aside";
+			}
+		}
+
+		element = element.parentNode;
+	}
+
+	if (heading) {
+		return { kind: "heading", level: parseInt(heading[1]) };
+	}
+
+	return { kind: kind || "paragraph", level: undefined };
+}
+
+/**
+ * Group the text of a range into paragraphs by their block level element
+ * @param {Range} range
+ * @param {string} cfiBase section component of the CFIs
+ * @param {string} [ignoreClass] class for the cfi parser to ignore
+ * @param {object} [options]
+ * @param {boolean} [options.sentences=false] split each paragraph into sentences
+ * @param {string} [options.locale] language for segmentation, defaults to the lang of the paragraph
+ * @param {string[]} [options.include] only return paragraphs of these kinds
+ * @param {string[]} [options.exclude] skip paragraphs of these kinds
+ * @param {boolean} [options.altText=false] add synthetic paragraphs for image alt text, svg titles, math alttext and figure captions
+ * @param {string} [options.visualOrder] order paragraphs by their position on the page instead of the markup, "ltr" or "rtl"
+ * @returns {Array<{text: string, startCfi: string, endCfi: string, cfiRange: string, kind: string, level?: number, lang?: string, continuesFromPrevious: boolean, continuesOnNext: boolean, sentences?: Array<{text: string, cfiRange: string}>}>} paragraphs
+ * @memberof Paragraphs
+ */
+export function getParagraphsFromRange(range, cfiBase, ignoreClass, options) {
+	options = options || {};
+
+	var paragraphs = [];
+	var fullText = range.toString();
+	var doc = range.commonAncestorContainer.ownerDocument;
+
+	if (!doc) {
+		return paragraphs;
+	}
+
+	var alternatives = options.altText ? getAltTextParagraphs(range, cfiBase, ignoreClass, options) : [];
+
+	if (!fullText.trim() && !alternatives.length) {
+		return paragraphs;
+	}
+
+	// Group text nodes by their containing block elements
+	var blocks = new Map();
+
+	getTextNodesInRange(range).forEach((textNode) => {
+		// Replaced by a synthetic paragraph
+		if (options.altText && isAltTextNode(textNode, options)) {
+			return;
+		}
+
+		var block = findContainingBlockElement(textNode);
+		if (block) {
+			if (!blocks.has(block)) {
+				blocks.set(block, []);
+			}
+			blocks.get(block).push(textNode);
+		}
+	});
+
+	var excluded = false;
+	var positions = new Map();
+	var elements = new Map();
+
+	blocks.forEach((textNodes, block) => {
+		var type = getParagraphKind(block);
+
+		if (!isIncluded(type.kind, options)) {
+			excluded = true;
+			return;
+		}
+
+		try {
+			var paragraph = paragraphFromTextNodes(block, type, textNodes, range, cfiBase, ignoreClass, options);
+			if (paragraph) {
+				paragraphs.push(paragraph);
+				positions.set(paragraph, textNodes[0]);
+				elements.set(paragraph, block);
+			}
+		} catch (e) {
+			console.error("Error processing block element:", e);
+		}
+	});
+
+	// No block elements found, use the entire range as one paragraph
+	if (paragraphs.length === 0 && !excluded && fullText.trim() && isIncluded("paragraph", options)) {
+		var cfi = new EpubCFI(range, cfiBase, ignoreClass).toString();
+		var lang = languageOf(range.commonAncestorContainer);
+		var paragraph = {
+			text: fullText.trim(),
+			startCfi: cfi,
+			endCfi: cfi,
+			cfiRange: cfi,
+			kind: "paragraph",
+			lang: lang,
+			continuesFromPrevious: false,
+			continuesOnNext: false
+		};
+		if (options.sentences) {
+			paragraph.sentences = getSentencesFromRange(range, cfiBase, ignoreClass,
+				options.locale || lang);
+		}
+		paragraphs.push(paragraph);
+		positions.set(paragraph, range.startContainer);
+		elements.set(paragraph, range);
+	}
+
+	if (alternatives.length) {
+		// Merge the synthetic paragraphs in document order
+		alternatives.forEach((alternative) => {
+			positions.set(alternative.paragraph, alternative.element);
+			elements.set(alternative.paragraph, alternative.element);
+		});
+
+		paragraphs = paragraphs.concat(alternatives.map((alternative) => alternative.paragraph)).sort((a, b) => {
+			var position = positions.get(a).compareDocumentPosition(positions.get(b));
+			return position & DOCUMENT_POSITION_FOLLOWING || position & DOCUMENT_POSITION_CONTAINED_BY ? -1 : 1;
+		});
+	}
+
+	if (options.visualOrder) {
+		paragraphs = sortVisually(paragraphs, elements, options.visualOrder);
+	}
+
+	return paragraphs;
+}
+
+/**
+ * Order paragraphs by their position on the page: in rows from top
+ * to bottom, then from left to right, or right to left for rtl.
+ * Absolutely positioned text in fixed layout documents is often
+ * not in reading order in the markup.
+ * @private
+ * @param {object[]} paragraphs
+ * @param {Map} elements element or range that each paragraph was built from
+ * @param {string} direction "ltr" or "rtl"
+ * @returns {object[]} paragraphs in visual order
+ */
+function sortVisually(paragraphs, elements, direction) {
+	var rtl = direction === "rtl";
+	var boxes = new Map();
+	var rows = [];
+
+	paragraphs.forEach((paragraph) => {
+		boxes.set(paragraph, elements.get(paragraph).getBoundingClientRect());
+	});
+
+	paragraphs.slice().sort((a, b) => {
+		return boxes.get(a).top - boxes.get(b).top;
+	}).forEach((paragraph) => {
+		var box = boxes.get(paragraph);
+		var middle = box.top + box.height / 2;
+		var row = rows[rows.length - 1];
+
+		// Blocks whose middle is within the current row are on the same line
+		if (row && middle >= row.top && middle <= row.bottom) {
+			row.paragraphs.push(paragraph);
+			row.bottom = Math.max(row.bottom, box.bottom);
+		} else {
+			rows.push({ top: box.top, bottom: box.bottom, paragraphs: [paragraph] });
+		}
+	});
+
+	return rows.reduce((ordered, row) => {
+		return ordered.concat(row.paragraphs.sort((a, b) => {
+			return rtl ? boxes.get(b).right - boxes.get(a).right : boxes.get(a).left - boxes.get(b).left;
+		}));
+	}, []);
+}
+
+/**
+ * Get the kind and text of an element that has a text alternative
+ * @private
+ */
+function altTextOf(element) {
+	var name = element.localName && element.localName.toLowerCase();
+	var text;
+
+	if (name === "img") {
+		return { kind: "image", text: element.getAttribute("alt") };
+	}
+
+	if (name === "svg") {
+		var title = Array.prototype.find.call(element.childNodes, (child) => {
+			return child.localName === "title";
+		});
+		text = title ? title.textContent : element.getAttribute("aria-label");
+		return { kind: "image", text: text };
+	}
+
+	if (name === "math") {
+		return { kind: "math", text: element.getAttribute("alttext") };
+	}
+
+	if (name === "figure") {
+		var caption = Array.prototype.find.call(element.childNodes, (child) => {
+			return child.localName === "figcaption";
+		});
+		text = caption ? caption.textContent : element.getAttribute("aria-label");
+		return { kind: "figure", text: text };
+	}
+}
+
+/**
+ * Check if a text node is replaced by the synthetic paragraph
+ * of an element with a text alternative
+ * @private
+ */
+function isAltTextNode(textNode, options) {
+	var parentName = textNode.parentNode && textNode.parentNode.localName;
+	var element = textNode.parentNode;
+
+	while (element && element.nodeType === 1) {
+		var name = element.localName.toLowerCase();
+
+		if (name === "figcaption") {
+			return isIncluded("figure", options);
+		}
+
+		if (name === "svg") {
+			return parentName === "title" || parentName === "desc";
+		}
+
+		if (name === "math") {
+			return !!element.getAttribute("alttext");
+		}
+
+		element = element.parentNode;
+	}
+
+	return false;
+}
+
+/**
+ * Check if an element starts inside a range, so elements that
+ * span pages are only described on the first one
+ * @private
+ */
+function startsInRange(range, element) {
+	var parent = element.parentNode;
+
+	if (!parent) {
+		return false;
+	}
+
+	var index = Array.prototype.indexOf.call(parent.childNodes, element);
+
+	return range.isPointInRange(parent, index) && !(range.endContainer === parent && range.endOffset === index);
+}
+
+/**
+ * Build synthetic paragraphs for the elements of a range that have
+ * a text alternative: img alt, svg title, math alttext and figure captions.
+ * Elements are described on the page they start on.
+ * @param {Range} range
+ * @param {string} cfiBase section component of the CFIs
+ * @param {string} [ignoreClass] class for the cfi parser to ignore
+ * @param {object} [options] include and exclude kinds
+ * @returns {Array<{element: Element, paragraph: object}>} paragraphs with the element they describe
+ * @memberof Paragraphs
+ */
+export function getAltTextParagraphs(range, cfiBase, ignoreClass, options) {
+	var alternatives = [];
+	var root = range.commonAncestorContainer;
+	var doc = root.ownerDocument || root;
+
+	options = options || {};
+
+	if (root.nodeType !== 1) {
+		return alternatives;
+	}
+
+	var walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, null, false);
+	var element = root;
+
+	do {
+		var alternative = startsInRange(range, element) && altTextOf(element);
+		var text = alternative && alternative.text && alternative.text.trim();
+
+		if (!text || !isIncluded(alternative.kind, options)) {
+			continue;
+		}
+
+		var cfi = new EpubCFI(element, cfiBase, ignoreClass).toString();
+		var paragraph = {
+			text: text,
+			startCfi: cfi,
+			endCfi: cfi,
+			cfiRange: cfi,
+			kind: alternative.kind,
+			lang: languageOf(element),
+			continuesFromPrevious: false,
+			continuesOnNext: false,
+			synthetic: true
+		};
+
+		if (options.sentences) {
+			paragraph.sentences = [{ text: text, cfiRange: cfi }];
+		}
+
+		alternatives.push({ element, paragraph });
+	} while ((element = walker.nextNode()));
+
+	return alternatives;
+}
+
+/**
+ * Check a kind against the include and exclude options
+ * @private
+ */
+function isIncluded(kind, options) {
+	if (options.include && options.include.indexOf(kind) === -1) {
+		return false;
+	}
+
+	return !(options.exclude && options.exclude.indexOf(kind) > -1);
+}
+
+/**
+ * Check if a block has text before or after a range inside it,
+ * meaning the paragraph was cut by the edge of the page
+ * @private
+ */
+function hasTextOutside(block, range, after) {
+	var outside = block.ownerDocument.createRange();
+	outside.selectNodeContents(block);
+
+	if (after) {
+		outside.setStart(range.endContainer, range.endOffset);
+	} else {
+		outside.setEnd(range.startContainer, range.startOffset);
+	}
+
+	return !!outside.toString().trim();
+}
+
+/**
+ * Build a paragraph from the text nodes of a block, clipped to a range
+ * @private
+ */
+function paragraphFromTextNodes(block, type, textNodes, range, cfiBase, ignoreClass, options) {
+	var doc = block.ownerDocument;
+	var first = textNodes[0];
+	var last = textNodes[textNodes.length - 1];
+	var firstOffset = first === range.startContainer ? range.startOffset : 0;
+	var lastOffset = last === range.endContainer ? range.endOffset : last.textContent.length;
+	var text = "";
+
+	textNodes.forEach((textNode) => {
+		var nodeText = textNode.textContent || "";
+		var start = textNode === range.startContainer ? range.startOffset : 0;
+		var end = textNode === range.endContainer ? range.endOffset : nodeText.length;
+		text += nodeText.substring(start, end);
+	});
+
+	text = text.trim();
+
+	if (!text) {
+		return;
+	}
+
+	var paragraphRange = doc.createRange();
+	paragraphRange.setStart(first, Math.min(Math.max(firstOffset, 0), first.textContent.length));
+	paragraphRange.setEnd(last, Math.min(Math.max(lastOffset, 0), last.textContent.length));
+
+	// The element CFI uniquely identifies the paragraph,
+	// the range CFI spans its text for highlighting
+	var elementCfi = new EpubCFI(block, cfiBase, ignoreClass).toString();
+	var cfiRange = new EpubCFI(paragraphRange, cfiBase, ignoreClass).toString();
+
+	var parsed = new EpubCFI(elementCfi);
+	if (!parsed.path || !parsed.base) {
+		return;
+	}
+
+	parsed = new EpubCFI(cfiRange);
+	if (!parsed.path || !parsed.base) {
+		cfiRange = elementCfi;
+	}
+
+	var lang = languageOf(block);
+	var paragraph = {
+		text: text,
+		startCfi: elementCfi,
+		endCfi: elementCfi,
+		cfiRange: cfiRange,
+		kind: type.kind,
+		lang: lang,
+		continuesFromPrevious: hasTextOutside(block, paragraphRange, false),
+		continuesOnNext: hasTextOutside(block, paragraphRange, true)
+	};
+
+	if (type.level) {
+		paragraph.level = type.level;
+	}
+
+	if (options.sentences) {
+		paragraph.sentences = getSentencesFromRange(paragraphRange, cfiBase, ignoreClass,
+			options.locale || lang);
+	}
+
+	return paragraph;
+}
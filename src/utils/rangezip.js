@@ -0,0 +1,359 @@
+import {defer} from "./core";
+import JSZip from "jszip/dist/jszip";
+
+// Signatures of the zip records
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+
+// End of central directory record and the longest comment it can have
+const TAIL_LENGTH = 22 + 0xffff + 20;
+
+// Bytes fetched after an entry in case its local extra field is longer
+// than the one in the central directory, to avoid a second request
+const LOCAL_EXTRA_LENGTH = 256;
+
+/**
+ * Read a little endian 64 bit integer, precise up to 2^53
+ * @private
+ */
+function getUint64(view, offset) {
+	return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+/**
+ * Reads a remote zip with HTTP Range requests: the central directory when
+ * opened and each entry when its content is requested. Implements the parts
+ * of the JSZip API used by the Archive.
+ * @class
+ * @param {string} url url of the zip
+ * @param {boolean} [withCredentials] send the requests withCredentials
+ * @param {object} [headers] headers to send with the requests
+ */
+class RangeZip {
+	constructor(url, withCredentials, headers) {
+		this.url = url;
+		this.withCredentials = withCredentials;
+		this.headers = headers;
+		this.size = 0;
+		this.files = {};
+	}
+
+	/**
+	 * Read the central directory of the zip
+	 * @return {Promise<RangeZip | ArrayBuffer>} the zip, or the whole archive
+	 * when the server ignores the Range header and sends it all
+	 */
+	open() {
+		return this.fetch("bytes=-" + TAIL_LENGTH)
+			.then((response) => {
+				if (response.status !== 206) {
+					return response.buffer;
+				}
+
+				var start = response.size - response.data.length;
+
+				this.size = response.size;
+
+				// The central directory is usually in the tail already
+				return this.readEndOfCentralDirectory(response.data, start)
+					.then((end) => this.read(end.offset, end.length, response.data, start))
+					.then((directory) => {
+						this.readCentralDirectory(directory);
+						return this;
+					});
+			});
+	}
+
+	/**
+	 * Get an entry
+	 * @param  {string} name path of the entry in the zip
+	 * @return {object | null} entry with an async(type) method, like a JSZip entry
+	 */
+	file(name) {
+		var entry = this.files[name];
+		return entry && !entry.dir ? entry : null;
+	}
+
+	/**
+	 * Find the offset and length of the central directory
+	 * @private
+	 * @param  {Uint8Array} tail last bytes of the zip
+	 * @param  {number} start offset of the tail in the zip
+	 * @return {Promise<{offset: number, length: number}>}
+	 */
+	readEndOfCentralDirectory(tail, start) {
+		var view = new DataView(tail.buffer, tail.byteOffset, tail.byteLength);
+		var position = tail.length - 22;
+		var end, locator;
+
+		while (position >= 0 && view.getUint32(position, true) !== END_OF_CENTRAL_DIRECTORY) {
+			position--;
+		}
+
+		if (position < 0) {
+			return Promise.reject(new Error("End of central directory not found in " + this.url));
+		}
+
+		end = {
+			length: view.getUint32(position + 12, true),
+			offset: view.getUint32(position + 16, true)
+		};
+
+		locator = position - 20;
+
+		if (locator < 0 || view.getUint32(locator, true) !== ZIP64_LOCATOR) {
+			return Promise.resolve(end);
+		}
+
+		// Zip64 archives have the offsets in another record
+		return this.read(getUint64(view, locator + 8), 56, tail, start)
+			.then((record) => {
+				var zip64 = new DataView(record.buffer, record.byteOffset, record.byteLength);
+
+				if (zip64.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY) {
+					throw new Error("Zip64 end of central directory not found in " + this.url);
+				}
+
+				return {
+					length: getUint64(zip64, 40),
+					offset: getUint64(zip64, 48)
+				};
+			});
+	}
+
+	/**
+	 * List the entries of the central directory
+	 * @private
+	 * @param  {Uint8Array} directory
+	 */
+	readCentralDirectory(directory) {
+		var view = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+		var decoder = new TextDecoder("utf-8");
+		var position = 0;
+
+		this.files = {};
+
+		while (position + 46 <= directory.length && view.getUint32(position, true) === CENTRAL_HEADER) {
+			let nameLength = view.getUint16(position + 28, true);
+			let extraLength = view.getUint16(position + 30, true);
+			let commentLength = view.getUint16(position + 32, true);
+			let length = 46 + nameLength + extraLength + commentLength;
+			let entry = new RangeZipEntry(this, {
+				name: decoder.decode(directory.subarray(position + 46, position + 46 + nameLength)),
+				header: directory.slice(position, position + 46 + nameLength),
+				compressedSize: view.getUint32(position + 20, true),
+				uncompressedSize: view.getUint32(position + 24, true),
+				offset: view.getUint32(position + 42, true)
+			});
+
+			this.readExtraField(entry, view, position + 46 + nameLength, extraLength);
+			this.files[entry.name] = entry;
+
+			position += length;
+		}
+	}
+
+	/**
+	 * Read the 64 bit sizes and offset of an entry from its zip64 extra field
+	 * @private
+	 */
+	readExtraField(entry, view, start, length) {
+		var position = start;
+
+		while (position + 4 <= start + length) {
+			let id = view.getUint16(position, true);
+			let size = view.getUint16(position + 2, true);
+			let field = position + 4;
+
+			if (id === 0x0001) {
+				["uncompressedSize", "compressedSize", "offset"].forEach((property) => {
+					if (entry[property] === 0xffffffff && field + 8 <= position + 4 + size) {
+						entry[property] = getUint64(view, field);
+						field += 8;
+					}
+				});
+			}
+
+			position += 4 + size;
+		}
+	}
+
+	/**
+	 * Get the local file record of an entry: its local header and compressed data
+	 * @private
+	 * @param  {RangeZipEntry} entry
+	 * @return {Promise<Uint8Array>}
+	 */
+	readLocalFile(entry) {
+		var length = 30 + entry.header.length + entry.compressedSize + LOCAL_EXTRA_LENGTH;
+
+		return this.read(entry.offset, Math.min(length, this.size - entry.offset))
+			.then((data) => {
+				var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+				var total;
+
+				if (view.getUint32(0, true) !== LOCAL_HEADER) {
+					throw new Error("Local header of " + entry.name + " not found in " + this.url);
+				}
+
+				total = 30 + view.getUint16(26, true) + view.getUint16(28, true) + entry.compressedSize;
+
+				if (total <= data.length) {
+					return data.subarray(0, total);
+				}
+
+				// The local extra field was longer than expected
+				return this.read(entry.offset + data.length, total - data.length)
+					.then((rest) => {
+						var local = new Uint8Array(total);
+						local.set(data);
+						local.set(rest, data.length);
+						return local;
+					});
+			});
+	}
+
+	/**
+	 * Read bytes of the zip, from the data already fetched when it holds them
+	 * @private
+	 * @param  {number} offset
+	 * @param  {number} length
+	 * @param  {Uint8Array} [data] bytes already fetched
+	 * @param  {number} [start] offset of the data in the zip
+	 * @return {Promise<Uint8Array>}
+	 */
+	read(offset, length, data, start) {
+		if (data && offset >= start && offset + length <= start + data.length) {
+			return Promise.resolve(data.subarray(offset - start, offset - start + length));
+		}
+
+		if (!length) {
+			return Promise.resolve(new Uint8Array(0));
+		}
+
+		return this.fetch("bytes=" + offset + "-" + (offset + length - 1))
+			.then((response) => {
+				// Cut the range out if the whole zip was sent
+				return response.status === 206 ? response.data : response.data.subarray(offset, offset + length);
+			});
+	}
+
+	/**
+	 * Request a range of the zip
+	 * @private
+	 * @param  {string} range value of the Range header
+	 * @return {Promise<{status: number, data: Uint8Array, buffer: ArrayBuffer, size: number}>}
+	 */
+	fetch(range) {
+		var deferred = new defer();
+		var xhr = new XMLHttpRequest();
+		var header;
+
+		if (this.withCredentials) {
+			xhr.withCredentials = true;
+		}
+
+		xhr.open("GET", this.url, true);
+
+		for (header in this.headers) {
+			xhr.setRequestHeader(header, this.headers[header]);
+		}
+
+		xhr.setRequestHeader("Range", range);
+		xhr.responseType = "arraybuffer";
+
+		xhr.onerror = deferred.reject;
+		xhr.onload = () => {
+			var contentRange = xhr.getResponseHeader("Content-Range") || "";
+			var size = contentRange.match(/\/(\d+)$/);
+
+			if ((xhr.status !== 200 && xhr.status !== 206) || !xhr.response) {
+				deferred.reject({
+					status: xhr.status,
+					message : "Range request failed for " + this.url,
+					stack : new Error().stack
+				});
+				return;
+			}
+
+			deferred.resolve({
+				status: xhr.status === 206 && size ? 206 : 200,
+				data: new Uint8Array(xhr.response),
+				buffer: xhr.response,
+				size: size ? parseInt(size[1], 10) : xhr.response.byteLength
+			});
+		};
+
+		xhr.send();
+
+		return deferred.promise;
+	}
+}
+
+/**
+ * An entry of a RangeZip, fetched and inflated when its content is requested
+ * @class
+ * @private
+ */
+class RangeZipEntry {
+	constructor(zip, properties) {
+		this.zip = zip;
+		this.name = properties.name;
+		this.dir = properties.name.slice(-1) === "/";
+		this.header = properties.header;
+		this.compressedSize = properties.compressedSize;
+		this.uncompressedSize = properties.uncompressedSize;
+		this.offset = properties.offset;
+	}
+
+	/**
+	 * Get the content of the entry
+	 * @param  {string} type any output type of JSZip, "string", "uint8array", "base64", "blob"...
+	 * @return {Promise<any>}
+	 */
+	async(type) {
+		return this.zip.readLocalFile(this)
+			.then((local) => new JSZip().loadAsync(this.wrap(local)))
+			.then((single) => {
+				var name = Object.keys(single.files)[0];
+				return single.files[name].async(type);
+			});
+	}
+
+	/**
+	 * Wrap the local file record in a zip of its own, so JSZip can inflate it
+	 * @private
+	 * @param  {Uint8Array} local
+	 * @return {Uint8Array}
+	 */
+	wrap(local) {
+		var central = new Uint8Array(this.header);
+		var centralView = new DataView(central.buffer);
+		var zip = new Uint8Array(local.length + central.length + 22);
+		var view = new DataView(zip.buffer);
+		var end = local.length + central.length;
+
+		// Drop the extra field and comment, which can hold zip64 sizes and offset
+		centralView.setUint32(20, Math.min(this.compressedSize, 0xffffffff), true);
+		centralView.setUint32(24, Math.min(this.uncompressedSize, 0xffffffff), true);
+		centralView.setUint16(30, 0, true);
+		centralView.setUint16(32, 0, true);
+		centralView.setUint32(42, 0, true);
+
+		zip.set(local);
+		zip.set(central, local.length);
+
+		view.setUint32(end, END_OF_CENTRAL_DIRECTORY, true);
+		view.setUint16(end + 8, 1, true);
+		view.setUint16(end + 10, 1, true);
+		view.setUint32(end + 12, central.length, true);
+		view.setUint32(end + 16, local.length, true);
+
+		return zip;
+	}
+}
+
+export default RangeZip;
@@ -21,7 +21,7 @@ export function replaceBase(doc, section){
 	}
 
 	// Fix for Safari crashing if the url doesn't have an origin
-	if (!absolute && window && window.location) {
+	if (!absolute && typeof window !== "undefined" && window.location) {
 		url = window.location.origin + url;
 	}
 
@@ -7,6 +7,11 @@ function request(url, type, withCredentials, headers) {
 
 	var deferred = new defer();
 
+	if (typeof XMLHttpRequest === "undefined") {
+		deferred.reject(new Error("XMLHttpRequest is not available to request " + url + ", pass a requestMethod to the Book"));
+		return deferred.promise;
+	}
+
 	var xhr = new XMLHttpRequest();
 
 	//-- Check from PDF.js:
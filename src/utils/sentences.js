@@ -0,0 +1,186 @@
+/**
+ * Sentence segmentation helpers for paragraphs and Contents
+ * @module Sentences
+ */
+import EpubCFI from "../epubcfi";
+import { textSegments, locate, segmentBlocks } from "./text";
+
+// Abbreviations that end with a period without ending the sentence
+const ABBREVIATIONS = [
+	"mr", "mrs", "ms", "dr", "prof", "sr", "jr", "st", "mt", "ft",
+	"vs", "etc", "e.g", "i.e", "cf", "no", "vol", "ch", "fig", "p", "pp",
+	"jan", "feb", "mar", "apr", "jun", "jul", "aug", "sep", "sept", "oct", "nov", "dec"
+];
+
+// Terminal punctuation, then any closing quotes or brackets
+const TERMINATOR = /[.!?…‼⁇⁈⁉]+["'’”»)\]]*|[。！？｡]+["'’”」』）]*/g;
+
+/**
+ * Split text into sentences with simple punctuation rules,
+ * used when Intl.Segmenter is not available
+ * @param {string} text
+ * @returns {Array<{text: string, index: number}>} sentences with their offset in the text
+ * @memberof Sentences
+ */
+export function splitSentences(text) {
+	var sentences = [];
+	var start = 0;
+	var match;
+
+	TERMINATOR.lastIndex = 0;
+
+	while ((match = TERMINATOR.exec(text))) {
+		var end = match.index + match[0].length;
+		var next = text.charAt(end);
+		var wide = /[。！？｡]/.test(match[0]);
+
+		// Latin terminators need whitespace or the end of the text after them
+		if (!wide && next && !/\s/.test(next)) {
+			continue;
+		}
+
+		if (match[0].charAt(0) === "." && match[0].length === 1 && isAbbreviation(text, match.index)) {
+			continue;
+		}
+
+		// A lowercase continuation is not a new sentence
+		var following = text.substring(end).match(/^\s*(\S)/);
+		if (following && !wide && following[1] !== following[1].toUpperCase()) {
+			continue;
+		}
+
+		sentences.push({ text: text.substring(start, end), index: start });
+		start = end;
+	}
+
+	if (start < text.length) {
+		sentences.push({ text: text.substring(start), index: start });
+	}
+
+	return sentences;
+}
+
+/**
+ * Check if the word before a period is a known abbreviation or an initial
+ * @private
+ */
+function isAbbreviation(text, index) {
+	var before = text.substring(0, index).match(/(\S+)$/);
+
+	if (!before) {
+		return false;
+	}
+
+	var word = before[1].replace(/^["'‘“([]+/, "").toLowerCase();
+
+	// Single letter initials, such as "J. R. R."
+	if (/^[a-z]$/i.test(word)) {
+		return true;
+	}
+
+	return ABBREVIATIONS.indexOf(word) > -1;
+}
+
+/**
+ * Segment text into sentences, using Intl.Segmenter when it is available
+ * @param {string} text
+ * @param {string} [locale] language of the text
+ * @returns {Array<{text: string, index: number}>} sentences with their offset in the text
+ * @memberof Sentences
+ */
+export function segmentSentences(text, locale) {
+	if (typeof Intl === "undefined" || typeof Intl.Segmenter !== "function") {
+		return splitSentences(text);
+	}
+
+	var segmenter;
+	try {
+		segmenter = new Intl.Segmenter(locale || undefined, { granularity: "sentence" });
+	} catch (e) {
+		// Invalid language tag
+		segmenter = new Intl.Segmenter(undefined, { granularity: "sentence" });
+	}
+
+	var sentences = [];
+	for (var segment of segmenter.segment(text)) {
+		var previous = sentences[sentences.length - 1];
+		var trimmed = previous && previous.text.replace(/\s+$/, "");
+
+		// Segmenter breaks after abbreviations such as "Mr."
+		if (previous && /(^|\s)\S+\.$/.test(trimmed) && isAbbreviation(trimmed, trimmed.length - 1)) {
+			previous.text += segment.segment;
+		} else {
+			sentences.push({ text: segment.segment, index: segment.index });
+		}
+	}
+	return sentences;
+}
+
+/**
+ * Split the text of a range into sentences with a CFI range for each
+ * @param {Range} range
+ * @param {string} cfiBase section component of the CFIs
+ * @param {string} [ignoreClass] class for the cfi parser to ignore
+ * @param {string} [locale] language of the text
+ * @returns {Array<{text: string, cfiRange: string}>} sentences
+ * @memberof Sentences
+ */
+export function getSentencesFromRange(range, cfiBase, ignoreClass, locale) {
+	var sentences = [];
+	var segments = textSegments(range);
+
+	if (!segments.length) {
+		return sentences;
+	}
+
+	var doc = segments[0].node.ownerDocument;
+	var text = segments.map((segment) => {
+		return segment.node.textContent.substring(segment.start, segment.end);
+	}).join("");
+
+	segmentBlocks(segments, text, (part) => segmentSentences(part, locale)).forEach((sentence) => {
+		var leading = sentence.text.length - sentence.text.replace(/^\s+/, "").length;
+		var trimmed = sentence.text.trim();
+
+		if (!trimmed) {
+			return;
+		}
+
+		var start = locate(segments, sentence.index + leading, false);
+		var end = locate(segments, sentence.index + leading + trimmed.length, true);
+
+		if (!start || !end) {
+			return;
+		}
+
+		var sentenceRange = doc.createRange();
+		sentenceRange.setStart(start.node, start.offset);
+		sentenceRange.setEnd(end.node, end.offset);
+
+		sentences.push({
+			text: trimmed,
+			cfiRange: new EpubCFI(sentenceRange, cfiBase, ignoreClass).toString()
+		});
+	});
+
+	return sentences;
+}
+
+/**
+ * Find the language of a node from the closest lang or xml:lang attribute
+ * @param {Node} node
+ * @returns {string|undefined} language tag
+ * @memberof Sentences
+ */
+export function languageOf(node) {
+	var element = node.nodeType === 1 ? node : node.parentNode;
+
+	while (element && element.nodeType === 1) {
+		var lang = element.getAttribute("lang") ||
+			element.getAttributeNS("http://www.w3.org/XML/1998/namespace", "lang");
+		if (lang) {
+			return lang;
+		}
+		element = element.parentNode;
+	}
+}
@@ -0,0 +1,134 @@
+/**
+ * Reading of Blob, File, Response and ReadableStream inputs
+ * @module Stream
+ */
+import {defer} from "./core";
+
+/**
+ * Check if the input is a Blob, File, Response or ReadableStream
+ * @param {any} input
+ * @returns {boolean}
+ * @memberof Stream
+ */
+export function isStream(input) {
+	return (typeof Blob !== "undefined" && input instanceof Blob) ||
+		(typeof Response !== "undefined" && input instanceof Response) ||
+		(typeof ReadableStream !== "undefined" && input instanceof ReadableStream);
+}
+
+/**
+ * Concatenate chunks into an ArrayBuffer
+ * @param {Uint8Array[]} chunks
+ * @param {number} length
+ * @returns {ArrayBuffer}
+ * @private
+ */
+function concat(chunks, length) {
+	var data = new Uint8Array(length);
+	var offset = 0;
+
+	chunks.forEach((chunk) => {
+		data.set(chunk, offset);
+		offset += chunk.length;
+	});
+
+	return data.buffer;
+}
+
+/**
+ * Read a stream to its end
+ * @param {ReadableStream} stream
+ * @param {number} [total] length of the stream, if known
+ * @param {method} [progress] called with {loaded, total} for each chunk
+ * @returns {Promise<ArrayBuffer>}
+ * @private
+ */
+function readStream(stream, total, progress) {
+	var reader = stream.getReader();
+	var chunks = [];
+	var loaded = 0;
+
+	var pump = () => {
+		return reader.read().then((result) => {
+			if (result.done) {
+				return concat(chunks, loaded);
+			}
+
+			chunks.push(result.value);
+			loaded += result.value.length;
+
+			if (progress) {
+				progress({ loaded: loaded, total: total });
+			}
+
+			return pump();
+		});
+	};
+
+	return pump();
+}
+
+/**
+ * Read a Blob with a FileReader, where Blobs have no stream method
+ * @param {Blob} blob
+ * @param {method} [progress] called with {loaded, total}
+ * @returns {Promise<ArrayBuffer>}
+ * @private
+ */
+function readBlob(blob, progress) {
+	var deferred = new defer();
+	var reader = new FileReader();
+
+	reader.onprogress = (event) => {
+		if (progress) {
+			progress({ loaded: event.loaded, total: blob.size });
+		}
+	};
+	reader.onload = () => deferred.resolve(reader.result);
+	reader.onerror = () => deferred.reject(reader.error);
+
+	reader.readAsArrayBuffer(blob);
+
+	return deferred.promise;
+}
+
+/**
+ * Read a Blob, File, Response or ReadableStream into an ArrayBuffer,
+ * reporting the progress as the bytes are consumed
+ * @param {Blob | Response | ReadableStream} input
+ * @param {method} [progress] called with {loaded, total}, total is undefined when the length isn't known
+ * @returns {Promise<ArrayBuffer>}
+ * @memberof Stream
+ */
+export function readBinary(input, progress) {
+	var length;
+
+	if (typeof Response !== "undefined" && input instanceof Response) {
+		if (!input.ok) {
+			return Promise.reject({
+				status: input.status,
+				message : "Response failed: " + input.status + " " + input.statusText,
+				stack : new Error().stack
+			});
+		}
+
+		// The length of an encoded body isn't the length of the bytes read
+		length = input.headers.get("Content-Encoding") ? NaN : parseInt(input.headers.get("Content-Length"), 10);
+
+		if (!input.body) {
+			return input.arrayBuffer();
+		}
+
+		return readStream(input.body, isNaN(length) ? undefined : length, progress);
+	}
+
+	if (typeof Blob !== "undefined" && input instanceof Blob) {
+		if (typeof input.stream === "function") {
+			return readStream(input.stream(), input.size, progress);
+		}
+
+		return readBlob(input, progress);
+	}
+
+	return readStream(input, undefined, progress);
+}
@@ -0,0 +1,200 @@
+/**
+ * Text node helpers shared by paragraph, sentence and word segmentation
+ * @module Text
+ */
+
+const TEXT_NODE = 3;
+
+/**
+ * Elements that start a new paragraph
+ * @memberof Text
+ */
+export const BLOCK_SELECTORS = "p, div, h1, h2, h3, h4, h5, h6, li, blockquote, pre, article, section, aside, header, footer, main, nav, figure, figcaption, dd, dt, td, th, caption";
+
+/**
+ * Get all non-empty text nodes within a range
+ * @param {Range} range
+ * @returns {Text[]} text nodes in document order
+ * @memberof Text
+ */
+export function getTextNodesInRange(range) {
+	var textNodes = [];
+
+	if (!range || !range.commonAncestorContainer) {
+		return textNodes;
+	}
+
+	var root = range.commonAncestorContainer;
+	var doc = root.ownerDocument || root;
+
+	// A range inside a single text node has no children to walk
+	if (root.nodeType === 3) {
+		if (root.textContent.trim()) {
+			textNodes.push(root);
+		}
+		return textNodes;
+	}
+
+	var walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+		acceptNode: function (node) {
+			try {
+				if (!node.textContent || !node.textContent.trim()) {
+					return NodeFilter.FILTER_REJECT;
+				}
+				return range.intersectsNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+			} catch (e) {
+				return NodeFilter.FILTER_REJECT;
+			}
+		}
+	});
+
+	var node;
+	while ((node = walker.nextNode())) {
+		textNodes.push(node);
+	}
+
+	return textNodes;
+}
+
+/**
+ * Get a range over the text of an element, from the start of its first
+ * to the end of its last text node, as an EpubCFI of a range between
+ * element offsets does not resolve back to the same text
+ * @param {Element} element
+ * @returns {Range} range, over the element contents if it has no text
+ * @memberof Text
+ */
+export function elementTextRange(element) {
+	var range = element.ownerDocument.createRange();
+	range.selectNodeContents(element);
+
+	var textNodes = getTextNodesInRange(range);
+
+	if (textNodes.length) {
+		var last = textNodes[textNodes.length - 1];
+		range.setStart(textNodes[0], 0);
+		range.setEnd(last, last.length);
+	}
+
+	return range;
+}
+
+/**
+ * Find the closest block level ancestor of a node
+ * @param {Node} node
+ * @returns {Element|null} block element
+ * @memberof Text
+ */
+export function findContainingBlockElement(node) {
+	var element = node.parentElement || node.parentNode;
+
+	while (element && element.nodeType === 1) {
+		if (element.matches && element.matches(BLOCK_SELECTORS)) {
+			return element;
+		}
+		element = element.parentElement || element.parentNode;
+	}
+
+	return null;
+}
+
+/**
+ * Get the text nodes of a range with the part of each node inside the range
+ * and its offset in the combined text
+ * @param {Range} range
+ * @returns {Array<{node: Text, start: number, end: number, offset: number}>} segments
+ * @memberof Text
+ */
+export function textSegments(range) {
+	var segments = [];
+	var root = range.commonAncestorContainer;
+	var offset = 0;
+	var nodes = [];
+
+	if (root.nodeType === TEXT_NODE) {
+		nodes.push(root);
+	} else {
+		var doc = root.ownerDocument || root;
+		var walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+		var node;
+		while ((node = walker.nextNode())) {
+			if (range.intersectsNode(node)) {
+				nodes.push(node);
+			}
+		}
+	}
+
+	nodes.forEach((node) => {
+		var start = node === range.startContainer ? range.startOffset : 0;
+		var end = node === range.endContainer ? range.endOffset : node.length;
+
+		if (end > start) {
+			segments.push({ node, start, end, offset });
+			offset += end - start;
+		}
+	});
+
+	return segments;
+}
+
+/**
+ * Find the text node and offset for a position in the combined text.
+ * Starts are placed in the node holding the next character,
+ * ends in the node holding the previous one.
+ * @param {Array<object>} segments from textSegments
+ * @param {number} position offset in the combined text
+ * @param {boolean} [isEnd] position is the end of a range
+ * @returns {{node: Text, offset: number}|undefined} dom position
+ * @memberof Text
+ */
+export function locate(segments, position, isEnd) {
+	for (var i = 0; i < segments.length; i++) {
+		var segment = segments[i];
+		var length = segment.end - segment.start;
+		var inside = isEnd ?
+			position > segment.offset && position <= segment.offset + length :
+			position >= segment.offset && position < segment.offset + length;
+
+		if (inside) {
+			return {
+				node: segment.node,
+				offset: segment.start + (position - segment.offset)
+			};
+		}
+	}
+}
+
+/**
+ * Segment the text of each block element separately, so words and sentences
+ * never run across paragraphs, and return the results with their offset
+ * in the combined text
+ * @param {Array<object>} segments from textSegments
+ * @param {string} text combined text of the segments
+ * @param {function} split segmentation function returning {text, index} items
+ * @returns {Array<{text: string, index: number}>} items with their offset in the text
+ * @memberof Text
+ */
+export function segmentBlocks(segments, text, split) {
+	var results = [];
+	var start = 0;
+	var block;
+
+	var add = (end) => {
+		split(text.substring(start, end)).forEach((item) => {
+			results.push({ text: item.text, index: item.index + start });
+		});
+	};
+
+	segments.forEach((segment, i) => {
+		var current = findContainingBlockElement(segment.node);
+		if (i > 0 && current !== block) {
+			add(segment.offset);
+			start = segment.offset;
+		}
+		block = current;
+	});
+
+	add(text.length);
+
+	return results;
+}
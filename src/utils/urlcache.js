@@ -0,0 +1,169 @@
+import {revokeBlobUrl} from "./core";
+
+/**
+ * Cache of the urls created for the resources of an epub, keyed by the
+ * path of the resource.
+ *
+ * Once the urls exceed the entry or byte budget, the least recently used
+ * ones are dropped and blob urls are revoked. Urls retained by an owner,
+ * such as a loaded section, are kept until the owner releases them.
+ * Without a budget every url is kept until the cache is cleared.
+ * @class
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] number of urls to keep
+ * @param {number} [options.maxBytes] total size of the resources to keep urls for
+ */
+class UrlCache {
+	constructor(options) {
+		this.maxEntries = (options && options.maxEntries) || Infinity;
+		this.maxBytes = (options && options.maxBytes) || Infinity;
+		this.bytes = 0;
+		this._entries = new Map();
+		this._owners = new Map();
+	}
+
+	/**
+	 * Get the url of a resource, marking it as the most recently used
+	 * @param {string} key path of the resource
+	 * @returns {string|undefined} url
+	 */
+	get(key) {
+		var entry = this._entries.get(key);
+
+		if (!entry) {
+			return;
+		}
+
+		this._entries.delete(key);
+		this._entries.set(key, entry);
+
+		return entry.url;
+	}
+
+	/**
+	 * Check if the url of a resource is cached
+	 * @param {string} key path of the resource
+	 * @returns {boolean}
+	 */
+	has(key) {
+		return this._entries.has(key);
+	}
+
+	/**
+	 * Store the url of a resource, then drop the least recently used urls over budget.
+	 * A url created while another was already cached for the resource is revoked,
+	 * and the cached one returned.
+	 * @param {string} key path of the resource
+	 * @param {string} url blob or data url
+	 * @param {number} [size] size of the resource in bytes
+	 * @returns {string} the cached url
+	 */
+	set(key, url, size) {
+		var cached = this.get(key);
+
+		if (cached) {
+			if (cached !== url) {
+				this.revoke(url);
+			}
+			return cached;
+		}
+
+		this._entries.set(key, { url: url, size: size || 0 });
+		this.bytes += size || 0;
+
+		// The new url is in use, even if the retained ones fill the budget
+		this.prune(key);
+
+		return url;
+	}
+
+	/**
+	 * Remove and revoke the url of a resource
+	 * @param {string} key path of the resource
+	 */
+	delete(key) {
+		var entry = this._entries.get(key);
+
+		if (!entry) {
+			return;
+		}
+
+		this._entries.delete(key);
+		this.bytes -= entry.size;
+		this.revoke(entry.url);
+	}
+
+	/**
+	 * Keep the urls of resources until the owner releases them.
+	 * Replaces the resources previously retained by the owner.
+	 * @param {any} owner such as the url of a section
+	 * @param {string[]} keys paths of the resources
+	 */
+	retain(owner, keys) {
+		this._owners.set(owner, new Set(keys));
+		this.prune();
+	}
+
+	/**
+	 * Let the urls retained by an owner be dropped
+	 * @param {any} owner
+	 */
+	release(owner) {
+		if (this._owners.delete(owner)) {
+			this.prune();
+		}
+	}
+
+	/**
+	 * Check if the url of a resource is retained by any owner
+	 * @param {string} key path of the resource
+	 * @returns {boolean}
+	 */
+	retained(key) {
+		for (let keys of this._owners.values()) {
+			if (keys.has(key)) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * Drop the least recently used urls that aren't retained, until the cache is within budget
+	 * @param {string} [keep] path of a resource to keep
+	 */
+	prune(keep) {
+		for (let key of Array.from(this._entries.keys())) {
+			if (this._entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+				break;
+			}
+
+			if (key !== keep && !this.retained(key)) {
+				this.delete(key);
+			}
+		}
+	}
+
+	/**
+	 * Revoke a blob url, data urls need no revoking
+	 * @private
+	 * @param {string} url
+	 */
+	revoke(url) {
+		if (typeof url === "string" && url.indexOf("blob:") === 0) {
+			revokeBlobUrl(url);
+		}
+	}
+
+	/**
+	 * Remove and revoke every url
+	 */
+	clear() {
+		this._entries.forEach((entry) => this.revoke(entry.url));
+		this._entries.clear();
+		this._owners.clear();
+		this.bytes = 0;
+	}
+}
+
+export default UrlCache;
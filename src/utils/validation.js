@@ -0,0 +1,274 @@
+/**
+ * Checks of a parsed Book for problems that make it render badly
+ * @module Validation
+ */
+import path from "path-webpack";
+
+/**
+ * Severity levels of the problems
+ * @memberof Validation
+ */
+export const SEVERITY = {
+	ERROR: "error",
+	WARNING: "warning",
+	INFO: "info"
+};
+
+// Media types that can be listed in the spine without a fallback
+const CONTENT_TYPES = ["application/xhtml+xml", "image/svg+xml"];
+
+// Core Media Types, which Reading Systems support without a fallback
+const CORE_TYPES = CONTENT_TYPES.concat([
+	"image/gif", "image/jpeg", "image/png", "image/webp",
+	"audio/mpeg", "audio/mp4", "audio/ogg", "audio/opus",
+	"text/css", "text/javascript", "application/javascript", "application/ecmascript",
+	"font/ttf", "font/otf", "font/woff", "font/woff2", "application/font-sfnt",
+	"application/vnd.ms-opentype", "application/font-woff",
+	"application/x-dtbncx+xml", "application/smil+xml", "application/pls+xml"
+]);
+
+// Foreign resources that don't need a fallback
+const EXEMPT_TYPES = /^(video\/|text\/vtt$|application\/ttml\+xml$)/;
+
+// dcterms:modified must be in the CCYY-MM-DDThh:mm:ssZ form
+const MODIFIED = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:[0-5]\dZ$/;
+
+/**
+ * Normalize a path relative to the package, without its fragment
+ * @param {string} href
+ * @param {string} [directory] directory the href is relative to, from the package
+ * @returns {string}
+ * @private
+ */
+function normalize(href, directory) {
+	var target = href.split("#")[0];
+
+	try {
+		target = decodeURIComponent(target);
+	} catch (e) {
+		// Keep malformed hrefs as they are
+	}
+
+	return path.normalize(path.join(directory || "", target)).replace(/^\.\//, "");
+}
+
+/**
+ * Check that the spine items resolve to content documents
+ * @private
+ */
+function checkSpine(spine, manifest, report) {
+	if (!spine.length) {
+		report(SEVERITY.ERROR, "SPINE_EMPTY", "The spine has no items");
+	}
+
+	spine.forEach((itemref) => {
+		var item = manifest[itemref.idref];
+		var seen = {};
+		var fallback = item;
+
+		if (!item) {
+			report(SEVERITY.ERROR, "SPINE_IDREF_MISSING", "Spine item " + itemref.index + " refers to a missing manifest item \"" + itemref.idref + "\"", { id: itemref.idref });
+			return;
+		}
+
+		// Follow the fallback chain to a content document
+		while (fallback && CONTENT_TYPES.indexOf(fallback.type) === -1 && !seen[fallback.fallback]) {
+			seen[fallback.fallback] = true;
+			fallback = fallback.fallback && manifest[fallback.fallback];
+		}
+
+		if (!fallback || CONTENT_TYPES.indexOf(fallback.type) === -1) {
+			report(SEVERITY.ERROR, "SPINE_FALLBACK", "Spine item \"" + itemref.idref + "\" is " + (item.type || "untyped") + " without a fallback to a content document", { id: itemref.idref, href: item.href });
+		}
+	});
+}
+
+/**
+ * Check the manifest items and their media types
+ * @private
+ */
+function checkManifest(manifest, report) {
+	var hrefs = {};
+
+	Object.keys(manifest).forEach((id) => {
+		var item = manifest[id];
+		var href = item.href && normalize(item.href);
+
+		if (!item.href || !item.type) {
+			report(SEVERITY.ERROR, "MANIFEST_ITEM_INCOMPLETE", "Manifest item \"" + id + "\" is missing its " + (!item.href ? "href" : "media-type"), { id: id, href: item.href });
+		}
+
+		if (href && hrefs[href]) {
+			report(SEVERITY.ERROR, "MANIFEST_DUPLICATE_HREF", "Manifest items \"" + hrefs[href] + "\" and \"" + id + "\" have the same href", { id: id, href: item.href });
+		} else if (href) {
+			hrefs[href] = id;
+		}
+
+		if (item.type && CORE_TYPES.indexOf(item.type) === -1 && !EXEMPT_TYPES.test(item.type) &&
+				!item.fallback && item.href && item.href.indexOf("://") === -1) {
+			report(SEVERITY.WARNING, "FOREIGN_RESOURCE_FALLBACK", "Manifest item \"" + id + "\" has the foreign media type " + item.type + " and no fallback", { id: id, href: item.href });
+		}
+
+		if (item.fallback && !manifest[item.fallback]) {
+			report(SEVERITY.ERROR, "MANIFEST_FALLBACK_MISSING", "Manifest item \"" + id + "\" falls back to a missing item \"" + item.fallback + "\"", { id: id, href: item.href });
+		}
+	});
+
+	return hrefs;
+}
+
+/**
+ * Check that the navigation hrefs point to manifest items
+ * @private
+ */
+function checkNavigation(parts, hrefs, report) {
+	var navPath = parts.packaging.navPath || parts.packaging.ncxPath;
+	var directory = navPath ? path.dirname(normalize(navPath)) : "";
+	var check = (kind, href, label) => {
+		if (!href || href.indexOf("://") > -1 || href.indexOf("epubcfi(") > -1) {
+			return;
+		}
+
+		if (!hrefs[normalize(href, directory === "." ? "" : directory)]) {
+			report(SEVERITY.ERROR, "NAV_HREF_UNRESOLVED", "The " + kind + " entry \"" + (label || "").trim() + "\" links to " + href + ", which isn't in the manifest", { href: href });
+		}
+	};
+	var checkItems = (items) => {
+		items.forEach((item) => {
+			check("table of contents", item.href, item.label);
+			checkItems(item.subitems || []);
+		});
+	};
+
+	if (!navPath && !parts.packaging.toc) {
+		report(SEVERITY.WARNING, "NAV_MISSING", "The package has no navigation document or NCX");
+	}
+
+	if (parts.navigation) {
+		checkItems(parts.navigation.toc || []);
+		(parts.navigation.landmarks || []).forEach((landmark) => check("landmarks", landmark.href, landmark.label));
+	}
+
+	if (parts.pageList && parts.pageList.pageList) {
+		parts.pageList.pageList.forEach((page) => check("page list", page.href, String(page.page)));
+	}
+}
+
+/**
+ * Check the ids and version specific metadata of the package document
+ * @private
+ */
+function checkPackageDocument(packageDocument, metadata, report) {
+	var root = packageDocument.documentElement;
+	var version = root ? root.getAttribute("version") || "" : "";
+	var ids = {};
+
+	Array.prototype.slice.call(packageDocument.getElementsByTagName("*")).forEach((element) => {
+		var id = element.getAttribute("id");
+
+		if (!id) {
+			return;
+		}
+
+		if (ids[id]) {
+			report(SEVERITY.ERROR, "DUPLICATE_ID", "The id \"" + id + "\" is used more than once in the package document", { id: id });
+		}
+
+		ids[id] = true;
+	});
+
+	if (parseInt(version, 10) >= 3) {
+		if (!metadata.modified_date) {
+			report(SEVERITY.ERROR, "MODIFIED_MISSING", "EPUB " + version + " packages need a dcterms:modified date");
+		}
+	}
+
+	if (metadata.modified_date && !MODIFIED.test(metadata.modified_date.trim())) {
+		report(SEVERITY.ERROR, "MODIFIED_INVALID", "The dcterms:modified date \"" + metadata.modified_date + "\" isn't in the CCYY-MM-DDThh:mm:ssZ form");
+	}
+}
+
+/**
+ * Check that the archive holds every resource, and only declared ones
+ * @private
+ */
+function checkArchive(parts, hrefs, report) {
+	var zip = parts.archive && parts.archive.zip;
+	var packagePath = normalize(parts.packagePath || "");
+	var directory = path.dirname(packagePath);
+	var declared = {};
+
+	if (!zip) {
+		return;
+	}
+
+	Object.keys(hrefs).forEach((href) => {
+		var entry = normalize(href, directory === "." ? "" : directory);
+
+		if (href.indexOf("://") > -1) {
+			return;
+		}
+
+		declared[entry] = true;
+
+		if (!zip.file(entry)) {
+			report(SEVERITY.ERROR, "RESOURCE_UNREACHABLE", "Manifest item \"" + hrefs[href] + "\" isn't in the archive at " + entry, { id: hrefs[href], href: href });
+		}
+	});
+
+	Object.keys(zip.files).forEach((name) => {
+		var file = zip.files[name];
+
+		if (file.dir || name === "mimetype" || name.indexOf("META-INF/") === 0 || declared[name] ||
+				name === packagePath) {
+			return;
+		}
+
+		report(SEVERITY.WARNING, "RESOURCE_UNDECLARED", "The archive entry " + name + " isn't listed in the manifest", { href: name });
+	});
+}
+
+/**
+ * Validate the parsed parts of a Book
+ * @param {object} parts
+ * @param {Packaging} parts.packaging
+ * @param {Navigation} [parts.navigation]
+ * @param {PageList} [parts.pageList]
+ * @param {Archive} [parts.archive] archive to look for the resources in
+ * @param {string} [parts.packagePath] path of the package document from the root of the container
+ * @param {document} [parts.packageDocument] package document, to check its ids and version
+ * @returns {Array<{severity: string, code: string, message: string, id: string, href: string}>} problems, errors first
+ * @memberof Validation
+ */
+export function validate(parts) {
+	var problems = [];
+	var packaging = parts.packaging;
+	var manifest = packaging.manifest || {};
+	var metadata = packaging.metadata || {};
+	var order = [SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO];
+	var report = (severity, code, message, details) => {
+		problems.push({
+			severity: severity,
+			code: code,
+			message: message,
+			id: (details && details.id) || "",
+			href: (details && details.href) || ""
+		});
+	};
+	var hrefs = checkManifest(manifest, report);
+
+	checkSpine(packaging.spine || [], manifest, report);
+	checkNavigation(parts, hrefs, report);
+
+	if (!packaging.coverPath) {
+		report(SEVERITY.WARNING, "COVER_MISSING", "The package doesn't declare a cover image");
+	}
+
+	if (parts.packageDocument) {
+		checkPackageDocument(parts.packageDocument, metadata, report);
+	}
+
+	checkArchive(parts, hrefs, report);
+
+	return problems.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+}
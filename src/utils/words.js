@@ -0,0 +1,109 @@
+/**
+ * Word segmentation helpers for word level highlighting
+ * @module Words
+ */
+import EpubCFI from "../epubcfi";
+import { textSegments, locate, segmentBlocks } from "./text";
+
+// Punctuation and symbols to strip from the ends of whitespace separated words,
+// anything that is not a letter or digit in the common scripts
+const EDGE_PUNCTUATION = /^[^\w\u00C0-\u1FFF\u2C00-\u2FFF\u3040-\uD7FF]+|[^\w\u00C0-\u1FFF\u2C00-\u2FFF\u3040-\uD7FF]+$/g;
+
+/**
+ * Split text into words on whitespace, used when Intl.Segmenter is not available
+ * @param {string} text
+ * @returns {Array<{text: string, index: number}>} words with their offset in the text
+ * @memberof Words
+ */
+export function splitWords(text) {
+	var words = [];
+	var pattern = /\S+/g;
+	var match;
+
+	while ((match = pattern.exec(text))) {
+		var token = match[0];
+		var word = token.replace(EDGE_PUNCTUATION, "");
+
+		if (word) {
+			words.push({ text: word, index: match.index + token.indexOf(word) });
+		}
+	}
+
+	return words;
+}
+
+/**
+ * Segment text into words, using Intl.Segmenter when it is available
+ * @param {string} text
+ * @param {string} [locale] language of the text
+ * @returns {Array<{text: string, index: number}>} words with their offset in the text
+ * @memberof Words
+ */
+export function segmentWords(text, locale) {
+	if (typeof Intl === "undefined" || typeof Intl.Segmenter !== "function") {
+		return splitWords(text);
+	}
+
+	var segmenter;
+	try {
+		segmenter = new Intl.Segmenter(locale || undefined, { granularity: "word" });
+	} catch (e) {
+		// Invalid language tag
+		segmenter = new Intl.Segmenter(undefined, { granularity: "word" });
+	}
+
+	var words = [];
+	for (var segment of segmenter.segment(text)) {
+		if (segment.isWordLike) {
+			words.push({ text: segment.segment, index: segment.index });
+		}
+	}
+	return words;
+}
+
+/**
+ * Get the words of a range with a CFI range for each.
+ * The charOffset of a word is its offset in the text of the range,
+ * with leading whitespace removed.
+ * @param {Range} range
+ * @param {string} cfiBase section component of the CFIs
+ * @param {string} [ignoreClass] class for the cfi parser to ignore
+ * @param {string} [locale] language of the text
+ * @returns {Array<{word: string, cfiRange: string, charOffset: number}>} words
+ * @memberof Words
+ */
+export function getWordsFromRange(range, cfiBase, ignoreClass, locale) {
+	var words = [];
+	var segments = textSegments(range);
+
+	if (!segments.length) {
+		return words;
+	}
+
+	var doc = segments[0].node.ownerDocument;
+	var text = segments.map((segment) => {
+		return segment.node.textContent.substring(segment.start, segment.end);
+	}).join("");
+	var leading = text.length - text.replace(/^\s+/, "").length;
+
+	segmentBlocks(segments, text, (part) => segmentWords(part, locale)).forEach((word) => {
+		var start = locate(segments, word.index, false);
+		var end = locate(segments, word.index + word.text.length, true);
+
+		if (!start || !end) {
+			return;
+		}
+
+		var wordRange = doc.createRange();
+		wordRange.setStart(start.node, start.offset);
+		wordRange.setEnd(end.node, end.offset);
+
+		words.push({
+			word: word.text,
+			cfiRange: new EpubCFI(wordRange, cfiBase, ignoreClass).toString(),
+			charOffset: word.index - leading
+		});
+	});
+
+	return words;
+}
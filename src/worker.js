@@ -0,0 +1,114 @@
+import Archive from "./archive";
+import Packaging from "./packaging";
+import Navigation from "./navigation";
+import PageList from "./pagelist";
+import { parse } from "./utils/core";
+
+/**
+ * Get the entries of the opened archive
+ * @private
+ * @param  {object} zip
+ * @return {Array<{name: string, dir: boolean}>}
+ */
+function entries(zip) {
+	return Object.keys(zip.files).map((name) => {
+		return { name: name, dir: zip.files[name].dir };
+	});
+}
+
+/**
+ * Answers the messages of a WorkerArchive from a Web Worker: unzips the epub
+ * and parses its package and navigation documents off the main thread.
+ * Documents can't be posted back, so the parsed parts are.
+ * @param {object} scope global scope of the worker
+ */
+export function listen(scope) {
+	var archive = new Archive();
+	var cancelled = {};
+
+	var read = (name, type) => {
+		var entry = archive.zip.file(name);
+
+		if (!entry) {
+			throw new Error("File not found in the epub: " + name);
+		}
+
+		return entry.async(type);
+	};
+
+	var methods = {
+		open: (input, isBase64) => archive.open(input, isBase64).then(entries),
+		openRange: (url, withCredentials, headers) => archive.openRange(url, withCredentials, headers).then(entries),
+		read: read,
+		parse: (name, kind) => {
+			return read(name, "string").then((text) => {
+				var doc = parse(text, "text/xml");
+				var pageList;
+
+				if (kind === "package") {
+					return { packaging: new Packaging(doc) };
+				}
+
+				pageList = new PageList(doc);
+
+				return {
+					navigation: new Navigation(doc),
+					pageList: pageList.pageList || []
+				};
+			});
+		}
+	};
+
+	var fail = (id, error) => {
+		scope.postMessage({ id: id, error: { message: (error && error.message) || String(error) } });
+	};
+
+	scope.onmessage = (event) => {
+		var message = event.data;
+		var id = message.id;
+
+		if (message.method === "cancel") {
+			cancelled[id] = true;
+			return;
+		}
+
+		new Promise((resolve) => resolve(methods[message.method].apply(null, message.args)))
+			.then((result) => {
+				var transfer = [];
+
+				if (cancelled[id]) {
+					delete cancelled[id];
+					return;
+				}
+
+				if (result instanceof Uint8Array) {
+					// Only transfer a buffer of its own, not one shared with the archive
+					if (result.byteOffset || result.byteLength !== result.buffer.byteLength) {
+						result = result.slice();
+					}
+					transfer.push(result.buffer);
+				}
+
+				try {
+					scope.postMessage({ id: id, result: result }, transfer);
+				} catch (error) {
+					// Such as a DataCloneError, the call would never be answered otherwise
+					fail(id, error);
+				}
+			}, (error) => {
+				if (cancelled[id]) {
+					delete cancelled[id];
+					return;
+				}
+
+				fail(id, error);
+			});
+	};
+
+	scope.postMessage({ ready: true });
+}
+
+// Only workers have importScripts
+if (typeof self !== "undefined" && typeof self.importScripts === "function") {
+	listen(self);
+}
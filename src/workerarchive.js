@@ -0,0 +1,237 @@
+import {defer} from "./utils/core";
+import request from "./utils/request";
+import Url from "./utils/url";
+import Archive from "./archive";
+
+/**
+ * An entry of an archive opened in a worker, read by the worker when its content is requested
+ * @class
+ * @private
+ */
+class WorkerEntry {
+	constructor(archive, name, dir) {
+		this.archive = archive;
+		this.name = name;
+		this.dir = dir;
+	}
+
+	/**
+	 * Get the content of the entry
+	 * @param  {string} type any output type of JSZip, "string", "uint8array", "base64"...
+	 * @return {Promise<any>}
+	 */
+	async(type) {
+		return this.archive.call("read", [this.name, type]);
+	}
+}
+
+/**
+ * Archive unzipping in a Web Worker, with the same request surface as the Archive.
+ * The worker also parses the package and navigation documents.
+ * Unzips in this thread when the worker can't be started.
+ * @class
+ * @extends {Archive}
+ * @param {string} workerUrl url of the epub.worker.js script
+ * @param {object} [options] options of the Archive
+ */
+class WorkerArchive extends Archive {
+	constructor(workerUrl, options) {
+		super(options);
+
+		this.worker = new Worker(workerUrl);
+		this.calls = {};
+		this.lastId = 0;
+
+		this.started = new Promise((resolve, reject) => {
+			this.worker.onmessage = (event) => {
+				if (event.data.ready) {
+					resolve();
+				} else {
+					this.handleMessage(event.data);
+				}
+			};
+
+			this.worker.onerror = (event) => {
+				var error = new Error("Worker failed: " + (event.message || workerUrl));
+
+				reject(error);
+				this.rejectAll(error);
+			};
+		});
+	}
+
+	/**
+	 * Open an archive in the worker
+	 * @param  {binary} input an ArrayBuffer is transferred to the worker, and can't be used afterwards
+	 * @param  {boolean} [isBase64] tells JSZip if the input data is base64 encoded
+	 * @return {Promise} zipfile
+	 */
+	open(input, isBase64){
+		return this.started.then(() => {
+			return this.call("open", [input, isBase64], input instanceof ArrayBuffer ? [input] : [])
+				.then(this.load.bind(this));
+		}, () => {
+			this.terminate();
+			return super.open(input, isBase64);
+		});
+	}
+
+	/**
+	 * Load and Open an archive in the worker
+	 * @param  {string} zipUrl
+	 * @param  {boolean} [isBase64] tells JSZip if the input data is base64 encoded
+	 * @return {Promise} zipfile
+	 */
+	openUrl(zipUrl, isBase64){
+		return request(zipUrl, "binary")
+			.then((data) => this.open(data, isBase64));
+	}
+
+	/**
+	 * Open a remote archive with HTTP Range requests made by the worker
+	 * @param  {string} zipUrl
+	 * @param  {boolean} [withCredentials] send the requests withCredentials
+	 * @param  {object} [headers] headers to send with the requests
+	 * @return {Promise} zipfile
+	 */
+	openRange(zipUrl, withCredentials, headers){
+		return this.started.then(() => {
+			// Relative urls would resolve against the worker script
+			return this.call("openRange", [new Url(zipUrl).href, withCredentials, headers])
+				.then(this.load.bind(this));
+		}, () => {
+			this.terminate();
+			return super.openRange(zipUrl, withCredentials, headers);
+		});
+	}
+
+	/**
+	 * Parse a package or navigation document in the worker
+	 * @param  {string} url url of the document in the archive
+	 * @param  {string} kind "package" or "navigation"
+	 * @return {Promise<object | undefined>} the parsed parts, or undefined when
+	 * the document has to be parsed in this thread
+	 */
+	parse(url, kind){
+		var name = decodeURIComponent(url.substr(1)); // Remove first slash
+
+		if (!this.worker || this.encrypted[name]) {
+			return Promise.resolve();
+		}
+
+		return this.call("parse", [name, kind]);
+	}
+
+	/**
+	 * Cancel the pending requests, which reject with an error whose cancelled property is true
+	 */
+	cancel(){
+		var error = new Error("Cancelled");
+		error.cancelled = true;
+
+		Object.keys(this.calls).forEach((id) => {
+			this.worker.postMessage({ id: parseInt(id, 10), method: "cancel" });
+		});
+
+		this.rejectAll(error);
+	}
+
+	/**
+	 * List the entries opened by the worker
+	 * @private
+	 * @param  {Array<{name: string, dir: boolean}>} entries
+	 * @return {object} zipfile
+	 */
+	load(entries){
+		var files = {};
+
+		entries.forEach((entry) => {
+			files[entry.name] = new WorkerEntry(this, entry.name, entry.dir);
+		});
+
+		this.zip = {
+			files: files,
+			file: (name) => files[name] && !files[name].dir ? files[name] : null
+		};
+
+		return this.zip;
+	}
+
+	/**
+	 * Call a method of the worker
+	 * @private
+	 * @param  {string} method
+	 * @param  {array} args
+	 * @param  {ArrayBuffer[]} [transfer] buffers to transfer to the worker
+	 * @return {Promise<any>}
+	 */
+	call(method, args, transfer){
+		var deferred = new defer();
+		var id = ++this.lastId;
+
+		if (!this.worker) {
+			deferred.reject(new Error("The worker was terminated"));
+			return deferred.promise;
+		}
+
+		this.calls[id] = deferred;
+		this.worker.postMessage({ id: id, method: method, args: args }, transfer || []);
+
+		return deferred.promise;
+	}
+
+	/**
+	 * Settle a call with the answer of the worker
+	 * @private
+	 * @param  {object} message
+	 */
+	handleMessage(message){
+		var deferred = this.calls[message.id];
+
+		if (!deferred) {
+			return;
+		}
+
+		delete this.calls[message.id];
+
+		if (message.error) {
+			deferred.reject(new Error(message.error.message));
+		} else {
+			deferred.resolve(message.result);
+		}
+	}
+
+	/**
+	 * Reject the pending calls
+	 * @private
+	 * @param  {Error} error
+	 */
+	rejectAll(error){
+		var calls = this.calls;
+
+		this.calls = {};
+
+		Object.keys(calls).forEach((id) => calls[id].reject(error));
+	}
+
+	/**
+	 * Stop the worker
+	 * @private
+	 */
+	terminate(){
+		if (this.worker) {
+			this.worker.terminate();
+			this.worker = undefined;
+		}
+	}
+
+	destroy() {
+		if (this.worker) {
+			this.cancel();
+			this.terminate();
+		}
+		super.destroy();
+	}
+}
+
+export default WorkerArchive;
@@ -0,0 +1,88 @@
+import assert from 'assert';
+import { accessibilitySummary } from '../src/utils/accessibility';
+
+function statements(groups, id) {
+	var group = groups.filter((g) => g.id === id)[0];
+	return group && group.statements;
+}
+
+describe('Accessibility', function() {
+
+	describe('#accessibilitySummary()', function() {
+
+		it('should summarize an accessible reflowable publication', function() {
+			var groups = accessibilitySummary({
+				layout: "",
+				accessibility: {
+					accessMode: ["textual", "visual"],
+					accessModeSufficient: [["textual", "visual"], ["textual"]],
+					accessibilityFeature: ["tableOfContents", "structuralNavigation", "alternativeText", "MathML", "pageBreakMarkers"],
+					accessibilityHazard: ["none"],
+					accessibilitySummary: "All images are described.",
+					conformsTo: ["http://www.idpf.org/epub/a11y/accessibility-20170105.html#wcag-aa"],
+					certifiedBy: "Accessibility Checkers Inc.",
+					certifierCredential: "",
+					certifierReport: ""
+				}
+			});
+
+			assert.deepEqual(groups.map((g) => g.id), [
+				"ways-of-reading",
+				"conformance",
+				"navigation",
+				"rich-content",
+				"hazards",
+				"accessibility-summary",
+				"additional-accessibility-information"
+			]);
+			assert.deepEqual(statements(groups, "ways-of-reading"), [
+				"Appearance can be modified",
+				"Readable in read aloud or dynamic braille",
+				"Has alternative text",
+				"No information about prerecorded audio is available"
+			]);
+			assert.deepEqual(statements(groups, "conformance"), [
+				"This publication meets accepted accessibility standards",
+				"EPUB Accessibility 1.0 - WCAG 2.0 Level AA",
+				"The publication was certified by Accessibility Checkers Inc."
+			]);
+			assert.deepEqual(statements(groups, "navigation"), ["Table of contents", "Headings"]);
+			assert.deepEqual(statements(groups, "rich-content"), ["Math as MathML"]);
+			assert.deepEqual(statements(groups, "hazards"), ["No hazards"]);
+			assert.deepEqual(statements(groups, "accessibility-summary"), ["All images are described."]);
+			assert.deepEqual(statements(groups, "additional-accessibility-information"), ["Page breaks included"]);
+		});
+
+		it('should report missing information', function() {
+			var groups = accessibilitySummary({ layout: "pre-paginated" });
+
+			assert.deepEqual(statements(groups, "ways-of-reading"), [
+				"Appearance cannot be modified",
+				"May not be fully readable in read aloud or dynamic braille",
+				"No information about prerecorded audio is available"
+			]);
+			assert.deepEqual(statements(groups, "conformance"), ["No information is available"]);
+			assert.deepEqual(statements(groups, "hazards"), ["No information is available"]);
+			assert.equal(statements(groups, "accessibility-summary"), undefined);
+		});
+
+		it('should describe audio and hazards', function() {
+			var groups = accessibilitySummary({
+				accessibility: {
+					accessMode: ["auditory"],
+					accessModeSufficient: [["auditory"]],
+					accessibilityFeature: ["synchronizedAudioText"],
+					accessibilityHazard: ["flashing", "noSoundHazard"],
+					conformsTo: ["EPUB Accessibility 1.1 - WCAG 2.1 Level A"]
+				}
+			});
+
+			assert.deepEqual(statements(groups, "ways-of-reading").slice(1), [
+				"Not readable in read aloud or dynamic braille",
+				"Prerecorded audio synchronized with text"
+			]);
+			assert.equal(statements(groups, "conformance")[0], "This publication meets minimum accessibility standards");
+			assert.deepEqual(statements(groups, "hazards"), ["Flashing content", "No sound hazards"]);
+		});
+	});
+});
@@ -0,0 +1,59 @@
+import assert from 'assert';
+import EventEmitter from 'event-emitter';
+import ePub from '../src/epub';
+import DefaultViewManager from '../src/managers/default';
+import { EVENTS } from '../src/utils/constants';
+
+class View {
+	constructor(section) {
+		this.section = section;
+		this.index = section.index;
+		this.highlights = {};
+		this.detached = [];
+	}
+
+	highlight(cfiRange) {
+		this.highlights[cfiRange] = true;
+	}
+
+	unhighlight(cfiRange) {
+		this.detached.push(cfiRange);
+		delete this.highlights[cfiRange];
+	}
+
+	destroy() {
+		this.emit(EVENTS.VIEWS.REMOVED, this);
+	}
+}
+
+EventEmitter(View.prototype);
+
+describe('Annotations', function() {
+	var rendition, manager;
+
+	beforeEach(function() {
+		var book = new ePub();
+
+		rendition = book.renderTo("mock-container-annotations", { width: 600, height: 400 });
+		manager = new DefaultViewManager({ view: View, settings: {} });
+		manager.on(EVENTS.MANAGERS.REMOVED, rendition.afterRemoved.bind(rendition));
+	});
+
+	it('should detach the annotations of a view when it is removed', async function() {
+		var cfi = "epubcfi(/6/4!/4/2,/1:0,/1:5)";
+		var view = manager.createView({ index: 1, url: "/OPS/c1.xhtml" });
+		var annotation = rendition.annotations.highlight(cfi);
+		var detached = 0;
+		var removed = new Promise((resolve) => rendition.on(EVENTS.RENDITION.REMOVED, resolve));
+
+		annotation.on(EVENTS.ANNOTATION.DETACH, () => detached++);
+		await rendition.hooks.render.trigger(view, rendition);
+		assert.ok(view.highlights[cfi]);
+
+		view.destroy();
+
+		assert.equal(await removed, view.section);
+		assert.deepEqual(view.detached, [cfi]);
+		assert.equal(detached, 1);
+	});
+});
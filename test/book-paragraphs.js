@@ -0,0 +1,60 @@
+import Book from '../src/book';
+import assert from 'assert';
+
+describe('Book paragraphs', function() {
+
+	var book = new Book("/fixtures/alice/OPS/package.opf");
+
+	it('should iterate over the paragraphs of the book in reading order', async function() {
+		this.timeout(10000);
+
+		let paragraphs = [];
+		for await (let paragraph of book.paragraphs()) {
+			paragraphs.push(paragraph);
+		}
+
+		assert(paragraphs.length > 100, "found paragraphs in every section");
+
+		let first = paragraphs[0];
+		assert.equal(typeof first.text, "string");
+		assert.equal(first.cfiRange.indexOf("epubcfi("), 0);
+		assert.equal(typeof first.sectionIndex, "number");
+		assert.equal(first.href, book.spine.get(first.sectionIndex).href);
+		assert.equal(typeof first.kind, "string");
+
+		for (let i = 1; i < paragraphs.length; i++) {
+			assert(paragraphs[i].sectionIndex >= paragraphs[i - 1].sectionIndex, "sections are in spine order");
+		}
+	});
+
+	it('should start from a cfi', async function() {
+		let iterator = book.paragraphs({ from: "epubcfi(/6/8!/4/2/8/1:10)" });
+		let result = await iterator.next();
+
+		assert.equal(result.done, false);
+		assert.equal(result.value.sectionIndex, 3);
+		assert.equal(result.value.href, "chapter_001.xhtml");
+		assert.equal(result.value.cfiRange, "epubcfi(/6/8!/4/2/8,/1:10,/1:285)");
+
+		await iterator.return();
+		result = await iterator.next();
+		assert.equal(result.done, true);
+	});
+
+	it('should only return the included kinds', async function() {
+		let iterator = book.paragraphs({ include: ["heading"] });
+		let result = await iterator.next();
+
+		assert.equal(result.value.kind, "heading");
+		assert(result.value.level > 0, "headings have a level");
+
+		await iterator.return();
+	});
+
+	it('should not leave sections loaded', async function() {
+		let iterator = book.paragraphs();
+		let result = await iterator.next();
+
+		assert.equal(book.spine.get(result.value.sectionIndex).document, undefined);
+	});
+});
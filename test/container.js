@@ -0,0 +1,129 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import Book from '../src/book';
+import Container from '../src/container';
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:rendition="http://www.idpf.org/2013/rendition">' +
+	'<rootfiles>' +
+	'<rootfile full-path="EPUB/reflow.opf" media-type="application/oebps-package+xml" rendition:layout="reflowable" rendition:language="en" rendition:label="Text"/>' +
+	'<rootfile full-path="EPUB/fixed.opf" media-type="application/oebps-package+xml" rendition:layout="pre-paginated" rendition:media="(min-width: 1024px)" rendition:label="Print"/>' +
+	'<rootfile full-path="EPUB/fr.opf" media-type="application/oebps-package+xml" rendition:language="fr-CA" rendition:accessMode="textual"/>' +
+	'<rootfile full-path="EPUB/audio.opf" media-type="application/oebps-package+xml" rendition:accessMode="auditory visual"/>' +
+	'</rootfiles>' +
+	'</container>';
+
+const METADATA = '<?xml version="1.0"?>' +
+	'<metadata xmlns="http://www.idpf.org/2013/metadata" xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier>urn:uuid:1234</dc:identifier><dc:title>Renditions</dc:title><dc:language>en</dc:language>' +
+	'<meta property="dcterms:modified">2024-01-01T00:00:00Z</meta>' +
+	'</metadata>';
+
+function packageXml(title, layout) {
+	return '<?xml version="1.0"?>' +
+		'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+		'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+		'<dc:identifier id="uid">urn:uuid:1234</dc:identifier><dc:title>' + title + '</dc:title>' +
+		'<meta property="rendition:layout">' + layout + '</meta>' +
+		'</metadata>' +
+		'<manifest><item id="c" href="' + title + '.xhtml" media-type="application/xhtml+xml"/></manifest>' +
+		'<spine><itemref idref="c"/></spine>' +
+		'</package>';
+}
+
+function parse(xml) {
+	return new DOMParser().parseFromString(xml, "application/xml");
+}
+
+function epub() {
+	var zip = new JSZip();
+	zip.file("mimetype", "application/epub+zip");
+	zip.file("META-INF/container.xml", CONTAINER);
+	zip.file("META-INF/metadata.xml", METADATA);
+	zip.file("EPUB/reflow.opf", packageXml("reflow", "reflowable"));
+	zip.file("EPUB/fixed.opf", packageXml("fixed", "pre-paginated"));
+	zip.file("EPUB/fr.opf", packageXml("fr", "reflowable"));
+	zip.file("EPUB/audio.opf", packageXml("audio", "reflowable"));
+	return zip.generateAsync({ type: "arraybuffer" });
+}
+
+describe('Container', function() {
+
+	it('should parse every rootfile with its selection attributes', function() {
+		var container = new Container(parse(CONTAINER));
+
+		assert.equal(container.packagePath, "EPUB/reflow.opf");
+		assert.equal(container.rootfiles.length, 4);
+		assert.deepEqual(container.rootfiles[1], {
+			index: 1,
+			fullPath: "EPUB/fixed.opf",
+			mediaType: "application/oebps-package+xml",
+			media: "(min-width: 1024px)",
+			layout: "pre-paginated",
+			language: "",
+			accessMode: [],
+			label: "Print"
+		});
+		assert.deepEqual(container.rootfiles[3].accessMode, ["auditory", "visual"]);
+	});
+
+	it('should parse metadata.xml', function() {
+		var container = new Container(parse(CONTAINER));
+		var metadata = container.parseMetadata(parse(METADATA));
+
+		assert.equal(metadata.identifier, "urn:uuid:1234");
+		assert.equal(metadata.title, "Renditions");
+		assert.equal(metadata.releaseIdentifier, "urn:uuid:1234@2024-01-01T00:00:00Z");
+	});
+
+	it('should select the rendition matching the most preferences', function() {
+		var container = new Container(parse(CONTAINER));
+		var wide = (query) => query === "(min-width: 1024px)";
+
+		assert.equal(container.select().fullPath, "EPUB/reflow.opf");
+		assert.equal(container.select({ layout: "pre-paginated" }).fullPath, "EPUB/fixed.opf");
+		assert.equal(container.select({ layout: "pre-paginated", media: () => false }).fullPath, "EPUB/fr.opf");
+		assert.equal(container.select({ layout: "pre-paginated", media: wide }).fullPath, "EPUB/fixed.opf");
+		assert.equal(container.select({ language: "fr", accessMode: ["textual", "visual"] }).fullPath, "EPUB/fr.opf");
+		assert.equal(container.select({ language: "de" }).fullPath, "EPUB/fixed.opf");
+		assert.equal(container.select({ accessMode: "auditory" }).fullPath, "EPUB/reflow.opf");
+		assert.equal(container.select((rootfiles) => rootfiles[3]).fullPath, "EPUB/audio.opf");
+	});
+
+	it('should open the selected rendition and switch at runtime', async function() {
+		var book = new Book({ renditionSelector: { layout: "pre-paginated" } });
+		var selected = [];
+		book.on("renditionSelected", (rootfile) => selected.push(rootfile.fullPath));
+
+		await book.open(await epub());
+
+		assert.equal(book.container.metadata.identifier, "urn:uuid:1234");
+		assert.equal(book.rootfile.fullPath, "EPUB/fixed.opf");
+		assert.equal(book.packaging.metadata.title, "fixed");
+		assert.equal(book.spine.get(0).url, "/EPUB/fixed.xhtml");
+
+		await book.selectRendition({ language: "en", layout: "reflowable" });
+
+		assert.equal(book.rootfile.fullPath, "EPUB/reflow.opf");
+		assert.equal(book.packaging.metadata.title, "reflow");
+		assert.equal(book.spine.length, 1);
+		assert.equal(book.spine.get(0).url, "/EPUB/reflow.xhtml");
+		assert.equal((await book.loaded.metadata).layout, "reflowable");
+		assert.deepEqual(selected, ["EPUB/reflow.opf"]);
+	});
+
+	it('should not switch renditions while the book is rendered', async function() {
+		var book = new Book();
+		await book.open(await epub());
+
+		var rendition = book.renderTo("mock-container-renditions", { width: 600, height: 400 });
+
+		await assert.rejects(book.selectRendition({ layout: "pre-paginated" }), /Destroy the rendition/);
+		assert.equal(book.rootfile.fullPath, "EPUB/reflow.opf");
+		assert.equal(book.spine.get(0).url, "/EPUB/reflow.xhtml", "the sections of the rendition are kept");
+
+		rendition.destroy();
+		await book.selectRendition({ layout: "pre-paginated" });
+		assert.equal(book.rootfile.fullPath, "EPUB/fixed.opf");
+	});
+});
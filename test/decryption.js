@@ -0,0 +1,201 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import Book from '../src/book';
+import Encryption from '../src/encryption';
+import Resources from '../src/resources';
+import Store from '../src/store';
+
+const AES = "http://www.w3.org/2001/04/xmlenc#aes256-cbc";
+const KEY = 0x5a;
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+function encryptionXml(uris) {
+	return '<?xml version="1.0"?>' +
+		'<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:enc="http://www.w3.org/2001/04/xmlenc#">' +
+		uris.map((uri) => '<enc:EncryptedData><enc:EncryptionMethod Algorithm="' + AES + '"/>' +
+			'<enc:CipherData><enc:CipherReference URI="' + uri + '"/></enc:CipherData></enc:EncryptedData>').join("") +
+		'</encryption>';
+}
+
+const PACKAGE = '<?xml version="1.0"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">urn:uuid:0</dc:identifier><dc:title>Encrypted</dc:title>' +
+	'</metadata>' +
+	'<manifest><item id="c" href="c.xhtml" media-type="application/xhtml+xml"/>' +
+	'<item id="i" href="image.png" media-type="image/png"/></manifest>' +
+	'<spine><itemref idref="c"/></spine>' +
+	'</package>';
+
+const CHAPTER = '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>c</title></head><body><p>Secret é</p></body></html>';
+
+const IMAGE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10, 0, 255]);
+
+function xor(data) {
+	return Uint8Array.from(data, (b) => b ^ KEY);
+}
+
+function decryptor(path, algorithm, data) {
+	assert.equal(algorithm, AES);
+	return Promise.resolve(xor(data));
+}
+
+function epub(encrypted) {
+	var zip = new JSZip();
+	zip.file("mimetype", "application/epub+zip");
+	zip.file("META-INF/container.xml", CONTAINER);
+	zip.file("META-INF/encryption.xml", encryptionXml(encrypted));
+	zip.file("OPS/package.opf", encrypted.indexOf("OPS/package.opf") > -1 ? xor(new TextEncoder().encode(PACKAGE)) : PACKAGE);
+	zip.file("OPS/c.xhtml", xor(new TextEncoder().encode(CHAPTER)));
+	zip.file("OPS/image.png", xor(IMAGE));
+	return zip.generateAsync({ type: "arraybuffer" });
+}
+
+function directory(encrypted) {
+	var files = {
+		"META-INF/container.xml": CONTAINER,
+		"META-INF/encryption.xml": encryptionXml(encrypted),
+		"OPS/package.opf": PACKAGE,
+		"OPS/c.xhtml": xor(new TextEncoder().encode(CHAPTER))
+	};
+
+	return (url, type) => {
+		var data = files[url.replace("http://example.com/book/", "")];
+		var bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+
+		if (!data) {
+			return Promise.reject(new Error("Not found: " + url));
+		} else if (type == "binary") {
+			return Promise.resolve(bytes.buffer.slice(0));
+		}
+		return Promise.resolve(typeof data === "string" ?
+			new DOMParser().parseFromString(data, "application/xml") : new TextDecoder().decode(bytes));
+	};
+}
+
+class MemoryStore extends Store {
+	checkRequirements() {
+		var items = new Map();
+		this.storage = {
+			getItem: (key) => Promise.resolve(items.get(key)),
+			setItem: (key, value) => Promise.resolve(items.set(key, value)).then(() => value)
+		};
+	}
+}
+
+describe('Decryption', function() {
+
+	it('should only send encrypted resources to the decryptor', async function() {
+		var calls = [];
+		var encryption = new Encryption(new DOMParser().parseFromString(encryptionXml(["OPS/c.xhtml"]), "application/xml"), (path, algorithm, data) => {
+			calls.push(path);
+			return xor(data);
+		});
+
+		assert.equal(encryption.hasEncrypted(), true);
+		assert.deepEqual(Array.from(await encryption.decrypt("/OPS/c.xhtml", xor(IMAGE))), Array.from(IMAGE));
+		assert.deepEqual(Array.from(await encryption.decrypt("OPS/image.png", IMAGE.buffer)), Array.from(IMAGE));
+		assert.deepEqual(calls, ["OPS/c.xhtml"]);
+	});
+
+	it('should reject with a clear error without a decryptor', async function() {
+		var encryption = new Encryption(new DOMParser().parseFromString(encryptionXml(["OPS/c.xhtml"]), "application/xml"));
+
+		await assert.rejects(encryption.decrypt("OPS/c.xhtml", IMAGE), (error) => {
+			assert.equal(error.path, "OPS/c.xhtml");
+			assert.equal(error.algorithm, AES);
+			assert.ok(/Cannot decrypt OPS\/c\.xhtml/.test(error.message));
+			return true;
+		});
+	});
+
+	it('should decrypt sections and assets served from an archived book', async function() {
+		var book = new Book({ decryptor: decryptor, replacements: "base64" });
+		await book.open(await epub(["OPS/c.xhtml", "OPS/image.png"]));
+
+		var doc = await book.load("c.xhtml");
+		assert.equal(doc.querySelector("p").textContent, "Secret é");
+
+		var url = await book.archive.getBase64("/OPS/image.png");
+		assert.equal(url.split(";base64,")[1], Buffer.from(IMAGE).toString("base64"));
+	});
+
+	it('should decrypt sections of an unpacked book', async function() {
+		var book = new Book("http://example.com/book/", {
+			requestMethod: directory(["OPS/c.xhtml"]),
+			decryptor: decryptor
+		});
+		await book.opened;
+
+		var doc = await book.load("c.xhtml");
+		assert.equal(doc.querySelector("p").textContent, "Secret é");
+
+		var contents = await book.spine.get(0).render(book.load.bind(book));
+		assert.ok(contents.indexOf("Secret é") > -1);
+	});
+
+	it('should store the encrypted bytes it fetched without requesting them again', async function() {
+		var requested = [];
+		var store = new MemoryStore("decryption", (url, type) => {
+			requested.push(url);
+			return Promise.resolve(xor(new TextEncoder().encode(CHAPTER)).buffer);
+		}, null, (url, data) => Promise.resolve(xor(new Uint8Array(data))));
+
+		var doc = await store.request("http://example.com/OPS/c.xhtml");
+		assert.equal(doc.querySelector("p").textContent, "Secret é");
+
+		store.online = false;
+		doc = await store.request("http://example.com/OPS/c.xhtml");
+		assert.equal(doc.querySelector("p").textContent, "Secret é");
+		assert.deepEqual(requested, ["http://example.com/OPS/c.xhtml"]);
+	});
+
+	it('should emit loaderror when a section cannot be decrypted', async function() {
+		var book = new Book({
+			replacements: "base64",
+			decryptor: () => {
+				throw new Error("wrong key");
+			}
+		});
+		var errors = [];
+		book.on("loaderror", (error) => errors.push(error));
+
+		await book.open(await epub(["OPS/c.xhtml"]));
+
+		await assert.rejects(book.load("c.xhtml"), /wrong key/);
+		assert.equal(errors.length, 1);
+		assert.equal(errors[0].path, "OPS/c.xhtml");
+	});
+
+	it('should emit openFailed when the package cannot be decrypted', async function() {
+		var book = new Book({ replacements: "base64" });
+		var failed;
+		book.on("openFailed", (error) => {
+			failed = error;
+		});
+
+		await assert.rejects(book.open(await epub(["OPS/package.opf"])));
+		assert.equal(failed.path, "OPS/package.opf");
+		assert.ok(/no decryptor/.test(failed.message));
+	});
+
+	it('should decrypt unarchived resources before creating their urls', async function() {
+		var requested = [];
+		var resources = new Resources({}, {
+			replacements: "base64",
+			request: (url, type) => {
+				requested.push(type);
+				return Promise.resolve(xor(IMAGE).buffer);
+			},
+			decryptor: (url, data) => Promise.resolve(xor(new Uint8Array(data)))
+		});
+
+		var url = await resources.createUrl("http://example.com/OPS/image.png");
+		assert.deepEqual(requested, ["binary"]);
+		assert.equal(url, "data:image/png;base64," + Buffer.from(IMAGE).toString("base64"));
+	});
+});
@@ -0,0 +1,103 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import Book from '../src/book';
+import Encryption from '../src/encryption';
+import { OBFUSCATION, obfuscationKey, deobfuscate } from '../src/utils/obfuscation';
+
+const UID = "urn:uuid:12345678-9abc-def0-1234-56789abcdef0";
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+const ENCRYPTION = '<?xml version="1.0"?>' +
+	'<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:enc="http://www.w3.org/2001/04/xmlenc#">' +
+	'<enc:EncryptedData><enc:EncryptionMethod Algorithm="http://www.idpf.org/2008/embedding"/>' +
+	'<enc:CipherData><enc:CipherReference URI="OPS/fonts/idpf%20font.otf"/></enc:CipherData></enc:EncryptedData>' +
+	'<enc:EncryptedData><enc:EncryptionMethod Algorithm="http://ns.adobe.com/pdf/enc#RC"/>' +
+	'<enc:CipherData><enc:CipherReference URI="OPS/fonts/adobe.otf"/></enc:CipherData></enc:EncryptedData>' +
+	'</encryption>';
+
+const PACKAGE = '<?xml version="1.0"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">' + UID + '</dc:identifier><dc:title>Fonts</dc:title>' +
+	'</metadata>' +
+	'<manifest><item id="c" href="c.xhtml" media-type="application/xhtml+xml"/></manifest>' +
+	'<spine><itemref idref="c"/></spine>' +
+	'</package>';
+
+function hex(bytes) {
+	return Array.prototype.map.call(bytes, (b) => ("0" + b.toString(16)).slice(-2)).join("");
+}
+
+function font(length) {
+	var data = new Uint8Array(length);
+	for (var i = 0; i < length; i++) {
+		data[i] = i % 251;
+	}
+	return data;
+}
+
+function obfuscate(data, algorithm) {
+	return deobfuscate(data.slice(), algorithm, obfuscationKey(algorithm, UID));
+}
+
+describe('Encryption', function() {
+
+	it('should parse the algorithms of encryption.xml', function() {
+		var encryption = new Encryption(new DOMParser().parseFromString(ENCRYPTION, "application/xml"));
+
+		assert.equal(encryption.algorithm("OPS/fonts/idpf font.otf"), OBFUSCATION.IDPF);
+		assert.equal(encryption.algorithm("/OPS/fonts/adobe.otf"), OBFUSCATION.ADOBE);
+		assert.equal(encryption.algorithm("OPS/c.xhtml"), undefined);
+	});
+
+	describe('Obfuscation', function() {
+
+		it('should derive the IDPF key from the SHA-1 of the identifier without whitespace', function() {
+			assert.equal(hex(obfuscationKey(OBFUSCATION.IDPF, " a b\nc\t")), "a9993e364706816aba3e25717850c26c9cd0d89d");
+			assert.equal(hex(obfuscationKey(OBFUSCATION.IDPF, "abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq")), "84983e441c3bd26ebaae4aa1f95129e5e54670f1");
+			assert.equal(obfuscationKey(OBFUSCATION.IDPF, ""), undefined);
+		});
+
+		it('should derive the Adobe key from the identifier UUID', function() {
+			assert.equal(hex(obfuscationKey(OBFUSCATION.ADOBE, UID)), "123456789abcdef0123456789abcdef0");
+			assert.equal(obfuscationKey(OBFUSCATION.ADOBE, "isbn:9780000000002"), undefined);
+			assert.equal(obfuscationKey("http://www.w3.org/2001/04/xmlenc#aes128-cbc", UID), undefined);
+		});
+
+		it('should only change the obfuscated bytes', function() {
+			var data = font(2000);
+			var idpf = obfuscate(data, OBFUSCATION.IDPF);
+			var adobe = obfuscate(data, OBFUSCATION.ADOBE);
+
+			assert.notEqual(hex(idpf.subarray(1039, 1040)), hex(data.subarray(1039, 1040)));
+			assert.equal(hex(idpf.subarray(1040)), hex(data.subarray(1040)));
+			assert.equal(hex(adobe.subarray(1024)), hex(data.subarray(1024)));
+			assert.equal(hex(obfuscate(idpf, OBFUSCATION.IDPF)), hex(data));
+		});
+	});
+
+	it('should serve de-obfuscated fonts from an archived book', async function() {
+		var data = font(1500);
+		var zip = new JSZip();
+		zip.file("mimetype", "application/epub+zip");
+		zip.file("META-INF/container.xml", CONTAINER);
+		zip.file("META-INF/encryption.xml", ENCRYPTION);
+		zip.file("OPS/package.opf", PACKAGE);
+		zip.file("OPS/c.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>c</title></head><body/></html>');
+		zip.file("OPS/fonts/idpf font.otf", obfuscate(data, OBFUSCATION.IDPF));
+		zip.file("OPS/fonts/adobe.otf", obfuscate(data, OBFUSCATION.ADOBE));
+		zip.file("OPS/fonts/plain.otf", data);
+
+		var book = new Book();
+		await book.open(await zip.generateAsync({ type: "arraybuffer" }));
+
+		for (var name of ["idpf%20font.otf", "adobe.otf", "plain.otf"]) {
+			var url = await book.archive.getBase64("/OPS/fonts/" + name);
+			assert.equal(url.split(";base64,")[1], Buffer.from(data).toString("base64"), name);
+		}
+	});
+});
@@ -0,0 +1,283 @@
+import assert from "assert";
+import EpubCFI from "../src/epubcfi";
+import Smil from "../src/smil";
+import MediaOverlays from "../src/mediaoverlays";
+
+const CHAPTER_ONE = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<html xmlns="http://www.w3.org/1999/xhtml"><head><title>One</title></head><body>' +
+	'<p id="c1p1">The first narrated paragraph.</p>' +
+	'<p id="c1p2">The second narrated paragraph.</p>' +
+	'</body></html>';
+
+const CHAPTER_TWO = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Two</title></head><body>' +
+	'<p id="c2p1">The only paragraph of chapter two.</p>' +
+	'</body></html>';
+
+function smil(chapter, fragments) {
+	let pars = fragments.map((id, i) => {
+		return '<par id="' + id + '-par"><text src="' + chapter + '.xhtml#' + id + '"/>' +
+			'<audio src="audio/' + chapter + '.mp3" clipBegin="' + (i * 2) + 's" clipEnd="' + (i * 2 + 2) + 's"/></par>';
+	}).join("");
+	let xml = '<smil xmlns="http://www.w3.org/ns/SMIL" version="3.0"><body><seq>' + pars + '</seq></body></smil>';
+
+	return new Smil(new DOMParser().parseFromString(xml, "application/xml"), chapter + ".smil");
+}
+
+function parse(markup) {
+	return new DOMParser().parseFromString(markup, "application/xhtml+xml");
+}
+
+// Audio adapter that only finishes a clip when told to
+class FakeAdapter {
+	constructor() {
+		this.played = [];
+		this.calls = [];
+		this.pending = [];
+	}
+	play(src, options) {
+		this.played.push({ src, begin: options.begin, end: options.end, rate: options.rate });
+		return new Promise((resolve) => {
+			this.pending.push(resolve);
+		});
+	}
+	finish() {
+		let resolve = this.pending.shift();
+		resolve && resolve();
+		return wait();
+	}
+	pause() {
+		this.calls.push("pause");
+	}
+	resume() {
+		this.calls.push("resume");
+	}
+	cancel() {
+		this.calls.push("cancel");
+		this.pending = [];
+	}
+	setRate(rate) {
+		this.calls.push("rate:" + rate);
+	}
+}
+
+function wait() {
+	return new Promise((r) => setTimeout(r, 0));
+}
+
+function fakeRendition() {
+	let documents = [parse(CHAPTER_ONE), parse(CHAPTER_TWO), parse(CHAPTER_TWO)];
+	let overlays = [smil("chapter1", ["c1p1", "c1p2"]), smil("chapter2", ["c2p1"]), undefined];
+	let sections = documents.map((document, index) => {
+		return {
+			index,
+			href: "chapter" + (index + 1) + ".xhtml",
+			cfiBase: "/6/" + (index * 2 + 2) + "!",
+			document,
+			next: () => sections[index + 1],
+			load: () => Promise.resolve(document.documentElement)
+		};
+	});
+	let view = (index) => {
+		let cfiBase = sections[index].cfiBase;
+		return {
+			index,
+			contents: {
+				document: documents[index],
+				cfiFromNode: (node) => new EpubCFI(node, cfiBase).toString(),
+				cfiFromRange: (range) => new EpubCFI(range, cfiBase).toString()
+			}
+		};
+	};
+	// A page from the start of one paragraph to the end of another
+	let location = (index, from, to) => {
+		let range = documents[index].createRange();
+		range.setStart(documents[index].getElementById(from).firstChild, 0);
+		range.setEndAfter(documents[index].getElementById(to || from).firstChild);
+		let start = range.cloneRange();
+		start.collapse(true);
+		let end = range.cloneRange();
+		end.collapse(false);
+		return {
+			start: { index, cfi: new EpubCFI(start, sections[index].cfiBase).toString() },
+			end: { index, cfi: new EpubCFI(end, sections[index].cfiBase).toString() }
+		};
+	};
+
+	let views = [view(0)];
+	let rendition = {
+		location: location(0, "c1p1", "c1p2"),
+		secondParagraph: location(0, "c1p2"),
+		displayed: [],
+		highlights: [],
+		settings: { ignoreClass: "" },
+		epubcfi: new EpubCFI(),
+		book: {
+			archived: false,
+			packaging: { metadata: { media_active_class: "narrating" } },
+			section: (index) => sections[index],
+			mediaOverlay: (section) => Promise.resolve(overlays[section.index]),
+			mediaOverlayTimings: (section) => {
+				let overlay = overlays[section.index];
+				return Promise.resolve(overlay ? overlay.map(section.document, section.cfiBase, section.href) : []);
+			},
+			resolve: (path) => "http://example.com/OPS/" + path,
+		},
+		views() {
+			return views;
+		},
+		currentLocation() {
+			return this.location;
+		},
+		display(target) {
+			// Chapter two is the only other section that can be displayed
+			this.displayed.push(target);
+			views = [view(1)];
+			this.location = location(1, "c2p1");
+			return Promise.resolve();
+		},
+		annotations: {
+			highlight: (cfiRange) => rendition.highlights.push(cfiRange),
+			remove: (cfiRange) => {
+				rendition.highlights = rendition.highlights.filter((h) => h !== cfiRange);
+			}
+		}
+	};
+
+	return { rendition, documents, adapter: new FakeAdapter() };
+}
+
+describe("MediaOverlays", function () {
+
+	it("should play each clip in order with the active class on its fragment", async function () {
+		let { rendition, documents, adapter } = fakeRendition();
+		let overlays = new MediaOverlays(rendition, { adapter });
+		let started = [];
+		overlays.on("fragmentStart", (item) => started.push(item.fragment));
+
+		await overlays.play();
+		await wait();
+
+		assert.equal(overlays.state, "playing");
+		assert.deepEqual(adapter.played[0], {
+			src: "http://example.com/OPS/audio/chapter1.mp3",
+			begin: 0,
+			end: 2,
+			rate: 1
+		});
+		assert.equal(documents[0].getElementById("c1p1").getAttribute("class"), "narrating");
+
+		await adapter.finish();
+
+		assert.equal(documents[0].getElementById("c1p1").getAttribute("class"), "");
+		assert.equal(documents[0].getElementById("c1p2").getAttribute("class"), "narrating");
+		assert.deepEqual(adapter.played[1].begin, 2);
+		assert.deepEqual(started, ["c1p1", "c1p2"]);
+	});
+
+	it("should turn to the next narrated section and finish after the last one", async function () {
+		let { rendition, documents, adapter } = fakeRendition();
+		let overlays = new MediaOverlays(rendition, { adapter });
+		let finished = false;
+		overlays.on("finished", () => finished = true);
+
+		await overlays.play();
+		await wait();
+		await adapter.finish();
+		await adapter.finish();
+
+		assert.equal(rendition.displayed.length, 1);
+		assert.equal(rendition.displayed[0], "chapter2.xhtml#c2p1");
+		assert.equal(adapter.played[2].src, "http://example.com/OPS/audio/chapter2.mp3");
+		assert.equal(documents[1].getElementById("c2p1").getAttribute("class"), "narrating");
+
+		await adapter.finish();
+
+		assert.equal(finished, true);
+		assert.equal(overlays.state, "stopped");
+		assert.equal(documents[1].getElementById("c2p1").getAttribute("class"), "");
+	});
+
+	it("should start from the first fragment of the visible page", async function () {
+		let { rendition, adapter } = fakeRendition();
+		rendition.location = rendition.secondParagraph;
+		let overlays = new MediaOverlays(rendition, { adapter });
+
+		await overlays.play();
+		await wait();
+
+		assert.equal(adapter.played.length, 1);
+		assert.equal(adapter.played[0].begin, 2);
+		assert.equal(overlays.current.fragment, "c1p2");
+	});
+
+	it("should seek to the fragment holding a cfi", async function () {
+		let { rendition, adapter } = fakeRendition();
+		let overlays = new MediaOverlays(rendition, { adapter });
+
+		await overlays.play();
+		await wait();
+		await overlays.seek(rendition.secondParagraph.start.cfi);
+		await wait();
+
+		assert.equal(overlays.current.fragment, "c1p2");
+		assert.equal(adapter.played[adapter.played.length - 1].begin, 2);
+		assert.ok(adapter.calls.indexOf("cancel") > -1);
+	});
+
+	it("should pause, resume and change the rate", async function () {
+		let { rendition, adapter } = fakeRendition();
+		let overlays = new MediaOverlays(rendition, { adapter, highlight: true });
+
+		await overlays.play();
+		await wait();
+		assert.equal(rendition.highlights.length, 1);
+
+		overlays.pause();
+		assert.equal(overlays.state, "paused");
+		overlays.setRate(1.5);
+		await overlays.play();
+		assert.equal(overlays.state, "playing");
+		assert.deepEqual(adapter.calls, ["pause", "rate:1.5", "resume"]);
+
+		await adapter.finish();
+		assert.equal(adapter.played[1].rate, 1.5);
+
+		overlays.stop();
+		assert.equal(rendition.highlights.length, 0);
+	});
+
+	it("should not start a clip when paused while its page is turning", async function () {
+		let { rendition, documents, adapter } = fakeRendition();
+		let overlays = new MediaOverlays(rendition, { adapter });
+		let display = rendition.display;
+		let turned;
+		rendition.display = function (target) {
+			return new Promise((resolve) => {
+				turned = () => display.call(rendition, target).then(resolve);
+			});
+		};
+
+		await overlays.play();
+		await wait();
+		await adapter.finish();
+		await adapter.finish();
+
+		overlays.pause();
+		await turned();
+		await wait();
+
+		assert.equal(overlays.state, "paused");
+		assert.equal(adapter.played.length, 2);
+		assert.equal(documents[1].getElementById("c2p1").getAttribute("class"), null);
+
+		overlays.resume();
+		await wait();
+
+		assert.equal(overlays.state, "playing");
+		assert.equal(adapter.played.length, 3);
+		assert.equal(adapter.played[2].src, "http://example.com/OPS/audio/chapter2.mp3");
+		assert.equal(documents[1].getElementById("c2p1").getAttribute("class"), "narrating");
+		assert.deepEqual(adapter.calls, ["pause"]);
+	});
+});
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import { DOMParser as XMLDOMParser } from '@xmldom/xmldom';
+import { openBook, setDOMParser, Packaging, Navigation, PageList } from '../../src/node';
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+const PACKAGE = '<?xml version="1.0"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">urn:uuid:1234</dc:identifier><dc:title>Headless</dc:title><dc:language>en</dc:language>' +
+	'</metadata>' +
+	'<manifest>' +
+	'<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>' +
+	'<item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>' +
+	'</manifest>' +
+	'<spine><itemref idref="c1"/></spine>' +
+	'</package>';
+
+const NAV = '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>nav</title></head><body>' +
+	'<nav epub:type="toc"><ol><li><a href="c1.xhtml">One</a></li></ol></nav>' +
+	'<nav epub:type="page-list"><ol><li><a href="c1.xhtml#p1">1</a></li><li><a href="c1.xhtml#p2">2</a></li></ol></nav>' +
+	'</body></html>';
+
+const CHAPTER = '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>c1</title></head><body>' +
+	'<p id="p1">Alice was beginning to get very tired</p>' +
+	'<p id="p2">of sitting by her sister on the bank, and of having nothing to do.</p>' +
+	'</body></html>';
+
+describe('Node', function() {
+	var epub;
+
+	before(async function() {
+		var zip = new JSZip();
+		zip.file("mimetype", "application/epub+zip");
+		zip.file("META-INF/container.xml", CONTAINER);
+		zip.file("OPS/package.opf", PACKAGE);
+		zip.file("OPS/nav.xhtml", NAV);
+		zip.file("OPS/c1.xhtml", CHAPTER);
+		epub = await zip.generateAsync({ type: "nodebuffer" });
+	});
+
+	afterEach(function() {
+		setDOMParser();
+	});
+
+	it('should run without the globals of a browser', function() {
+		assert.equal(typeof window, "undefined");
+		assert.equal(typeof DOMParser, "undefined");
+	});
+
+	it('should open an epub from its bytes with an injected DOMParser', async function() {
+		setDOMParser(XMLDOMParser);
+
+		var book = await openBook(epub);
+
+		assert.ok(book.packaging instanceof Packaging);
+		assert.ok(book.navigation instanceof Navigation);
+		assert.ok(book.pageList instanceof PageList);
+		assert.equal(book.packaging.metadata.title, "Headless");
+		assert.equal(book.navigation.toc[0].label, "One");
+		assert.deepEqual(book.pageList.pages, [1, 2]);
+		assert.equal(book.spine.get(0).href, "c1.xhtml");
+	});
+
+	it('should find and search sections without ranges or tree walkers', async function() {
+		var book = await openBook(epub);
+		var section = book.spine.get(0);
+
+		await section.load(book.load.bind(book));
+
+		var found = section.find("of").map((match) => match.cfi);
+		var searched = section.search("of").map((match) => match.cfi);
+
+		assert.deepEqual(found, [
+			"epubcfi(/6/2!/4/4[p2],/1:0,/1:2)",
+			"epubcfi(/6/2!/4/4[p2],/1:42,/1:44)"
+		]);
+		assert.deepEqual(searched, found);
+	});
+
+	it('should reject extracting paragraphs, which needs a browser', async function() {
+		var book = await openBook(epub);
+
+		await assert.rejects(book.paragraphs().next(), /needs a DOM with ranges/);
+	});
+});
@@ -0,0 +1,164 @@
+import assert from 'assert';
+import Packaging from '../src/packaging';
+
+const OPF = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:title id="t1">Moby-Dick</dc:title>' +
+	'<meta refines="#t1" property="title-type">main</meta>' +
+	'<meta refines="#t1" property="alternate-script" xml:lang="ja">白鯨</meta>' +
+	'<dc:title id="t2">Or, The Whale</dc:title>' +
+	'<meta refines="#t2" property="title-type">subtitle</meta>' +
+	'<dc:creator id="c2">Rockwell Kent</dc:creator>' +
+	'<meta refines="#c2" property="role" scheme="marc:relators">ill</meta>' +
+	'<meta refines="#c2" property="display-seq">2</meta>' +
+	'<dc:creator id="c1">Herman Melville</dc:creator>' +
+	'<meta refines="#c1" property="role" scheme="marc:relators">aut</meta>' +
+	'<meta refines="#c1" property="file-as">Melville, Herman</meta>' +
+	'<meta refines="#c1" property="display-seq">1</meta>' +
+	'<dc:contributor id="ed">Jane Doe</dc:contributor>' +
+	'<meta refines="#ed" property="role" scheme="marc:relators">edt</meta>' +
+	'<meta refines="#ed" property="role" scheme="marc:relators">trl</meta>' +
+	'<dc:identifier id="uid">urn:uuid:1234</dc:identifier>' +
+	'<dc:identifier id="isbn">9780000000002</dc:identifier>' +
+	'<meta refines="#isbn" property="identifier-type" scheme="onix:codelist5">15</meta>' +
+	'<dc:subject id="s1">Whaling</dc:subject>' +
+	'<meta refines="#s1" property="authority">BISAC</meta>' +
+	'<meta refines="#s1" property="term">FIC004000</meta>' +
+	'<dc:subject>Sea stories</dc:subject>' +
+	'<dc:source id="src">urn:isbn:9780000000019</dc:source>' +
+	'<meta refines="#src" property="source-of">pagination</meta>' +
+	'<dc:language>en</dc:language>' +
+	'<meta property="belongs-to-collection" id="series">Great Novels</meta>' +
+	'<meta refines="#series" property="collection-type">series</meta>' +
+	'<meta refines="#series" property="group-position">2</meta>' +
+	'<meta property="belongs-to-collection" id="set" refines="#series">Classics</meta>' +
+	'<meta refines="#set" property="collection-type">set</meta>' +
+	'<meta property="dcterms:modified">2020-01-01T00:00:00Z</meta>' +
+	'</metadata>' +
+	'<manifest><item id="c" href="c.xhtml" media-type="application/xhtml+xml"/></manifest>' +
+	'<spine><itemref idref="c"/></spine>' +
+	'</package>';
+
+const OPF2 = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="2.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">' +
+	'<dc:title>Walden</dc:title>' +
+	'<dc:creator opf:role="aut" opf:file-as="Thoreau, Henry David">Henry David Thoreau</dc:creator>' +
+	'<dc:identifier id="uid" opf:scheme="ISBN">9780000000026</dc:identifier>' +
+	'</metadata>' +
+	'<manifest><item id="c" href="c.xhtml" media-type="application/xhtml+xml"/></manifest>' +
+	'<spine><itemref idref="c"/></spine>' +
+	'</package>';
+
+const A11Y = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">urn:uuid:1234</dc:identifier>' +
+	'<meta property="schema:accessMode">textual</meta>' +
+	'<meta property="schema:accessMode">visual</meta>' +
+	'<meta property="schema:accessModeSufficient">textual,visual</meta>' +
+	'<meta property="schema:accessModeSufficient">textual</meta>' +
+	'<meta property="schema:accessibilityFeature">tableOfContents</meta>' +
+	'<meta property="schema:accessibilityFeature">alternativeText</meta>' +
+	'<meta property="schema:accessibilityHazard">none</meta>' +
+	'<meta property="schema:accessibilitySummary">All images are described.</meta>' +
+	'<meta property="dcterms:conformsTo">EPUB Accessibility 1.1 - WCAG 2.1 Level AA</meta>' +
+	'<meta property="a11y:certifiedBy" id="certifier">Accessibility Checkers Inc.</meta>' +
+	'<meta property="a11y:certifierCredential" refines="#certifier">Certified Checker</meta>' +
+	'<link rel="a11y:certifierReport" refines="#certifier" href="https://example.com/report.html"/>' +
+	'<meta name="schema:accessibilityFeature" content="printPageNumbers"/>' +
+	'</metadata>' +
+	'<manifest><item id="c" href="c.xhtml" media-type="application/xhtml+xml"/></manifest>' +
+	'<spine><itemref idref="c"/></spine>' +
+	'</package>';
+
+function parse(markup) {
+	return new Packaging(new DOMParser().parseFromString(markup, "application/xml"));
+}
+
+describe('Packaging', function() {
+
+	describe('#parseMetadata()', function() {
+
+		it('should keep the flat fields', function() {
+			var metadata = parse(OPF).metadata;
+
+			assert.equal(metadata.title, "Moby-Dick");
+			assert.equal(metadata.creator, "Rockwell Kent");
+			assert.equal(metadata.identifier, "urn:uuid:1234");
+			assert.equal(metadata.modified_date, "2020-01-01T00:00:00Z");
+		});
+
+		it('should read titles with their types and alternate scripts', function() {
+			var titles = parse(OPF).metadata.structured.titles;
+
+			assert.deepEqual(titles.map((t) => [t.value, t.type]), [["Moby-Dick", "main"], ["Or, The Whale", "subtitle"]]);
+			assert.deepEqual(titles[0].alternateScripts, [{ value: "白鯨", lang: "ja" }]);
+		});
+
+		it('should read creators and contributors with their roles in display order', function() {
+			var structured = parse(OPF).metadata.structured;
+
+			assert.deepEqual(structured.creators.map((c) => [c.value, c.role, c.fileAs]), [
+				["Herman Melville", "aut", "Melville, Herman"],
+				["Rockwell Kent", "ill", ""]
+			]);
+			assert.deepEqual(structured.contributors[0].roles, [
+				{ value: "edt", scheme: "marc:relators" },
+				{ value: "trl", scheme: "marc:relators" }
+			]);
+		});
+
+		it('should read identifiers, subjects and sources', function() {
+			var structured = parse(OPF).metadata.structured;
+
+			assert.deepEqual(structured.identifiers, [
+				{ id: "uid", value: "urn:uuid:1234", scheme: "", type: "" },
+				{ id: "isbn", value: "9780000000002", scheme: "onix:codelist5", type: "15" }
+			]);
+			assert.deepEqual(structured.subjects.map((s) => [s.value, s.authority, s.term]), [
+				["Whaling", "BISAC", "FIC004000"],
+				["Sea stories", "", ""]
+			]);
+			assert.equal(structured.sources[0].value, "urn:isbn:9780000000019");
+			assert.equal(structured.sources[0].type, "pagination");
+		});
+
+		it('should read collections with their position and parents', function() {
+			var collections = parse(OPF).metadata.structured.collections;
+
+			assert.equal(collections.length, 1);
+			assert.equal(collections[0].value, "Great Novels");
+			assert.equal(collections[0].type, "series");
+			assert.equal(collections[0].position, 2);
+			assert.equal(collections[0].collections[0].value, "Classics");
+			assert.equal(collections[0].collections[0].type, "set");
+		});
+
+		it('should read the accessibility metadata', function() {
+			var accessibility = parse(A11Y).metadata.accessibility;
+
+			assert.deepEqual(accessibility, {
+				accessMode: ["textual", "visual"],
+				accessModeSufficient: [["textual", "visual"], ["textual"]],
+				accessibilityFeature: ["tableOfContents", "alternativeText", "printPageNumbers"],
+				accessibilityHazard: ["none"],
+				accessibilitySummary: "All images are described.",
+				conformsTo: ["EPUB Accessibility 1.1 - WCAG 2.1 Level AA"],
+				certifiedBy: "Accessibility Checkers Inc.",
+				certifierCredential: "Certified Checker",
+				certifierReport: "https://example.com/report.html"
+			});
+		});
+
+		it('should read the opf attributes of EPUB 2', function() {
+			var structured = parse(OPF2).metadata.structured;
+
+			assert.deepEqual(structured.creators[0].roles, [{ value: "aut", scheme: "marc:relators" }]);
+			assert.equal(structured.creators[0].fileAs, "Thoreau, Henry David");
+			assert.equal(structured.identifiers[0].scheme, "ISBN");
+			assert.equal(structured.titles[0].type, "");
+		});
+	});
+});
@@ -0,0 +1,171 @@
+import assert from 'assert';
+import EpubCFI from '../src/epubcfi.js';
+import { getParagraphsFromRange, getParagraphKind } from '../src/utils/paragraphs';
+
+const MARKUP = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en"><head><title>Kinds</title></head><body>' +
+	'<h2 id="heading">A Heading</h2>' +
+	'<p id="first">A plain paragraph that runs across the page.</p>' +
+	'<ul><li id="item">A list item</li></ul>' +
+	'<blockquote><p id="quote" lang="fr">Une citation</p></blockquote>' +
+	'<table><tr><td id="cell">A cell</td></tr></table>' +
+	'<figure><figcaption id="caption">A caption</figcaption></figure>' +
+	'<aside id="sidebar">A sidebar</aside>' +
+	'<aside epub:type="footnote"><p id="note">A footnote</p></aside>' +
+	'<p id="last">The last paragraph, cut by the page.</p>' +
+	'</body></html>';
+
+const FIGURES = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<html xmlns="http://www.w3.org/1999/xhtml" lang="en"><head><title>Figures</title></head><body>' +
+	'<p id="before">Look at the picture below.</p>' +
+	'<figure id="figure"><img id="image" src="cat.png" alt="A grinning cat" />' +
+	'<figcaption>The Cheshire Cat</figcaption></figure>' +
+	'<div><svg xmlns="http://www.w3.org/2000/svg" id="svg"><title>A map of Wonderland</title><rect width="10" height="10" /></svg></div>' +
+	'<p>The area is <math xmlns="http://www.w3.org/1998/Math/MathML" id="math" alttext="pi r squared"><mi>π</mi><msup><mi>r</mi><mn>2</mn></msup></math> exactly.</p>' +
+	'<p><img src="decoration.png" alt="" /></p>' +
+	'</body></html>';
+
+function parse(markup) {
+	return new DOMParser().parseFromString(markup || MARKUP, "application/xhtml+xml");
+}
+
+function bodyRange(doc) {
+	var range = doc.createRange();
+	range.selectNodeContents(doc.body);
+	return range;
+}
+
+describe('Paragraphs', function() {
+
+	describe('#getParagraphKind()', function() {
+
+		it('should find the kind from the element or its ancestors', function() {
+			var doc = parse();
+			var kind = (id) => getParagraphKind(doc.getElementById(id)).kind;
+
+			assert.deepEqual(getParagraphKind(doc.getElementById("heading")), { kind: "heading", level: 2 });
+			assert.equal(kind("first"), "paragraph");
+			assert.equal(kind("item"), "list-item");
+			assert.equal(kind("quote"), "blockquote");
+			assert.equal(kind("cell"), "table-cell");
+			assert.equal(kind("caption"), "figcaption");
+			assert.equal(kind("sidebar"), "aside");
+			assert.equal(kind("note"), "footnote");
+		});
+	});
+
+	describe('#getParagraphsFromRange()', function() {
+
+		it('should add the kind, level and lang of each paragraph', function() {
+			var doc = parse();
+			var paragraphs = getParagraphsFromRange(bodyRange(doc), "/6/4!");
+
+			assert.deepEqual(paragraphs.map((p) => p.kind), [
+				"heading", "paragraph", "list-item", "blockquote", "table-cell",
+				"figcaption", "aside", "footnote", "paragraph"
+			]);
+			assert.equal(paragraphs[0].level, 2);
+			assert.equal(paragraphs[1].level, undefined);
+			assert.equal(paragraphs[1].lang, "en");
+			assert.equal(paragraphs[3].lang, "fr");
+		});
+
+		it('should flag paragraphs cut by the start or end of the range', function() {
+			var doc = parse();
+			var range = bodyRange(doc);
+			range.setStart(doc.getElementById("first").firstChild, 10);
+			range.setEnd(doc.getElementById("last").firstChild, 8);
+
+			var paragraphs = getParagraphsFromRange(range, "/6/4!");
+			var first = paragraphs[0];
+			var last = paragraphs[paragraphs.length - 1];
+
+			assert.equal(first.continuesFromPrevious, true);
+			assert.equal(first.continuesOnNext, false);
+			assert.equal(last.continuesFromPrevious, false);
+			assert.equal(last.continuesOnNext, true);
+			assert.equal(paragraphs[1].continuesFromPrevious, false);
+			assert.equal(paragraphs[1].continuesOnNext, false);
+		});
+
+		it('should include or exclude kinds', function() {
+			var doc = parse();
+
+			var headings = getParagraphsFromRange(bodyRange(doc), "/6/4!", undefined, { include: ["heading"] });
+			assert.deepEqual(headings.map((p) => p.text), ["A Heading"]);
+
+			var withoutNotes = getParagraphsFromRange(bodyRange(doc), "/6/4!", undefined, { exclude: ["footnote", "aside"] });
+			assert.equal(withoutNotes.length, 7);
+			assert.equal(withoutNotes.filter((p) => p.kind === "footnote").length, 0);
+
+			var none = getParagraphsFromRange(bodyRange(doc), "/6/4!", undefined, { include: ["table-cell"], exclude: ["table-cell"] });
+			assert.deepEqual(none, []);
+		});
+
+		it('should order paragraphs by position when visualOrder is set', function() {
+			var doc = parse('<?xml version="1.0" encoding="UTF-8"?>' +
+				'<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Panels</title></head><body>' +
+				'<p id="c">Third</p><p id="b">Second</p><p id="a">First</p>' +
+				'</body></html>');
+			var boxes = {
+				a: { top: 10, bottom: 30, left: 0, right: 100 },
+				b: { top: 12, bottom: 32, left: 120, right: 220 },
+				c: { top: 200, bottom: 220, left: 0, right: 100 }
+			};
+			Object.keys(boxes).forEach((id) => {
+				doc.getElementById(id).getBoundingClientRect = () => Object.assign({ height: 20 }, boxes[id]);
+			});
+
+			var ltr = getParagraphsFromRange(bodyRange(doc), "/6/4!", undefined, { visualOrder: "ltr" });
+			assert.deepEqual(ltr.map((p) => p.text), ["First", "Second", "Third"]);
+
+			var rtl = getParagraphsFromRange(bodyRange(doc), "/6/4!", undefined, { visualOrder: "rtl" });
+			assert.deepEqual(rtl.map((p) => p.text), ["Second", "First", "Third"]);
+		});
+	});
+
+	describe('#getParagraphsFromRange() with altText', function() {
+
+		it('should not describe images by default', function() {
+			var doc = parse(FIGURES);
+			var paragraphs = getParagraphsFromRange(bodyRange(doc), "/6/4!");
+
+			assert.equal(paragraphs.filter((p) => p.synthetic).length, 0);
+		});
+
+		it('should add synthetic paragraphs in document order', function() {
+			var doc = parse(FIGURES);
+			var paragraphs = getParagraphsFromRange(bodyRange(doc), "/6/4!", undefined, { altText: true });
+
+			assert.deepEqual(paragraphs.map((p) => p.kind + ":" + p.text), [
+				"paragraph:Look at the picture below.",
+				"figure:The Cheshire Cat",
+				"image:A grinning cat",
+				"image:A map of Wonderland",
+				"paragraph:The area is  exactly.",
+				"math:pi r squared"
+			]);
+
+			var image = paragraphs[2];
+			assert.equal(image.synthetic, true);
+			assert.equal(image.cfiRange, image.startCfi);
+			assert.equal(new EpubCFI(image.cfiRange).toRange(doc).startContainer, doc.getElementById("image"));
+		});
+
+		it('should filter synthetic paragraphs by kind', function() {
+			var doc = parse(FIGURES);
+			var paragraphs = getParagraphsFromRange(bodyRange(doc), "/6/4!", undefined, { altText: true, exclude: ["figure", "math"] });
+
+			assert.deepEqual(paragraphs.map((p) => p.kind), ["paragraph", "image", "figcaption", "image", "paragraph"]);
+		});
+
+		it('should describe a page holding only an image', function() {
+			var doc = parse(FIGURES);
+			var range = doc.createRange();
+			range.selectNode(doc.getElementById("image"));
+
+			var paragraphs = getParagraphsFromRange(range, "/6/4!", undefined, { altText: true });
+			assert.deepEqual(paragraphs.map((p) => p.text), ["A grinning cat"]);
+		});
+	});
+});
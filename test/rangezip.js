@@ -0,0 +1,157 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import Book from '../src/book';
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+const PACKAGE = '<?xml version="1.0"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">urn:uuid:1234</dc:identifier><dc:title>Ranges</dc:title><dc:language>en</dc:language>' +
+	'</metadata>' +
+	'<manifest>' +
+	'<item id="c1" href="text/c1.xhtml" media-type="application/xhtml+xml"/>' +
+	'<item id="plate" href="images/plate.png" media-type="image/png"/>' +
+	'</manifest>' +
+	'<spine><itemref idref="c1"/></spine>' +
+	'</package>';
+
+const CHAPTER = '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>c1</title></head><body>' +
+	'<p>' + 'All in the golden afternoon. '.repeat(200) + '</p></body></html>';
+
+// Bytes that don't compress, so the archive is mostly this image
+function plate(length) {
+	var bytes = new Uint8Array(length);
+	var seed = 7;
+	for (var i = 0; i < length; i++) {
+		seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+		bytes[i] = seed >> 16;
+	}
+	return bytes;
+}
+
+function base64(bytes) {
+	var binary = "";
+	for (var i = 0; i < bytes.length; i++) {
+		binary += String.fromCharCode(bytes[i]);
+	}
+	return btoa(binary);
+}
+
+/**
+ * Serves the epub like a static server, answering Range headers
+ * with partial content when ranges are enabled
+ */
+function serve(epub, ranges) {
+	var server = { requests: [], sent: 0 };
+
+	server.XMLHttpRequest = class {
+		constructor() {
+			this.headers = {};
+			this.responseHeaders = {};
+		}
+
+		open(method, url) {
+			this.url = url;
+		}
+
+		setRequestHeader(name, value) {
+			this.headers[name] = value;
+		}
+
+		getResponseHeader(name) {
+			return this.responseHeaders[name] || null;
+		}
+
+		send() {
+			var range = this.headers.Range;
+			var match = ranges && /^bytes=(\d*)-(\d*)$/.exec(range || "");
+			var start = 0;
+			var end = epub.length - 1;
+
+			server.requests.push(range);
+			this.status = 200;
+
+			if (match && match[1] === "") {
+				start = Math.max(0, epub.length - parseInt(match[2], 10));
+			} else if (match) {
+				start = parseInt(match[1], 10);
+				end = match[2] === "" ? end : Math.min(parseInt(match[2], 10), end);
+			}
+
+			if (match) {
+				this.status = 206;
+				this.responseHeaders["Content-Range"] = "bytes " + start + "-" + end + "/" + epub.length;
+			}
+
+			server.sent += end - start + 1;
+			this.response = epub.slice(start, end + 1).buffer;
+			setTimeout(() => this.onload());
+		}
+	};
+
+	return server;
+}
+
+describe('Range requests', function() {
+	var XMLHttpRequest = global.XMLHttpRequest;
+	var epub, image, server;
+
+	before(async function() {
+		var zip = new JSZip();
+
+		image = plate(300000);
+		zip.file("mimetype", "application/epub+zip", { compression: "STORE" });
+		zip.file("META-INF/container.xml", CONTAINER);
+		zip.file("OPS/images/plate.png", image, { compression: "STORE" });
+		zip.file("OPS/package.opf", PACKAGE);
+		zip.file("OPS/text/c1.xhtml", CHAPTER);
+
+		epub = await zip.generateAsync({ type: "uint8array", compression: "DEFLATE" });
+	});
+
+	afterEach(function() {
+		global.XMLHttpRequest = XMLHttpRequest;
+	});
+
+	it('should read the central directory and fetch entries when requested', async function() {
+		server = serve(epub, true);
+		global.XMLHttpRequest = server.XMLHttpRequest;
+
+		var book = new Book("http://example.com/book.epub", { rangeRequests: true, replacements: "none" });
+
+		await book.ready;
+
+		assert.equal(book.packaging.metadata.title, "Ranges");
+		assert.ok(server.requests.every((range) => range), "every request has a range");
+		assert.ok(server.sent < 100000, "sent " + server.sent + " of " + epub.length + " bytes");
+
+		var chapter = await book.archive.request("/OPS/text/c1.xhtml");
+		assert.equal(chapter.getElementsByTagName("p")[0].textContent, 'All in the golden afternoon. '.repeat(200));
+
+		var sent = server.sent;
+		var data = await book.archive.getBase64("/OPS/images/plate.png");
+		assert.equal(data, "data:image/png;base64," + base64(image));
+		assert.ok(server.sent - sent < image.length + 1000);
+	});
+
+	it('should fall back to the whole archive when the server ignores ranges', async function() {
+		server = serve(epub, false);
+		global.XMLHttpRequest = server.XMLHttpRequest;
+
+		var book = new Book("http://example.com/book.epub", { rangeRequests: true, replacements: "none" });
+
+		await book.ready;
+
+		assert.equal(book.packaging.metadata.title, "Ranges");
+		assert.equal(server.requests.length, 1);
+		assert.equal(server.sent, epub.length);
+
+		var data = await book.archive.getBase64("/OPS/images/plate.png");
+		assert.equal(data, "data:image/png;base64," + base64(image));
+		assert.equal(server.requests.length, 1);
+	});
+});
@@ -0,0 +1,192 @@
+import assert from "assert";
+import ReadAloud from "../src/readaloud";
+
+// Speech adapter that only finishes an utterance when told to
+class FakeAdapter {
+	constructor() {
+		this.spoken = [];
+		this.calls = [];
+		this.pending = [];
+	}
+	speak(text, options) {
+		this.spoken.push({ text, rate: options.rate });
+		return new Promise((resolve) => {
+			this.pending.push(resolve);
+		});
+	}
+	finish() {
+		let resolve = this.pending.shift();
+		resolve && resolve();
+		return new Promise((r) => setTimeout(r, 0));
+	}
+	pause() {
+		this.calls.push("pause");
+	}
+	resume() {
+		this.calls.push("resume");
+	}
+	cancel() {
+		this.calls.push("cancel");
+		this.pending = [];
+	}
+}
+
+function fakeRendition(pages) {
+	let page = 0;
+	let highlights = [];
+	return {
+		highlights,
+		getCurrentViewParagraphs() {
+			return pages[page];
+		},
+		currentLocation() {
+			return { atEnd: page === pages.length - 1 };
+		},
+		next() {
+			page += 1;
+			return Promise.resolve();
+		},
+		annotations: {
+			highlight(cfiRange) {
+				highlights.push(cfiRange);
+			},
+			remove(cfiRange) {
+				highlights.splice(highlights.indexOf(cfiRange), 1);
+			}
+		}
+	};
+}
+
+const pages = [
+	[
+		{ text: "First paragraph", cfiRange: "epubcfi(/6/4!/4/2,/1:0,/1:15)" },
+		{ text: "Second paragraph", cfiRange: "epubcfi(/6/4!/4/4,/1:0,/1:16)" }
+	],
+	[
+		{ text: "Third paragraph", cfiRange: "epubcfi(/6/4!/4/6,/1:0,/1:15)" }
+	]
+];
+
+describe("ReadAloud", function() {
+
+	it("should speak the visible paragraphs in order and emit events", async function() {
+		let adapter = new FakeAdapter();
+		let rendition = fakeRendition(pages);
+		let readAloud = new ReadAloud(rendition, { adapter });
+		let events = [];
+
+		readAloud.on("paragraphStart", (p, i) => events.push("start:" + i));
+		readAloud.on("paragraphEnd", (p, i) => events.push("end:" + i));
+
+		await readAloud.play();
+		assert.equal(adapter.spoken[0].text, "First paragraph");
+		assert.deepEqual(rendition.highlights, [pages[0][0].cfiRange]);
+
+		await adapter.finish();
+		assert.equal(adapter.spoken[1].text, "Second paragraph");
+		assert.deepEqual(rendition.highlights, [pages[0][1].cfiRange]);
+		assert.deepEqual(events, ["start:0", "end:0", "start:1"]);
+	});
+
+	it("should turn the page after the last visible paragraph and finish at the end", async function() {
+		let adapter = new FakeAdapter();
+		let rendition = fakeRendition(pages);
+		let readAloud = new ReadAloud(rendition, { adapter });
+		let finished = false;
+
+		readAloud.on("finished", () => finished = true);
+
+		await readAloud.play();
+		await adapter.finish();
+		await adapter.finish();
+		assert.equal(adapter.spoken[2].text, "Third paragraph");
+
+		await adapter.finish();
+		assert.equal(finished, true);
+		assert.equal(readAloud.state, "stopped");
+		assert.equal(rendition.highlights.length, 0);
+	});
+
+	it("should emit an error and stop when the page cannot be turned", async function() {
+		let adapter = new FakeAdapter();
+		let rendition = fakeRendition(pages);
+		let readAloud = new ReadAloud(rendition, { adapter });
+		let errors = [];
+
+		rendition.next = () => Promise.reject(new Error("Cannot display the next page"));
+		readAloud.on("error", (error) => errors.push(error.message));
+
+		await readAloud.play();
+		await adapter.finish();
+		await adapter.finish();
+
+		assert.deepEqual(errors, ["Cannot display the next page"]);
+		assert.equal(readAloud.state, "stopped");
+		assert.equal(rendition.highlights.length, 0);
+	});
+
+	it("should pause, resume, skip and stop", async function() {
+		let adapter = new FakeAdapter();
+		let rendition = fakeRendition(pages);
+		let readAloud = new ReadAloud(rendition, { adapter });
+
+		await readAloud.play();
+		readAloud.pause();
+		assert.equal(readAloud.state, "paused");
+		readAloud.resume();
+		assert.equal(readAloud.state, "playing");
+		assert.deepEqual(adapter.calls, ["pause", "resume"]);
+
+		await readAloud.skip();
+		assert.equal(adapter.spoken[1].text, "Second paragraph");
+
+		readAloud.stop();
+		assert.equal(readAloud.state, "stopped");
+		assert.equal(rendition.highlights.length, 0);
+		assert.equal(adapter.spoken.length, 2);
+	});
+
+	it("should continue on the next page only once resumed when paused while turning", async function() {
+		let adapter = new FakeAdapter();
+		let rendition = fakeRendition(pages);
+		let readAloud = new ReadAloud(rendition, { adapter });
+		let next = rendition.next;
+		let turned;
+
+		rendition.next = () => new Promise((resolve) => {
+			turned = () => next().then(resolve);
+		});
+
+		await readAloud.play();
+		await adapter.finish();
+		await adapter.finish();
+
+		readAloud.pause();
+		await turned();
+		await new Promise((r) => setTimeout(r, 0));
+
+		assert.equal(readAloud.state, "paused");
+		assert.equal(adapter.spoken.length, 2);
+		assert.equal(rendition.highlights.length, 0);
+
+		readAloud.resume();
+
+		assert.equal(readAloud.state, "playing");
+		assert.equal(adapter.spoken[2].text, "Third paragraph");
+		assert.deepEqual(rendition.highlights, [pages[1][0].cfiRange]);
+		assert.deepEqual(adapter.calls, ["pause"]);
+	});
+
+	it("should restart the current paragraph when the rate changes", async function() {
+		let adapter = new FakeAdapter();
+		let readAloud = new ReadAloud(fakeRendition(pages), { adapter });
+
+		await readAloud.play();
+		await readAloud.setRate(1.5);
+
+		assert.equal(adapter.spoken.length, 2);
+		assert.equal(adapter.spoken[1].text, "First paragraph");
+		assert.equal(adapter.spoken[1].rate, 1.5);
+	});
+
+});
@@ -0,0 +1,124 @@
+import assert from "assert";
+import ePub from "../src/epub";
+
+// Text boxes positioned out of markup order, as in a comic page.
+// The ids describe the ltr layout, rtl mirrors the spread.
+const LEFT_PAGE =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Left</title></head><body>' +
+  '<div id="bottom">At the bottom of the left page.</div>' +
+  '<div id="right">Top right of the left page.</div>' +
+  '<div id="left">Top left of the left page.</div>' +
+  "</body></html>";
+
+const RIGHT_PAGE =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Right</title></head><body>' +
+  '<div id="only">The only box on the right page.</div>' +
+  "</body></html>";
+
+const BOXES = {
+  bottom: { top: 500, bottom: 540, left: 20, right: 300 },
+  right: { top: 22, bottom: 60, left: 200, right: 380 },
+  left: { top: 20, bottom: 58, left: 10, right: 190 },
+  only: { top: 40, bottom: 80, left: 10, right: 300 },
+};
+
+function parse(markup) {
+  const doc = new DOMParser().parseFromString(markup, "application/xhtml+xml");
+
+  Object.keys(BOXES).forEach((id) => {
+    const element = doc.getElementById(id);
+    if (element) {
+      const box = BOXES[id];
+      element.getBoundingClientRect = () =>
+        Object.assign({ height: box.bottom - box.top, width: box.right - box.left }, box);
+    }
+  });
+
+  return doc;
+}
+
+function fixedLayoutRendition(direction) {
+  const book = new ePub();
+  const rendition = book.renderTo("mock-container-fixed", {
+    width: 1200,
+    height: 800,
+    layout: "pre-paginated",
+  });
+
+  const views = {
+    // In an rtl book the earlier section is the right page
+    1: {
+      position: () => ({ left: direction === "rtl" ? 600 : 0 }),
+      contents: { document: parse(LEFT_PAGE), cfiBase: "/6/4!" },
+    },
+    2: {
+      position: () => ({ left: direction === "rtl" ? 0 : 600 }),
+      contents: { document: parse(RIGHT_PAGE), cfiBase: "/6/6!" },
+    },
+  };
+
+  rendition.settings.direction = direction;
+  rendition._layout = { name: "pre-paginated" };
+  rendition.manager = {
+    // Fixed layout mappings can be missing
+    currentLocation: () => [{ index: 1 }, { index: 2, mapping: {} }],
+    views: { find: ({ index }) => views[index] },
+  };
+
+  return rendition;
+}
+
+describe("Rendition - fixed layout paragraphs", function () {
+  it("should order the blocks of a page by their position", function () {
+    const rendition = fixedLayoutRendition("ltr");
+    const paragraphs = rendition.getCurrentViewParagraphs();
+
+    assert.deepEqual(
+      paragraphs.map((p) => p.text),
+      [
+        "Top left of the left page.",
+        "Top right of the left page.",
+        "At the bottom of the left page.",
+        "The only box on the right page.",
+      ]
+    );
+    assert.deepEqual(
+      paragraphs.map((p) => p.sectionIndex),
+      [1, 1, 1, 2]
+    );
+  });
+
+  it("should read the right hand page first and blocks right to left for rtl", function () {
+    const rendition = fixedLayoutRendition("rtl");
+    const paragraphs = rendition.getCurrentViewParagraphs();
+
+    assert.deepEqual(
+      paragraphs.map((p) => p.text),
+      [
+        "Top right of the left page.",
+        "Top left of the left page.",
+        "At the bottom of the left page.",
+        "The only box on the right page.",
+      ]
+    );
+    assert.deepEqual(
+      paragraphs.map((p) => p.sectionIndex),
+      [1, 1, 1, 2]
+    );
+  });
+
+  it("should cover the whole spread in the text and cfis", function () {
+    const rendition = fixedLayoutRendition("ltr");
+    const result = rendition.getCurrentViewText();
+
+    assert.equal(
+      result.text,
+      "Top left of the left page.\nTop right of the left page.\n" +
+        "At the bottom of the left page.\nThe only box on the right page."
+    );
+    assert.equal(result.startCfi.indexOf("epubcfi(/6/4!"), 0);
+    assert.equal(result.endCfi.indexOf("epubcfi(/6/6!"), 0);
+  });
+});
@@ -0,0 +1,281 @@
+import assert from "assert";
+import ePub from "../src/epub";
+import EpubCFI from "../src/epubcfi";
+
+// One paragraph per page
+const CURRENT_SECTION =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Current</title></head><body>' +
+  "<p>The paragraph on the first page of the current chapter.</p>" +
+  "<p>The paragraph on the second page of the current chapter.</p>" +
+  "<p>The paragraph on the third page of the current chapter.</p>" +
+  "</body></html>";
+
+const NEXT_SECTION =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Next</title></head><body>' +
+  "<p>The paragraph on the first page of the next chapter.</p>" +
+  "</body></html>";
+
+const PAGE_WIDTH = 100;
+
+function parse(markup) {
+  return new DOMParser().parseFromString(markup, "application/xhtml+xml");
+}
+
+function pageMapping(contents, cfiBase, start) {
+  const paragraph = contents.document.querySelectorAll("p")[Math.round(start / PAGE_WIDTH)];
+
+  if (!paragraph) {
+    return undefined;
+  }
+
+  const range = contents.document.createRange();
+  range.selectNodeContents(paragraph.firstChild);
+  const first = range.cloneRange();
+  const last = range.cloneRange();
+  first.collapse(true);
+  last.collapse(false);
+
+  return {
+    start: new EpubCFI(first, cfiBase).toString(),
+    end: new EpubCFI(last, cfiBase).toString(),
+  };
+}
+
+function wait() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe("Rendition - paragraph cache", function () {
+  let rendition;
+  let mapped;
+  let current;
+  let views;
+
+  beforeEach(function () {
+    const book = new ePub();
+    rendition = book.renderTo("mock-container-cache", {
+      width: 600,
+      height: 400,
+      flow: "paginated",
+    });
+
+    const next = {
+      cfiBase: "/6/6!",
+      index: 2,
+      next: () => undefined,
+    };
+    const section = {
+      cfiBase: "/6/4!",
+      index: 1,
+      next: () => next,
+    };
+    views = {
+      1: { section, contents: { document: parse(CURRENT_SECTION), cfiBase: "/6/4!" } },
+      2: { section: next, contents: { document: parse(NEXT_SECTION), cfiBase: "/6/6!" } },
+    };
+
+    mapped = 0;
+    current = {
+      index: 1,
+      pages: [1],
+      totalPages: 3,
+      mapping: pageMapping(views[1].contents, "/6/4!", 0),
+    };
+
+    rendition.manager = {
+      currentLocation: () => [current],
+      views: { find: ({ index }) => views[index] },
+      layout: { pageWidth: PAGE_WIDTH, height: 400 },
+      settings: { axis: "horizontal" },
+      mapping: {
+        page: (contents, cfiBase, start) => {
+          mapped += 1;
+          return pageMapping(contents, cfiBase, start);
+        },
+      },
+      getContents: () => [],
+      resize: () => {},
+      updateFlow: () => {},
+      isRendered: () => false,
+    };
+  });
+
+  afterEach(function () {
+    rendition.clearParagraphCache();
+  });
+
+  it("should reuse the paragraphs of the next page", async function () {
+    const first = await rendition.getNextViewParagraphs({ minLength: 0 });
+    assert.deepEqual(
+      first.map((p) => p.text),
+      ["The paragraph on the second page of the current chapter."]
+    );
+    assert.equal(mapped, 1);
+
+    const second = await rendition.getNextViewParagraphs({ minLength: 0 });
+    assert.deepEqual(second, first);
+    assert.equal(mapped, 1);
+  });
+
+  it("should not share pages extracted with other options", async function () {
+    await rendition.getNextViewParagraphs({ minLength: 0 });
+    const withSentences = await rendition.getNextViewParagraphs({
+      minLength: 0,
+      sentences: true,
+    });
+
+    assert.equal(mapped, 2);
+    assert.equal(withSentences[0].sentences.length, 1);
+  });
+
+  it("should unload the next section it loaded for its first page", async function () {
+    const next = {
+      cfiBase: "/6/6!",
+      index: 2,
+      next: () => undefined,
+      load: function () {
+        this.document = parse(NEXT_SECTION);
+        this.contents = this.document.documentElement;
+        return Promise.resolve(this.contents);
+      },
+      unload: function () {
+        this.document = undefined;
+        this.contents = undefined;
+        this.unloaded = true;
+      },
+    };
+    views[1].section.next = () => next;
+    delete views[2];
+    current.pages = [3];
+    current.mapping = pageMapping(views[1].contents, "/6/4!", 2 * PAGE_WIDTH);
+
+    const paragraphs = await rendition.getNextViewParagraphs({ minLength: 0 });
+    assert.deepEqual(
+      paragraphs.map((p) => p.text),
+      ["The paragraph on the first page of the next chapter."]
+    );
+    assert.equal(paragraphs[0].cfiRange.indexOf("epubcfi(/6/6!"), 0);
+
+    await wait();
+    assert.ok(next.unloaded, "the section loaded for the lookup is unloaded");
+  });
+
+  it("should read ahead from the last section of a spread", async function () {
+    views[2].contents.document = parse(NEXT_SECTION.replace(
+      "</body>",
+      "<p>The paragraph on the second page of the next chapter.</p></body>"
+    ));
+    current.pages = [3];
+    current.mapping = pageMapping(views[1].contents, "/6/4!", 2 * PAGE_WIDTH);
+    const location = [
+      current,
+      {
+        index: 2,
+        pages: [1],
+        totalPages: 2,
+        mapping: pageMapping(views[2].contents, "/6/6!", 0),
+      },
+    ];
+    rendition.manager.currentLocation = () => location;
+
+    const next = await rendition.getNextViewParagraphs({ minLength: 0 });
+    assert.deepEqual(
+      next.map((p) => p.text),
+      ["The paragraph on the second page of the next chapter."]
+    );
+
+    // The sections of a spread can be listed out of reading order
+    location.reverse();
+
+    const previous = await rendition.getPreviousViewParagraphs({ minLength: 0 });
+    assert.deepEqual(
+      previous.map((p) => p.text),
+      ["The paragraph on the second page of the current chapter."]
+    );
+  });
+
+  it("should prefetch pages ahead after a relocation", async function () {
+    rendition.settings.prefetch = 3;
+    rendition.emit("relocated", {});
+    await wait();
+
+    const pages = await Promise.all([
+      rendition.paragraphCache.get(rendition.paragraphCache.key(1, 2, {})),
+      rendition.paragraphCache.get(rendition.paragraphCache.key(1, 3, {})),
+      rendition.paragraphCache.get(rendition.paragraphCache.key(2, 1, {})),
+    ]);
+
+    assert.deepEqual(
+      pages.map((paragraphs) => paragraphs.map((p) => p.text)),
+      [
+        ["The paragraph on the second page of the current chapter."],
+        ["The paragraph on the third page of the current chapter."],
+        ["The paragraph on the first page of the next chapter."],
+      ]
+    );
+
+    const count = mapped;
+    const next = await rendition.getNextViewParagraphs({ minLength: 0 });
+    assert.equal(next[0].text, "The paragraph on the second page of the current chapter.");
+    assert.equal(mapped, count);
+  });
+
+  it("should keep using the prefetched pages after turning pages", async function () {
+    const views = rendition.manager.views;
+
+    rendition.settings.prefetch = 3;
+    rendition.emit("relocated", {});
+    await wait();
+
+    const count = mapped;
+    const turn = async (page) => {
+      current = {
+        index: 1,
+        pages: [page],
+        totalPages: 3,
+        mapping: pageMapping(views.find({ index: 1 }).contents, "/6/4!", (page - 1) * PAGE_WIDTH),
+      };
+      rendition.emit("relocated", {});
+      await wait();
+      return rendition.getNextViewParagraphs({ minLength: 0 });
+    };
+
+    const third = await turn(2);
+    assert.deepEqual(third.map((p) => p.text), ["The paragraph on the third page of the current chapter."]);
+
+    const nextChapter = await turn(3);
+    assert.deepEqual(nextChapter.map((p) => p.text), ["The paragraph on the first page of the next chapter."]);
+
+    assert.equal(mapped, count, "no page was extracted again");
+  });
+
+  it("should not prefetch when disabled", async function () {
+    rendition.settings.prefetch = 0;
+    rendition.emit("relocated", {});
+    await wait();
+
+    assert.equal(mapped, 0);
+  });
+
+  it("should clear the cache when the layout changes", async function () {
+    const key = rendition.paragraphCache.key(1, 2, {});
+    const fill = () => rendition.getNextViewParagraphs({ minLength: 0 });
+
+    await fill();
+    rendition.resize(500, 400);
+    assert.equal(rendition.paragraphCache.has(key), false);
+
+    await fill();
+    rendition.flow("scrolled-doc");
+    assert.equal(rendition.paragraphCache.has(key), false);
+
+    await fill();
+    rendition.themes.fontSize("120%");
+    assert.equal(rendition.paragraphCache.has(key), false);
+
+    await fill();
+    assert.equal(rendition.paragraphCache.has(key), true);
+  });
+});
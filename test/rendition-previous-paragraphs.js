@@ -0,0 +1,221 @@
+import assert from "assert";
+import ePub from "../src/epub";
+
+const PREVIOUS_SECTION =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Previous</title></head><body>' +
+  "<p>An early paragraph of the previous chapter that should not fit on its last page.</p>" +
+  "<p>The second to last paragraph of the previous chapter, long enough.</p>" +
+  "<p>The last paragraph of the previous chapter, also long enough to count.</p>" +
+  "</body></html>";
+
+const CURRENT_SECTION =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Current</title></head><body>' +
+  "<p>The only paragraph visible on the first page of the current chapter, quite long really.</p>" +
+  "</body></html>";
+
+function parse(markup) {
+  return new DOMParser().parseFromString(markup, "application/xhtml+xml");
+}
+
+describe("Rendition - getPreviousViewParagraphs", function () {
+  describe("Method Behavior", function () {
+    let rendition;
+
+    beforeEach(function () {
+      const book = new ePub();
+      rendition = book.renderTo("mock-container-previous", {
+        width: 600,
+        height: 400,
+        flow: "paginated",
+      });
+    });
+
+    it("should have getPreviousViewParagraphs method", function () {
+      assert(
+        typeof rendition.getPreviousViewParagraphs === "function",
+        "getPreviousViewParagraphs should be a function"
+      );
+    });
+
+    it("should resolve to an empty array when no manager is available", async function () {
+      rendition.manager = undefined;
+      const result = await rendition.getPreviousViewParagraphs();
+      assert.deepEqual(result, []);
+    });
+
+    it("should resolve to an empty array at the start of the book", async function () {
+      const doc = parse(CURRENT_SECTION);
+      const view = {
+        section: { prev: () => undefined },
+        contents: { document: doc, cfiBase: "/6/4!" },
+      };
+
+      rendition.manager = {
+        currentLocation: () => [
+          {
+            index: 1,
+            pages: [1],
+            totalPages: 1,
+            mapping: {
+              start: "epubcfi(/6/4!/4/2/1:0)",
+              end: "epubcfi(/6/4!/4/2/1:20)",
+            },
+          },
+        ],
+        views: { find: () => view },
+      };
+
+      const result = await rendition.getPreviousViewParagraphs();
+      assert.deepEqual(result, []);
+    });
+
+    it("should return the last page of an unrendered previous section", async function () {
+      const currentDoc = parse(CURRENT_SECTION);
+      const text = currentDoc.querySelector("p").textContent;
+
+      const previousSection = {
+        index: 0,
+        cfiBase: "/6/2!",
+        load: function () {
+          this.document = parse(PREVIOUS_SECTION);
+          this.contents = this.document.documentElement;
+          return Promise.resolve(this.contents);
+        },
+        unload: function () {
+          this.document = undefined;
+          this.contents = undefined;
+          this.unloaded = true;
+        },
+      };
+
+      const view = {
+        section: { index: 1, prev: () => previousSection },
+        contents: { document: currentDoc, cfiBase: "/6/4!" },
+      };
+
+      rendition.manager = {
+        currentLocation: () => [
+          {
+            index: 1,
+            pages: [1],
+            totalPages: 1,
+            mapping: {
+              start: "epubcfi(/6/4!/4/2/1:0)",
+              end: "epubcfi(/6/4!/4/2/1:" + text.length + ")",
+            },
+          },
+        ],
+        views: {
+          find: (section) => (section.index === 1 ? view : undefined),
+        },
+      };
+
+      const result = await rendition.getPreviousViewParagraphs({ minLength: 0 });
+
+      assert.equal(result.length, 1, "Only the last paragraph fits the page");
+      assert.equal(
+        result[0].text,
+        "The last paragraph of the previous chapter, also long enough to count."
+      );
+      assert(result[0].cfiRange.indexOf("epubcfi(/6/2!") === 0);
+
+      await new Promise((resolve) => setTimeout(resolve));
+      assert(previousSection.unloaded, "The section loaded for the lookup is unloaded");
+    });
+
+    it("should apply the minLength filter", async function () {
+      const previousSection = {
+        index: 0,
+        cfiBase: "/6/2!",
+        load: function () {
+          this.document = parse(PREVIOUS_SECTION);
+          this.contents = this.document.documentElement;
+          return Promise.resolve(this.contents);
+        },
+        unload: function () {
+          this.document = undefined;
+          this.contents = undefined;
+          this.unloaded = true;
+        },
+      };
+
+      rendition.manager = {
+        currentLocation: () => [
+          {
+            index: 1,
+            pages: [1],
+            totalPages: 1,
+            mapping: { start: "epubcfi(/6/4!/4/2/1:0)", end: "epubcfi(/6/4!/4/2/1:1)" },
+          },
+        ],
+        views: {
+          find: (section) =>
+            section.index === 1
+              ? {
+                  section: { index: 1, prev: () => previousSection },
+                  contents: { document: parse(CURRENT_SECTION), cfiBase: "/6/4!" },
+                }
+              : undefined,
+        },
+      };
+
+      const result = await rendition.getPreviousViewParagraphs({ minLength: 500 });
+      assert.deepEqual(result, []);
+    });
+  });
+
+  describe("Real EPUB Integration", function () {
+    let book;
+    let rendition;
+
+    this.timeout(15000);
+
+    before(async function () {
+      book = new ePub("/base/test/fixtures/alice.epub");
+      await book.ready;
+    });
+
+    beforeEach(async function () {
+      const container = document.createElement("div");
+      container.id = "test-container-previous";
+      container.style.width = "600px";
+      container.style.height = "400px";
+      document.body.appendChild(container);
+
+      rendition = book.renderTo("test-container-previous", {
+        width: 600,
+        height: 400,
+        flow: "paginated",
+      });
+
+      await rendition.display(3);
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    });
+
+    afterEach(function () {
+      rendition && rendition.destroy();
+      const container = document.getElementById("test-container-previous");
+      container && document.body.removeChild(container);
+    });
+
+    it("should return the paragraphs of the page before the current one", async function () {
+      const before = rendition.getCurrentViewParagraphs();
+
+      await rendition.next();
+      await new Promise((resolve) => setTimeout(resolve, 500));
+
+      const previous = await rendition.getPreviousViewParagraphs({ minLength: 0 });
+
+      assert(Array.isArray(previous), "Should return an array");
+      if (before && before.length && previous.length) {
+        const texts = previous.map((p) => p.text);
+        assert(
+          texts.indexOf(before[0].text) > -1 || before[0].text.indexOf(texts[0]) > -1,
+          "Previous page should contain the text shown before turning the page"
+        );
+      }
+    });
+  });
+});
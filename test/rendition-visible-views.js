@@ -0,0 +1,95 @@
+import assert from "assert";
+import ePub from "../src/epub";
+
+const END_OF_CHAPTER =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>One</title></head><body>' +
+  "<p>The closing paragraph of the first chapter, on the left page.</p>" +
+  "</body></html>";
+
+const START_OF_CHAPTER =
+  '<?xml version="1.0" encoding="UTF-8"?>' +
+  '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>Two</title></head><body>' +
+  "<h1>Chapter Two</h1>" +
+  "<p>The opening paragraph of the second chapter, on the right page.</p>" +
+  "</body></html>";
+
+function parse(markup) {
+  return new DOMParser().parseFromString(markup, "application/xhtml+xml");
+}
+
+describe("Rendition - multiple visible views", function () {
+  let rendition;
+
+  beforeEach(function () {
+    const book = new ePub();
+    rendition = book.renderTo("mock-container-visible", {
+      width: 600,
+      height: 400,
+      flow: "paginated",
+    });
+
+    const views = {
+      1: { contents: { document: parse(END_OF_CHAPTER), cfiBase: "/6/4!" } },
+      2: { contents: { document: parse(START_OF_CHAPTER), cfiBase: "/6/6!" } },
+    };
+
+    // A spread across a section boundary, listed out of reading order
+    rendition.manager = {
+      currentLocation: () => [
+        {
+          index: 2,
+          mapping: {
+            start: "epubcfi(/6/6!/4/2/1:0)",
+            end: "epubcfi(/6/6!/4/4/1:63)",
+          },
+        },
+        {
+          index: 1,
+          mapping: {
+            start: "epubcfi(/6/4!/4/2/1:0)",
+            end: "epubcfi(/6/4!/4/2/1:61)",
+          },
+        },
+      ],
+      views: { find: ({ index }) => views[index] },
+    };
+  });
+
+  it("should join the text of every visible section in reading order", function () {
+    const result = rendition.getCurrentViewText();
+
+    assert.equal(
+      result.text,
+      "The closing paragraph of the first chapter, on the left page.\n" +
+        "Chapter TwoThe opening paragraph of the second chapter, on the right page."
+    );
+    assert.equal(result.startCfi, "epubcfi(/6/4!/4/2/1:0)");
+    assert.equal(result.endCfi, "epubcfi(/6/6!/4/4/1:63)");
+  });
+
+  it("should return the paragraphs of every visible section tagged with their section", function () {
+    const paragraphs = rendition.getCurrentViewParagraphs();
+
+    assert.deepEqual(
+      paragraphs.map((p) => p.sectionIndex),
+      [1, 2, 2]
+    );
+    assert.equal(paragraphs[1].text, "Chapter Two");
+    assert.equal(paragraphs[0].cfiRange.indexOf("epubcfi(/6/4!"), 0);
+    assert.equal(paragraphs[2].cfiRange.indexOf("epubcfi(/6/6!"), 0);
+  });
+
+  it("should skip visible sections without a rendered view", function () {
+    const find = rendition.manager.views.find;
+    rendition.manager.views.find = ({ index }) =>
+      index === 2 ? undefined : find({ index });
+
+    const paragraphs = rendition.getCurrentViewParagraphs();
+    assert.equal(paragraphs.length, 1);
+    assert.equal(paragraphs[0].sectionIndex, 1);
+
+    const result = rendition.getCurrentViewText();
+    assert.equal(result.endCfi, "epubcfi(/6/4!/4/2/1:61)");
+  });
+});
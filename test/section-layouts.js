@@ -0,0 +1,142 @@
+import assert from "assert";
+import Layout from "../src/layout";
+import Section from "../src/section";
+import DefaultViewManager from "../src/managers/default";
+import ContinuousViewManager from "../src/managers/continuous";
+
+function section(index, properties) {
+	return new Section({
+		idref: "s" + index,
+		linear: "yes",
+		properties: properties || [],
+		index: index,
+		href: "s" + index + ".xhtml",
+		next: () => sections[index + 1],
+		prev: () => sections[index - 1]
+	});
+}
+
+var sections = [
+	section(0, ["rendition:layout-pre-paginated", "rendition:page-spread-center"]),
+	section(1),
+	section(2, ["rendition:flow-scrolled-doc"]),
+	section(3, ["rendition:layout-pre-paginated", "page-spread-left"]),
+	section(4, ["rendition:layout-pre-paginated", "page-spread-right"]),
+	section(5, ["rendition:spread-none"])
+];
+
+function manager(Manager) {
+	var layout = new Layout({
+		layout: "reflowable",
+		spread: "auto",
+		flow: "paginated",
+		direction: "rtl"
+	});
+	var instance = new Manager({ settings: { direction: "rtl" }, view: function() {} });
+
+	instance.applyLayout(layout);
+	instance.updateFlow("paginated");
+
+	return { instance, layout };
+}
+
+describe("Section layouts", function() {
+
+	it("should use the layout of the book for sections without rendition properties", function() {
+		var { instance, layout } = manager(DefaultViewManager);
+
+		assert.equal(instance.layoutFor(sections[1]), layout);
+	});
+
+	it("should override the layout, spread and flow of a section", function() {
+		var { instance } = manager(DefaultViewManager);
+		var fixed = instance.layoutFor(sections[3]);
+		var scrolled = instance.layoutFor(sections[2]);
+		var single = instance.layoutFor(sections[5]);
+
+		assert.equal(fixed.name, "pre-paginated");
+		assert.equal(fixed.props.spread, true);
+		assert.equal(scrolled.props.flow, "scrolled");
+		assert.equal(single.name, "reflowable");
+		assert.equal(single.props.spread, false);
+
+		// Sections with the same properties share a layout
+		assert.equal(instance.layoutFor(sections[4]), fixed);
+	});
+
+	it("should show a page centered on a spread alone", function() {
+		var { instance } = manager(DefaultViewManager);
+		var center = instance.layoutFor(sections[0]);
+
+		assert.equal(center.name, "pre-paginated");
+		assert.equal(center.props.spread, false);
+	});
+
+	it("should keep the direction of the book", function() {
+		var { instance } = manager(DefaultViewManager);
+
+		assert.equal(instance.layoutFor(sections[3]).settings.direction, "rtl");
+		assert.equal(instance.layoutFor(sections[2]).settings.direction, "rtl");
+	});
+
+	it("should switch the flow of the manager with the section", function() {
+		var { instance, layout } = manager(DefaultViewManager);
+
+		instance.updateSectionLayout(sections[2]);
+		assert.equal(instance.isPaginated, false);
+		assert.equal(instance.settings.axis, "vertical");
+		assert.equal(instance.layout.props.flow, "scrolled");
+
+		instance.updateSectionLayout(sections[1]);
+		assert.equal(instance.isPaginated, true);
+		assert.equal(instance.settings.axis, "horizontal");
+		assert.equal(instance.layout, layout);
+		assert.equal(instance.settings.direction, "rtl");
+	});
+
+	it("should only pair pre-paginated pages sharing a layout", function() {
+		var { instance } = manager(DefaultViewManager);
+		var paired = [];
+		var add = (next) => paired.push(next.index);
+
+		instance.updateSectionLayout(sections[3]);
+		instance.layout.divisor = 2;
+		instance.handleNextPrePaginated(false, sections[3], add);
+		assert.deepEqual(paired, [4]);
+
+		paired = [];
+		instance.handleNextPrePaginated(false, sections[4], add);
+		assert.deepEqual(paired, []);
+	});
+
+	it("should display a visible pre-paginated section again from a reflowable one", function() {
+		var { instance } = manager(DefaultViewManager);
+		var added = [];
+		var scrolled = false;
+
+		instance.views = { find: () => ({}), show: () => {} };
+		instance.clear = () => {};
+		instance.scrollTo = () => scrolled = true;
+		instance.add = (next) => {
+			added.push(next.index);
+			return Promise.resolve();
+		};
+
+		return instance.display(sections[3]).then(() => {
+			assert.equal(scrolled, false);
+			assert.deepEqual(added, [3]);
+			assert.equal(instance.layout.name, "pre-paginated");
+		});
+	});
+
+	it("should keep the flow of the book in the continuous manager", function() {
+		var { instance, layout } = manager(ContinuousViewManager);
+		var scrolled = instance.layoutFor(sections[2]);
+
+		assert.equal(scrolled, layout);
+		assert.equal(instance.viewLayout(sections[3]).name, "pre-paginated");
+
+		instance.updateSectionLayout(sections[3]);
+		assert.equal(instance.layout, layout);
+	});
+});
@@ -0,0 +1,137 @@
+import assert from 'assert';
+import EpubCFI from '../src/epubcfi.js';
+import Contents from '../src/contents';
+import ePub from '../src/epub';
+import { splitSentences, segmentSentences, getSentencesFromRange } from '../src/utils/sentences';
+import { getParagraphsFromRange } from '../src/utils/paragraphs';
+
+const MARKUP = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<html xmlns="http://www.w3.org/1999/xhtml" lang="en"><head><title>Sentences</title></head><body>' +
+	'<p id="first">Alice was <em>very</em> tired. Mr. Rabbit ran <a href="#">past her, ' +
+	'quite close.</a> Why was he late?</p>' +
+	'<p id="second">Nobody knew.</p>' +
+	'</body></html>';
+
+function parse() {
+	return new DOMParser().parseFromString(MARKUP, "application/xhtml+xml");
+}
+
+describe('Sentences', function() {
+
+	describe('#splitSentences()', function() {
+
+		it('should split on terminal punctuation', function() {
+			var sentences = splitSentences("One fish. Two fish! Red fish? Blue fish.");
+
+			assert.deepEqual(sentences.map((s) => s.text.trim()), ["One fish.", "Two fish!", "Red fish?", "Blue fish."]);
+			assert.equal(sentences[1].index, 9);
+		});
+
+		it('should not split after abbreviations, initials or before lowercase words', function() {
+			var sentences = splitSentences("Mr. Smith met J. R. Jones at 3 p.m. and left. \"Really?\" she asked. Yes.");
+
+			assert.deepEqual(sentences.map((s) => s.text.trim()), [
+				"Mr. Smith met J. R. Jones at 3 p.m. and left.",
+				"\"Really?\" she asked.",
+				"Yes."
+			]);
+		});
+
+		it('should split ideographic text without spaces', function() {
+			var sentences = splitSentences("今日は晴れです。明日は雨です。");
+
+			assert.deepEqual(sentences.map((s) => s.text), ["今日は晴れです。", "明日は雨です。"]);
+		});
+	});
+
+	describe('#segmentSentences()', function() {
+
+		it('should return the offset of every sentence', function() {
+			var text = "First one. Second one.";
+			var sentences = segmentSentences(text, "en");
+
+			assert.equal(sentences.length, 2);
+			sentences.forEach((s) => {
+				assert.equal(text.substr(s.index, s.text.length), s.text);
+			});
+		});
+	});
+
+	describe('#getSentencesFromRange()', function() {
+
+		it('should return a cfi range that resolves across inline markup', function() {
+			var doc = parse();
+			var range = doc.createRange();
+			range.selectNodeContents(doc.getElementById("first"));
+
+			var sentences = getSentencesFromRange(range, "/6/4!", undefined, "en");
+
+			assert.deepEqual(sentences.map((s) => s.text), [
+				"Alice was very tired.",
+				"Mr. Rabbit ran past her, quite close.",
+				"Why was he late?"
+			]);
+
+			sentences.forEach((sentence) => {
+				var resolved = new EpubCFI(sentence.cfiRange).toRange(doc);
+				assert.equal(resolved.toString(), sentence.text);
+			});
+		});
+	});
+
+	describe('#getParagraphsFromRange()', function() {
+
+		it('should only add sentences when asked to', function() {
+			var doc = parse();
+			var range = doc.createRange();
+			range.selectNodeContents(doc.body);
+
+			var paragraphs = getParagraphsFromRange(range, "/6/4!");
+			assert.equal(paragraphs[0].sentences, undefined);
+
+			paragraphs = getParagraphsFromRange(range, "/6/4!", undefined, { sentences: true });
+			assert.equal(paragraphs.length, 2);
+			assert.equal(paragraphs[0].sentences.length, 3);
+			assert.deepEqual(paragraphs[1].sentences.map((s) => s.text), ["Nobody knew."]);
+		});
+	});
+
+	describe('Contents#sentences()', function() {
+
+		it('should split the whole body or a cfi range', function() {
+			var doc = parse();
+			var contents = new Contents(doc, doc.body, "/6/4!", 1);
+
+			var sentences = contents.sentences();
+			assert.equal(sentences.length, 4);
+			assert.equal(sentences[3].cfiRange.indexOf("epubcfi(/6/4!"), 0);
+
+			var cfi = contents.cfiFromNode(doc.getElementById("second"));
+			assert.deepEqual(contents.sentences(cfi).map((s) => s.text), ["Nobody knew."]);
+
+			contents.destroy();
+		});
+	});
+
+	describe('Rendition#getCurrentViewParagraphs()', function() {
+
+		it('should split paragraphs into sentences with the sentences option', function() {
+			var doc = parse();
+			var rendition = new ePub().renderTo("mock-container-sentences", { width: 600, height: 400 });
+
+			rendition.manager = {
+				currentLocation: () => [{
+					index: 1,
+					mapping: { start: "epubcfi(/6/4!/4/2/1:0)", end: "epubcfi(/6/4!/4/4/1:12)" }
+				}],
+				views: { find: () => ({ contents: { document: doc, cfiBase: "/6/4!" } }) }
+			};
+
+			var paragraphs = rendition.getCurrentViewParagraphs({ sentences: true });
+
+			assert.equal(paragraphs.length, 2);
+			assert.equal(paragraphs[0].sentences[1].text, "Mr. Rabbit ran past her, quite close.");
+			assert.equal(new EpubCFI(paragraphs[0].sentences[1].cfiRange).toRange(doc).toString(), paragraphs[0].sentences[1].text);
+		});
+	});
+});
@@ -0,0 +1,167 @@
+import assert from 'assert';
+import EpubCFI from '../src/epubcfi.js';
+import Smil, { parseClockValue } from '../src/smil';
+import Book from '../src/book';
+
+const SMIL = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0"><body>' +
+	'<seq id="seq1" epub:textref="../text/chapter1.xhtml" epub:type="chapter">' +
+	'<par id="par1"><text src="../text/chapter1.xhtml#p1"/><audio src="../audio/chapter1.mp3" clipBegin="0:00:00.000" clipEnd="0:00:02.500"/></par>' +
+	'<par id="par2"><text src="../text/chapter1.xhtml#p2"/><audio src="../audio/chapter1.mp3" clipBegin="2.5s" clipEnd="5400ms"/></par>' +
+	'<par id="par3"><text src="../text/chapter1.xhtml#p3"/></par>' +
+	'<par id="par4"><text src="../text/chapter1.xhtml#p4"/><audio src="../audio/chapter1.mp3" clipBegin="00:05.4"/></par>' +
+	'</seq>' +
+	'</body></smil>';
+
+describe('Smil', function() {
+
+	describe('#parseClockValue()', function() {
+
+		it('should parse full and partial clock values', function() {
+			assert.equal(parseClockValue("1:02:03.5"), 3723.5);
+			assert.equal(parseClockValue("0:00:02.500"), 2.5);
+			assert.equal(parseClockValue("02:03"), 123);
+		});
+
+		it('should parse timecounts', function() {
+			assert.equal(parseClockValue("2.5s"), 2.5);
+			assert.equal(parseClockValue("5400ms"), 5.4);
+			assert.equal(parseClockValue("1.5min"), 90);
+			assert.equal(parseClockValue("1h"), 3600);
+			assert.equal(parseClockValue("12"), 12);
+		});
+
+		it('should accept the npt metric', function() {
+			assert.equal(parseClockValue("npt=12.5s"), 12.5);
+			assert.equal(parseClockValue("npt=0:00:12.500"), 12.5);
+		});
+
+		it('should ignore missing or invalid values', function() {
+			assert.equal(parseClockValue(), undefined);
+			assert.equal(parseClockValue(""), undefined);
+			assert.equal(parseClockValue("soon"), undefined);
+			assert.equal(parseClockValue("1:2:3:4"), undefined);
+		});
+	});
+
+	describe('#parse()', function() {
+
+		it('should read the par elements in playback order', function() {
+			var xml = new DOMParser().parseFromString(SMIL, "application/xml");
+			var smil = new Smil(xml, "smil/chapter1.smil");
+
+			assert.equal(smil.items.length, 3);
+			assert.deepEqual(smil.items[0], {
+				id: "par1",
+				href: "text/chapter1.xhtml",
+				fragment: "p1",
+				audioSrc: "audio/chapter1.mp3",
+				clipBegin: 0,
+				clipEnd: 2.5
+			});
+			assert.equal(smil.items[1].clipBegin, 2.5);
+			assert.equal(smil.items[1].clipEnd, 5.4);
+			assert.equal(smil.items[2].fragment, "p4");
+			assert.equal(smil.items[2].clipEnd, undefined);
+		});
+	});
+
+	describe('#map()', function() {
+		var doc, smil;
+
+		beforeEach(function() {
+			var xml = new DOMParser().parseFromString(SMIL, "application/xml");
+			smil = new Smil(xml, "smil/chapter1.smil");
+			// Narrated out of document order, with a paragraph that is not narrated
+			doc = new DOMParser().parseFromString('<?xml version="1.0" encoding="UTF-8"?>' +
+				'<html xmlns="http://www.w3.org/1999/xhtml"><head><title>One</title></head><body>' +
+				'<p id="p2">Second clip.</p><p id="p1">First clip.</p><p id="p3">No audio.</p><p id="p4">Last clip.</p>' +
+				'</body></html>', "application/xhtml+xml");
+		});
+
+		it('should map each par to a cfi range sorted by position', function() {
+			var timings = smil.map(doc, "/6/4!");
+
+			assert.deepEqual(timings.map((t) => t.index), [1, 0, 2]);
+			assert.deepEqual(timings[0], {
+				cfiRange: timings[0].cfiRange,
+				audioSrc: "audio/chapter1.mp3",
+				clipBegin: 2.5,
+				clipEnd: 5.4,
+				index: 1
+			});
+			assert.equal(new EpubCFI(timings[1].cfiRange).toRange(doc).toString(), "First clip.");
+		});
+
+		it('should only map the pars narrating the text document', function() {
+			var xml = new DOMParser().parseFromString(SMIL.replace("</seq>",
+				'<par id="par5"><text src="../text/chapter2.xhtml#p1"/><audio src="../audio/chapter2.mp3" clipBegin="0s" clipEnd="3s"/></par></seq>'
+			), "application/xml");
+			smil = new Smil(xml, "smil/chapter1.smil");
+
+			var timings = smil.map(doc, "/6/4!", "text/chapter1.xhtml");
+
+			assert.deepEqual(timings.map((t) => t.index), [1, 0, 2]);
+			assert.equal(smil.cfiAt(1, "audio/chapter2.mp3"), undefined);
+		});
+
+		it('should find the audio time of a cfi', function() {
+			smil.map(doc, "/6/4!");
+			var text = doc.getElementById("p1").firstChild;
+			var range = doc.createRange();
+			range.setStart(text, 6);
+			range.setEnd(text, 10);
+
+			assert.deepEqual(smil.timeOf(new EpubCFI(range, "/6/4!").toString()), { audioSrc: "audio/chapter1.mp3", time: 0 });
+
+			// A paragraph without audio belongs to the clip before it
+			range.selectNodeContents(doc.getElementById("p3"));
+			assert.equal(smil.timeOf(new EpubCFI(range, "/6/4!").toString()).time, 0);
+		});
+
+		it('should throw when looked up before being mapped', function() {
+			assert.throws(() => smil.timeOf("epubcfi(/6/4!/4/2,/1:0,/1:5)"), /is not mapped/);
+			assert.throws(() => smil.cfiAt(1.2), /is not mapped/);
+
+			smil.map(doc, "/6/4!");
+			assert.equal(smil.cfiAt(1.2), smil.timings[1].cfiRange);
+		});
+
+		it('should unload the section a book loaded to map it', async function() {
+			var book = new Book();
+			var section = {
+				href: "text/chapter1.xhtml",
+				cfiBase: "/6/4!",
+				load: function() {
+					this.document = doc;
+					this.contents = doc.documentElement;
+					return Promise.resolve(this.contents);
+				},
+				unload: function() {
+					this.document = undefined;
+					this.contents = undefined;
+				}
+			};
+			book.mediaOverlay = () => Promise.resolve(smil);
+
+			var timings = await book.mediaOverlayTimings(section);
+			assert.equal(timings.length, 3);
+			assert.equal(section.contents, undefined);
+			assert.equal(smil.timeOf(timings[0].cfiRange).time, 2.5);
+
+			await section.load();
+			await book.mediaOverlayTimings(section);
+			assert.equal(section.contents, doc.documentElement, "a section loaded before is kept");
+		});
+
+		it('should find the cfi narrated at an audio time', function() {
+			var timings = smil.map(doc, "/6/4!");
+
+			assert.equal(smil.cfiAt(1.2), timings[1].cfiRange);
+			assert.equal(smil.cfiAt(3, "audio/chapter1.mp3"), timings[0].cfiRange);
+			assert.equal(smil.cfiAt(3, "audio/other.mp3"), undefined);
+			// The last clip plays to the end of the file
+			assert.equal(smil.cfiAt(600), timings[2].cfiRange);
+		});
+	});
+});
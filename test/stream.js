@@ -0,0 +1,102 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import ePub from '../src/epub';
+import Book from '../src/book';
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+const PACKAGE = '<?xml version="1.0"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">urn:uuid:1234</dc:identifier><dc:title>Streams</dc:title><dc:language>en</dc:language>' +
+	'</metadata>' +
+	'<manifest><item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/></manifest>' +
+	'<spine><itemref idref="c1"/></spine>' +
+	'</package>';
+
+// Chunks of the epub, as a network stream would deliver them
+function chunked(data, size) {
+	var offset = 0;
+
+	return new ReadableStream({
+		pull(controller) {
+			if (offset >= data.length) {
+				controller.close();
+				return;
+			}
+			controller.enqueue(data.slice(offset, offset + size));
+			offset += size;
+		}
+	});
+}
+
+async function open(input, options) {
+	var book = ePub(input, Object.assign({ replacements: "none" }, options));
+	var progress = [];
+
+	book.on("loadProgress", (event) => progress.push(event));
+	await book.opened;
+
+	return { book, progress };
+}
+
+describe('Streams', function() {
+	var epub;
+
+	before(async function() {
+		var zip = new JSZip();
+		zip.file("mimetype", "application/epub+zip");
+		zip.file("META-INF/container.xml", CONTAINER);
+		zip.file("OPS/package.opf", PACKAGE);
+		zip.file("OPS/c1.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>c1</title></head><body/></html>');
+		epub = await zip.generateAsync({ type: "uint8array" });
+	});
+
+	it('should determine the type of streams', function() {
+		var book = new Book();
+
+		assert.equal(book.determineType(new Blob([epub])), "stream");
+		assert.equal(book.determineType(new window.File([epub], "book.epub")), "stream");
+		assert.equal(book.determineType(new Response(epub)), "stream");
+		assert.equal(book.determineType(chunked(epub, 1024)), "stream");
+		assert.equal(book.determineType(epub.buffer), "binary");
+	});
+
+	it('should open a Blob and a File', async function() {
+		var opened = await open(new Blob([epub], { type: "application/epub+zip" }));
+
+		assert.equal(opened.book.packaging.metadata.title, "Streams");
+		assert.deepEqual(opened.progress[opened.progress.length - 1], { loaded: epub.length, total: epub.length });
+
+		opened = await open(new window.File([epub], "book.epub"));
+		assert.equal(opened.book.packaging.metadata.title, "Streams");
+	});
+
+	it('should open a Response, reporting the progress of each chunk', async function() {
+		var response = new Response(chunked(epub, 256), { headers: { "Content-Length": String(epub.length) } });
+		var opened = await open(response);
+
+		assert.equal(opened.book.packaging.metadata.title, "Streams");
+		assert.equal(opened.progress.length, Math.ceil(epub.length / 256));
+		assert.deepEqual(opened.progress[0], { loaded: 256, total: epub.length });
+		assert.deepEqual(opened.progress[opened.progress.length - 1], { loaded: epub.length, total: epub.length });
+	});
+
+	it('should open a ReadableStream of unknown length', async function() {
+		var opened = await open(chunked(epub, 1000));
+
+		assert.equal(opened.book.packaging.metadata.title, "Streams");
+		assert.deepEqual(opened.progress[opened.progress.length - 1], { loaded: epub.length, total: undefined });
+	});
+
+	it('should reject failed responses', async function() {
+		var book = new Book({ replacements: "none" });
+
+		await assert.rejects(book.open(new Response("Not Found", { status: 404, statusText: "Not Found" })), (error) => {
+			return error.status === 404;
+		});
+	});
+});
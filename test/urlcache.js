@@ -0,0 +1,186 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import Book from '../src/book';
+import Resources from '../src/resources';
+import Store from '../src/store';
+import UrlCache from '../src/utils/urlcache';
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+const PACKAGE = '<?xml version="1.0"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">urn:uuid:1234</dc:identifier><dc:title>Plates</dc:title><dc:language>en</dc:language>' +
+	'</metadata>' +
+	'<manifest>' +
+	'<item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>' +
+	'<item id="c2" href="c2.xhtml" media-type="application/xhtml+xml"/>' +
+	'<item id="style" href="style.css" media-type="text/css"/>' +
+	'<item id="paper" href="paper.png" media-type="image/png"/>' +
+	'<item id="one" href="one.png" media-type="image/png"/>' +
+	'<item id="two" href="two.png" media-type="image/png"/>' +
+	'</manifest>' +
+	'<spine><itemref idref="c1"/><itemref idref="c2"/></spine>' +
+	'</package>';
+
+function chapter(image) {
+	return '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>' + image + '</title>' +
+		'<link rel="stylesheet" href="style.css"/></head>' +
+		'<body><img src="' + image + '"/></body></html>';
+}
+
+class MemoryStore extends Store {
+	checkRequirements() {
+		var items = new Map();
+		this.storage = {
+			getItem: (key) => Promise.resolve(items.get(key)),
+			setItem: (key, value) => Promise.resolve(items.set(key, value)).then(() => value)
+		};
+	}
+}
+
+describe('UrlCache', function() {
+	var URLs = Array.from(new Set([window.URL, URL]));
+	var methods = URLs.map((_URL) => [_URL.createObjectURL, _URL.revokeObjectURL]);
+	var created, revoked;
+
+	beforeEach(function() {
+		created = 0;
+		revoked = [];
+		URLs.forEach((_URL) => {
+			_URL.createObjectURL = () => "blob:test/" + (++created);
+			_URL.revokeObjectURL = (url) => revoked.push(url);
+		});
+	});
+
+	afterEach(function() {
+		URLs.forEach((_URL, i) => {
+			_URL.createObjectURL = methods[i][0];
+			_URL.revokeObjectURL = methods[i][1];
+		});
+	});
+
+	describe('#set()', function() {
+		it('should revoke the least recently used urls over the entry budget', function() {
+			var cache = new UrlCache({ maxEntries: 2 });
+
+			cache.set("/a.png", "blob:test/a");
+			cache.set("/b.png", "blob:test/b");
+			cache.get("/a.png");
+			cache.set("/c.png", "blob:test/c");
+
+			assert.deepEqual(revoked, ["blob:test/b"]);
+			assert.ok(cache.has("/a.png"));
+			assert.ok(!cache.has("/b.png"));
+		});
+
+		it('should revoke urls over the byte budget', function() {
+			var cache = new UrlCache({ maxBytes: 100 });
+
+			cache.set("/a.png", "blob:test/a", 60);
+			cache.set("/b.png", "blob:test/b", 30);
+			assert.deepEqual(revoked, []);
+
+			cache.set("/c.png", "blob:test/c", 30);
+			assert.deepEqual(revoked, ["blob:test/a"]);
+			assert.equal(cache.bytes, 60);
+		});
+
+		it('should keep the first url created for a resource', function() {
+			var cache = new UrlCache();
+
+			assert.equal(cache.set("/a.png", "blob:test/a"), "blob:test/a");
+			assert.equal(cache.set("/a.png", "blob:test/again"), "blob:test/a");
+			assert.deepEqual(revoked, ["blob:test/again"]);
+		});
+	});
+
+	describe('#retain()', function() {
+		it('should keep retained urls until they are released', function() {
+			var cache = new UrlCache({ maxEntries: 1 });
+
+			cache.retain("c1.xhtml", ["/a.png"]);
+			cache.set("/a.png", "blob:test/a");
+			cache.set("/b.png", "blob:test/b");
+			cache.set("/c.png", "blob:test/c");
+
+			assert.deepEqual(revoked, ["blob:test/b"]);
+
+			cache.release("c1.xhtml");
+			assert.deepEqual(revoked, ["blob:test/b", "blob:test/a"]);
+			assert.ok(cache.has("/c.png"));
+		});
+	});
+
+	describe('Book', function() {
+		var book;
+
+		beforeEach(async function() {
+			var zip = new JSZip();
+			zip.file("mimetype", "application/epub+zip");
+			zip.file("META-INF/container.xml", CONTAINER);
+			zip.file("OPS/package.opf", PACKAGE);
+			zip.file("OPS/c1.xhtml", chapter("one.png"));
+			zip.file("OPS/c2.xhtml", chapter("two.png"));
+			zip.file("OPS/style.css", "body { background: url(paper.png); }");
+			zip.file("OPS/paper.png", new Uint8Array([137, 80, 78, 71, 1]));
+			zip.file("OPS/one.png", new Uint8Array([137, 80, 78, 71, 2]));
+			zip.file("OPS/two.png", new Uint8Array([137, 80, 78, 71, 3]));
+
+			book = new Book({ replacements: "blobUrl", urlCache: { maxEntries: 1 } });
+			await book.open(await zip.generateAsync({ type: "arraybuffer" }));
+			await book.opened;
+		});
+
+		it('should recreate the revoked urls of a section when it is rendered', async function() {
+			var request = book.load.bind(book);
+			var first = book.spine.get(0);
+			var second = book.spine.get(1);
+			var output = await first.render(request);
+			var image = /src="([^"]+)"/.exec(output)[1];
+
+			assert.ok(book.archive.urlCache.has("/OPS/one.png"));
+			assert.equal(revoked.indexOf(image), -1, "the urls of the rendered section are live");
+
+			await second.render(request);
+			assert.ok(book.archive.urlCache.has("/OPS/one.png"), "retained while the section is loaded");
+
+			book.resources.release(first.url);
+			book.resources.release(second.url);
+			assert.ok(revoked.indexOf(image) > -1, "revoked once released");
+
+			output = await first.render(request);
+			assert.notEqual(/src="([^"]+)"/.exec(output)[1], image);
+			assert.equal(revoked.indexOf(/src="([^"]+)"/.exec(output)[1]), -1);
+			assert.ok(book.archive.urlCache.has("/OPS/paper.png"), "the assets of the css are recreated too");
+		});
+	});
+
+	describe('Store', function() {
+		it('should retain the urls the store created for a section', async function() {
+			var resolve = (href) => "/OPS/" + href;
+			var store = new MemoryStore("urlcache", () => Promise.resolve(new Uint8Array([137, 80, 78, 71]).buffer),
+				resolve, undefined, { urlCache: { maxEntries: 1 } });
+			var resources = new Resources({
+				one: { href: "one.png", type: "image/png" },
+				two: { href: "two.png", type: "image/png" }
+			}, { replacements: "blobUrl", resolver: resolve, store: store });
+
+			await resources.replacements();
+			assert.deepEqual(revoked, ["blob:test/1"], "over the budget of the store");
+
+			await resources.retain("/OPS/c1.xhtml", chapter("one.png"));
+			var image = resources.replacementUrls[0];
+			assert.ok(store.urlCache.retained("/OPS/one.png"));
+
+			await resources.retain("/OPS/c2.xhtml", chapter("two.png"));
+			assert.equal(revoked.indexOf(image), -1, "retained while the section is loaded");
+
+			resources.release("/OPS/c1.xhtml");
+			assert.ok(revoked.indexOf(image) > -1, "revoked once released");
+		});
+	});
+});
@@ -0,0 +1,127 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import Book from '../src/book';
+import { validate, SEVERITY } from '../src/utils/validation';
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+const NAV = '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>nav</title></head><body>' +
+	'<nav epub:type="toc"><ol><li><a href="../text/c1.xhtml#start">One</a></li><li><a href="../text/missing.xhtml">Gone</a></li></ol></nav>' +
+	'</body></html>';
+
+const CHAPTER = '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>c</title></head><body/></html>';
+
+function packageXml(manifest, spine, meta) {
+	return '<?xml version="1.0"?>' +
+		'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+		'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+		'<dc:identifier id="uid">urn:uuid:1234</dc:identifier><dc:title>Check</dc:title><dc:language>en</dc:language>' +
+		meta +
+		'</metadata>' +
+		'<manifest>' + manifest + '</manifest>' +
+		'<spine>' + spine + '</spine>' +
+		'</package>';
+}
+
+async function open(files) {
+	var zip = new JSZip();
+	var book = new Book({ replacements: "none" });
+
+	zip.file("mimetype", "application/epub+zip");
+	zip.file("META-INF/container.xml", CONTAINER);
+	Object.keys(files).forEach((name) => zip.file(name, files[name]));
+
+	await book.open(await zip.generateAsync({ type: "arraybuffer" }));
+	return book;
+}
+
+function codes(problems) {
+	return problems.map((problem) => problem.code);
+}
+
+describe('Validation', function() {
+
+	it('should not report problems for a valid book', async function() {
+		var book = await open({
+			"OPS/package.opf": packageXml(
+				'<item id="nav" href="nav/nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>' +
+				'<item id="cover" href="cover.png" media-type="image/png" properties="cover-image"/>' +
+				'<item id="c1" href="text/c1.xhtml" media-type="application/xhtml+xml"/>' +
+				'<item id="missing" href="text/missing.xhtml" media-type="application/xhtml+xml"/>',
+				'<itemref idref="c1"/><itemref idref="missing"/>',
+				'<meta property="dcterms:modified">2024-01-01T00:00:00Z</meta>'),
+			"OPS/nav/nav.xhtml": NAV,
+			"OPS/cover.png": new Uint8Array([137, 80, 78, 71]),
+			"OPS/text/c1.xhtml": CHAPTER,
+			"OPS/text/missing.xhtml": CHAPTER
+		});
+
+		assert.deepEqual(await book.validate(), []);
+	});
+
+	it('should report the problems of a broken book, errors first', async function() {
+		var book = await open({
+			"OPS/package.opf": packageXml(
+				'<item id="nav" href="nav/nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>' +
+				'<item id="c1" href="text/c1.xhtml" media-type="application/xhtml+xml"/>' +
+				'<item id="uid" href="text/c1.xhtml" media-type="application/xhtml+xml"/>' +
+				'<item id="doc" href="text/doc.docx" media-type="application/vnd.openxmlformats-officedocument.wordprocessingml.document"/>' +
+				'<item id="video" href="video.mp4" media-type="video/mp4"/>',
+				'<itemref idref="c1"/><itemref idref="nowhere"/><itemref idref="doc"/>',
+				'<meta property="dcterms:modified">2024-01-01</meta>'),
+			"OPS/nav/nav.xhtml": NAV,
+			"OPS/text/c1.xhtml": CHAPTER,
+			"OPS/text/doc.docx": "doc",
+			"OPS/video.mp4": "video",
+			"OPS/extra.css": "p {}"
+		});
+		var problems = await book.validate();
+
+		assert.deepEqual(codes(problems), [
+			"MANIFEST_DUPLICATE_HREF",
+			"SPINE_IDREF_MISSING",
+			"SPINE_FALLBACK",
+			"NAV_HREF_UNRESOLVED",
+			"DUPLICATE_ID",
+			"MODIFIED_INVALID",
+			"FOREIGN_RESOURCE_FALLBACK",
+			"COVER_MISSING",
+			"RESOURCE_UNDECLARED"
+		]);
+		assert.equal(problems[1].id, "nowhere");
+		assert.equal(problems[3].href, "../text/missing.xhtml");
+		assert.equal(problems[8].href, "OPS/extra.css");
+		assert.equal(problems[8].severity, SEVERITY.WARNING);
+	});
+
+	it('should check the parts of a package without an archive', function() {
+		var problems = validate({
+			packaging: {
+				manifest: {
+					"c1": { href: "c1.xhtml", type: "" },
+					"svg": { href: "image.svg", type: "image/svg+xml" },
+					"pdf": { href: "book.pdf", type: "application/pdf", fallback: "svg" },
+					"audio": { href: "audio.mp3", type: "audio/mpeg", fallback: "gone" }
+				},
+				spine: [{ idref: "pdf", index: 0 }],
+				metadata: { modified_date: "" },
+				coverPath: "image.svg",
+				ncxPath: "toc.ncx"
+			},
+			navigation: { toc: [], landmarks: [{ href: "c1.xhtml#a", label: "Start" }] },
+			pageList: { pageList: [{ href: "p2.xhtml", page: 2 }] },
+			packageDocument: new DOMParser().parseFromString('<package xmlns="http://www.idpf.org/2007/opf" version="3.0"/>', "application/xml")
+		});
+
+		assert.deepEqual(problems.map((p) => [p.severity, p.code]), [
+			["error", "MANIFEST_ITEM_INCOMPLETE"],
+			["error", "MANIFEST_FALLBACK_MISSING"],
+			["error", "NAV_HREF_UNRESOLVED"],
+			["error", "MODIFIED_MISSING"]
+		]);
+		assert.equal(problems[2].href, "p2.xhtml");
+	});
+});
@@ -0,0 +1,237 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import Book from '../src/book';
+import Packaging from '../src/packaging';
+
+const MANIFEST = {
+	"@context": "https://readium.org/webpub-manifest/context.jsonld",
+	"metadata": {
+		"@type": "http://schema.org/Book",
+		"title": { "fr": "Les Misérables", "en": "The Miserables" },
+		"sortAs": "Miserables",
+		"identifier": "urn:isbn:9780000000002",
+		"language": ["fr", "en"],
+		"modified": "2024-01-01T00:00:00Z",
+		"published": "1862",
+		"author": { "name": "Victor Hugo", "sortAs": "Hugo, Victor" },
+		"translator": ["Isabel Hapgood"],
+		"contributor": { "name": "Émile Bayard", "role": "ill" },
+		"publisher": "Lacroix",
+		"subject": [{ "name": "Fiction", "scheme": "BISAC", "code": "FIC000000" }],
+		"belongsTo": { "series": { "name": "Classics", "position": 3 } },
+		"readingProgression": "rtl",
+		"presentation": { "layout": "fixed", "spread": "landscape", "orientation": "landscape", "overflow": "paginated" }
+	},
+	"links": [
+		{ "rel": "self", "href": "http://example.com/manifest.json", "type": "application/webpub+json" }
+	],
+	"readingOrder": [
+		{ "href": "cover.xhtml", "type": "application/xhtml+xml", "properties": { "page": "center" } },
+		{ "href": "chapter1.xhtml", "type": "application/xhtml+xml", "properties": { "page": "left", "layout": "reflowable", "overflow": "scrolled" },
+			"alternate": [{ "href": "chapter1.html", "type": "text/html" }] }
+	],
+	"resources": [
+		{ "href": "cover.jpg", "type": "image/jpeg", "rel": "cover" },
+		{ "href": "chapter1.xhtml", "type": "application/xhtml+xml" },
+		{ "href": "style.css", "type": "text/css" }
+	],
+	"toc": [
+		{ "href": "chapter1.xhtml", "title": "Chapter 1", "children": [{ "href": "chapter1.xhtml#s1", "title": "Section 1" }] }
+	],
+	"landmarks": [
+		{ "href": "chapter1.xhtml", "title": "Start", "rel": "bodymatter" }
+	],
+	"page-list": [
+		{ "href": "chapter1.xhtml#p1", "title": "1" },
+		{ "href": "chapter1.xhtml#p2", "title": "2" }
+	]
+};
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+const PACKAGE = '<?xml version="1.0"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="en">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">urn:uuid:1234</dc:identifier>' +
+	'<dc:title>Alice</dc:title>' +
+	'<dc:language>en</dc:language>' +
+	'<dc:creator id="author">Lewis Carroll</dc:creator>' +
+	'<meta refines="#author" property="file-as">Carroll, Lewis</meta>' +
+	'<dc:contributor id="ill">John Tenniel</dc:contributor>' +
+	'<meta refines="#ill" property="role" scheme="marc:relators">ill</meta>' +
+	'<meta property="dcterms:modified">2024-01-01T00:00:00Z</meta>' +
+	'<meta property="rendition:layout">pre-paginated</meta>' +
+	'<meta property="rendition:spread">none</meta>' +
+	'</metadata>' +
+	'<manifest>' +
+	'<item id="nav" href="nav/nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>' +
+	'<item id="cover" href="images/cover.jpg" media-type="image/jpeg" properties="cover-image"/>' +
+	'<item id="c1" href="text/c1.xhtml" media-type="application/xhtml+xml"/>' +
+	'<item id="c2" href="text/c2.xhtml" media-type="application/xhtml+xml"/>' +
+	'</manifest>' +
+	'<spine page-progression-direction="ltr"><itemref idref="c1" properties="page-spread-right"/><itemref idref="c2" properties="rendition:layout-reflowable"/></spine>' +
+	'</package>';
+
+const NAV = '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>nav</title></head><body>' +
+	'<nav epub:type="toc"><ol><li><a href="../text/c1.xhtml">One</a><ol><li><a href="../text/c1.xhtml#a">One A</a></li></ol></li>' +
+	'<li><a href="../text/c2.xhtml">Two</a></li></ol></nav>' +
+	'<nav epub:type="landmarks"><ol><li><a epub:type="bodymatter" href="../text/c1.xhtml">Start</a></li></ol></nav>' +
+	'<nav epub:type="page-list"><ol><li><a href="../text/c1.xhtml#p1">1</a></li></ol></nav>' +
+	'</body></html>';
+
+const NCX = '<?xml version="1.0"?>' +
+	'<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1"><head/><docTitle><text>Alice</text></docTitle><navMap>' +
+	'<navPoint id="n1" playOrder="1"><navLabel><text>One</text></navLabel><content src="../text/c1.xhtml"/>' +
+	'<navPoint id="n2" playOrder="2"><navLabel><text>One A</text></navLabel><content src="../text/c1.xhtml#a"/></navPoint></navPoint>' +
+	'<navPoint id="n3" playOrder="3"><navLabel><text>Two</text></navLabel><content src="../text/c2.xhtml"/></navPoint>' +
+	'</navMap></ncx>';
+
+function copy(json) {
+	return JSON.parse(JSON.stringify(json));
+}
+
+describe('Web Publication Manifest', function() {
+
+	describe('Packaging#load()', function() {
+		var packaging;
+
+		before(function() {
+			packaging = new Packaging();
+			packaging.load(copy(MANIFEST));
+		});
+
+		it('should map the metadata and presentation hints', function() {
+			var metadata = packaging.metadata;
+
+			assert.equal(metadata.title, "Les Misérables");
+			assert.equal(metadata.language, "fr");
+			assert.equal(metadata.creator, "Victor Hugo");
+			assert.equal(metadata.publisher, "Lacroix");
+			assert.equal(metadata.pubdate, "1862");
+			assert.equal(metadata.modified_date, "2024-01-01T00:00:00Z");
+			assert.equal(metadata.layout, "pre-paginated");
+			assert.equal(metadata.spread, "landscape");
+			assert.equal(metadata.orientation, "landscape");
+			assert.equal(metadata.flow, "paginated");
+			assert.equal(metadata.direction, "rtl");
+			assert.equal(metadata.readingProgression, "rtl");
+		});
+
+		it('should read contributor objects into the structured metadata', function() {
+			var structured = packaging.metadata.structured;
+
+			assert.equal(structured.titles[0].fileAs, "Miserables");
+			assert.deepEqual(structured.titles[0].alternateScripts, [{ value: "The Miserables", lang: "en" }]);
+			assert.equal(structured.creators[0].value, "Victor Hugo");
+			assert.equal(structured.creators[0].fileAs, "Hugo, Victor");
+			assert.equal(structured.creators[0].role, "aut");
+			assert.deepEqual(structured.contributors.map((c) => [c.value, c.role]), [["Isabel Hapgood", "trl"], ["Émile Bayard", "ill"]]);
+			assert.equal(structured.subjects[0].term, "FIC000000");
+			assert.equal(structured.collections[0].type, "series");
+			assert.equal(structured.collections[0].position, 3);
+		});
+
+		it('should build the manifest and spine from the links', function() {
+			assert.deepEqual(Object.keys(packaging.manifest), ["cover.xhtml", "chapter1.xhtml", "cover.jpg", "style.css"]);
+			assert.equal(packaging.coverPath, "cover.jpg");
+			assert.equal(packaging.manifest["chapter1.xhtml"].alternate[0].href, "chapter1.html");
+
+			assert.equal(packaging.spine.length, 2);
+			assert.equal(packaging.spine[1].idref, "chapter1.xhtml");
+			assert.deepEqual(packaging.spine[0].properties, ["rendition:page-spread-center"]);
+			assert.deepEqual(packaging.spine[1].properties, ["page-spread-left", "rendition:layout-reflowable", "rendition:flow-scrolled-continuous"]);
+		});
+	});
+
+	it('should open a manifest with its navigation and page list', async function() {
+		var book = new Book({
+			replacements: "none",
+			requestMethod: () => Promise.resolve(copy(MANIFEST))
+		});
+
+		await book.open("http://example.com/manifest.json");
+		await book.ready;
+
+		assert.equal(book.navigation.toc[0].label, "Chapter 1");
+		assert.equal(book.navigation.toc[0].subitems[0].href, "chapter1.xhtml#s1");
+		assert.deepEqual(book.navigation.landmark("bodymatter"), { href: "chapter1.xhtml", label: "Start", type: "bodymatter" });
+		assert.deepEqual(book.pageList.pages, [1, 2]);
+		assert.equal(book.cover, "http://example.com/cover.jpg");
+		assert.equal(book.spine.get(1).url, "http://example.com/chapter1.xhtml");
+		assert.deepEqual(book.spine.get(1).reconcileLayoutSettings({ layout: "pre-paginated", spread: "landscape", flow: "paginated" }), {
+			layout: "reflowable",
+			spread: "landscape",
+			orientation: undefined,
+			flow: "scrolled-continuous",
+			page: "spread-left"
+		});
+	});
+
+	it('should serialize an OPF-based book', async function() {
+		var zip = new JSZip();
+		zip.file("mimetype", "application/epub+zip");
+		zip.file("META-INF/container.xml", CONTAINER);
+		zip.file("OPS/package.opf", PACKAGE);
+		zip.file("OPS/nav/nav.xhtml", NAV);
+		zip.file("OPS/text/c1.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>1</title></head><body/></html>');
+		zip.file("OPS/text/c2.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>2</title></head><body/></html>');
+
+		var book = new Book({ replacements: "none" });
+		await book.open(await zip.generateAsync({ type: "arraybuffer" }));
+
+		var manifest = await book.toWebPubManifest();
+
+		assert.equal(manifest["@context"], "https://readium.org/webpub-manifest/context.jsonld");
+		assert.deepEqual(manifest.metadata, {
+			"@type": "http://schema.org/Book",
+			"title": "Alice",
+			"identifier": "urn:uuid:1234",
+			"language": "en",
+			"modified": "2024-01-01T00:00:00Z",
+			"readingProgression": "ltr",
+			"author": [{ "name": "Lewis Carroll", "sortAs": "Carroll, Lewis" }],
+			"illustrator": ["John Tenniel"],
+			"presentation": { "layout": "fixed", "spread": "none" }
+		});
+		assert.deepEqual(manifest.readingOrder, [
+			{ "href": "text/c1.xhtml", "type": "application/xhtml+xml", "properties": { "page": "right" } },
+			{ "href": "text/c2.xhtml", "type": "application/xhtml+xml", "properties": { "layout": "reflowable" } }
+		]);
+		assert.deepEqual(manifest.resources, [
+			{ "href": "nav/nav.xhtml", "type": "application/xhtml+xml", "rel": "contents" },
+			{ "href": "images/cover.jpg", "type": "image/jpeg", "rel": "cover" }
+		]);
+		assert.deepEqual(manifest.toc, [
+			{ "href": "text/c1.xhtml", "title": "One", "children": [{ "href": "text/c1.xhtml#a", "title": "One A" }] },
+			{ "href": "text/c2.xhtml", "title": "Two" }
+		]);
+		assert.deepEqual(manifest.landmarks, [{ "href": "text/c1.xhtml", "title": "Start", "rel": "bodymatter" }]);
+		assert.deepEqual(manifest["page-list"], [{ "href": "text/c1.xhtml#p1", "title": "1" }]);
+	});
+
+	it('should resolve the table of contents of a nested NCX', async function() {
+		var zip = new JSZip();
+		zip.file("mimetype", "application/epub+zip");
+		zip.file("META-INF/container.xml", CONTAINER);
+		zip.file("OPS/package.opf", PACKAGE
+			.replace('<item id="nav" href="nav/nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+				'<item id="ncx" href="toc/toc.ncx" media-type="application/x-dtbncx+xml"/>')
+			.replace('<spine ', '<spine toc="ncx" '));
+		zip.file("OPS/toc/toc.ncx", NCX);
+		zip.file("OPS/text/c1.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>1</title></head><body/></html>');
+		zip.file("OPS/text/c2.xhtml", '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>2</title></head><body/></html>');
+
+		var book = new Book({ replacements: "none" });
+		await book.open(await zip.generateAsync({ type: "arraybuffer" }));
+
+		var manifest = await book.toWebPubManifest();
+
+		assert.deepEqual(manifest.toc, [
+			{ "href": "text/c1.xhtml", "title": "One", "children": [{ "href": "text/c1.xhtml#a", "title": "One A" }] },
+			{ "href": "text/c2.xhtml", "title": "Two" }
+		]);
+	});
+});
@@ -0,0 +1,147 @@
+import assert from 'assert';
+import EpubCFI from '../src/epubcfi.js';
+import Contents from '../src/contents';
+import Annotations from '../src/annotations';
+import ePub from '../src/epub';
+import { splitWords, segmentWords, getWordsFromRange } from '../src/utils/words';
+
+const MARKUP = '<?xml version="1.0" encoding="UTF-8"?>' +
+	'<html xmlns="http://www.w3.org/1999/xhtml" lang="en"><head><title>Words</title></head><body>' +
+	'<p id="first">\n\t"Down, <em>down</em>, do<b>wn</b>!" said <a href="#">Alice</a>.</p>' +
+	'<p id="second">Nothing else.</p>' +
+	'</body></html>';
+
+function parse() {
+	return new DOMParser().parseFromString(MARKUP, "application/xhtml+xml");
+}
+
+function fakeView(index) {
+	return {
+		index,
+		word: undefined,
+		highlightWord(cfiRange) {
+			this.word = cfiRange;
+		},
+		unhighlightWord() {
+			this.word = undefined;
+		}
+	};
+}
+
+describe('Words', function() {
+
+	describe('#splitWords()', function() {
+
+		it('should split on whitespace and strip punctuation', function() {
+			var text = "\"Down, down!\" said Alice — twice.";
+			var words = splitWords(text);
+
+			assert.deepEqual(words.map((w) => w.text), ["Down", "down", "said", "Alice", "twice"]);
+			words.forEach((w) => {
+				assert.equal(text.substr(w.index, w.text.length), w.text);
+			});
+		});
+	});
+
+	describe('#segmentWords()', function() {
+
+		it('should only return word like segments', function() {
+			var words = segmentWords("Hello, world!", "en");
+
+			assert.deepEqual(words.map((w) => w.text), ["Hello", "world"]);
+			assert.equal(words[1].index, 7);
+		});
+	});
+
+	describe('#getWordsFromRange()', function() {
+
+		it('should return a cfi range and offset for every word', function() {
+			var doc = parse();
+			var paragraph = doc.getElementById("first");
+			var range = doc.createRange();
+			range.selectNodeContents(paragraph);
+
+			var words = getWordsFromRange(range, "/6/4!", undefined, "en");
+			var text = paragraph.textContent.trim();
+
+			assert.deepEqual(words.map((w) => w.word), ["Down", "down", "down", "said", "Alice"]);
+
+			words.forEach((word) => {
+				assert.equal(text.substr(word.charOffset, word.word.length), word.word);
+				assert.equal(new EpubCFI(word.cfiRange).toRange(doc).toString(), word.word);
+			});
+		});
+	});
+
+	describe('Contents#words()', function() {
+
+		it('should get the words of a paragraph', function() {
+			var doc = parse();
+			var contents = new Contents(doc, doc.body, "/6/4!", 1);
+			var paragraph = { cfiRange: contents.cfiFromNode(doc.getElementById("second")) };
+
+			var words = contents.words(paragraph);
+
+			assert.deepEqual(words.map((w) => w.word), ["Nothing", "else"]);
+			assert.deepEqual(words.map((w) => w.charOffset), [0, 8]);
+			assert.equal(contents.words().length, 7);
+
+			contents.destroy();
+		});
+	});
+
+	describe('Annotations#highlightWord()', function() {
+
+		it('should move a single word highlight between words and views', function() {
+			var views = [fakeView(1), fakeView(2)];
+			var hook = { register() {} };
+			var annotations = new Annotations({
+				hooks: { render: hook, unloaded: hook },
+				views: () => views
+			});
+			var words = [
+				{ word: "one", cfiRange: "epubcfi(/6/4!/4/2,/1:0,/1:3)" },
+				{ word: "two", cfiRange: "epubcfi(/6/6!/4/2,/1:0,/1:3)" }
+			];
+
+			annotations.highlightWord(words, 0);
+			assert.equal(views[0].word, words[0].cfiRange);
+			assert.equal(views[1].word, undefined);
+
+			annotations.highlightWord(words, 1);
+			assert.equal(views[0].word, undefined);
+			assert.equal(views[1].word, words[1].cfiRange);
+
+			var rendered = fakeView(2);
+			annotations.inject(rendered);
+			assert.equal(rendered.word, words[1].cfiRange, "highlight is restored when the view is rendered again");
+
+			annotations.unhighlightWord();
+			assert.equal(views[1].word, undefined);
+		});
+	});
+
+	describe('Rendition#getCurrentViewWords()', function() {
+
+		it('should get the words of the visible page or of a paragraph', function() {
+			var doc = parse();
+			var contents = new Contents(doc, doc.body, "/6/4!", 1);
+			var rendition = new ePub().renderTo("mock-container-words", { width: 600, height: 400 });
+
+			rendition.manager = {
+				currentLocation: () => [{
+					index: 1,
+					mapping: { start: "epubcfi(/6/4!/4/2/1:0)", end: "epubcfi(/6/4!/4/4/1:7)" }
+				}],
+				views: { find: () => ({ contents }) }
+			};
+
+			assert.deepEqual(rendition.getCurrentViewWords().map((w) => w.word), ["Down", "down", "down", "said", "Alice", "Nothing"]);
+
+			var paragraph = { text: "Nothing else.", cfiRange: "epubcfi(/6/4!/4/4,/1:0,/1:13)" };
+			assert.deepEqual(rendition.getCurrentViewWords(paragraph).map((w) => w.word), ["Nothing", "else"]);
+
+			contents.destroy();
+		});
+	});
+});
@@ -0,0 +1,204 @@
+import assert from 'assert';
+import JSZip from 'jszip/dist/jszip';
+import Book from '../src/book';
+import WorkerArchive from '../src/workerarchive';
+import { listen } from '../src/worker';
+
+const CONTAINER = '<?xml version="1.0"?>' +
+	'<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">' +
+	'<rootfiles><rootfile full-path="OPS/package.opf" media-type="application/oebps-package+xml"/></rootfiles>' +
+	'</container>';
+
+const PACKAGE = '<?xml version="1.0"?>' +
+	'<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid">' +
+	'<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">' +
+	'<dc:identifier id="uid">urn:uuid:1234</dc:identifier><dc:title>Workers</dc:title><dc:language>en</dc:language>' +
+	'</metadata>' +
+	'<manifest>' +
+	'<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>' +
+	'<item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/>' +
+	'<item id="plate" href="plate.png" media-type="image/png"/>' +
+	'</manifest>' +
+	'<spine><itemref idref="c1"/></spine>' +
+	'</package>';
+
+const NAV = '<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><head><title>nav</title></head><body>' +
+	'<nav epub:type="toc"><ol><li><a href="c1.xhtml">One</a><ol><li><a href="c1.xhtml#a">One A</a></li></ol></li></ol></nav>' +
+	'<nav epub:type="page-list"><ol><li><a href="c1.xhtml#p1">1</a></li><li><a href="c1.xhtml#p2">2</a></li></ol></nav>' +
+	'</body></html>';
+
+const CHAPTER = '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>c1</title></head><body><p>Down the rabbit hole</p></body></html>';
+
+/**
+ * Runs the worker script in this thread, passing messages asynchronously
+ * with the structured clone and transfer of postMessage
+ */
+class FakeWorker {
+	constructor(url) {
+		this.url = url;
+		this.methods = [];
+		this.scope = {
+			postMessage: (data, transfer) => {
+				var copy = structuredClone(data, { transfer: transfer || [] });
+				setTimeout(() => this.onmessage({ data: copy }));
+			}
+		};
+		listen(this.scope);
+		FakeWorker.instances.push(this);
+	}
+
+	postMessage(data, transfer) {
+		var copy = structuredClone(data, { transfer: transfer || [] });
+		this.methods.push(data.method);
+		setTimeout(() => this.scope.onmessage({ data: copy }));
+	}
+
+	terminate() {
+		this.terminated = true;
+	}
+}
+
+class UncloneableWorker extends FakeWorker {
+	constructor(url) {
+		super(url);
+		var postMessage = this.scope.postMessage;
+		this.scope.postMessage = (data, transfer) => {
+			if (data.result && data.result.packaging) {
+				throw new DOMException("Packaging could not be cloned.", "DataCloneError");
+			}
+			postMessage(data, transfer);
+		};
+	}
+}
+
+class BlockedWorker {
+	constructor(url) {
+		setTimeout(() => this.onerror({ message: "Failed to load " + url }));
+	}
+
+	postMessage() {
+		throw new Error("Not started");
+	}
+
+	terminate() {}
+}
+
+async function epub() {
+	var zip = new JSZip();
+	zip.file("mimetype", "application/epub+zip");
+	zip.file("META-INF/container.xml", CONTAINER);
+	zip.file("OPS/package.opf", PACKAGE);
+	zip.file("OPS/nav.xhtml", NAV);
+	zip.file("OPS/c1.xhtml", CHAPTER);
+	zip.file("OPS/plate.png", new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]));
+	return zip.generateAsync({ type: "arraybuffer", compression: "DEFLATE" });
+}
+
+describe('Worker', function() {
+	var Worker = global.Worker;
+	var revokeObjectURL = window.URL.revokeObjectURL;
+
+	beforeEach(function() {
+		FakeWorker.instances = [];
+		global.Worker = FakeWorker;
+		window.URL.revokeObjectURL = () => {};
+	});
+
+	afterEach(function() {
+		global.Worker = Worker;
+		window.URL.revokeObjectURL = revokeObjectURL;
+	});
+
+	it('should unzip and parse the package and navigation in the worker', async function() {
+		var data = await epub();
+		var book = new Book({ worker: "epub.worker.js", replacements: "base64" });
+
+		await book.open(data);
+		await book.ready;
+
+		var worker = FakeWorker.instances[0];
+
+		assert.ok(book.archive instanceof WorkerArchive);
+		assert.equal(data.byteLength, 0, "the epub was transferred");
+		assert.deepEqual(worker.methods.filter((method) => method !== "read"), ["open", "parse", "parse"]);
+
+		assert.equal(book.packaging.metadata.title, "Workers");
+		assert.equal(book.packaging.uniqueIdentifier, "urn:uuid:1234");
+		assert.equal(book.spine.get(0).url, "/OPS/c1.xhtml");
+		assert.equal(book.navigation.get("c1.xhtml").label, "One");
+		assert.equal(book.navigation.toc[0].subitems[0].href, "c1.xhtml#a");
+		assert.deepEqual(book.pageList.pages, [1, 2]);
+
+		var chapter = await book.archive.request("/OPS/c1.xhtml");
+		assert.equal(chapter.getElementsByTagName("p")[0].textContent, "Down the rabbit hole");
+		assert.equal(await book.archive.getBase64("/OPS/plate.png"), "data:image/png;base64,iVBORw0KGgo=");
+
+		book.destroy();
+		assert.ok(worker.terminated);
+	});
+
+	it('should parse with xmldom, as workers have no DOMParser', async function() {
+		var DOMParser = global.DOMParser;
+		var book = new Book({ worker: "epub.worker.js", replacements: "none" });
+
+		global.DOMParser = undefined;
+		try {
+			await book.open(await epub());
+			await book.ready;
+		} finally {
+			global.DOMParser = DOMParser;
+		}
+
+		assert.equal(book.packaging.metadata.title, "Workers");
+		assert.equal(book.spine.get(0).url, "/OPS/c1.xhtml");
+		assert.equal(book.navigation.toc[0].subitems[0].label, "One A");
+		assert.deepEqual(book.pageList.pages, [1, 2]);
+	});
+
+	it('should answer with an error when a result cannot be posted', async function() {
+		global.Worker = UncloneableWorker;
+
+		var archive = new WorkerArchive("epub.worker.js");
+		await archive.open(await epub());
+
+		await assert.rejects(archive.parse("/OPS/package.opf", "package"), /could not be cloned/);
+		assert.equal(await archive.getText("/OPS/c1.xhtml"), CHAPTER);
+		archive.destroy();
+	});
+
+	it('should cancel the pending requests', async function() {
+		var book = new Book({ worker: "epub.worker.js", replacements: "none" });
+
+		await book.open(await epub());
+		await book.ready;
+
+		var pending = book.archive.getText("/OPS/c1.xhtml");
+		book.archive.cancel();
+
+		await assert.rejects(pending, (error) => error.cancelled === true);
+		assert.deepEqual(FakeWorker.instances[0].methods.slice(-2), ["read", "cancel"]);
+		assert.equal(await book.archive.getText("/OPS/c1.xhtml"), CHAPTER);
+	});
+
+	it('should unzip in this thread when workers are unavailable', async function() {
+		var book;
+
+		global.Worker = undefined;
+		book = new Book({ worker: "epub.worker.js", replacements: "none" });
+		await book.open(await epub());
+		await book.ready;
+
+		assert.ok(!(book.archive instanceof WorkerArchive));
+		assert.equal(book.navigation.toc[0].label, "One");
+
+		global.Worker = BlockedWorker;
+		book = new Book({ worker: "epub.worker.js", replacements: "none" });
+		await book.open(await epub());
+		await book.ready;
+
+		assert.ok(book.archive instanceof WorkerArchive);
+		assert.equal(book.archive.worker, undefined);
+		assert.equal(book.packaging.metadata.title, "Workers");
+		assert.equal(await book.archive.getText("/OPS/c1.xhtml"), CHAPTER);
+	});
+});
@@ -14,6 +14,10 @@ export default class Annotations {
 
 	mark(cfiRange: string, data?: object, cb?: Function): void;
 
+  highlightWord(words: Array<{ cfiRange: string }>, index: number, className?: string, styles?: object): object | undefined;
+
+  unhighlightWord(): void;
+
   each(): Array<Annotation>
 
   private _removeFromAnnotationBySectionIndex(sectionIndex: number, hash: string): void;
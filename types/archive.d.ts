@@ -1,12 +1,23 @@
 import JSZip = require('jszip');
+import Encryption from "./encryption";
+import RangeZip from "./utils/rangezip";
+import UrlCache, { UrlCacheOptions } from "./utils/urlcache";
 
 export default class Archive {
-  constructor();
+  constructor(options?: { urlCache?: UrlCacheOptions });
+
+  urlCache: UrlCache;
 
   open(input: BinaryType, isBase64?: boolean): Promise<JSZip>;
 
   openUrl(zipUrl: string, isBase64?: boolean): Promise<JSZip>;
 
+  openRange(zipUrl: string, withCredentials?: boolean, headers?: object): Promise<JSZip | RangeZip>;
+
+  deobfuscate(encryption: Encryption, uniqueIdentifier: string): void;
+
+  setDecryption(encryption: Encryption, decryptor: (url: string, data: Uint8Array) => Promise<Uint8Array>): void;
+
 	request(url: string, type?: string): Promise<Blob | string | JSON | Document | XMLDocument>;
 
   getBlob(url: string, mimeType?: string): Promise<Blob>;
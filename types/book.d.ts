@@ -5,6 +5,7 @@ import {
   PackagingObject
 } from "./packaging";
 import Rendition, { RenditionOptions } from "./rendition";
+import { ParagraphKind } from "./utils/paragraphs";
 import Section, { SpineItem } from "./section";
 import Archive from "./archive";
 import Navigation from "./navigation";
@@ -14,9 +15,13 @@ import Locations from "./locations";
 import Url from "./utils/url";
 import Path from "./utils/path";
 import Resources from "./resources";
-import Container from "./container";
-import Packaging from "./packaging";
+import Container, { ContainerRootfile, RenditionSelector } from "./container";
+import Encryption, { Decryptor } from "./encryption";
+import Packaging, { WebPubManifest } from "./packaging";
+import { ValidationProblem } from "./utils/validation";
 import Store from "./store";
+import { UrlCacheOptions } from "./utils/urlcache";
+import Smil, { SmilTiming } from "./smil";
 
 export interface BookOptions {
   requestMethod?: (url: string, type: string, withCredentials: object, headers: object) => Promise<object>;
@@ -26,11 +31,27 @@ export interface BookOptions {
   replacements?: string,
   canonical?: (path: string) => string,
   openAs?: string,
-  store?: string
+  store?: string,
+  renditionSelector?: RenditionSelector | ((rootfiles: Array<ContainerRootfile>) => ContainerRootfile | undefined),
+  decryptor?: Decryptor,
+  rangeRequests?: boolean,
+  worker?: string,
+  urlCache?: UrlCacheOptions
+}
+
+export interface BookParagraph {
+  text: string,
+  cfiRange: string,
+  sectionIndex: number,
+  href: string,
+  kind: ParagraphKind,
+  level?: number,
+  lang?: string,
+  synthetic?: boolean
 }
 
 export default class Book {
-    constructor(url: string, options?: BookOptions);
+    constructor(url: string | ArrayBuffer | Blob | Response | ReadableStream, options?: BookOptions);
     constructor(options?: BookOptions);
 
     settings: BookOptions;
@@ -59,6 +80,8 @@ export default class Book {
     resources: Resources;
     rendition: Rendition
     container: Container;
+    rootfile: ContainerRootfile;
+    encryption: Encryption;
     packaging: Packaging;
     storage: Store;
 
@@ -69,27 +92,52 @@ export default class Book {
 
     destroy(): void;
 
-    determineType(input: string): string;
+    determineType(input: string | ArrayBuffer | Blob | Response | ReadableStream): string;
 
     getRange(cfiRange: string): Promise<Range>;
 
     key(identifier?: string): string;
 
+    toWebPubManifest(): Promise<WebPubManifest>;
+
+    validate(): Promise<Array<ValidationProblem>>;
+
     load(path: string): Promise<object>;
 
     loadNavigation(opf: XMLDocument): Promise<Navigation>;
 
     open(input: string, what?: string): Promise<object>;
     open(input: ArrayBuffer, what?: string): Promise<object>;
+    open(input: Blob | Response | ReadableStream, what?: string): Promise<object>;
 
     openContainer(url: string): Promise<string>;
 
+    selectRendition(selector: RenditionSelector | ((rootfiles: Array<ContainerRootfile>) => ContainerRootfile | undefined)): Promise<Book>;
+
+    private unload(): void;
+
+    private createLoading(): void;
+
+    openEncryption(url: string): Promise<Encryption>;
+
+    private decrypt(url: string, data: Uint8Array | ArrayBuffer): Promise<Uint8Array>;
+
     openEpub(data: BinaryType, encoding?: string): Promise<Book>;
 
+    private openRemoteEpub(url: string): Promise<Book>;
+
+    private openArchiveContents(): Promise<Book>;
+
+    private createArchive(): Archive;
+
+    private parseInWorker(path: string, kind: "package" | "navigation"): Promise<object | undefined>;
+
     openManifest(url: string): Promise<Book>;
 
     openPackaging(url: string): Promise<Book>;
 
+    paragraphs(options?: { from?: string, include?: Array<ParagraphKind>, exclude?: Array<ParagraphKind>, altText?: boolean }): AsyncIterableIterator<BookParagraph>;
+
     renderTo(element: Element, options?: RenditionOptions): Rendition;
     renderTo(element: string, options?: RenditionOptions): Rendition;
 
@@ -100,6 +148,10 @@ export default class Book {
     section(target: string): Section;
     section(target: number): Section;
 
+    mediaOverlay(section: Section): Promise<Smil | undefined>;
+
+    mediaOverlayTimings(section: Section): Promise<Array<SmilTiming>>;
+
     setRequestCredentials(credentials: object): void;
 
     setRequestHeaders(headers: object): void;
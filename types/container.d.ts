@@ -1,7 +1,47 @@
+export interface ContainerRootfile {
+  index: number,
+  fullPath: string,
+  mediaType: string,
+  media: string,
+  layout: string,
+  language: string,
+  accessMode: Array<string>,
+  label: string
+}
+
+export interface ContainerMetadata {
+  identifier: string,
+  title: string,
+  language: string,
+  modified: string,
+  releaseIdentifier: string
+}
+
+export interface RenditionSelector {
+  language?: string,
+  layout?: string,
+  accessMode?: string | Array<string>,
+  media?: boolean | ((query: string) => boolean)
+}
+
 export default class Container {
   constructor(containerDocument: Document);
 
+  packagePath: string;
+  directory: string;
+  encoding: string;
+  rootfiles: Array<ContainerRootfile>;
+  metadata: ContainerMetadata;
+
   parse(containerDocument: Document): void;
 
+  parseMetadata(metadataDocument: Document): ContainerMetadata;
+
+  select(selector?: RenditionSelector | ((rootfiles: Array<ContainerRootfile>) => ContainerRootfile | undefined)): ContainerRootfile;
+
   destroy(): void;
+
+  private parseRootfile(element: Element, index: number): ContainerRootfile;
+
+  private match(rootfile: ContainerRootfile, selector: RenditionSelector): number;
 }
@@ -1,4 +1,6 @@
 import EpubCFI from "./epubcfi";
+import { Sentence } from "./utils/sentences";
+import { Word } from "./utils/words";
 
 export interface ViewportSettings {
   width: string,
@@ -74,6 +76,8 @@ export default class Contents {
 
     scrollHeight(): number;
 
+    sentences(target?: Range | string | { cfiRange: string }, options?: { locale?: string, ignoreClass?: string }): Array<Sentence>;
+
     scrollWidth(): number;
 
     size(width: number, height: number): void;
@@ -86,6 +90,8 @@ export default class Contents {
 
     width(w: number): number;
 
+    words(target?: Range | string | { cfiRange: string }, options?: { locale?: string, ignoreClass?: string }): Array<Word>;
+
     writingMode(mode: string): string;
 
     // Event emitters
@@ -0,0 +1,21 @@
+export type Decryptor = (path: string, algorithm: string, data: Uint8Array) => Uint8Array | ArrayBuffer | Promise<Uint8Array | ArrayBuffer>;
+
+export default class Encryption {
+  constructor(encryptionDocument?: Document, decryptor?: Decryptor);
+
+  algorithms: { [path: string]: string };
+
+  decryptor?: Decryptor;
+
+  parse(encryptionDocument: Document): void;
+
+  algorithm(path: string): string | undefined;
+
+  isEncrypted(path: string): boolean;
+
+  hasEncrypted(): boolean;
+
+  decrypt(path: string, data: Uint8Array | ArrayBuffer): Promise<Uint8Array>;
+
+  destroy(): void;
+}
@@ -6,4 +6,10 @@ function testEpub() {
   const book = new Book("https://s3.amazonaws.com/moby-dick/moby-dick.epub", {});
 }
 
+async function testParagraphs(book: Book) {
+  for await (const paragraph of book.paragraphs({ exclude: ["footnote"] })) {
+    paragraph.cfiRange;
+  }
+}
+
 testEpub();
@@ -61,8 +61,14 @@ export default class Manager {
 
   bounds(): object;
 
+  layout: Layout;
+
+  globalLayout: Layout;
+
   applyLayout(layout: Layout): void;
 
+  layoutFor(section: Section): Layout;
+
   updateLayout(): void;
 
   setLayout(layout: Layout): void;
@@ -59,8 +59,12 @@ export default class View {
 
 	mark(cfiRange: string, data?: object, cb?: Function): void;
 
+  highlightWord(cfiRange: string, className?: string, styles?: object): void;
+
   unhighlight(cfiRange: string): void;
 
+  unhighlightWord(): void;
+
   ununderline(cfiRange: string): void;
 
   unmark(cfiRange: string): void;
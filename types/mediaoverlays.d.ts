@@ -0,0 +1,75 @@
+import Rendition from "./rendition";
+import Section from "./section";
+import Smil, { SmilItem } from "./smil";
+
+export interface AudioAdapter {
+  play(src: string, options?: { begin?: number, end?: number, rate?: number }): Promise<void>;
+  pause(): void;
+  resume(): void;
+  cancel(): void;
+  setRate(rate: number): void;
+}
+
+export interface MediaOverlaysOptions {
+  adapter?: AudioAdapter;
+  rate?: number;
+  activeClass?: string;
+  highlight?: boolean;
+  className?: string;
+  styles?: object;
+  autoTurn?: boolean;
+}
+
+export class AudioElementAdapter implements AudioAdapter {
+  constructor(audio?: HTMLAudioElement);
+
+  audio: HTMLAudioElement;
+
+  play(src: string, options?: { begin?: number, end?: number, rate?: number }): Promise<void>;
+  pause(): void;
+  resume(): void;
+  cancel(): void;
+  setRate(rate: number): void;
+}
+
+export default class MediaOverlays {
+  constructor(rendition: Rendition, options?: MediaOverlaysOptions);
+
+  settings: MediaOverlaysOptions;
+  adapter: AudioAdapter;
+  rate: number;
+  state: "stopped" | "playing" | "paused";
+  section: Section;
+  overlay: Smil;
+  index: number;
+  current: SmilItem;
+
+  play(): Promise<void>;
+
+  pause(): void;
+
+  resume(): void;
+
+  stop(): void;
+
+  seek(cfi: string): Promise<void>;
+
+  setRate(rate: number): void;
+
+  destroy(): void;
+
+  // Event emitters
+  emit(type: any, ...args: any[]): void;
+
+  off(type: any, listener: any): any;
+
+  on(type: any, listener: any): any;
+
+  once(type: any, listener: any, ...args: any[]): any;
+
+  private load(section: Section, forward?: boolean): Promise<{ section: Section, overlay: Smil } | undefined>;
+
+  private speak(): Promise<void>;
+
+  private turn(): Promise<void>;
+}
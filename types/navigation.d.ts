@@ -26,6 +26,8 @@ export default class Navigation {
 
   load(json: string): Array<NavItem>;
 
+  loadLandmarks(json: Array<{ href: string, title?: string, rel?: string | Array<string> }>): Array<LandmarkItem>;
+
   forEach(fn: (item: NavItem) => {}): any;
 
   private unpack(toc: Array<NavItem>): void;
@@ -0,0 +1,12 @@
+import Book, { BookOptions } from "./book";
+
+export function openBook(input: ArrayBuffer | Uint8Array | string, options?: BookOptions): Promise<Book>;
+
+export { default as Book } from "./book";
+export { default as Packaging } from "./packaging";
+export { default as Spine } from "./spine";
+export { default as Section } from "./section";
+export { default as Navigation } from "./navigation";
+export { default as PageList } from "./pagelist";
+export { default as EpubCFI } from "./epubcfi";
+export { setDOMParser } from "./utils/core";
@@ -1,4 +1,6 @@
 import { SpineItem } from "./section";
+import Navigation from "./navigation";
+import PageList from "./pagelist";
 
 export interface PackagingObject {
   metadata: PackagingMetadataObject,
@@ -7,7 +9,32 @@ export interface PackagingObject {
   navPath: string,
   ncxPath: string,
   coverPath: string,
-  spineNodeIndex: number
+  spineNodeIndex: number,
+  toc?: Array<WebPubLink>,
+  landmarks?: Array<WebPubLink>,
+  pageList?: Array<WebPubLink>
+}
+
+export interface WebPubLink {
+  href: string,
+  type?: string,
+  title?: string,
+  rel?: string | Array<string>,
+  properties?: { [key: string]: any },
+  alternate?: Array<WebPubLink>,
+  children?: Array<WebPubLink>,
+  [key: string]: any
+}
+
+export interface WebPubManifest {
+  "@context": string | Array<string>,
+  metadata: { [key: string]: any },
+  links: Array<WebPubLink>,
+  readingOrder: Array<WebPubLink>,
+  resources?: Array<WebPubLink>,
+  toc?: Array<WebPubLink>,
+  landmarks?: Array<WebPubLink>,
+  "page-list"?: Array<WebPubLink>
 }
 
 export interface PackagingMetadataObject {
@@ -26,6 +53,71 @@ export interface PackagingMetadataObject {
   viewport: string,
   spread: string,
   direction: string,
+  structured: PackagingStructuredMetadata,
+  accessibility: PackagingAccessibility,
+}
+
+export interface PackagingAccessibility {
+  accessMode: Array<string>,
+  accessModeSufficient: Array<Array<string>>,
+  accessibilityFeature: Array<string>,
+  accessibilityHazard: Array<string>,
+  accessibilitySummary: string,
+  conformsTo: Array<string>,
+  certifiedBy: string,
+  certifierCredential: string,
+  certifierReport: string
+}
+
+export interface PackagingMetadataEntry {
+  id: string,
+  value: string,
+  lang: string,
+  fileAs: string,
+  displaySeq?: number,
+  alternateScripts: Array<{ value: string, lang: string }>
+}
+
+export interface PackagingTitle extends PackagingMetadataEntry {
+  type: string
+}
+
+export interface PackagingContributor extends PackagingMetadataEntry {
+  role: string,
+  roles: Array<{ value: string, scheme: string }>
+}
+
+export interface PackagingIdentifier {
+  id: string,
+  value: string,
+  scheme: string,
+  type: string
+}
+
+export interface PackagingSubject extends PackagingMetadataEntry {
+  authority: string,
+  term: string
+}
+
+export interface PackagingSource extends PackagingMetadataEntry {
+  type: string
+}
+
+export interface PackagingCollection extends PackagingMetadataEntry {
+  type: string,
+  position?: number,
+  identifier: string,
+  collections: Array<PackagingCollection>
+}
+
+export interface PackagingStructuredMetadata {
+  titles: Array<PackagingTitle>,
+  creators: Array<PackagingContributor>,
+  contributors: Array<PackagingContributor>,
+  identifiers: Array<PackagingIdentifier>,
+  subjects: Array<PackagingSubject>,
+  sources: Array<PackagingSource>,
+  collections: Array<PackagingCollection>
 }
 
 export interface PackagingSpineItem {
@@ -37,7 +129,10 @@ export interface PackagingSpineItem {
 export interface PackagingManifestItem {
   href: string,
   type: string,
-  properties: Array<string>
+  properties: Array<string>,
+  overlay?: string,
+  fallback?: string,
+  alternate?: Array<PackagingManifestItem>
 }
 
 export interface PackagingManifestObject {
@@ -52,17 +147,42 @@ export default class Packaging {
   ncxPath: string;
   coverPath: string;
   spineNodeIndex: number;
+  uniqueIdentifier: string;
   spine: Array<PackagingSpineItem>;
   metadata: PackagingMetadataObject;
 
   parse(packageDocument: XMLDocument): PackagingObject;
 
-  load(json: string): PackagingObject;
+  load(json: WebPubManifest): PackagingObject;
+
+  toWebPubManifest(navigation?: Navigation, pageList?: PageList): WebPubManifest;
 
   destroy(): void;
 
   private parseMetadata(xml: Node): PackagingMetadataObject;
 
+  private loadMetadata(metadata: { [key: string]: any }): PackagingMetadataObject;
+
+  private loadContributors(contributors: any, role?: string): Array<PackagingContributor>;
+
+  private loadEntry(value: string | { [lang: string]: string }, language: string, sortAs?: string | { [lang: string]: string }): PackagingMetadataEntry;
+
+  private localized(value: string | { [lang: string]: string }, language: string): string;
+
+  private loadAccessibility(metadata: { [key: string]: any }): PackagingAccessibility;
+
+  private loadLink(link: WebPubLink): PackagingManifestItem;
+
+  private loadProperties(properties?: { [key: string]: string }): Array<string>;
+
+  private toLink(item: PackagingManifestItem): WebPubLink;
+
+  private toLinkProperties(itemProperties: Array<string>): { [key: string]: string };
+
+  private parseStructuredMetadata(xml: Node): PackagingStructuredMetadata;
+
+  private parseAccessibility(xml: Node): PackagingAccessibility;
+
   private parseManifest(xml: Node): PackagingManifestObject;
 
   private parseSpine(xml: Node, manifest: PackagingManifestObject): Array<PackagingSpineItem>;
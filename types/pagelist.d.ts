@@ -22,6 +22,8 @@ export default class Pagelist {
 
   private parseNav(navHtml: Node): Array<PageListItem>;
 
+  private load(json: Array<{ href: string, title: string }>): Array<PageListItem>;
+
   private item(item: Node): PageListItem;
 
   private process(pageList: Array<PageListItem>): void;
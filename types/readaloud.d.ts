@@ -0,0 +1,70 @@
+import Rendition from "./rendition";
+
+export interface SpeechAdapter {
+  speak(text: string, options?: { rate?: number, lang?: string }): Promise<void>;
+  pause(): void;
+  resume(): void;
+  cancel(): void;
+}
+
+export interface ReadAloudOptions {
+  adapter?: SpeechAdapter;
+  rate?: number;
+  lang?: string;
+  minLength?: number;
+  highlight?: boolean;
+  className?: string;
+  styles?: object;
+  autoTurn?: boolean;
+}
+
+export class SpeechSynthesisAdapter implements SpeechAdapter {
+  constructor(synth?: SpeechSynthesis);
+
+  speak(text: string, options?: { rate?: number, lang?: string, voice?: SpeechSynthesisVoice }): Promise<void>;
+  pause(): void;
+  resume(): void;
+  cancel(): void;
+}
+
+export default class ReadAloud {
+  constructor(rendition: Rendition, options?: ReadAloudOptions);
+
+  settings: ReadAloudOptions;
+  adapter: SpeechAdapter;
+  rate: number;
+  state: "stopped" | "playing" | "paused";
+  paragraphs: Array<{ text: string, cfiRange: string }>;
+  index: number;
+
+  play(): Promise<void>;
+
+  pause(): void;
+
+  resume(): void;
+
+  stop(): void;
+
+  skip(steps?: number): Promise<void>;
+
+  setRate(rate: number): Promise<void>;
+
+  destroy(): void;
+
+  // Event emitters
+  emit(type: any, ...args: any[]): void;
+
+  off(type: any, listener: any): any;
+
+  on(type: any, listener: any): any;
+
+  once(type: any, listener: any, ...args: any[]): any;
+
+  private load(): void;
+
+  private speak(): Promise<void>;
+
+  private turn(): Promise<void>;
+
+  private fail(error: Error): void;
+}
@@ -7,6 +7,34 @@ import Themes from "./themes";
 import EpubCFI from "./epubcfi";
 import Annotations from "./annotations";
 import Queue from "./utils/queue";
+import ParagraphCache from "./utils/paragraphcache";
+import ReadAloud, { ReadAloudOptions } from "./readaloud";
+import MediaOverlays, { MediaOverlaysOptions } from "./mediaoverlays";
+import { Sentence } from "./utils/sentences";
+import { Word } from "./utils/words";
+import { ParagraphKind } from "./utils/paragraphs";
+
+export interface ViewParagraphOptions {
+  minLength?: number;
+  sentences?: boolean;
+  locale?: string;
+  include?: Array<ParagraphKind>;
+  exclude?: Array<ParagraphKind>;
+  altText?: boolean;
+}
+
+export interface ViewParagraph {
+  text: string;
+  cfiRange: string;
+  kind: ParagraphKind;
+  level?: number;
+  lang?: string;
+  continuesFromPrevious: boolean;
+  continuesOnNext: boolean;
+  synthetic?: boolean;
+  sectionIndex?: number;
+  sentences?: Array<Sentence>;
+}
 
 export interface RenditionOptions {
   width?: number | string;
@@ -27,6 +55,9 @@ export interface RenditionOptions {
   defaultDirection?: string;
   allowScriptedContent?: boolean;
   allowPopups?: boolean;
+  readAloud?: ReadAloudOptions;
+  mediaOverlays?: MediaOverlaysOptions;
+  prefetch?: number;
 }
 
 export interface DisplayedLocation {
@@ -64,6 +95,9 @@ export default class Rendition {
   };
   themes: Themes;
   annotations: Annotations;
+  readAloud: ReadAloud;
+  mediaOverlays: MediaOverlays;
+  paragraphCache: ParagraphCache;
   epubcfi: EpubCFI;
   q: Queue;
   location: Location;
@@ -91,15 +125,21 @@ export default class Rendition {
 
   getContents(): Contents;
 
-  getCurrentViewText(): {
+  getCurrentViewText(options?: { altText?: boolean }): {
     text: string;
     startCfi: string;
     endCfi: string;
   } | null;
 
-  getCurrentViewParagraphs(): Array<{ text: string; cfiRange: string }> | null;
+  getCurrentViewParagraphs(options?: ViewParagraphOptions): Array<ViewParagraph> | null;
+
+  clearParagraphCache(): void;
+
+  getNextViewParagraphs(options?: ViewParagraphOptions): Promise<Array<ViewParagraph> | null>;
+
+  getPreviousViewParagraphs(options?: ViewParagraphOptions): Promise<Array<ViewParagraph>>;
 
-  getNextViewParagraphs(): Promise<Array<{ text: string; cfiRange: string }> | null>;
+  getCurrentViewWords(target?: string | { cfiRange: string }, options?: { locale?: string }): Array<Word> | null;
 
   getRange(cfi: string, ignoreClass?: string): Range;
 
@@ -1,12 +1,16 @@
 import { PackagingManifestObject } from "./packaging";
 import Archive from "./archive";
+import Store from "./store";
+import UrlCache from "./utils/urlcache";
 
 export default class Resources {
   constructor(manifest: PackagingManifestObject, options: {
     replacements?: string,
     archive?: Archive,
+    store?: Store,
     resolver?: Function,
-    request?: Function
+    request?: Function,
+    decryptor?: (url: string, data: ArrayBuffer) => Promise<Uint8Array>
   });
 
   process(manifest: PackagingManifestObject): void;
@@ -21,6 +25,10 @@ export default class Resources {
 
   substitute(content: string, url?: string): string;
 
+  retain(url: string, content: string): Promise<void>;
+
+  release(url: string): void;
+
   destroy(): void;
 
   private split(): void;
@@ -29,5 +37,11 @@ export default class Resources {
 
   private replaceCss(archive: Archive, resolver?: Function): Promise<Array<string>>;
 
+  private replaceCssFile(href: string, archive?: Archive, resolver?: Function): Promise<void>;
+
   private createCssFile(href: string): Promise<string>;
+
+  private refreshUrl(href: string): Promise<boolean>;
+
+  private urlCache(): UrlCache | undefined;
 }
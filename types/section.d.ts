@@ -3,13 +3,16 @@ import { HooksObject } from "./utils/hook";
 export interface GlobalLayout {
   layout: string,
   spread: string,
-  orientation: string
+  orientation?: string,
+  flow?: string
 }
 
 export interface LayoutSettings {
   layout: string,
   spread: string,
-  orientation: string
+  orientation: string,
+  flow: string,
+  [key: string]: string
 }
 
 export interface SpineItem {
@@ -19,6 +22,7 @@ export interface SpineItem {
   url?: string,
   canonical?: string,
   properties?: Array<string>,
+  overlay?: string,
   linear?: string,
   next: () => SpineItem,
   prev: () => SpineItem,
@@ -34,6 +38,7 @@ export default class Section {
   href: string;
   url: string;
   canonical: string;
+  overlay: string;
   next: () => SpineItem;
   prev: () => SpineItem;
   cfiBase: string;
@@ -61,4 +66,6 @@ export default class Section {
   destroy(): void;
 
   private base(): void;
+
+  private createRange(startContainer: Node, startOffset: number, endContainer: Node, endOffset: number): Range | { startContainer: Node, startOffset: number, endContainer: Node, endOffset: number, collapsed: boolean };
 }
@@ -0,0 +1,45 @@
+import EpubCFI from "./epubcfi";
+
+export interface SmilItem {
+  id: string,
+  href: string,
+  fragment: string,
+  audioSrc: string,
+  clipBegin: number,
+  clipEnd?: number
+}
+
+export interface SmilTiming {
+  cfiRange: string,
+  audioSrc: string,
+  clipBegin: number,
+  clipEnd?: number,
+  index: number
+}
+
+export function parseClockValue(value?: string): number | undefined;
+
+export default class Smil {
+  constructor(xml?: Document, href?: string);
+
+  href: string;
+  items: Array<SmilItem>;
+  timings: Array<SmilTiming>;
+  mapped: boolean;
+
+  parse(xml: Document): Array<SmilItem>;
+
+  map(document: Document, cfiBase: string, href?: string, ignoreClass?: string): Array<SmilTiming>;
+
+  timingAt(cfi: string | EpubCFI): SmilTiming | undefined;
+
+  timeOf(cfi: string | EpubCFI): { audioSrc: string, time: number } | undefined;
+
+  cfiAt(time: number, audioSrc?: string): string | undefined;
+
+  private parsePar(par: Element): SmilItem | undefined;
+
+  private mappedTimings(): Array<SmilTiming>;
+
+  private resolve(src: string): string;
+}
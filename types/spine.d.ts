@@ -20,6 +20,8 @@ export default class Spine {
 
   last(): Section;
 
+  unload(): void;
+
   destroy(): void;
 
   private append(section: Section): number;
@@ -1,8 +1,13 @@
 import localForage = require('localforage');
 import Resources from "./resources";
+import UrlCache, { UrlCacheOptions } from "./utils/urlcache";
 
 export default class Store {
-  constructor(name: string, request?: Function, resolver?: Function);
+  constructor(name: string, request?: Function, resolver?: Function, decryptor?: (url: string, data: Uint8Array | ArrayBuffer) => Promise<Uint8Array>, options?: { urlCache?: UrlCacheOptions });
+
+  urlCache: UrlCache;
+
+  decryptor?: (url: string, data: Uint8Array | ArrayBuffer) => Promise<Uint8Array>;
 
   add(resources: Resources, force?: boolean): Promise<Array<object>>;
 
@@ -26,5 +31,9 @@ export default class Store {
 
   private checkRequirements(): void;
 
+  private handleBinary(data: Uint8Array, url: string, type?: string): ArrayBuffer | Blob | string | JSON | Document | XMLDocument;
+
+  private getData(url: string): Promise<Uint8Array | ArrayBuffer>;
+
   private handleResponse(response: any, type?: string): Blob | string | JSON | Document | XMLDocument;
 }
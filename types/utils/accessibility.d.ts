@@ -0,0 +1,9 @@
+import { PackagingMetadataObject } from "../packaging";
+
+export interface AccessibilityGroup {
+  id: string,
+  title: string,
+  statements: Array<string>
+}
+
+export function accessibilitySummary(metadata: PackagingMetadataObject): Array<AccessibilityGroup>;
@@ -48,6 +48,8 @@ export function type(obj: object): string;
 
 export function parse(markup: string, mime: string, forceXMLDom: boolean): Document;
 
+export function setDOMParser(Parser?: { new(): DOMParser }): void;
+
 export function qs(el: Element, sel: string): Element;
 
 export function qsa(el: Element, sel: string): ArrayLike<Element>;
@@ -0,0 +1,8 @@
+export const OBFUSCATION: {
+  IDPF: string,
+  ADOBE: string
+};
+
+export function obfuscationKey(algorithm: string, identifier: string): Uint8Array | undefined;
+
+export function deobfuscate(data: Uint8Array, algorithm: string, key: Uint8Array): Uint8Array;
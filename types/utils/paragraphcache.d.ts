@@ -0,0 +1,17 @@
+import { Paragraph } from "./paragraphs";
+
+export default class ParagraphCache {
+  constructor(limit?: number);
+
+  limit: number;
+
+  key(index: number, page: number, options?: object): string;
+
+  get(key: string): Promise<Array<Paragraph>> | undefined;
+
+  set(key: string, paragraphs: Promise<Array<Paragraph>>): Promise<Array<Paragraph>>;
+
+  has(key: string): boolean;
+
+  clear(): void;
+}
@@ -0,0 +1,36 @@
+import { Sentence } from "./sentences";
+
+export { BLOCK_SELECTORS, getTextNodesInRange, findContainingBlockElement } from "./text";
+
+export type ParagraphKind = "heading" | "paragraph" | "list-item" | "blockquote" | "table-cell" | "figcaption" | "aside" | "footnote" | "figure" | "image" | "math";
+
+export const PARAGRAPH_KINDS: Array<ParagraphKind>;
+
+export interface ParagraphOptions {
+  sentences?: boolean,
+  locale?: string,
+  include?: Array<ParagraphKind>,
+  exclude?: Array<ParagraphKind>,
+  altText?: boolean,
+  visualOrder?: "ltr" | "rtl"
+}
+
+export interface Paragraph {
+  text: string,
+  startCfi: string,
+  endCfi: string,
+  cfiRange: string,
+  kind: ParagraphKind,
+  level?: number,
+  lang?: string,
+  continuesFromPrevious: boolean,
+  continuesOnNext: boolean,
+  synthetic?: boolean,
+  sentences?: Array<Sentence>
+}
+
+export function getParagraphKind(block: Element): { kind: ParagraphKind, level?: number };
+
+export function getAltTextParagraphs(range: Range, cfiBase: string, ignoreClass?: string, options?: ParagraphOptions): Array<{ element: Element, paragraph: Paragraph }>;
+
+export function getParagraphsFromRange(range: Range, cfiBase: string, ignoreClass?: string, options?: ParagraphOptions): Array<Paragraph>;
@@ -0,0 +1,31 @@
+export interface RangeZipEntry {
+  name: string,
+  dir: boolean,
+  compressedSize: number,
+  uncompressedSize: number,
+  offset: number,
+
+  async(type: string): Promise<any>;
+}
+
+export default class RangeZip {
+  constructor(url: string, withCredentials?: boolean, headers?: object);
+
+  url: string;
+  size: number;
+  files: { [name: string]: RangeZipEntry };
+
+  open(): Promise<RangeZip | ArrayBuffer>;
+
+  file(name: string): RangeZipEntry | null;
+
+  private readEndOfCentralDirectory(tail: Uint8Array, start: number): Promise<{ offset: number, length: number }>;
+
+  private readCentralDirectory(directory: Uint8Array): void;
+
+  private readLocalFile(entry: RangeZipEntry): Promise<Uint8Array>;
+
+  private read(offset: number, length: number, data?: Uint8Array, start?: number): Promise<Uint8Array>;
+
+  private fetch(range: string): Promise<{ status: number, data: Uint8Array, buffer: ArrayBuffer, size: number }>;
+}
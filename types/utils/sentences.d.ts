@@ -0,0 +1,12 @@
+export interface Sentence {
+  text: string,
+  cfiRange: string
+}
+
+export function splitSentences(text: string): Array<{ text: string, index: number }>;
+
+export function segmentSentences(text: string, locale?: string): Array<{ text: string, index: number }>;
+
+export function getSentencesFromRange(range: Range, cfiBase: string, ignoreClass?: string, locale?: string): Array<Sentence>;
+
+export function languageOf(node: Node): string | undefined;
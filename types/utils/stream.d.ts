@@ -0,0 +1,3 @@
+export function isStream(input: any): boolean;
+
+export function readBinary(input: Blob | Response | ReadableStream, progress?: (progress: { loaded: number, total?: number }) => void): Promise<ArrayBuffer>;
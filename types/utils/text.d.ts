@@ -0,0 +1,20 @@
+export const BLOCK_SELECTORS: string;
+
+export interface TextSegment {
+  node: Text,
+  start: number,
+  end: number,
+  offset: number
+}
+
+export function getTextNodesInRange(range: Range): Array<Text>;
+
+export function elementTextRange(element: Element): Range;
+
+export function findContainingBlockElement(node: Node): Element | null;
+
+export function textSegments(range: Range): Array<TextSegment>;
+
+export function locate(segments: Array<TextSegment>, position: number, isEnd?: boolean): { node: Text, offset: number } | undefined;
+
+export function segmentBlocks(segments: Array<TextSegment>, text: string, split: (text: string) => Array<{ text: string, index: number }>): Array<{ text: string, index: number }>;
@@ -0,0 +1,34 @@
+export interface UrlCacheOptions {
+  maxEntries?: number,
+  maxBytes?: number
+}
+
+export default class UrlCache {
+  constructor(options?: UrlCacheOptions);
+
+  maxEntries: number;
+
+  maxBytes: number;
+
+  bytes: number;
+
+  get(key: string): string | undefined;
+
+  has(key: string): boolean;
+
+  set(key: string, url: string, size?: number): string;
+
+  delete(key: string): void;
+
+  retain(owner: any, keys: Array<string>): void;
+
+  release(owner: any): void;
+
+  retained(key: string): boolean;
+
+  prune(keep?: string): void;
+
+  clear(): void;
+
+  private revoke(url: string): void;
+}
@@ -0,0 +1,27 @@
+import Packaging from "../packaging";
+import Navigation from "../navigation";
+import PageList from "../pagelist";
+import Archive from "../archive";
+
+export const SEVERITY: {
+  ERROR: "error",
+  WARNING: "warning",
+  INFO: "info"
+};
+
+export interface ValidationProblem {
+  severity: "error" | "warning" | "info",
+  code: string,
+  message: string,
+  id: string,
+  href: string
+}
+
+export function validate(parts: {
+  packaging: Packaging,
+  navigation?: Navigation,
+  pageList?: PageList,
+  archive?: Archive,
+  packagePath?: string,
+  packageDocument?: Document
+}): Array<ValidationProblem>;
@@ -0,0 +1,11 @@
+export interface Word {
+  word: string,
+  cfiRange: string,
+  charOffset: number
+}
+
+export function splitWords(text: string): Array<{ text: string, index: number }>;
+
+export function segmentWords(text: string, locale?: string): Array<{ text: string, index: number }>;
+
+export function getWordsFromRange(range: Range, cfiBase: string, ignoreClass?: string, locale?: string): Array<Word>;
@@ -0,0 +1 @@
+export function listen(scope: { postMessage(message: any, transfer?: Array<ArrayBuffer>): void, onmessage?: (event: { data: any }) => void }): void;
@@ -0,0 +1,22 @@
+import Archive from "./archive";
+import { UrlCacheOptions } from "./utils/urlcache";
+
+export default class WorkerArchive extends Archive {
+  constructor(workerUrl: string, options?: { urlCache?: UrlCacheOptions });
+
+  worker?: Worker;
+
+  parse(url: string, kind: "package" | "navigation"): Promise<object | undefined>;
+
+  cancel(): void;
+
+  private load(entries: Array<{ name: string, dir: boolean }>): object;
+
+  private call(method: string, args: Array<any>, transfer?: Array<ArrayBuffer>): Promise<any>;
+
+  private handleMessage(message: object): void;
+
+  private rejectAll(error: Error): void;
+
+  private terminate(): void;
+}
@@ -19,7 +19,7 @@ if (MINIMIZE) {
 	sourceMapFilename += ".js.map";
 }
 
-module.exports = {
+var config = {
 	mode: process.env.NODE_ENV,
 	entry: {
 		"epub": "./src/epub.js",
@@ -81,3 +81,22 @@ module.exports = {
 		hints: false
 	}
 }
+
+// Worker unzipping and parsing off the main thread, see WorkerArchive.
+// It bundles JSZip, as workers don't share the globals of the page.
+var worker = Object.assign({}, config, {
+	entry: {
+		"epub.worker": "./src/worker.js",
+	},
+	target: "webworker",
+	output: {
+		path: path.resolve("./dist"),
+		filename: filename,
+		sourceMapFilename: sourceMapFilename,
+		publicPath: "/dist/"
+	},
+	externals: {},
+	devServer: undefined
+});
+
+module.exports = [config, worker];